@@ -11,10 +11,452 @@ async function initDashboard() {
   if (role === 'admin') {
     await loadAdminDashboard(token);
   } else {
+    if (role === 'seller') {
+      await loadVerificationSection(token);
+      await loadMyGigs(token);
+    }
+    await loadWalletSection(token, 1);
     await loadUserDashboard(token, role);
+    await loadDisputesSection(token);
+  }
+  await loadSessionsSection(token);
+  await loadNotificationSettings(token);
+  if (!listening) {
+    listening = true;
+    openLiveEvents(token, handleLiveEvent);
+  }
+}
+
+// Send typing notices this often while typing; show the other party's for
+// a little longer so the indicator doesn't flicker between notices
+const TYPING_INTERVAL_MS = 3000;
+const TYPING_SHOWN_MS = 5000;
+
+let listening = false;
+let reloadTimer = null;
+let typingTimer = null;
+
+// Apply an event from the live stream (see live.js)
+function handleLiveEvent(type, data) {
+  const token = localStorage.getItem('token');
+  if (type === 'message') {
+    const list = document.getElementById('message-list');
+    if (openThreadId === data.orderId && list) {
+      document.getElementById('typing-indicator').classList.add('hidden');
+      refreshMessages(token, data.orderId, list);
+    } else if (data.message.senderId !== localStorage.getItem('userId')) {
+      const btn = document.querySelector(`button[data-thread="${CSS.escape(data.orderId)}"]`);
+      if (btn) {
+        btn.dataset.unread = Number(btn.dataset.unread) + 1;
+        btn.textContent = `Messages (${btn.dataset.unread} new)`;
+      }
+    }
+  } else if (type === 'typing') {
+    const indicator = document.getElementById('typing-indicator');
+    if (openThreadId === data.orderId && indicator) {
+      indicator.classList.remove('hidden');
+      clearTimeout(typingTimer);
+      typingTimer = setTimeout(() => indicator.classList.add('hidden'), TYPING_SHOWN_MS);
+    }
+  } else if (type !== 'notification') {
+    // Order, dispute or reset: reload, once for a burst of events
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(initDashboard, 500);
+  }
+}
+
+const WALLET_LABELS = {
+  funding: 'Payment',
+  escrow_hold: 'Held in escrow',
+  release: 'Payment released',
+  refund: 'Refund',
+  fee: 'Fee',
+  withdrawal_hold: 'Withdrawal requested',
+  withdrawal_return: 'Withdrawal returned',
+  payout: 'Payout',
+  opening_balance: 'Opening balance'
+};
+
+// Show the wallet balance and one page of its history
+async function loadWalletSection(token, page) {
+  const section = document.getElementById('wallet-section');
+  try {
+    const res = await fetch(`/api/wallet?page=${page}&limit=10`, {
+      headers: { Authorization: 'Bearer ' + token }
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      section.innerHTML = '';
+      return;
+    }
+    section.innerHTML = `<h3>Wallet</h3><p><strong>Balance:</strong> $${data.balance.toFixed(2)}` +
+      ` &middot; <strong>In escrow:</strong> $${data.inEscrow.toFixed(2)}</p>`;
+    const table = document.createElement('table');
+    table.className = 'wallet-history';
+    table.innerHTML = '<tr><th>Date</th><th>Type</th><th>Order</th><th>Amount</th><th>Balance</th></tr>';
+    data.transactions.forEach(t => {
+      const row = document.createElement('tr');
+      [
+        new Date(t.createdAt).toLocaleString(),
+        WALLET_LABELS[t.type] || t.type,
+        t.orderId ? `#${t.orderId}` : '',
+        `${t.amount < 0 ? '-' : '+'}$${Math.abs(t.amount).toFixed(2)}`,
+        `$${t.balanceAfter.toFixed(2)}`
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    if (data.transactions.length > 0) {
+      section.appendChild(table);
+    }
+    if (data.totalPages > 1) {
+      const nav = document.createElement('div');
+      nav.className = 'pagination';
+      if (data.page > 1) {
+        const prev = document.createElement('button');
+        prev.textContent = 'Newer';
+        prev.addEventListener('click', () => loadWalletSection(token, data.page - 1));
+        nav.appendChild(prev);
+      }
+      const info = document.createElement('span');
+      info.textContent = ` Page ${data.page} of ${data.totalPages} `;
+      nav.appendChild(info);
+      if (data.page < data.totalPages) {
+        const next = document.createElement('button');
+        next.textContent = 'Older';
+        next.addEventListener('click', () => loadWalletSection(token, data.page + 1));
+        nav.appendChild(next);
+      }
+      section.appendChild(nav);
+    }
+    await loadWithdrawals(token, section);
+  } catch (err) {
+    section.innerHTML = '';
+  }
+}
+
+const METHOD_LABELS = {
+  bank_transfer: 'Bank transfer',
+  mobile_money: 'Mobile money',
+  paypal: 'PayPal'
+};
+
+// Withdrawal form and the caller's past withdrawals, under the wallet
+async function loadWithdrawals(token, section) {
+  const res = await fetch('/api/withdrawals', {
+    headers: { Authorization: 'Bearer ' + token }
+  });
+  const data = await res.json();
+  if (!res.ok) return;
+  const form = document.createElement('form');
+  form.innerHTML =
+    '<h4>Withdraw</h4>' +
+    `<label>Amount (minimum $${data.minimum}${data.maximum !== null ? `, maximum $${data.maximum}` : ''})` +
+    `<input type="number" name="amount" min="${data.minimum}"${data.maximum !== null ? ` max="${data.maximum}"` : ''} step="0.01" required></label>` +
+    '<label>Method<select name="method">' +
+    data.methods.map(m => `<option value="${m}">${METHOD_LABELS[m] || m}</option>`).join('') +
+    '</select></label>' +
+    '<label>Account, phone number or PayPal email<input type="text" name="destination" required></label>' +
+    '<button type="submit">Request Withdrawal</button>';
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { ok, data: result } = await postWithToken(token, '/api/withdrawals', {
+      amount: parseFloat(form.elements['amount'].value),
+      method: form.elements['method'].value,
+      destination: form.elements['destination'].value
+    });
+    alert(ok ? result.message : 'Error: ' + (result.error || 'Could not request withdrawal'));
+    if (ok) loadWalletSection(token, 1);
+  });
+  section.appendChild(form);
+  data.withdrawals.forEach(w => {
+    const p = document.createElement('p');
+    p.textContent = `${new Date(w.createdAt).toLocaleDateString()}: $${w.amount.toFixed(2)} by ${METHOD_LABELS[w.method] || w.method} – ${w.status}` +
+      (w.failureReason ? ` (${w.failureReason})` : '');
+    if (w.status === 'requested') {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.addEventListener('click', async () => {
+        const { ok, data: result } = await postWithToken(token, `/api/withdrawals/${encodeURIComponent(w.id)}/cancel`, {});
+        alert(ok ? result.message : 'Error: ' + (result.error || 'Could not cancel withdrawal'));
+        loadWalletSection(token, 1);
+      });
+      p.appendChild(cancelBtn);
+    }
+    section.appendChild(p);
+  });
+}
+
+const DOCUMENT_TYPE_LABELS = {
+  national_id: 'National ID card',
+  passport: 'Passport',
+  drivers_license: "Driver's license"
+};
+
+function describeLimit(amount) {
+  return amount === null ? 'no limit' : `$${amount}`;
+}
+
+// Read a file picked in a form as a base64 data URL
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Seller's verification level, its limits, and a form to submit identity
+// documents while unverified
+async function loadVerificationSection(token) {
+  const section = document.getElementById('verification-section');
+  const res = await fetch('/api/verification', {
+    headers: { Authorization: 'Bearer ' + token }
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    section.innerHTML = '';
+    return;
+  }
+  section.innerHTML = '<h3>Identity verification</h3>';
+  const status = document.createElement('p');
+  status.textContent = data.level === 'basic' ? 'Your account is not verified yet.' : 'Your account is verified.';
+  section.appendChild(status);
+  const limits = document.createElement('p');
+  limits.textContent = `Open orders: $${data.openOrderValue.toFixed(2)} of ${describeLimit(data.limits.maxOpenOrderValue)}` +
+    ` · Largest withdrawal: ${describeLimit(data.limits.maxWithdrawal)}`;
+  section.appendChild(limits);
+  const submission = data.submission;
+  if (submission && submission.status === 'pending') {
+    section.appendChild(Object.assign(document.createElement('p'), {
+      textContent: `Your documents were submitted on ${new Date(submission.submittedAt).toLocaleDateString()} and are waiting for review.`
+    }));
+    return;
+  }
+  if (submission && submission.status === 'rejected') {
+    section.appendChild(Object.assign(document.createElement('p'), {
+      className: 'message error',
+      textContent: `Your last submission was not approved: ${submission.reason}`
+    }));
+  }
+  if (data.level !== 'basic') {
+    return;
+  }
+  const form = document.createElement('form');
+  form.innerHTML =
+    '<label>Full legal name<input type="text" name="fullName" required></label>' +
+    '<label>Country<input type="text" name="country" required></label>' +
+    '<label>Document<select name="documentType">' +
+    data.documentTypes.map(t => `<option value="${t}">${DOCUMENT_TYPE_LABELS[t] || t}</option>`).join('') +
+    '</select></label>' +
+    '<label>Document number<input type="text" name="documentNumber" required></label>' +
+    `<label>Photos or scans of the document, and a selfie holding it (up to ${data.maxDocuments} JPEG, PNG or PDF files)` +
+    '<input type="file" name="documents" accept="image/jpeg,image/png,application/pdf" multiple required></label>' +
+    '<button type="submit">Submit for Review</button>';
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const files = Array.from(form.elements['documents'].files);
+    if (files.length > data.maxDocuments) {
+      return alert(`Attach at most ${data.maxDocuments} files`);
+    }
+    if (files.some(f => f.size > data.maxDocumentBytes)) {
+      return alert(`Each file must be at most ${data.maxDocumentBytes / (1024 * 1024)} MB`);
+    }
+    const { ok, data: result } = await postWithToken(token, '/api/verification', {
+      fullName: form.elements['fullName'].value,
+      country: form.elements['country'].value,
+      documentType: form.elements['documentType'].value,
+      documentNumber: form.elements['documentNumber'].value,
+      documents: await Promise.all(files.map(readAsDataUrl))
+    });
+    alert(ok ? result.message : 'Error: ' + (result.error || 'Could not submit documents'));
+    if (ok) loadVerificationSection(token);
+  });
+  section.appendChild(form);
+}
+
+const GIG_STATUS_LABELS = {
+  active: 'Listed',
+  pending_review: 'Waiting for review',
+  rejected: 'Not approved'
+};
+
+// The seller's gigs with their review status, each with a form to edit it
+async function loadMyGigs(token) {
+  const section = document.getElementById('my-gigs-section');
+  const res = await fetch('/api/gigs/mine', { headers: { Authorization: 'Bearer ' + token } });
+  const data = await res.json();
+  if (!res.ok || data.gigs.length === 0) {
+    section.innerHTML = '';
+    return;
+  }
+  section.innerHTML = '<h3>My gigs</h3>';
+  data.gigs.forEach(gig => {
+    const card = document.createElement('div');
+    card.className = 'gig-card';
+    const title = document.createElement('h4');
+    const link = document.createElement('a');
+    link.href = '/gig-details.html?id=' + encodeURIComponent(gig.id);
+    link.textContent = gig.title;
+    title.appendChild(link);
+    const status = document.createElement('p');
+    status.textContent = `Status: ${GIG_STATUS_LABELS[gig.status] || gig.status}` +
+      (gig.rejectionReason ? ` – ${gig.rejectionReason}` : '');
+    card.appendChild(title);
+    card.appendChild(status);
+    card.appendChild(renderGigEditForm(token, gig));
+    section.appendChild(card);
+  });
+}
+
+// Form for editing the title, description and category of a gig. Edits
+// are screened again, and rejected gigs go back for review.
+function renderGigEditForm(token, gig) {
+  const details = document.createElement('details');
+  details.innerHTML = '<summary>Edit</summary>' +
+    '<form>' +
+    '<label>Title<input type="text" name="title" required></label>' +
+    '<label>Description<textarea name="description" rows="3" required></textarea></label>' +
+    '<label>Category<input type="text" name="category"></label>' +
+    '<button type="submit">Save</button>' +
+    '</form>';
+  const form = details.querySelector('form');
+  form.elements['title'].value = gig.title;
+  form.elements['description'].value = gig.description;
+  form.elements['category'].value = gig.category;
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { ok, data } = await postWithToken(token, `/api/gigs/${encodeURIComponent(gig.id)}/edit`, {
+      title: form.elements['title'].value,
+      description: form.elements['description'].value,
+      category: form.elements['category'].value
+    });
+    alert(ok ? data.message : 'Error: ' + (data.error || 'Could not save the gig'));
+    if (ok) loadMyGigs(token);
+  });
+  return details;
+}
+
+// List the devices signed in to this account, with controls to sign them out
+async function loadSessionsSection(token) {
+  const section = document.getElementById('sessions-section');
+  try {
+    const res = await fetch('/api/sessions', {
+      headers: { Authorization: 'Bearer ' + token }
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      section.innerHTML = '';
+      return;
+    }
+    section.innerHTML = '<h3>Signed-in devices</h3>';
+    data.sessions.forEach(s => {
+      const p = document.createElement('p');
+      const lastSeen = new Date(s.lastSeenAt).toLocaleString();
+      p.textContent = `${s.device} – last seen ${lastSeen}${s.current ? ' (this device)' : ''}`;
+      if (!s.current) {
+        const revokeBtn = document.createElement('button');
+        revokeBtn.textContent = 'Sign out';
+        revokeBtn.addEventListener('click', async () => {
+          await postWithToken(token, '/api/sessions/revoke', { sessionId: s.id });
+          loadSessionsSection(token);
+        });
+        p.appendChild(revokeBtn);
+      }
+      section.appendChild(p);
+    });
+    const allBtn = document.createElement('button');
+    allBtn.textContent = 'Sign out everywhere';
+    allBtn.addEventListener('click', async () => {
+      if (confirm('Sign out of every device, including this one?')) {
+        await postWithToken(token, '/api/logout-all', {});
+        localStorage.removeItem('token');
+        localStorage.removeItem('role');
+        localStorage.removeItem('userId');
+        window.location.href = '/index.html';
+      }
+    });
+    section.appendChild(allBtn);
+  } catch (err) {
+    section.innerHTML = '';
+  }
+}
+
+// POST a JSON body with the auth header and return the parsed response
+const CHANNEL_LABELS = { in_app: 'In app', email: 'Email' };
+
+// Choose which events notify the user, and how
+async function loadNotificationSettings(token) {
+  const section = document.getElementById('notification-settings');
+  try {
+    const res = await fetch('/api/notifications/preferences', {
+      headers: { Authorization: 'Bearer ' + token }
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      section.innerHTML = '';
+      return;
+    }
+    section.innerHTML = '<h3>Notification settings</h3>';
+    const form = document.createElement('form');
+    const table = document.createElement('table');
+    table.className = 'wallet-history';
+    table.innerHTML = '<tr><th>Event</th>' +
+      data.channels.map(channel => `<th>${CHANNEL_LABELS[channel] || channel}</th>`).join('') + '</tr>';
+    data.events.forEach(({ event, label }) => {
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = label;
+      row.appendChild(name);
+      data.channels.forEach(channel => {
+        const cell = document.createElement('td');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.name = `${event}.${channel}`;
+        box.checked = data.preferences[event][channel];
+        cell.appendChild(box);
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    form.appendChild(table);
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.textContent = 'Save notification settings';
+    form.appendChild(saveBtn);
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const preferences = {};
+      form.querySelectorAll('input[type=checkbox]').forEach(box => {
+        const [event, channel] = box.name.split('.');
+        preferences[event] = preferences[event] || {};
+        preferences[event][channel] = box.checked;
+      });
+      const { ok, data: result } = await postWithToken(token, '/api/notifications/preferences', { preferences });
+      alert(ok ? result.message : 'Error: ' + (result.error || 'Could not save notification settings'));
+    });
+    section.appendChild(form);
+  } catch (err) {
+    section.innerHTML = '';
   }
 }
 
+async function postWithToken(token, url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: 'Bearer ' + token
+    },
+    body: JSON.stringify(body)
+  });
+  return { ok: res.ok, data: await res.json() };
+}
+
 async function loadUserDashboard(token, role) {
   const content = document.getElementById('dashboard-content');
   content.innerHTML = '<p>Loading your orders…</p>';
@@ -29,12 +471,14 @@ async function loadUserDashboard(token, role) {
       return;
     }
     const orders = ordersData.orders || [];
-    // Fetch all gigs for mapping titles
-    const gigsRes = await fetch('/api/gigs');
-    const gigsData = await gigsRes.json();
-    const gigsMap = {};
-    if (gigsRes.ok) {
-      gigsData.gigs.forEach(gig => { gigsMap[gig.id] = gig; });
+    // Fetch inbox threads for unread counts
+    const inboxRes = await fetch('/api/inbox', {
+      headers: { Authorization: 'Bearer ' + token }
+    });
+    const inboxData = await inboxRes.json();
+    const unreadMap = {};
+    if (inboxRes.ok) {
+      inboxData.threads.forEach(thread => { unreadMap[thread.orderId] = thread.unreadCount; });
     }
     if (orders.length === 0) {
       content.innerHTML = '<p>No orders yet.</p>';
@@ -46,40 +490,87 @@ async function loadUserDashboard(token, role) {
     orders.forEach(order => {
       const card = document.createElement('div');
       card.className = 'gig-card';
-      const title = gigsMap[order.gigId] ? gigsMap[order.gigId].title : 'Custom Order';
-      card.innerHTML = `<h3>Order #${order.id}</h3>` +
-                       `<p><strong>Gig:</strong> ${title}</p>` +
-                       `<p><strong>Amount:</strong> $${order.amount}</p>` +
-                       `<p><strong>Status:</strong> ${order.status}</p>`;
+      const title = order.gigTitle || order.jobTitle || 'Custom Order';
+      card.innerHTML = `<h3>Order #${order.id}</h3>`;
+      // Gig and job titles and package names come from users, so they go in as text
+      card.appendChild(labelledLine('Gig', title));
+      if (order.package) {
+        card.appendChild(labelledLine('Package', order.package.name));
+      }
+      card.insertAdjacentHTML('beforeend', priceBreakdown(order, role) +
+                       (order.dueAt ? `<p><strong>Due:</strong> ${new Date(order.dueAt).toLocaleDateString()}</p>` : '') +
+                       `<p><strong>Status:</strong> ${order.status}</p>`);
+      if (order.cancellationRequest) {
+        const byMe = order.cancellationRequest.requestedBy === localStorage.getItem('userId');
+        const p = document.createElement('p');
+        p.textContent = (byMe ? 'You asked to cancel this order' : 'The other party asked to cancel this order') +
+          (order.cancellationRequest.reason ? `: ${order.cancellationRequest.reason}` : '');
+        card.appendChild(p);
+      }
+      if (order.settlement) {
+        const p = document.createElement('p');
+        p.textContent = role === 'seller'
+          ? `Settled: you were paid $${(order.settlement.sellerEarnings ?? order.settlement.sellerAmount).toFixed(2)}`
+          : `Settled: $${order.settlement.buyerAmount.toFixed(2)} refunded to your balance`;
+        card.appendChild(p);
+      }
+      if (order.status === 'awaiting_payment' && role === 'buyer') {
+        card.appendChild(renderPaymentForm(token, order));
+      }
       // Buttons container
       const actionsDiv = document.createElement('div');
-      // Mark complete button if not completed
-      if (order.status !== 'completed') {
-        const completeBtn = document.createElement('button');
-        completeBtn.textContent = 'Mark Complete';
-        completeBtn.addEventListener('click', async () => {
-          await completeOrder(token, order.id);
-        });
-        actionsDiv.appendChild(completeBtn);
-      }
-      // Dispute button
-      const disputeBtn = document.createElement('button');
-      disputeBtn.textContent = 'Open Dispute';
-      disputeBtn.addEventListener('click', async () => {
-        const reason = prompt('Describe the reason for the dispute:');
-        if (reason) {
-          await openDispute(token, order.id, reason);
+      // Lifecycle buttons for whatever the caller can do next
+      (order.actions || []).forEach(action => {
+        const config = ORDER_ACTIONS[action];
+        if (!config) return;
+        if (action === 'deliver') {
+          // Deliveries can carry files, so they get a form instead of a prompt
+          actionsDiv.appendChild(renderDeliveryForm(token, order));
+          return;
         }
+        const btn = document.createElement('button');
+        btn.textContent = orderActionLabel(order, action);
+        btn.addEventListener('click', async () => {
+          let note = '';
+          if (config.prompt) {
+            note = prompt(config.prompt);
+            if (note === null) return;
+          } else if (!confirm(config.confirm)) {
+            return;
+          }
+          await orderAction(token, order.id, action, note);
+        });
+        actionsDiv.appendChild(btn);
       });
-      actionsDiv.appendChild(disputeBtn);
+      // Review button once the order is completed
+      if (order.status === 'completed' && !order.reviewedByMe) {
+        const reviewBtn = document.createElement('button');
+        reviewBtn.textContent = 'Leave Review';
+        reviewBtn.addEventListener('click', async () => {
+          const rating = prompt('Rate this order from 1 to 5 stars:');
+          if (!rating) return;
+          const comment = prompt('Add a comment (optional):') || '';
+          await leaveReview(token, order.id, rating, comment);
+        });
+        actionsDiv.appendChild(reviewBtn);
+      }
+      // Dispute form while the order is active
+      if ((order.actions || []).includes('dispute')) {
+        actionsDiv.appendChild(renderDisputeForm(token, order));
+      }
       // Messages button
       const messagesBtn = document.createElement('button');
-      messagesBtn.textContent = 'Messages';
+      messagesBtn.dataset.thread = order.id;
+      messagesBtn.dataset.unread = unreadMap[order.id] || 0;
+      messagesBtn.textContent = unreadMap[order.id] ? `Messages (${unreadMap[order.id]} new)` : 'Messages';
       messagesBtn.addEventListener('click', () => {
+        messagesBtn.dataset.unread = 0;
+        messagesBtn.textContent = 'Messages';
         showMessagesSection(order.id, token);
       });
       actionsDiv.appendChild(messagesBtn);
       card.appendChild(actionsDiv);
+      card.appendChild(renderTimeline(token, order.timeline || []));
       list.appendChild(card);
     });
     // Messages section placeholder
@@ -89,46 +580,280 @@ async function loadUserDashboard(token, role) {
     content.innerHTML = '';
     content.appendChild(list);
     content.appendChild(messagesSection);
+    // Bring the payment form into view right after an order was created
+    const payOrderId = new URLSearchParams(window.location.search).get('pay');
+    const payForm = payOrderId && document.getElementById('pay-' + payOrderId);
+    if (payForm) {
+      payForm.scrollIntoView();
+    }
+    // Open a conversation directly when coming from the inbox, and keep the
+    // open one open when the list is reloaded
+    const requestedOrderId = openThreadId || new URLSearchParams(window.location.search).get('orderId');
+    if (requestedOrderId && orders.some(o => o.id === requestedOrderId)) {
+      showMessagesSection(requestedOrderId, token);
+    }
   } catch (err) {
     content.innerHTML = `<p>Error: ${err.message}</p>`;
   }
 }
 
-async function completeOrder(token, orderId) {
-  try {
-    const res = await fetch('/api/complete-order', {
+// A "Label: value" line, with the value added as plain text
+function labelledLine(label, value) {
+  const p = document.createElement('p');
+  const strong = document.createElement('strong');
+  strong.textContent = `${label}:`;
+  p.append(strong, ` ${value}`);
+  return p;
+}
+
+// Form for paying an order that awaits payment, by card or mobile money
+function renderPaymentForm(token, order) {
+  const form = document.createElement('form');
+  form.id = 'pay-' + order.id;
+  form.innerHTML = '<label>Pay with<select name="method">' +
+    '<option value="card">Card</option>' +
+    '<option value="mobile_money">Mobile money</option>' +
+    '</select></label>' +
+    '<label class="phone-field hidden">Phone number<input type="tel" name="phone" placeholder="+254712345678"></label>' +
+    '<button type="submit">Pay Now</button>';
+  if (order.payment && order.payment.status === 'failed') {
+    // The reason comes from the payment provider, so it goes in as text
+    form.prepend(Object.assign(document.createElement('p'), {
+      className: 'message error',
+      textContent: `Last payment attempt failed: ${order.payment.failureReason}`
+    }));
+  }
+  const phoneField = form.querySelector('.phone-field');
+  form.elements['method'].addEventListener('change', () => {
+    phoneField.classList.toggle('hidden', form.elements['method'].value !== 'mobile_money');
+  });
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { ok, data } = await postWithToken(token, `/api/orders/${encodeURIComponent(order.id)}/pay`, {
+      method: form.elements['method'].value,
+      phone: form.elements['phone'].value
+    });
+    if (!ok) {
+      return alert('Error: ' + (data.error || 'Could not start the payment'));
+    }
+    if (data.action.type === 'stk_push') {
+      alert(data.action.message + ' Approve it on your phone to place the order.');
+    }
+    if (data.action.url) {
+      window.location.href = data.action.url;
+    }
+  });
+  return form;
+}
+
+// Price lines for an order card: what the buyer paid, or what the seller earns
+function priceBreakdown(order, role) {
+  const p = order.pricing;
+  if (!p) {
+    return `<p><strong>Amount:</strong> $${order.amount}</p>`;
+  }
+  if (role === 'seller') {
+    return `<p><strong>Price:</strong> $${p.price.toFixed(2)} &middot; ` +
+           `<strong>Commission:</strong> $${p.commission.toFixed(2)} &middot; ` +
+           `<strong>You earn:</strong> $${p.sellerEarnings.toFixed(2)}</p>`;
+  }
+  return `<p><strong>Price:</strong> $${p.price.toFixed(2)} &middot; ` +
+         `<strong>Service fee:</strong> $${p.serviceFee.toFixed(2)} &middot; ` +
+         `<strong>Total:</strong> $${p.total.toFixed(2)}</p>`;
+}
+
+// Order lifecycle buttons, keyed by the action names the API returns.
+// Actions with a prompt send its answer as the note.
+const ORDER_ACTIONS = {
+  start: { label: 'Start Work', path: 'start', confirm: 'Start working on this order?' },
+  deliver: { label: 'Deliver', path: 'deliver', prompt: 'Describe what you are delivering:' },
+  accept: { label: 'Accept Delivery', path: 'accept', confirm: 'Accept the delivery and release payment to the seller?' },
+  request_revision: { label: 'Request Revision', path: 'request-revision', prompt: 'What should be changed?' },
+  request_cancellation: { label: 'Request Cancellation', path: 'request-cancellation', prompt: 'Why do you want to cancel?' },
+  decline_cancellation: { label: 'Decline Cancellation', path: 'decline-cancellation', confirm: 'Keep this order going?' },
+  cancel: { label: 'Cancel Order', path: 'cancel', prompt: 'Reason for cancelling (optional):' }
+};
+
+// Button text for an action, depending on the state of the order
+function orderActionLabel(order, action) {
+  if (action === 'request_revision') {
+    return `Request Revision (${order.revisionsLeft} left)`;
+  }
+  if (order.cancellationRequest) {
+    const byMe = order.cancellationRequest.requestedBy === localStorage.getItem('userId');
+    if (action === 'decline_cancellation' && byMe) {
+      return 'Withdraw Cancellation Request';
+    }
+    if (action === 'cancel') {
+      return 'Agree to Cancel';
+    }
+  }
+  return ORDER_ACTIONS[action].label;
+}
+
+const TIMELINE_LABELS = {
+  place: 'Order created',
+  fund: 'Payment received',
+  expire: 'Expired unpaid',
+  start: 'Seller started work',
+  deliver: 'Delivered',
+  request_revision: 'Revision requested',
+  accept: 'Delivery accepted',
+  request_cancellation: 'Cancellation requested',
+  decline_cancellation: 'Cancellation request declined',
+  cancel: 'Order cancelled',
+  dispute: 'Dispute opened',
+  release: 'Dispute settled for the seller',
+  split: 'Dispute settled with a split',
+  refund: 'Dispute settled for the buyer'
+};
+
+// List the order's status changes, oldest first
+function renderTimeline(token, timeline) {
+  const list = document.createElement('ul');
+  list.className = 'timeline';
+  timeline.forEach(entry => {
+    const li = document.createElement('li');
+    const when = new Date(entry.at).toLocaleString();
+    li.textContent = `${when}: ${TIMELINE_LABELS[entry.action] || entry.status}` + (entry.note ? ` – ${entry.note}` : '');
+    if (entry.files) {
+      li.appendChild(renderFileLinks(token, entry.files));
+    }
+    list.appendChild(li);
+  });
+  return list;
+}
+
+// Upload files one by one (see routes/uploads.js) and resolve to their ids
+async function uploadFiles(token, files, query) {
+  const ids = [];
+  for (const file of files) {
+    const body = new FormData();
+    body.append('file', file);
+    const res = await fetch('/api/uploads?' + new URLSearchParams(query), {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: 'Bearer ' + token
-      },
-      body: JSON.stringify({ orderId })
+      headers: { Authorization: 'Bearer ' + token },
+      body
     });
     const data = await res.json();
-    if (res.ok) {
-      alert('Order completed');
+    if (!res.ok) {
+      throw new Error(`${file.name}: ${data.error || 'upload failed'}`);
+    }
+    ids.push(data.upload.id);
+  }
+  return ids;
+}
+
+// Buttons that open uploaded files. They need the auth header, so they
+// can't be plain links.
+function renderFileLinks(token, files) {
+  const span = document.createElement('span');
+  files.forEach(file => {
+    const btn = document.createElement('button');
+    btn.textContent = `${file.name} (${Math.ceil(file.size / 1024)} KB)`;
+    btn.addEventListener('click', async () => {
+      const res = await fetch('/api/uploads/' + encodeURIComponent(file.id), {
+        headers: { Authorization: 'Bearer ' + token }
+      });
+      if (!res.ok) {
+        return alert('Could not load the file');
+      }
+      window.open(URL.createObjectURL(await res.blob()), '_blank');
+    });
+    span.appendChild(btn);
+  });
+  return span;
+}
+
+// Form for the seller to deliver an order with a note and files
+function renderDeliveryForm(token, order) {
+  const details = document.createElement('details');
+  details.innerHTML = '<summary>Deliver</summary>' +
+    '<form>' +
+    '<label>Describe what you are delivering<textarea name="note" rows="3" required></textarea></label>' +
+    '<label>Files (images, PDF, ZIP or MP4)<input type="file" name="files" multiple></label>' +
+    '<button type="submit">Deliver</button>' +
+    '</form>';
+  const form = details.querySelector('form');
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    let files;
+    try {
+      files = await uploadFiles(token, form.elements['files'].files, { kind: 'delivery', orderId: order.id });
+    } catch (err) {
+      return alert('Error: ' + err.message);
+    }
+    await orderAction(token, order.id, 'deliver', form.elements['note'].value, files);
+  });
+  return details;
+}
+
+async function orderAction(token, orderId, action, note, files) {
+  try {
+    const { ok, data } = await postWithToken(token, `/api/orders/${encodeURIComponent(orderId)}/${ORDER_ACTIONS[action].path}`, { note, files });
+    if (ok) {
+      alert(data.message);
       initDashboard();
     } else {
-      alert('Error: ' + (data.error || 'Could not complete order'));
+      alert('Error: ' + (data.error || 'Could not update order'));
     }
   } catch (err) {
     alert('Network error');
   }
 }
 
-async function openDispute(token, orderId, reason) {
+async function leaveReview(token, orderId, rating, comment) {
   try {
-    const res = await fetch('/api/disputes', {
+    const res = await fetch('/api/reviews', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         Authorization: 'Bearer ' + token
       },
-      body: JSON.stringify({ orderId, reason })
+      body: JSON.stringify({ orderId, rating: parseInt(rating, 10), comment })
     });
     const data = await res.json();
     if (res.ok) {
-      alert('Dispute created');
+      alert(data.message);
+      initDashboard();
+    } else {
+      alert('Error: ' + (data.error || 'Could not submit review'));
+    }
+  } catch (err) {
+    alert('Network error');
+  }
+}
+
+// Form for opening a dispute with a reason and evidence files
+function renderDisputeForm(token, order) {
+  const details = document.createElement('details');
+  details.innerHTML = '<summary>Open Dispute</summary>' +
+    '<form>' +
+    '<label>Describe the reason for the dispute<textarea name="reason" rows="3" required></textarea></label>' +
+    '<label>Evidence (images, PDF, ZIP or MP4)<input type="file" name="files" multiple></label>' +
+    '<button type="submit">Open Dispute</button>' +
+    '</form>';
+  const form = details.querySelector('form');
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    let evidence;
+    try {
+      evidence = await uploadFiles(token, form.elements['files'].files, { kind: 'attachment', orderId: order.id });
+    } catch (err) {
+      return alert('Error: ' + err.message);
+    }
+    await openDispute(token, order.id, form.elements['reason'].value, evidence);
+  });
+  return details;
+}
+
+async function openDispute(token, orderId, reason, evidence) {
+  try {
+    const { ok, data } = await postWithToken(token, '/api/disputes', { orderId, reason, evidence });
+    if (ok) {
+      await initDashboard();
+      const section = document.getElementById('dispute-' + data.dispute.id);
+      if (section) section.scrollIntoView();
     } else {
       alert('Error: ' + (data.error || 'Could not create dispute'));
     }
@@ -137,57 +862,305 @@ async function openDispute(token, orderId, reason) {
   }
 }
 
+const DISPUTE_STATUS_LABELS = {
+  open: 'Open',
+  awaiting_response: 'Waiting for the other party',
+  under_review: 'Under review by Bazimn',
+  resolved: 'Resolved'
+};
+
+const DISPUTE_ROLE_LABELS = {
+  buyer: 'Buyer',
+  seller: 'Seller',
+  admin: 'Bazimn'
+};
+
+// Status line of a dispute, with the response deadline while it runs
+function describeDispute(dispute) {
+  let text = `Status: ${DISPUTE_STATUS_LABELS[dispute.status] || dispute.status}`;
+  if (dispute.status === 'awaiting_response' && dispute.responseDueAt) {
+    text += ` (respond by ${new Date(dispute.responseDueAt).toLocaleString()})`;
+  }
+  return text;
+}
+
+// Statements and admin messages of a dispute, oldest first
+function renderDisputeEntries(token, dispute) {
+  const list = document.createElement('ul');
+  list.className = 'dispute-entries';
+  dispute.entries.forEach(entry => {
+    const li = document.createElement('li');
+    li.className = entry.type === 'admin_message' ? 'admin-message' : '';
+    const who = document.createElement('strong');
+    who.textContent = `${DISPUTE_ROLE_LABELS[entry.role] || entry.role} · ${new Date(entry.at).toLocaleString()}`;
+    const text = document.createElement('p');
+    text.textContent = entry.text;
+    li.appendChild(who);
+    li.appendChild(text);
+    if (entry.files && entry.files.length > 0) {
+      li.appendChild(renderFileLinks(token, entry.files));
+    }
+    list.appendChild(li);
+  });
+  return list;
+}
+
+// The caller's disputes, with a form to add statements until they are
+// resolved
+async function loadDisputesSection(token) {
+  const section = document.getElementById('disputes-section');
+  const res = await fetch('/api/disputes', { headers: { Authorization: 'Bearer ' + token } });
+  const data = await res.json();
+  if (!res.ok || data.disputes.length === 0) {
+    section.innerHTML = '';
+    return;
+  }
+  section.innerHTML = '<h3>Disputes</h3>';
+  data.disputes.forEach(dispute => {
+    const card = document.createElement('div');
+    card.className = 'gig-card';
+    card.id = 'dispute-' + dispute.id;
+    const title = document.createElement('h4');
+    title.textContent = `Order #${dispute.orderId}: ${dispute.orderTitle}`;
+    const status = document.createElement('p');
+    status.textContent = describeDispute(dispute);
+    card.appendChild(title);
+    card.appendChild(status);
+    if (dispute.status === 'awaiting_response' && dispute.respondentId === localStorage.getItem('userId')) {
+      const ask = document.createElement('p');
+      ask.textContent = `${dispute.initiatorName} opened this dispute. Give your side before the deadline, or Bazimn reviews it without your statement.`;
+      card.appendChild(ask);
+    }
+    if (dispute.resolution) {
+      const resolution = document.createElement('p');
+      resolution.textContent = `Resolution: ${dispute.resolution}`;
+      card.appendChild(resolution);
+    }
+    card.appendChild(renderDisputeEntries(token, dispute));
+    if (dispute.status !== 'resolved') {
+      card.appendChild(renderStatementForm(token, dispute));
+    }
+    section.appendChild(card);
+  });
+  // Bring a dispute into view when coming from a notification
+  const requested = new URLSearchParams(window.location.search).get('dispute');
+  const card = requested && document.getElementById('dispute-' + requested);
+  if (card) {
+    card.scrollIntoView();
+  }
+}
+
+// Form for adding a statement with evidence files to a dispute
+function renderStatementForm(token, dispute) {
+  const form = document.createElement('form');
+  form.innerHTML =
+    '<label>Add a statement<textarea name="text" rows="3" required></textarea></label>' +
+    '<label>Evidence (images, PDF, ZIP or MP4)<input type="file" name="files" multiple></label>' +
+    '<button type="submit">Send statement</button>';
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    let evidence;
+    try {
+      evidence = await uploadFiles(token, form.elements['files'].files, { kind: 'attachment', orderId: dispute.orderId });
+    } catch (err) {
+      return alert('Error: ' + err.message);
+    }
+    const { ok, data } = await postWithToken(token, `/api/disputes/${encodeURIComponent(dispute.id)}/statements`, {
+      text: form.elements['text'].value,
+      evidence
+    });
+    if (ok) {
+      loadDisputesSection(token);
+    } else {
+      alert('Error: ' + (data.error || 'Could not add the statement'));
+    }
+  });
+  return form;
+}
+
+// Conversation currently shown in the messages section, if any
+let openThreadId = null;
+
 // Display messages for an order and allow sending
 async function showMessagesSection(orderId, token) {
+  openThreadId = orderId;
   const section = document.getElementById('messages-section');
   section.classList.remove('hidden');
   section.innerHTML = `<h3>Messages for Order #${orderId}</h3><p>Loading…</p>`;
+  const list = document.createElement('div');
+  list.id = 'message-list';
+  if (!await refreshMessages(token, orderId, list)) {
+    return;
+  }
+  const typing = document.createElement('p');
+  typing.id = 'typing-indicator';
+  typing.className = 'typing hidden';
+  typing.textContent = 'The other party is typing…';
+  // Form to send new message
+  const form = document.createElement('form');
+  form.innerHTML = '<label>New message:<br><input type="text" name="text" style="width:100%"></label>' +
+    '<label>Attach files (images, PDF or ZIP)<input type="file" name="attachments" multiple></label>' +
+    '<button type="submit">Send</button>';
+  // Let the other party know while we type, at most every few seconds
+  let typingSentAt = 0;
+  form.elements['text'].addEventListener('input', () => {
+    if (Date.now() - typingSentAt > TYPING_INTERVAL_MS) {
+      typingSentAt = Date.now();
+      postWithToken(token, '/api/messages/typing', { orderId }).catch(() => {});
+    }
+  });
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const text = form.elements['text'].value.trim();
+    const files = form.elements['attachments'].files;
+    if (!text && files.length === 0) return;
+    let attachments;
+    try {
+      attachments = await uploadFiles(token, files, { kind: 'attachment', orderId });
+    } catch (err) {
+      return alert('Error: ' + err.message);
+    }
+    const sendRes = await fetch('/api/messages', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer ' + token
+      },
+      body: JSON.stringify({ orderId, text, attachments })
+    });
+    const sendData = await sendRes.json();
+    if (sendRes.ok) {
+      form.reset();
+      typingSentAt = 0;
+      refreshMessages(token, orderId, list);
+    } else {
+      alert('Error sending message: ' + (sendData.error || 'Unknown'));
+    }
+  });
+  section.innerHTML = `<h3>Messages for Order #${orderId}</h3>`;
+  section.appendChild(list);
+  section.appendChild(typing);
+  section.appendChild(form);
+  if (localStorage.getItem('role') === 'seller') {
+    section.appendChild(renderOfferForm(token, orderId));
+  }
+}
+
+// Load an order's messages into `list` and mark them read. Resolves to
+// false (after showing the error) if they couldn't be loaded.
+async function refreshMessages(token, orderId, list) {
+  const section = document.getElementById('messages-section');
   try {
     const res = await fetch(`/api/messages?orderId=${orderId}`, {
       headers: { Authorization: 'Bearer ' + token }
     });
     const data = await res.json();
-    if (res.ok) {
-      const messages = data.messages || [];
-      const list = document.createElement('div');
-      messages.forEach(msg => {
-        const p = document.createElement('p');
-        const sender = msg.senderId === localStorage.getItem('userId') ? 'You' : 'Other';
-        const date = new Date(msg.timestamp).toLocaleString();
-        p.textContent = `[${date}] ${sender}: ${msg.text}`;
-        list.appendChild(p);
-      });
-      // Form to send new message
-      const form = document.createElement('form');
-      form.innerHTML = '<label>New message:<br><input type="text" name="text" required style="width:100%"></label><button type="submit">Send</button>';
-      form.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        const text = form.elements['text'].value.trim();
-        if (!text) return;
-        const sendRes = await fetch('/api/messages', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: 'Bearer ' + token
-          },
-          body: JSON.stringify({ orderId, text })
-        });
-        const sendData = await sendRes.json();
-        if (sendRes.ok) {
-          form.reset();
-          showMessagesSection(orderId, token);
-        } else {
-          alert('Error sending message: ' + (sendData.error || 'Unknown'));
-        }
-      });
-      section.innerHTML = '';
-      section.appendChild(list);
-      section.appendChild(form);
-    } else {
+    if (!res.ok) {
       section.innerHTML = `<p>Error loading messages: ${data.error}</p>`;
+      return false;
     }
+    list.innerHTML = '';
+    (data.messages || []).forEach(msg => {
+      const p = document.createElement('p');
+      const sender = msg.senderId === localStorage.getItem('userId') ? 'You' : 'Other';
+      const date = new Date(msg.timestamp).toLocaleString();
+      p.textContent = `[${date}] ${sender}: ${msg.text}`;
+      if (msg.attachments) {
+        p.appendChild(renderFileLinks(token, msg.attachments));
+      }
+      list.appendChild(p);
+      if (msg.offer) {
+        list.appendChild(renderOffer(token, orderId, msg.offer));
+      }
+    });
+    markThreadRead(token, orderId);
+    return true;
   } catch (err) {
     section.innerHTML = `<p>Network error</p>`;
+    return false;
+  }
+}
+
+// A custom offer posted in a conversation; its buyer can accept or decline
+// it while it is pending
+function renderOffer(token, orderId, offer) {
+  const div = document.createElement('div');
+  div.className = 'offer';
+  const terms = document.createElement('p');
+  terms.textContent = `$${offer.price.toFixed(2)} · ${offer.deliveryDays} day(s) · ` +
+    `${offer.revisions} revision(s) · ${offer.status}`;
+  const description = document.createElement('p');
+  description.textContent = offer.description;
+  div.appendChild(terms);
+  div.appendChild(description);
+  if (offer.status === 'pending' && localStorage.getItem('role') === 'buyer') {
+    const acceptBtn = document.createElement('button');
+    acceptBtn.textContent = 'Accept Offer';
+    acceptBtn.addEventListener('click', async () => {
+      if (!confirm('Accept this offer? A new order is created for you to pay.')) return;
+      const { ok, data } = await postWithToken(token, `/api/offers/${encodeURIComponent(offer.id)}/accept`, {});
+      if (!ok) {
+        return alert('Error: ' + (data.error || 'Could not accept the offer'));
+      }
+      window.location.href = '/dashboard.html?pay=' + encodeURIComponent(data.order.id);
+    });
+    const declineBtn = document.createElement('button');
+    declineBtn.textContent = 'Decline';
+    declineBtn.addEventListener('click', async () => {
+      const { ok, data } = await postWithToken(token, `/api/offers/${encodeURIComponent(offer.id)}/decline`, {});
+      if (!ok) {
+        return alert('Error: ' + (data.error || 'Could not decline the offer'));
+      }
+      showMessagesSection(orderId, token);
+    });
+    div.appendChild(acceptBtn);
+    div.appendChild(declineBtn);
+  }
+  return div;
+}
+
+// Form for a seller to send a custom offer in a conversation
+function renderOfferForm(token, orderId) {
+  const details = document.createElement('details');
+  details.innerHTML = '<summary>Send a custom offer</summary>' +
+    '<form>' +
+    '<label>What the offer includes<textarea name="description" rows="3" required></textarea></label>' +
+    '<label>Price (USD)<input type="number" step="0.01" min="0" name="price" required></label>' +
+    '<label>Delivery time (days)<input type="number" min="1" name="deliveryDays" required></label>' +
+    '<label>Revisions included<input type="number" min="0" name="revisions" value="0"></label>' +
+    '<button type="submit">Send Offer</button>' +
+    '</form>';
+  const form = details.querySelector('form');
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { ok, data } = await postWithToken(token, '/api/offers', {
+      orderId,
+      description: form.elements['description'].value,
+      price: form.elements['price'].value,
+      deliveryDays: Number(form.elements['deliveryDays'].value),
+      revisions: Number(form.elements['revisions'].value)
+    });
+    if (!ok) {
+      return alert('Error: ' + (data.error || 'Could not send the offer'));
+    }
+    showMessagesSection(orderId, token);
+  });
+  return details;
+}
+
+// Advance the read cursor so the inbox no longer counts these messages as new
+async function markThreadRead(token, orderId) {
+  try {
+    await fetch('/api/messages/read', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer ' + token
+      },
+      body: JSON.stringify({ orderId })
+    });
+  } catch (err) {
+    console.error('Error marking messages as read:', err);
   }
 }
 
@@ -196,17 +1169,32 @@ async function loadAdminDashboard(token) {
   const content = document.getElementById('dashboard-content');
   content.innerHTML = '<p>Loading admin data…</p>';
   try {
-    const [usersRes, gigsRes, ordersRes, disputesRes] = await Promise.all([
+    const [
+      usersRes, gigsRes, ordersRes, disputesRes, reconRes, feesRes, withdrawalsRes, verificationsRes, queueRes, rulesRes
+    ] = await Promise.all([
       fetch('/api/adm/users', { headers: { Authorization: 'Bearer ' + token } }),
       fetch('/api/adm/gigs', { headers: { Authorization: 'Bearer ' + token } }),
       fetch('/api/adm/orders', { headers: { Authorization: 'Bearer ' + token } }),
-      fetch('/api/adm/disputes', { headers: { Authorization: 'Bearer ' + token } })
+      fetch('/api/adm/disputes', { headers: { Authorization: 'Bearer ' + token } }),
+      fetch('/api/adm/reconciliation', { headers: { Authorization: 'Bearer ' + token } }),
+      fetch('/api/adm/fees', { headers: { Authorization: 'Bearer ' + token } }),
+      fetch('/api/adm/withdrawals?status=requested', { headers: { Authorization: 'Bearer ' + token } }),
+      fetch('/api/adm/verifications?status=pending', { headers: { Authorization: 'Bearer ' + token } }),
+      fetch('/api/adm/moderation/queue', { headers: { Authorization: 'Bearer ' + token } }),
+      fetch('/api/adm/moderation/rules', { headers: { Authorization: 'Bearer ' + token } })
     ]);
     const usersData = await usersRes.json();
     const gigsData = await gigsRes.json();
     const ordersData = await ordersRes.json();
     const disputesData = await disputesRes.json();
-    if (!usersRes.ok || !gigsRes.ok || !ordersRes.ok || !disputesRes.ok) {
+    const reconData = await reconRes.json();
+    const feesData = await feesRes.json();
+    const withdrawalsData = await withdrawalsRes.json();
+    const verificationsData = await verificationsRes.json();
+    const queueData = await queueRes.json();
+    const rulesData = await rulesRes.json();
+    if (!usersRes.ok || !gigsRes.ok || !ordersRes.ok || !disputesRes.ok || !reconRes.ok || !feesRes.ok ||
+        !withdrawalsRes.ok || !verificationsRes.ok || !queueRes.ok || !rulesRes.ok) {
       content.innerHTML = '<p>Error loading admin data.</p>';
       return;
     }
@@ -215,13 +1203,47 @@ async function loadAdminDashboard(token) {
     usersList.innerHTML = '<h3>Users</h3>';
     usersData.users.forEach(u => {
       const p = document.createElement('p');
-      p.textContent = `${u.id} – ${u.username} (${u.role})`;
-      if (u.role !== 'admin') {
+      p.textContent = `${u.id} – ${u.username} (${u.role}, ${u.verificationLevel || 'basic'}, ${u.status})`;
+      if (u.status === 'suspended') {
+        p.textContent += ` – ${u.suspension.reason}` +
+          (u.suspension.until ? `, until ${new Date(u.suspension.until).toLocaleString()}` : '');
+      }
+      if (u.role !== 'admin' && u.status !== 'deactivated') {
+        if (u.status === 'suspended') {
+          const reinstateBtn = document.createElement('button');
+          reinstateBtn.textContent = 'Reinstate';
+          reinstateBtn.addEventListener('click', async () => {
+            const reason = askReason(`Why are you lifting the suspension of ${u.username}?`);
+            if (!reason) return;
+            const { ok, data } = await postWithToken(token, '/api/adm/users/reinstate', { userId: u.id, reason });
+            alert(ok ? data.message : 'Error: ' + (data.error || 'Could not reinstate user'));
+            initDashboard();
+          });
+          p.appendChild(reinstateBtn);
+        } else {
+          const suspendBtn = document.createElement('button');
+          suspendBtn.textContent = 'Suspend';
+          suspendBtn.addEventListener('click', async () => {
+            const reason = askReason(`Why are you suspending ${u.username}? They will see this when they try to log in.`);
+            if (!reason) return;
+            const until = prompt('Suspend until (YYYY-MM-DD), or leave empty to suspend until reinstated:');
+            if (until === null) return;
+            const { ok, data } = await postWithToken(token, '/api/adm/users/suspend', {
+              userId: u.id,
+              reason,
+              until: until.trim() || null
+            });
+            alert(ok ? data.message : 'Error: ' + (data.error || 'Could not suspend user'));
+            initDashboard();
+          });
+          p.appendChild(suspendBtn);
+        }
         const delBtn = document.createElement('button');
         delBtn.textContent = 'Delete';
         delBtn.addEventListener('click', async () => {
-          if (confirm('Delete user ' + u.username + '?')) {
-            await adminDeleteUser(token, u.id);
+          const reason = askReason(`Why are you deleting user ${u.username}? Their personal details will be removed; their orders are kept.`);
+          if (reason) {
+            await adminDeleteUser(token, u.id, reason);
           }
         });
         p.appendChild(delBtn);
@@ -232,12 +1254,13 @@ async function loadAdminDashboard(token) {
     gigsList.innerHTML = '<h3>Gigs</h3>';
     gigsData.gigs.forEach(g => {
       const p = document.createElement('p');
-      p.textContent = `${g.id} – ${g.title} (Seller ${g.sellerId})`;
+      p.textContent = `${g.id} – ${g.title} (Seller ${g.sellerId}, ${GIG_STATUS_LABELS[g.status] || g.status})`;
       const delBtn = document.createElement('button');
       delBtn.textContent = 'Delete';
       delBtn.addEventListener('click', async () => {
-        if (confirm('Delete gig ' + g.title + '?')) {
-          await adminDeleteGig(token, g.id);
+        const reason = askReason(`Why are you deleting the gig "${g.title}"?`);
+        if (reason) {
+          await adminDeleteGig(token, g.id, reason);
         }
       });
       p.appendChild(delBtn);
@@ -254,37 +1277,392 @@ async function loadAdminDashboard(token) {
     disputesList.innerHTML = '<h3>Disputes</h3>';
     disputesData.disputes.forEach(d => {
       const p = document.createElement('p');
-      p.textContent = `${d.id}: order ${d.orderId}, status ${d.status}, reason: ${d.reason}`;
-      if (d.status === 'open') {
-        const resolveBtn = document.createElement('button');
-        resolveBtn.textContent = 'Resolve';
-        resolveBtn.addEventListener('click', async () => {
-          const resolution = prompt('Resolution description:');
-          const releaseToSeller = confirm('Release funds to seller? OK for yes, Cancel for refund to buyer');
-          await adminResolveDispute(token, d.id, resolution, releaseToSeller);
-        });
-        p.appendChild(resolveBtn);
-      }
+      p.textContent = `${d.id}: order ${d.orderId}, ${describeDispute(d)}`;
       disputesList.appendChild(p);
+      disputesList.appendChild(renderDisputeEntries(token, d));
+      if (d.status !== 'resolved') {
+        disputesList.appendChild(renderAdminMessageForm(token, d));
+        disputesList.appendChild(renderResolveForm(token, d));
+      }
+    });
+    // Ledger reconciliation
+    const reconList = document.createElement('div');
+    reconList.innerHTML = '<h3>Ledger reconciliation</h3>';
+    if (reconData.ok) {
+      reconList.innerHTML += '<p>All wallets and escrow balances match the ledger.</p>';
+    } else {
+      const problems = [];
+      reconData.unbalancedTransactions.forEach(id => problems.push(`Transaction ${id} does not balance`));
+      reconData.walletMismatches.forEach(m => problems.push(`User ${m.userId} (${m.username}): wallet $${m.wallet}, ledger $${m.ledgerBalance}`));
+      reconData.escrowMismatches.forEach(m => problems.push(`Order ${m.orderId} (${m.status}): escrow $${m.escrow}, ledger $${m.ledgerBalance}`));
+      reconData.orphanedAccounts.forEach(a => problems.push(`${a.account} holds $${a.balance} but no longer exists`));
+      problems.forEach(text => {
+        const p = document.createElement('p');
+        p.className = 'message error';
+        p.textContent = text;
+        reconList.appendChild(p);
+      });
+    }
+    // Withdrawals awaiting review
+    const withdrawalsList = document.createElement('div');
+    withdrawalsList.innerHTML = '<h3>Withdrawal requests</h3>';
+    if (withdrawalsData.withdrawals.length === 0) {
+      withdrawalsList.innerHTML += '<p>No withdrawals awaiting review.</p>';
+    }
+    withdrawalsData.withdrawals.forEach(w => {
+      const p = document.createElement('p');
+      p.textContent = `${w.id}: ${w.username || 'User ' + w.userId} – $${w.amount.toFixed(2)} by ${w.method} to ${w.destination}`;
+      const approveBtn = document.createElement('button');
+      approveBtn.textContent = 'Approve';
+      approveBtn.addEventListener('click', async () => {
+        const { ok, data } = await postWithToken(token, '/api/adm/withdrawals/approve', { withdrawalId: w.id });
+        alert(ok ? data.message : 'Error: ' + (data.error || 'Could not approve withdrawal'));
+        initDashboard();
+      });
+      const rejectBtn = document.createElement('button');
+      rejectBtn.textContent = 'Reject';
+      rejectBtn.addEventListener('click', async () => {
+        const reason = askReason('Why are you rejecting this withdrawal?');
+        if (!reason) return;
+        const { ok, data } = await postWithToken(token, '/api/adm/withdrawals/reject', { withdrawalId: w.id, reason });
+        alert(ok ? data.message : 'Error: ' + (data.error || 'Could not reject withdrawal'));
+        initDashboard();
+      });
+      p.appendChild(approveBtn);
+      p.appendChild(rejectBtn);
+      withdrawalsList.appendChild(p);
     });
     content.innerHTML = '';
+    content.appendChild(withdrawalsList);
+    content.appendChild(renderVerificationQueue(token, verificationsData.verifications));
+    content.appendChild(renderModerationQueue(token, queueData.queue));
+    content.appendChild(renderModerationRules(token, rulesData.rules));
+    content.appendChild(renderFeeSection(token, feesData));
+    content.appendChild(reconList);
     content.appendChild(usersList);
     content.appendChild(gigsList);
     content.appendChild(ordersList);
     content.appendChild(disputesList);
+    const auditSection = document.createElement('div');
+    auditSection.id = 'audit-section';
+    content.appendChild(auditSection);
+    await loadAuditLog(token, auditSection, {}, 1);
   } catch (err) {
     content.innerHTML = `<p>Error: ${err.message}</p>`;
   }
 }
 
-async function adminDeleteGig(token, gigId) {
+const AUDIT_ACTION_LABELS = {
+  suspend_user: 'Suspended user',
+  reinstate_user: 'Reinstated user',
+  delete_user: 'Deleted user',
+  delete_gig: 'Deleted gig',
+  resolve_dispute: 'Resolved dispute',
+  message_dispute: 'Wrote in dispute',
+  set_fee_rule: 'Saved fee rule',
+  remove_fee_rule: 'Removed fee rule',
+  approve_withdrawal: 'Approved withdrawal',
+  reject_withdrawal: 'Rejected withdrawal',
+  approve_verification: 'Approved verification',
+  reject_verification: 'Rejected verification',
+  add_moderation_rule: 'Added moderation rule',
+  remove_moderation_rule: 'Removed moderation rule',
+  approve_gig: 'Approved gig',
+  reject_gig: 'Rejected gig'
+};
+
+// One page of the audit log with filters for the action and target
+async function loadAuditLog(token, section, filters, page) {
+  const query = new URLSearchParams(Object.assign({ page }, filters));
+  const res = await fetch('/api/adm/audit?' + query, { headers: { Authorization: 'Bearer ' + token } });
+  const data = await res.json();
+  section.innerHTML = '<h3>Audit log</h3>';
+  const form = document.createElement('form');
+  form.className = 'audit-filters';
+  form.innerHTML =
+    '<label>Action<select name="action"><option value="">Any</option>' +
+    Object.keys(AUDIT_ACTION_LABELS).map(action => `<option value="${action}">${AUDIT_ACTION_LABELS[action]}</option>`).join('') +
+    '</select></label>' +
+    '<label>Target ID<input type="text" name="targetId"></label>' +
+    '<label>From<input type="date" name="from"></label>' +
+    '<button type="submit">Filter</button>';
+  ['action', 'targetId', 'from'].forEach(name => { form.elements[name].value = filters[name] || ''; });
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const next = {};
+    ['action', 'targetId', 'from'].forEach(name => {
+      if (form.elements[name].value) next[name] = form.elements[name].value;
+    });
+    loadAuditLog(token, section, next, 1);
+  });
+  section.appendChild(form);
+  if (!res.ok || data.entries.length === 0) {
+    const p = document.createElement('p');
+    p.textContent = res.ok ? 'No matching entries.' : `Error loading the audit log: ${data.error}`;
+    section.appendChild(p);
+    return;
+  }
+  const list = document.createElement('ul');
+  list.className = 'timeline';
+  data.entries.forEach(entry => {
+    const li = document.createElement('li');
+    li.textContent = `${new Date(entry.at).toLocaleString()}: ${entry.actorName} – ` +
+      `${AUDIT_ACTION_LABELS[entry.action] || entry.action} ${entry.targetType} ${entry.targetId}` +
+      (entry.reason ? ` – ${entry.reason}` : '') + (entry.ip ? ` (from ${entry.ip})` : '');
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = 'Before and after';
+    const pre = document.createElement('pre');
+    pre.textContent = JSON.stringify({ before: entry.before, after: entry.after }, null, 2);
+    details.appendChild(summary);
+    details.appendChild(pre);
+    li.appendChild(details);
+    list.appendChild(li);
+  });
+  section.appendChild(list);
+  if (data.totalPages > 1) {
+    const pager = document.createElement('p');
+    if (data.page > 1) {
+      const prev = document.createElement('button');
+      prev.textContent = 'Newer';
+      prev.addEventListener('click', () => loadAuditLog(token, section, filters, data.page - 1));
+      pager.appendChild(prev);
+    }
+    pager.appendChild(document.createTextNode(` Page ${data.page} of ${data.totalPages} `));
+    if (data.page < data.totalPages) {
+      const next = document.createElement('button');
+      next.textContent = 'Older';
+      next.addEventListener('click', () => loadAuditLog(token, section, filters, data.page + 1));
+      pager.appendChild(next);
+    }
+    section.appendChild(pager);
+  }
+}
+
+// Identity documents waiting for review, with approve and reject buttons
+function renderVerificationQueue(token, verifications) {
+  const section = document.createElement('div');
+  section.innerHTML = '<h3>Identity verification requests</h3>';
+  if (verifications.length === 0) {
+    section.innerHTML += '<p>No verification requests awaiting review.</p>';
+  }
+  verifications.forEach(v => {
+    const p = document.createElement('p');
+    p.textContent = `${v.id}: ${v.username || 'User ' + v.userId} (${v.email}) – ${v.fullName}, ${v.country}, ` +
+      `${DOCUMENT_TYPE_LABELS[v.documentType] || v.documentType} ${v.documentNumber}`;
+    v.documents.forEach((doc, index) => {
+      const viewBtn = document.createElement('button');
+      viewBtn.textContent = `Document ${index + 1}`;
+      viewBtn.addEventListener('click', async () => {
+        // Documents need the auth header, so they can't be plain links
+        const res = await fetch(`/api/adm/verifications/${encodeURIComponent(v.id)}/documents/${index}`, {
+          headers: { Authorization: 'Bearer ' + token }
+        });
+        if (!res.ok) {
+          return alert('Could not load the document');
+        }
+        window.open(URL.createObjectURL(await res.blob()), '_blank');
+      });
+      p.appendChild(viewBtn);
+    });
+    const approveBtn = document.createElement('button');
+    approveBtn.textContent = 'Approve';
+    approveBtn.addEventListener('click', async () => {
+      if (!confirm(`Mark ${v.username} as verified?`)) return;
+      const { ok, data } = await postWithToken(token, '/api/adm/verifications/approve', { requestId: v.id });
+      alert(ok ? data.message : 'Error: ' + (data.error || 'Could not approve verification'));
+      initDashboard();
+    });
+    const rejectBtn = document.createElement('button');
+    rejectBtn.textContent = 'Reject';
+    rejectBtn.addEventListener('click', async () => {
+      const reason = askReason('Why are you rejecting these documents? The seller will see this.');
+      if (!reason) return;
+      const { ok, data } = await postWithToken(token, '/api/adm/verifications/reject', { requestId: v.id, reason });
+      alert(ok ? data.message : 'Error: ' + (data.error || 'Could not reject verification'));
+      initDashboard();
+    });
+    p.appendChild(approveBtn);
+    p.appendChild(rejectBtn);
+    section.appendChild(p);
+  });
+  return section;
+}
+
+// Gigs held for review or reported by buyers, with approve and reject buttons
+function renderModerationQueue(token, queue) {
+  const section = document.createElement('div');
+  section.innerHTML = '<h3>Gigs awaiting review</h3>';
+  if (queue.length === 0) {
+    section.innerHTML += '<p>No gigs awaiting review.</p>';
+  }
+  queue.forEach(({ gig, reports, sellerName }) => {
+    const p = document.createElement('p');
+    const link = document.createElement('a');
+    link.href = '/gig-details.html?id=' + encodeURIComponent(gig.id);
+    link.textContent = gig.title;
+    p.appendChild(link);
+    p.appendChild(document.createTextNode(
+      ` by ${sellerName || 'User ' + gig.sellerId} – ${GIG_STATUS_LABELS[gig.status] || gig.status}`));
+    const flags = (gig.moderation && gig.moderation.flags) || [];
+    if (flags.length > 0) {
+      p.appendChild(document.createTextNode(`, matched ${flags.map(f => `${f.type} "${f.pattern}"`).join(', ')}`));
+    }
+    const approveBtn = document.createElement('button');
+    approveBtn.textContent = gig.status === 'active' ? 'Keep listed' : 'Approve';
+    approveBtn.addEventListener('click', async () => {
+      const { ok, data } = await postWithToken(token, '/api/adm/moderation/approve', { gigId: gig.id });
+      alert(ok ? data.message : 'Error: ' + (data.error || 'Could not approve gig'));
+      initDashboard();
+    });
+    const rejectBtn = document.createElement('button');
+    rejectBtn.textContent = 'Reject';
+    rejectBtn.addEventListener('click', async () => {
+      const reason = askReason(`Why are you rejecting "${gig.title}"? The seller will see this.`);
+      if (!reason) return;
+      const { ok, data } = await postWithToken(token, '/api/adm/moderation/reject', { gigId: gig.id, reason });
+      alert(ok ? data.message : 'Error: ' + (data.error || 'Could not reject gig'));
+      initDashboard();
+    });
+    p.appendChild(approveBtn);
+    p.appendChild(rejectBtn);
+    section.appendChild(p);
+    if (reports.length > 0) {
+      const list = document.createElement('ul');
+      reports.forEach(r => {
+        const item = document.createElement('li');
+        item.textContent = `Reported ${new Date(r.createdAt).toLocaleString()}: ${r.reason}`;
+        list.appendChild(item);
+      });
+      section.appendChild(list);
+    }
+  });
+  return section;
+}
+
+const MODERATION_RULE_LABELS = {
+  keyword: 'Keyword',
+  regex: 'Pattern',
+  category: 'Blocked category'
+};
+
+// Moderation rules with remove buttons, and a form to add one
+function renderModerationRules(token, rules) {
+  const section = document.createElement('div');
+  section.innerHTML = '<h3>Moderation rules</h3>';
+  rules.forEach(rule => {
+    const p = document.createElement('p');
+    p.textContent = `${MODERATION_RULE_LABELS[rule.type] || rule.type}: ${rule.pattern}` + (rule.note ? ` – ${rule.note}` : '');
+    const delBtn = document.createElement('button');
+    delBtn.textContent = 'Remove';
+    delBtn.addEventListener('click', async () => {
+      const reason = askReason(`Why are you removing the rule "${rule.pattern}"?`);
+      if (!reason) return;
+      const { ok, data } = await postWithToken(token, '/api/adm/moderation/rules/delete', { ruleId: rule.id, reason });
+      alert(ok ? data.message : 'Error: ' + (data.error || 'Could not remove rule'));
+      initDashboard();
+    });
+    p.appendChild(delBtn);
+    section.appendChild(p);
+  });
+  const form = document.createElement('form');
+  form.innerHTML =
+    '<label>Type<select name="type">' +
+    Object.keys(MODERATION_RULE_LABELS).map(type => `<option value="${type}">${MODERATION_RULE_LABELS[type]}</option>`).join('') +
+    '</select></label>' +
+    '<label>Keyword, pattern or category<input type="text" name="pattern" required></label>' +
+    '<label>Note<input type="text" name="note"></label>' +
+    '<button type="submit">Add Rule</button>';
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { ok, data } = await postWithToken(token, '/api/adm/moderation/rules', {
+      type: form.elements['type'].value,
+      pattern: form.elements['pattern'].value,
+      note: form.elements['note'].value.trim() || null
+    });
+    alert(ok ? data.message : 'Error: ' + (data.error || 'Could not add rule'));
+    if (ok) initDashboard();
+  });
+  section.appendChild(form);
+  return section;
+}
+
+function describeFee(fee) {
+  return `${fee.percent}% + $${fee.fixed.toFixed(2)}` + (fee.minimum ? ` (min $${fee.minimum.toFixed(2)})` : '');
+}
+
+// Fee schedule: current rules, and a form to set the default or a category rule
+function renderFeeSection(token, data) {
+  const section = document.createElement('div');
+  section.innerHTML = '<h3>Fees</h3>';
+  const rules = data.rules.some(r => r.category === null) ? data.rules : [data.defaultRule].concat(data.rules);
+  rules.forEach(rule => {
+    const p = document.createElement('p');
+    p.textContent = `${rule.category || 'Default'}: service fee ${describeFee(rule.buyerFee)}, ` +
+                    `commission ${describeFee(rule.sellerCommission)}`;
+    if (rule.id) {
+      const delBtn = document.createElement('button');
+      delBtn.textContent = 'Remove';
+      delBtn.addEventListener('click', async () => {
+        const reason = askReason(`Why are you removing the ${rule.category || 'default'} fee rule?`);
+        if (!reason) return;
+        const { ok, data: result } = await postWithToken(token, '/api/adm/fees/delete', { category: rule.category, reason });
+        alert(ok ? result.message : 'Error: ' + (result.error || 'Could not remove fee rule'));
+        initDashboard();
+      });
+      p.appendChild(delBtn);
+    }
+    section.appendChild(p);
+  });
+  const form = document.createElement('form');
+  form.innerHTML =
+    '<label>Category (leave empty for the default)<input type="text" name="category"></label>' +
+    '<fieldset><legend>Buyer service fee</legend>' +
+    '<label>Percent<input type="number" name="buyerPercent" min="0" max="50" step="0.01" value="0"></label>' +
+    '<label>Fixed ($)<input type="number" name="buyerFixed" min="0" step="0.01" value="0"></label>' +
+    '<label>Minimum ($)<input type="number" name="buyerMinimum" min="0" step="0.01" value="0"></label>' +
+    '</fieldset>' +
+    '<fieldset><legend>Seller commission</legend>' +
+    '<label>Percent<input type="number" name="sellerPercent" min="0" max="50" step="0.01" value="0"></label>' +
+    '<label>Fixed ($)<input type="number" name="sellerFixed" min="0" step="0.01" value="0"></label>' +
+    '<label>Minimum ($)<input type="number" name="sellerMinimum" min="0" step="0.01" value="0"></label>' +
+    '</fieldset>' +
+    '<button type="submit">Save Fee Rule</button>';
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const f = form.elements;
+    const { ok, data: result } = await postWithToken(token, '/api/adm/fees', {
+      category: f['category'].value.trim() || null,
+      buyerFee: { percent: f['buyerPercent'].value, fixed: f['buyerFixed'].value, minimum: f['buyerMinimum'].value },
+      sellerCommission: { percent: f['sellerPercent'].value, fixed: f['sellerFixed'].value, minimum: f['sellerMinimum'].value }
+    });
+    alert(ok ? result.message : 'Error: ' + (result.error || 'Could not save fee rule'));
+    if (ok) initDashboard();
+  });
+  section.appendChild(form);
+  return section;
+}
+
+// Ask for the reason behind a destructive admin action, which goes into
+// the audit log. Returns null if the admin cancels or gives none.
+function askReason(question) {
+  const reason = prompt(question);
+  if (reason === null) return null;
+  if (!reason.trim()) {
+    alert('A reason is required');
+    return null;
+  }
+  return reason.trim();
+}
+
+async function adminDeleteGig(token, gigId, reason) {
   const res = await fetch('/api/adm/delete-gig', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       Authorization: 'Bearer ' + token
     },
-    body: JSON.stringify({ gigId })
+    body: JSON.stringify({ gigId, reason })
   });
   const data = await res.json();
   if (res.ok) {
@@ -295,14 +1673,14 @@ async function adminDeleteGig(token, gigId) {
   }
 }
 
-async function adminDeleteUser(token, userId) {
+async function adminDeleteUser(token, userId, reason) {
   const res = await fetch('/api/adm/delete-user', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       Authorization: 'Bearer ' + token
     },
-    body: JSON.stringify({ userId })
+    body: JSON.stringify({ userId, reason })
   });
   const data = await res.json();
   if (res.ok) {
@@ -313,14 +1691,70 @@ async function adminDeleteUser(token, userId) {
   }
 }
 
-async function adminResolveDispute(token, disputeId, resolution, releaseToSeller) {
+// Form for writing to both parties of a dispute
+function renderAdminMessageForm(token, dispute) {
+  const form = document.createElement('form');
+  form.innerHTML =
+    '<label>Message to both parties<textarea name="text" rows="2" required></textarea></label>' +
+    '<button type="submit">Send message</button>';
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { ok, data } = await postWithToken(token, `/api/adm/disputes/${encodeURIComponent(dispute.id)}/messages`, {
+      text: form.elements['text'].value
+    });
+    if (ok) {
+      initDashboard();
+    } else {
+      alert('Error: ' + (data.error || 'Could not send the message'));
+    }
+  });
+  return form;
+}
+
+// Form for settling a dispute: release, refund or split the escrow
+function renderResolveForm(token, dispute) {
+  const form = document.createElement('form');
+  form.className = 'resolve-form';
+  form.innerHTML =
+    '<label>Resolution<textarea name="resolution" rows="2" required></textarea></label>' +
+    '<label>Outcome<select name="outcome">' +
+    '<option value="release">Release escrow to the seller</option>' +
+    '<option value="refund">Refund the buyer</option>' +
+    '<option value="split">Split between the parties</option>' +
+    '</select></label>' +
+    '<div class="split-fields hidden">' +
+    '<label>Seller gets<input type="number" name="splitValue" min="0" step="0.01"></label>' +
+    '<label><select name="splitUnit"><option value="percent">% of escrow</option><option value="amount">$ amount</option></select></label>' +
+    '</div>' +
+    '<button type="submit">Resolve</button>';
+  const splitFields = form.querySelector('.split-fields');
+  form.elements['outcome'].addEventListener('change', () => {
+    splitFields.classList.toggle('hidden', form.elements['outcome'].value !== 'split');
+  });
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const body = {
+      disputeId: dispute.id,
+      resolution: form.elements['resolution'].value.trim(),
+      outcome: form.elements['outcome'].value
+    };
+    if (body.outcome === 'split') {
+      const key = form.elements['splitUnit'].value === 'percent' ? 'sellerPercent' : 'sellerAmount';
+      body[key] = parseFloat(form.elements['splitValue'].value);
+    }
+    await adminResolveDispute(token, body);
+  });
+  return form;
+}
+
+async function adminResolveDispute(token, body) {
   const res = await fetch('/api/adm/resolve-dispute', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       Authorization: 'Bearer ' + token
     },
-    body: JSON.stringify({ disputeId, resolution, releaseToSeller })
+    body: JSON.stringify(body)
   });
   const data = await res.json();
   if (res.ok) {
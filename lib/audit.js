@@ -0,0 +1,133 @@
+/*
+ * Audit log of privileged actions.
+ *
+ * Every change an admin makes is recorded with who made it, what it was
+ * done to, the reason given, when and from which address, and a snapshot
+ * of the record before and after. Entries are only ever appended: nothing
+ * in the app updates or removes them.
+ *
+ * Snapshots leave out contact and identity details (PERSONAL_FIELDS), so
+ * none of them outlive the deletion of an account in the log.
+ */
+
+const ACTIONS = [
+  'suspend_user',
+  'reinstate_user',
+  'delete_user',
+  'delete_gig',
+  'resolve_dispute',
+  'message_dispute',
+  'set_fee_rule',
+  'remove_fee_rule',
+  'approve_withdrawal',
+  'reject_withdrawal',
+  'approve_verification',
+  'reject_verification',
+  'add_moderation_rule',
+  'remove_moderation_rule',
+  'approve_gig',
+  'reject_gig'
+];
+
+const MAX_REASON_LENGTH = 1000;
+
+// Check the reason given for an action. Returns { reason } or { error }.
+function normalizeReason(input) {
+  const reason = typeof input === 'string' ? input.trim() : '';
+  if (!reason) {
+    return { error: 'A reason is required' };
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    return { error: `Keep the reason under ${MAX_REASON_LENGTH} characters` };
+  }
+  return { reason };
+}
+
+// Emails, legal names, identity document numbers and payout destinations
+const PERSONAL_FIELDS = ['email', 'fullName', 'documentNumber', 'destination'];
+
+function removePersonalFields(record) {
+  let removed = 0;
+  PERSONAL_FIELDS.forEach(field => {
+    if (record && field in record) {
+      delete record[field];
+      removed++;
+    }
+  });
+  return removed;
+}
+
+// Copy a record as it is now, so later changes don't alter the snapshot,
+// without its personal details
+function snapshot(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const copy = JSON.parse(JSON.stringify(value));
+  removePersonalFields(copy);
+  return copy;
+}
+
+function createAuditLog({ collection }) {
+  // Record an action by the logged-in user of `ctx` on `target`
+  // ({ type, id }). Resolves to the entry.
+  async function record(ctx, { action, target, reason = null, before = null, after = null }) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown audit action: ${action}`);
+    }
+    const entry = {
+      id: collection.nextId(),
+      actorId: ctx.userId,
+      actorName: ctx.user.username,
+      action,
+      targetType: target.type,
+      targetId: target.id,
+      reason,
+      ip: ctx.ip,
+      before: snapshot(before),
+      after: snapshot(after),
+      at: Date.now()
+    };
+    await collection.insert(entry);
+    return entry;
+  }
+
+  // One page of entries matching the filters, newest first, as
+  // { entries, total }. `from` and `to` are timestamps or null.
+  function list({ actorId, action, targetType, targetId, from, to, page, limit }) {
+    const matching = collection
+      .filter(e => (!actorId || e.actorId === actorId) &&
+        (!action || e.action === action) &&
+        (!targetType || e.targetType === targetType) &&
+        (!targetId || e.targetId === targetId) &&
+        (from === null || e.at >= from) &&
+        (to === null || e.at <= to))
+      .sort((a, b) => b.at - a.at || Number(b.id) - Number(a.id));
+    return { entries: matching.slice((page - 1) * limit, page * limit), total: matching.length };
+  }
+
+  // Take personal details out of entries recorded before snapshots left
+  // them out. Resolves to the number of entries changed.
+  async function removePersonalDetails() {
+    let changed = 0;
+    collection.all().forEach(e => {
+      if (removePersonalFields(e.before) + removePersonalFields(e.after) > 0) {
+        changed++;
+      }
+    });
+    if (changed > 0) {
+      await collection.save();
+    }
+    return changed;
+  }
+
+  return { record, list, removePersonalDetails };
+}
+
+module.exports = {
+  ACTIONS,
+  PERSONAL_FIELDS,
+  normalizeReason,
+  snapshot,
+  createAuditLog
+};
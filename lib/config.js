@@ -0,0 +1,102 @@
+const path = require('path');
+
+/*
+ * Server settings, overridable through environment variables.
+ */
+
+const PORT = process.env.PORT || 3000;
+
+module.exports = {
+  PORT,
+
+  // Public base URL used when building links sent by email
+  APP_URL: process.env.APP_URL || `http://localhost:${PORT}`,
+
+  // Set TRUST_PROXY=1 when running behind a reverse proxy, so client
+  // addresses are taken from X-Forwarded-For
+  TRUST_PROXY: process.env.TRUST_PROXY === '1',
+
+  // Sessions end after a week without activity or 30 days after login
+  SESSION_IDLE_TIMEOUT_MS: 7 * 24 * 60 * 60 * 1000,
+  SESSION_ABSOLUTE_TIMEOUT_MS: 30 * 24 * 60 * 60 * 1000,
+
+  // Requests allowed per client address (ip) or account, in a burst of
+  // `limit` that is regained over `windowMs` (see lib/ratelimit.js)
+  RATE_LIMITS: {
+    login: { ip: { limit: 20, windowMs: 15 * 60 * 1000 } },
+    register: { ip: { limit: 5, windowMs: 60 * 60 * 1000 } },
+    passwordReset: {
+      ip: { limit: 10, windowMs: 60 * 60 * 1000 },
+      account: { limit: 3, windowMs: 60 * 60 * 1000 }
+    },
+    messages: {
+      ip: { limit: 120, windowMs: 60 * 1000 },
+      account: { limit: 30, windowMs: 60 * 1000 }
+    }
+  },
+
+  // After 5 failed logins an account is locked for a minute, doubling with
+  // each further failure up to an hour. Failures are forgotten after a day.
+  LOGIN_LOCKOUT: {
+    threshold: 5,
+    baseMs: 60 * 1000,
+    maxMs: 60 * 60 * 1000,
+    resetAfterMs: 24 * 60 * 60 * 1000
+  },
+
+  // Password reset tokens are valid for one hour
+  RESET_TOKEN_TTL_MS: 60 * 60 * 1000,
+
+  // Buyer and seller have two weeks after completion to review an order;
+  // after that, reviews already submitted are published regardless
+  REVIEW_WINDOW_MS: 14 * 24 * 60 * 60 * 1000,
+
+  // Fees used until an admin stores a schedule: buyers pay 5% (at least $1)
+  // on top of the price and sellers pay a 20% commission out of it
+  DEFAULT_FEES: {
+    buyerFee: { percent: 5, fixed: 0, minimum: 1 },
+    sellerCommission: { percent: 20, fixed: 0, minimum: 0 }
+  },
+
+  // Smallest amount that can be withdrawn from a balance
+  MIN_WITHDRAWAL: Number(process.env.MIN_WITHDRAWAL) || 10,
+
+  // What the simulated payout provider does with every payout: 'succeed',
+  // 'fail' or 'pending' (paid once PAYOUT_SIMULATOR_PENDING_MS has passed)
+  PAYOUT_SIMULATOR_MODE: process.env.PAYOUT_SIMULATOR_MODE || 'succeed',
+  PAYOUT_SIMULATOR_PENDING_MS: Number(process.env.PAYOUT_SIMULATOR_PENDING_MS) || 60 * 1000,
+
+  // Payment gateway used to collect order payments. Only 'mock' ships with
+  // the MVP. Webhooks are signed with PAYMENT_WEBHOOK_SECRET; without one a
+  // random secret is used, which only works for the in-process mock.
+  PAYMENT_GATEWAY: process.env.PAYMENT_GATEWAY || 'mock',
+  PAYMENT_WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET || null,
+
+  // Orders not paid within 30 minutes expire
+  PAYMENT_TIMEOUT_MS: Number(process.env.PAYMENT_TIMEOUT_MS) || 30 * 60 * 1000,
+
+  // Where uploaded files are stored. It must lie outside the directory the
+  // static site is served from; by default it sits next to the app.
+  UPLOADS_DIR: process.env.UPLOADS_DIR || path.join(__dirname, '..', '..', 'bazimn-uploads'),
+
+  // Where sellers' identity documents are stored; like UPLOADS_DIR, outside
+  // the directory the static site is served from
+  VERIFICATION_DIR: process.env.VERIFICATION_DIR || path.join(__dirname, '..', '..', 'bazimn-verification'),
+
+  // The other party of a dispute has three days to respond
+  DISPUTE_RESPONSE_WINDOW_MS: Number(process.env.DISPUTE_RESPONSE_WINDOW_MS) || 3 * 24 * 60 * 60 * 1000,
+
+  // Live event streams send a heartbeat every 25 seconds and keep the last
+  // 1000 events for clients that reconnect
+  EVENT_HEARTBEAT_MS: Number(process.env.EVENT_HEARTBEAT_MS) || 25 * 1000,
+  EVENT_REPLAY_SIZE: Number(process.env.EVENT_REPLAY_SIZE) || 1000,
+
+  // Limits on sellers by verification level (see lib/verification.js): the
+  // total value of their open orders and the largest single withdrawal, in
+  // dollars. null means no limit.
+  VERIFICATION_LIMITS: {
+    basic: { maxOpenOrderValue: 500, maxWithdrawal: 200 },
+    verified: { maxOpenOrderValue: 10000, maxWithdrawal: 5000 },
+    trusted: { maxOpenOrderValue: null, maxWithdrawal: null }
+  }
+};
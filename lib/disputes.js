@@ -0,0 +1,129 @@
+/*
+ * Disputes between the buyer and the seller of an order.
+ *
+ * Opening a dispute freezes the order (see lib/orders.js): it can't be
+ * completed or cancelled, and its escrow can't be paid out, until an admin
+ * settles it. A dispute moves through these statuses:
+ *
+ *   open               filed, the other party (the respondent) not yet asked
+ *                      to respond
+ *   awaiting_response  the respondent has until `responseDueAt` to give
+ *                      their side
+ *   under_review       the respondent answered or let the deadline pass; an
+ *                      admin decides
+ *   resolved           settled by an admin
+ *
+ * Both parties add statements, with evidence files, until it is resolved,
+ * and admins can write to both of them in the dispute. Everything is kept
+ * in `dispute.entries` in the order it was added.
+ */
+
+const STATUSES = ['open', 'awaiting_response', 'under_review', 'resolved'];
+
+const MAX_TEXT_LENGTH = 5000;
+
+// Each statement carries at most this many evidence files
+const MAX_EVIDENCE_FILES = 5;
+
+// Check the text of a statement or admin message. Returns { text } or
+// { error }.
+function normalizeText(input) {
+  const text = typeof input === 'string' ? input.trim() : '';
+  if (!text) {
+    return { error: 'Write a statement' };
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { error: `Keep it under ${MAX_TEXT_LENGTH} characters` };
+  }
+  return { text };
+}
+
+function createDisputeService({ disputes, responseWindowMs }) {
+  // Append an entry to a dispute. `files` describe evidence uploads.
+  function addEntry(dispute, { type, author, role, text, files = [], at = Date.now() }) {
+    const entry = { id: String(dispute.entries.length + 1), type, authorId: author.id, role, text, files, at };
+    dispute.entries.push(entry);
+    return entry;
+  }
+
+  // File a dispute on a frozen order for `user`, one of its parties. The
+  // reason is the first statement; the other party is asked to respond.
+  async function file(order, user, { reason, files }) {
+    const now = Date.now();
+    const respondentId = user.id === order.buyerId ? order.sellerId : order.buyerId;
+    const dispute = {
+      id: disputes.nextId(),
+      orderId: order.id,
+      initiatorId: user.id,
+      respondentId,
+      reason,
+      status: 'open',
+      entries: [],
+      responseDueAt: null,
+      respondedAt: null,
+      resolution: null,
+      createdAt: now,
+      resolvedAt: null
+    };
+    const role = user.id === order.buyerId ? 'buyer' : 'seller';
+    addEntry(dispute, { type: 'statement', author: user, role, text: reason, files, at: now });
+    askRespondent(dispute, now);
+    await disputes.insert(dispute);
+    return dispute;
+  }
+
+  // Give the respondent of an open dispute a deadline to respond. The
+  // caller saves the dispute.
+  function askRespondent(dispute, now = Date.now()) {
+    dispute.status = 'awaiting_response';
+    dispute.responseDueAt = now + responseWindowMs;
+  }
+
+  // Add a party's statement. The respondent's first one moves the dispute
+  // to review. Returns { entry } or { error, status }.
+  async function addStatement(dispute, order, user, { text, files }) {
+    if (dispute.status === 'resolved') {
+      return { error: 'This dispute has been resolved', status: 400 };
+    }
+    const role = user.id === order.buyerId ? 'buyer' : 'seller';
+    const entry = addEntry(dispute, { type: 'statement', author: user, role, text, files });
+    if (dispute.status === 'awaiting_response' && user.id === dispute.respondentId) {
+      dispute.status = 'under_review';
+      dispute.respondedAt = entry.at;
+    }
+    await disputes.save();
+    return { entry };
+  }
+
+  // Add an admin's message to both parties. Returns { entry } or { error, status }.
+  async function addAdminMessage(dispute, admin, { text }) {
+    if (dispute.status === 'resolved') {
+      return { error: 'This dispute has been resolved', status: 400 };
+    }
+    const entry = addEntry(dispute, { type: 'admin_message', author: admin, role: 'admin', text });
+    await disputes.save();
+    return { entry };
+  }
+
+  // Send disputes whose respondent let the deadline pass to review.
+  // Resolves to the disputes moved.
+  async function reviewOverdue(now = Date.now()) {
+    const overdue = disputes.filter(d => d.status === 'awaiting_response' && d.responseDueAt < now);
+    overdue.forEach(dispute => {
+      dispute.status = 'under_review';
+    });
+    if (overdue.length > 0) {
+      await disputes.save();
+    }
+    return overdue;
+  }
+
+  return { file, askRespondent, addStatement, addAdminMessage, reviewOverdue };
+}
+
+module.exports = {
+  STATUSES,
+  MAX_EVIDENCE_FILES,
+  normalizeText,
+  createDisputeService
+};
@@ -0,0 +1,108 @@
+const { EXTERNAL_FUNDING, PLATFORM_REVENUE, userAccount, escrowAccount } = require('./ledger');
+
+/*
+ * Paying for orders and paying out their escrow.
+ *
+ * When an order is placed the buyer's payment is brought onto the platform
+ * and held in the order's escrow account. The escrow later goes to the
+ * seller, back to the buyer, or is split between them, with the platform
+ * keeping its fees on whatever the seller is paid (see lib/fees.js).
+ * Whatever isn't paid out is refunded to the buyer's balance, so money
+ * never just disappears from an order.
+ *
+ * Every movement is posted to the ledger. `user.wallet` and `order.escrow`
+ * are copies of the ledger balances kept for display; the reconciliation
+ * report checks them against the ledger.
+ */
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Price breakdown of an order. Orders placed before fees existed paid the
+// bare price.
+function pricingOf(order) {
+  if (order.pricing) {
+    return order.pricing;
+  }
+  return {
+    price: order.amount,
+    serviceFee: 0,
+    total: order.amount,
+    commission: 0,
+    sellerEarnings: order.amount,
+    feeCategory: null
+  };
+}
+
+function createEscrow({ users, ledger }) {
+  // Copy a user's ledger balance onto the user record
+  function syncWallet(userId) {
+    const user = users.get(userId);
+    if (user) {
+      user.wallet = ledger.balance(userAccount(userId));
+    }
+  }
+
+  // Take the buyer's payment for a new order, price plus service fee, and
+  // hold it in escrow. The caller saves the order.
+  async function hold(order) {
+    const buyer = userAccount(order.buyerId);
+    const { total } = pricingOf(order);
+    const details = { orderId: order.id };
+    await ledger.transfer('funding', EXTERNAL_FUNDING, buyer, total, details);
+    await ledger.transfer('escrow_hold', buyer, escrowAccount(order.id), total, details);
+    order.escrow = ledger.balance(escrowAccount(order.id));
+  }
+
+  // Pay out the escrow, giving the seller `sellerAmount` of the price. The
+  // platform takes the commission on that share and the matching part of
+  // the service fee; everything else is refunded to the buyer. The result
+  // is recorded on the order as `order.settlement`; the caller saves the
+  // order.
+  async function settle(order, sellerAmount) {
+    if (order.status === 'disputed') {
+      // Frozen until an admin settles the dispute
+      throw new Error(`Escrow of order ${order.id} is frozen by a dispute`);
+    }
+    const account = escrowAccount(order.id);
+    const held = ledger.balance(account);
+    const pricing = pricingOf(order);
+    const gross = roundCents(Math.min(Math.max(sellerAmount, 0), pricing.price, held));
+    const share = pricing.price > 0 ? gross / pricing.price : 0;
+    const commission = gross === pricing.price ? pricing.commission : roundCents(pricing.commission * share);
+    const serviceFee = Math.min(
+      gross === pricing.price ? pricing.serviceFee : roundCents(pricing.serviceFee * share),
+      roundCents(held - gross)
+    );
+    const toBuyer = roundCents(held - gross - serviceFee);
+    const details = { orderId: order.id };
+    await ledger.transfer('release', account, userAccount(order.sellerId), roundCents(gross - commission), details);
+    await ledger.transfer('fee', account, PLATFORM_REVENUE, roundCents(commission + serviceFee),
+      Object.assign({ memo: 'Service fee and commission' }, details));
+    await ledger.transfer('refund', account, userAccount(order.buyerId), toBuyer, details);
+    syncWallet(order.sellerId);
+    syncWallet(order.buyerId);
+    order.escrow = ledger.balance(account);
+    order.settlement = {
+      sellerAmount: gross,
+      commission,
+      sellerEarnings: roundCents(gross - commission),
+      serviceFee,
+      buyerAmount: toBuyer,
+      settledAt: Date.now()
+    };
+    await users.save();
+    return order.settlement;
+  }
+
+  return {
+    hold,
+    release: order => settle(order, Infinity),
+    refund: order => settle(order, 0),
+    split: settle,
+    syncWallet
+  };
+}
+
+module.exports = { createEscrow, pricingOf, roundCents };
@@ -0,0 +1,113 @@
+const { CORS_HEADERS } = require('./http');
+
+/*
+ * Live updates over Server-Sent Events.
+ *
+ * Each logged-in tab keeps one GET /api/events stream open. Route handlers
+ * publish an event to the users it concerns and it is written to all of
+ * their open streams. Comment lines go out as heartbeats, which keep
+ * proxies from dropping an idle connection and let the server notice
+ * closed ones.
+ *
+ * Events get increasing ids and the latest `replaySize` are kept, so a
+ * client that reconnects with a Last-Event-ID header is sent what it
+ * missed. If the events it missed are no longer kept (or were published
+ * before a restart), it gets a `reset` event instead and should reload
+ * everything. Ephemeral events, such as typing indicators, have no id and
+ * are never replayed.
+ */
+
+// Streams one user may keep open; opening another closes the oldest
+const MAX_STREAMS_PER_USER = 5;
+
+// Tell browsers how long to wait before reconnecting
+const RETRY_MS = 3000;
+
+function format(event) {
+  const id = event.id !== undefined ? `id: ${event.id}\n` : '';
+  return `${id}event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+function createEventHub({ replaySize = 1000, heartbeatMs = 25 * 1000 } = {}) {
+  // Ids continue from the clock so they keep growing across restarts
+  let lastId = Date.now();
+  // Highest id that can no longer be replayed
+  let floor = lastId;
+  const recent = [];
+  const streams = new Map();
+
+  function streamsOf(userId) {
+    return streams.get(userId) || [];
+  }
+
+  // Send `type` with `data` to the open streams of `userIds`. Pass
+  // { replay: false } for events not worth sending again after a reconnect.
+  function publish(userIds, type, data, { replay = true } = {}) {
+    const recipients = Array.from(new Set(userIds.filter(Boolean)));
+    const event = { type, data };
+    if (replay) {
+      event.id = ++lastId;
+      recent.push({ event, recipients });
+      if (recent.length > replaySize) {
+        floor = recent.shift().event.id;
+      }
+    }
+    const text = format(event);
+    recipients.forEach(userId => {
+      streamsOf(userId).forEach(stream => stream.res.write(text));
+    });
+  }
+
+  function remove(stream) {
+    clearInterval(stream.heartbeat);
+    const rest = streamsOf(stream.userId).filter(s => s !== stream);
+    if (rest.length > 0) {
+      streams.set(stream.userId, rest);
+    } else {
+      streams.delete(stream.userId);
+    }
+  }
+
+  // Turn the response of ctx into an event stream for ctx.user, starting
+  // after `lastEventId` when given. `isActive()` is checked with every
+  // heartbeat; the stream ends once it returns false (e.g. after logout).
+  function connect(ctx, { lastEventId, isActive = () => true }) {
+    const { res, userId } = ctx;
+    res.writeHead(200, Object.assign({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    }, CORS_HEADERS));
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    const after = Number(lastEventId);
+    if (lastEventId && (!Number.isInteger(after) || after < floor || after > lastId)) {
+      res.write(format({ type: 'reset', data: {} }));
+    } else if (lastEventId) {
+      recent
+        .filter(({ event, recipients }) => event.id > after && recipients.includes(userId))
+        .forEach(({ event }) => res.write(format(event)));
+    }
+
+    const stream = { userId, res };
+    stream.heartbeat = setInterval(() => {
+      if (!isActive()) {
+        res.end();
+        return;
+      }
+      res.write(': heartbeat\n\n');
+    }, heartbeatMs);
+    stream.heartbeat.unref();
+    const open = streamsOf(userId);
+    if (open.length >= MAX_STREAMS_PER_USER) {
+      open[0].res.end();
+      remove(open[0]);
+    }
+    streams.set(userId, streamsOf(userId).concat(stream));
+    res.on('close', () => remove(stream));
+  }
+
+  return { publish, connect };
+}
+
+module.exports = { createEventHub };
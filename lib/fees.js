@@ -0,0 +1,115 @@
+/*
+ * Platform fees.
+ *
+ * Buyers pay a service fee on top of the package price and sellers pay a
+ * commission out of it. Each is a percentage of the price plus a fixed
+ * amount, with an optional minimum. Admins keep one default rule and may
+ * override it per gig category; a category rule replaces the default
+ * completely.
+ *
+ * The breakdown is worked out when an order is placed and stored on the
+ * order, so later changes to the schedule never affect existing orders.
+ */
+
+const { roundCents } = require('./escrow');
+
+const MAX_PERCENT = 50;
+
+function categoryKey(category) {
+  return category ? String(category).trim().toLowerCase() : null;
+}
+
+// Validate one fee ({ percent, fixed, minimum }). Returns { fee } or { error }.
+function normalizeFee(input, label) {
+  const raw = input || {};
+  const fee = {};
+  for (const key of ['percent', 'fixed', 'minimum']) {
+    const value = raw[key] === undefined || raw[key] === '' ? 0 : Number(raw[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${label} ${key} must be a number of at least 0` };
+    }
+    fee[key] = roundCents(value);
+  }
+  if (fee.percent > MAX_PERCENT) {
+    return { error: `${label} percent must be at most ${MAX_PERCENT}` };
+  }
+  return { fee };
+}
+
+// The fee charged on a price, never more than the price itself
+function feeOn(fee, price) {
+  const amount = Math.max(fee.minimum, price * fee.percent / 100 + fee.fixed);
+  return roundCents(Math.min(amount, price));
+}
+
+function createFeeSchedule({ collection, defaults }) {
+  // The rule for a category, falling back to the stored default and then
+  // to the built-in one
+  function ruleFor(category) {
+    const key = categoryKey(category);
+    return (key && collection.find(r => r.category === key)) ||
+      collection.find(r => r.category === null) ||
+      Object.assign({ category: null }, defaults);
+  }
+
+  // Price breakdown for buying something at `price` in `category`
+  function quote(price, category) {
+    const rule = ruleFor(category);
+    const serviceFee = feeOn(rule.buyerFee, price);
+    const commission = feeOn(rule.sellerCommission, price);
+    return {
+      price,
+      serviceFee,
+      total: roundCents(price + serviceFee),
+      commission,
+      sellerEarnings: roundCents(price - commission),
+      feeCategory: rule.category
+    };
+  }
+
+  // Stored rules, default first
+  function list() {
+    return collection.all().slice().sort((a, b) => (a.category || '').localeCompare(b.category || ''));
+  }
+
+  // Create or replace the rule for a category (null for the default).
+  // Returns { rule } or { error }.
+  async function setRule({ category, buyerFee, sellerCommission }, userId) {
+    const buyer = normalizeFee(buyerFee, 'Service fee');
+    if (buyer.error) {
+      return buyer;
+    }
+    const seller = normalizeFee(sellerCommission, 'Commission');
+    if (seller.error) {
+      return seller;
+    }
+    const key = categoryKey(category);
+    const fields = {
+      buyerFee: buyer.fee,
+      sellerCommission: seller.fee,
+      updatedAt: Date.now(),
+      updatedBy: userId
+    };
+    const existing = collection.find(r => r.category === key);
+    if (existing) {
+      Object.assign(existing, fields);
+      await collection.save();
+      return { rule: existing };
+    }
+    const rule = Object.assign({ id: collection.nextId(), category: key }, fields);
+    await collection.insert(rule);
+    return { rule };
+  }
+
+  // Drop a rule so the category (or the default) falls back again.
+  // Resolves to the removed rule, or null if there was none.
+  async function removeRule(category) {
+    const key = categoryKey(category);
+    const [removed] = await collection.removeWhere(r => r.category === key);
+    return removed || null;
+  }
+
+  return { ruleFor, quote, list, setRule, removeRule };
+}
+
+module.exports = { createFeeSchedule };
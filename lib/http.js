@@ -0,0 +1,75 @@
+/*
+ * Small HTTP helpers shared by the server and the route modules.
+ */
+
+// Headers sent with every API response
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, Last-Event-ID'
+};
+
+// Limit body size to 1MB by default to prevent abuse
+const MAX_BODY_BYTES = 1e6;
+
+// Read the raw request body as a string, e.g. to check a signature on it
+function readRawBody(req, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+      if (body.length > maxBytes) {
+        req.connection.destroy();
+        reject(new Error('Body too large'));
+      }
+    });
+    req.on('end', () => resolve(body));
+  });
+}
+
+// Parse JSON body from incoming request
+async function parseRequestBody(req, maxBytes) {
+  const body = await readRawBody(req, maxBytes);
+  return body ? JSON.parse(body) : {};
+}
+
+// Address the request came from. Behind a reverse proxy (`trustProxy`)
+// that is the first address in X-Forwarded-For.
+function clientIp(req, trustProxy = false) {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress || null;
+}
+
+// Send a JSON response
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS));
+  res.end(JSON.stringify(data));
+}
+
+function describeWait(seconds) {
+  if (seconds < 60) {
+    return seconds === 1 ? '1 second' : `${seconds} seconds`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+// Refuse a request with 429, telling the client in the Retry-After header
+// and the error message when it may try again
+function sendTooManyRequests(res, retryAfterMs, error) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.setHeader('Retry-After', String(retryAfter));
+  sendJson(res, 429, { error: `${error} Try again in ${describeWait(retryAfter)}.`, retryAfter });
+}
+
+module.exports = {
+  CORS_HEADERS,
+  readRawBody,
+  parseRequestBody,
+  clientIp,
+  sendJson,
+  sendTooManyRequests
+};
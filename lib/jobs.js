@@ -0,0 +1,125 @@
+const { MAX_DELIVERY_DAYS, MAX_REVISIONS } = require('./packages');
+
+/*
+ * Custom job requests and seller offers.
+ *
+ * A buyer posts a job with a budget, a category and a deadline. Sellers
+ * answer with offers giving their price, delivery time and revisions.
+ * Sellers can also send an offer from inside an order conversation, to the
+ * buyer of that order. Accepting an offer creates an order without a gig,
+ * whose package is the offer itself.
+ *
+ * Job statuses: open -> hired | closed. A hired job whose order expires
+ * unpaid or is cancelled or refunded goes back to open, or to closed once
+ * its deadline has passed.
+ * Offer statuses: pending -> accepted | declined | withdrawn.
+ */
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+// Validate a job posted by a buyer. Returns { job } with the fields to
+// store, or { error }.
+function normalizeJob(input, now = Date.now()) {
+  const title = String(input.title || '').trim();
+  const description = String(input.description || '').trim();
+  if (!title || !description) {
+    return { error: 'Title and description are required' };
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    return { error: `Title must be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return { error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+  const budget = Number(input.budget);
+  if (!Number.isFinite(budget) || budget <= 0) {
+    return { error: 'Budget must be above zero' };
+  }
+  // Dates from a date input mean the end of that day
+  const deadline = typeof input.deadline === 'number'
+    ? input.deadline
+    : Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(input.deadline) ? `${input.deadline}T23:59:59` : input.deadline);
+  if (!Number.isFinite(deadline) || deadline <= now) {
+    return { error: 'Deadline must be a date in the future' };
+  }
+  return {
+    job: {
+      title,
+      description,
+      category: String(input.category || '').trim() || 'General',
+      budget: Math.round(budget * 100) / 100,
+      deadline
+    }
+  };
+}
+
+// Validate the terms of a seller's offer. Returns { offer } or { error }.
+function normalizeOffer(input) {
+  const description = String(input.description || '').trim();
+  if (!description) {
+    return { error: 'Describe what the offer includes' };
+  }
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return { error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+  const price = Number(input.price);
+  if (!Number.isFinite(price) || price <= 0) {
+    return { error: 'Price must be above zero' };
+  }
+  const deliveryDays = Number(input.deliveryDays);
+  if (!Number.isInteger(deliveryDays) || deliveryDays < 1 || deliveryDays > MAX_DELIVERY_DAYS) {
+    return { error: `Delivery time must be 1 to ${MAX_DELIVERY_DAYS} days` };
+  }
+  const revisions = input.revisions === undefined || input.revisions === '' ? 0 : Number(input.revisions);
+  if (!Number.isInteger(revisions) || revisions < 0 || revisions > MAX_REVISIONS) {
+    return { error: `Revisions must be 0 to ${MAX_REVISIONS}` };
+  }
+  return {
+    offer: {
+      description,
+      price: Math.round(price * 100) / 100,
+      deliveryDays,
+      revisions
+    }
+  };
+}
+
+// The package an accepted offer is ordered as
+function offerPackage(offer) {
+  return {
+    id: 'custom',
+    name: 'Custom offer',
+    price: offer.price,
+    deliveryDays: offer.deliveryDays,
+    revisions: offer.revisions,
+    features: []
+  };
+}
+
+// Free the job `order` was hired for, now that the order has ended without
+// being completed. Resolves to the job, or null if the order didn't hold one.
+async function releaseJob(jobs, order, now = Date.now()) {
+  const job = order.jobId ? jobs.get(order.jobId) : null;
+  if (!job || job.status !== 'hired' || job.orderId !== order.id) {
+    return null;
+  }
+  job.hiredOfferId = null;
+  job.orderId = null;
+  if (job.deadline > now) {
+    job.status = 'open';
+    job.closedAt = null;
+  } else {
+    job.status = 'closed';
+    job.closedAt = now;
+  }
+  await jobs.save();
+  return job;
+}
+
+module.exports = {
+  normalizeJob,
+  normalizeOffer,
+  offerPackage,
+  releaseJob
+};
@@ -0,0 +1,150 @@
+/*
+ * Double-entry ledger of every money movement.
+ *
+ * Money lives in named accounts: a wallet per user (`user:<id>`), an escrow
+ * account per order (`escrow:<id>`), a hold account per withdrawal
+ * (`withdrawal:<id>`) and a few platform accounts. A
+ * transaction moves money between accounts as a list of entries whose
+ * amounts add up to zero; a positive amount increases an account's balance.
+ * Transactions are only ever appended, so every balance can be traced back
+ * to the movements that produced it.
+ *
+ * Amounts are in dollars, rounded to cents.
+ */
+
+// Money entering the platform from buyers' payment methods
+const EXTERNAL_FUNDING = 'external:funding';
+// Money leaving the platform to sellers' payout methods
+const EXTERNAL_PAYOUTS = 'external:payouts';
+// Fees and commissions kept by the platform
+const PLATFORM_REVENUE = 'platform:revenue';
+// Balances that existed before the ledger was introduced
+const OPENING_BALANCES = 'external:opening';
+
+const TYPES = [
+  'funding',
+  'escrow_hold',
+  'release',
+  'refund',
+  'fee',
+  'withdrawal_hold',
+  'withdrawal_return',
+  'payout',
+  'opening_balance'
+];
+
+function userAccount(userId) {
+  return `user:${userId}`;
+}
+
+function escrowAccount(orderId) {
+  return `escrow:${orderId}`;
+}
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+function createLedger({ collection }) {
+  // account -> balance in cents, rebuilt from the transactions at startup
+  const balances = new Map();
+
+  function apply(transaction) {
+    transaction.entries.forEach(({ account, amount }) => {
+      balances.set(account, (balances.get(account) || 0) + toCents(amount));
+    });
+  }
+  collection.all().forEach(apply);
+
+  // Record a transaction. `entries` is a list of { account, amount } that
+  // must add up to zero; zero amounts are dropped. Resolves to the stored
+  // transaction, or null if nothing moved.
+  async function post({ type, orderId = null, memo = null, entries }) {
+    if (!TYPES.includes(type)) {
+      throw new Error(`Unknown ledger transaction type: ${type}`);
+    }
+    const moved = entries
+      .map(e => ({ account: e.account, amount: toCents(e.amount) / 100 }))
+      .filter(e => e.amount !== 0);
+    if (moved.some(e => !Number.isFinite(e.amount))) {
+      throw new Error('Ledger amounts must be finite numbers');
+    }
+    if (moved.reduce((sum, e) => sum + toCents(e.amount), 0) !== 0) {
+      throw new Error(`Unbalanced ${type} transaction`);
+    }
+    if (moved.length === 0) {
+      return null;
+    }
+    const transaction = {
+      id: collection.nextId(),
+      type,
+      orderId,
+      memo,
+      entries: moved,
+      createdAt: Date.now()
+    };
+    apply(transaction);
+    await collection.insert(transaction);
+    return transaction;
+  }
+
+  // Move `amount` from one account to another
+  function transfer(type, from, to, amount, details = {}) {
+    return post(Object.assign({}, details, {
+      type,
+      entries: [{ account: from, amount: -amount }, { account: to, amount }]
+    }));
+  }
+
+  function balance(account) {
+    return (balances.get(account) || 0) / 100;
+  }
+
+  // Every account with its balance, for reconciliation
+  function accounts() {
+    return Array.from(balances.keys()).map(account => ({ account, balance: balance(account) }));
+  }
+
+  // Movements on one account, newest first, each with the amount for that
+  // account and the balance right after it
+  function history(account) {
+    let running = 0;
+    const rows = [];
+    collection.all().forEach(t => {
+      const own = t.entries.filter(e => e.account === account);
+      if (own.length === 0) {
+        return;
+      }
+      const amount = own.reduce((sum, e) => sum + toCents(e.amount), 0);
+      running += amount;
+      rows.push({
+        id: t.id,
+        type: t.type,
+        orderId: t.orderId,
+        memo: t.memo,
+        amount: amount / 100,
+        balanceAfter: running / 100,
+        createdAt: t.createdAt
+      });
+    });
+    return rows.reverse();
+  }
+
+  // Transactions whose entries don't add up to zero, e.g. after the file
+  // was edited by hand
+  function unbalanced() {
+    return collection.filter(t => t.entries.reduce((sum, e) => sum + toCents(e.amount), 0) !== 0);
+  }
+
+  return { post, transfer, balance, accounts, history, unbalanced };
+}
+
+module.exports = {
+  EXTERNAL_FUNDING,
+  EXTERNAL_PAYOUTS,
+  PLATFORM_REVENUE,
+  OPENING_BALANCES,
+  userAccount,
+  escrowAccount,
+  createLedger
+};
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/*
+ * Pluggable mail delivery for Bazimn.
+ *
+ * The server never talks to a mail server directly; it hands messages to the
+ * active transport. By default messages are written as JSON files to a local
+ * outbox directory, so flows such as password reset work without any mail
+ * setup. A real transport (SMTP, an HTTP mail API, ...) only has to expose an
+ * async `send(message)` method and can be installed with `setTransport()`.
+ */
+
+// Transport that writes every message to `dir` instead of sending it
+function createOutboxTransport(dir) {
+  return {
+    name: 'outbox',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = Date.now().toString(36) + '-' + crypto.randomBytes(4).toString('hex');
+      const record = Object.assign({ id }, message, { createdAt: Date.now() });
+      await fs.promises.writeFile(path.join(dir, id + '.json'), JSON.stringify(record, null, 2));
+      return { id };
+    }
+  };
+}
+
+let transport = createOutboxTransport(path.join(__dirname, '..', 'outbox'));
+
+// Replace the active transport (e.g. with an SMTP-backed one)
+function setTransport(newTransport) {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = newTransport;
+}
+
+// Send a plain-text message through the active transport
+async function sendMail({ to, subject, text }) {
+  if (!to || !subject || !text) {
+    throw new Error('Mail requires to, subject and text');
+  }
+  return transport.send({ to, subject, text });
+}
+
+module.exports = {
+  createOutboxTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,95 @@
+const { parseRequestBody, sendJson, sendTooManyRequests } = require('./http');
+const { isActive } = require('./users');
+
+/*
+ * Route middleware: authentication, role checks, JSON bodies and rate
+ * limits.
+ * See lib/router.js for the (ctx, next) calling convention.
+ */
+
+// Resolve the bearer token into ctx.session, ctx.userId and ctx.user.
+// Requests without a valid token, or from an account that is suspended or
+// deactivated, continue with all three set to null.
+function authenticate({ sessions, users }) {
+  return async (ctx, next) => {
+    const authHeader = ctx.req.headers['authorization'] || '';
+    ctx.token = authHeader.replace('Bearer ', '');
+    ctx.session = sessions.resolve(ctx.token);
+    ctx.user = (ctx.session && users.get(ctx.session.userId)) || null;
+    if (!isActive(ctx.user)) {
+      ctx.session = null;
+      ctx.user = null;
+    }
+    ctx.userId = ctx.user ? ctx.user.id : null;
+    await next();
+  };
+}
+
+// Only continue for logged-in users
+function requireAuth(ctx, next) {
+  if (!ctx.user) {
+    return sendJson(ctx.res, 401, { error: 'Unauthorized' });
+  }
+  return next();
+}
+
+// Only continue for logged-in users with one of the given roles
+function requireRole(roles, message = 'Forbidden') {
+  const allowed = Array.isArray(roles) ? roles : [roles];
+  return (ctx, next) => {
+    if (!ctx.user) {
+      return sendJson(ctx.res, 401, { error: 'Unauthorized' });
+    }
+    if (!allowed.includes(ctx.user.role)) {
+      return sendJson(ctx.res, 403, { error: message });
+    }
+    return next();
+  };
+}
+
+// Parse the request body as a JSON object into ctx.body, refusing bodies
+// over `maxBytes` (1MB when not given)
+function jsonBodyUpTo(maxBytes) {
+  return async (ctx, next) => {
+    try {
+      ctx.body = await parseRequestBody(ctx.req, maxBytes);
+    } catch (err) {
+      if (err.message === 'Body too large') {
+        // The connection has already been closed
+        return;
+      }
+      return sendJson(ctx.res, 400, { error: 'Invalid JSON body' });
+    }
+    if (!ctx.body || typeof ctx.body !== 'object' || Array.isArray(ctx.body)) {
+      return sendJson(ctx.res, 400, { error: 'Expected a JSON object' });
+    }
+    return next();
+  };
+}
+
+const jsonBody = jsonBodyUpTo();
+
+// Count the request against `limiter` (see lib/ratelimit.js) under the key
+// `keyOf(ctx)` returns, and refuse it once the limit is reached. Requests
+// without a key aren't counted.
+function limitRequests(limiter, keyOf) {
+  return async (ctx, next) => {
+    const key = keyOf(ctx);
+    if (key) {
+      const { allowed, retryAfterMs } = await limiter.consume(key);
+      if (!allowed) {
+        return sendTooManyRequests(ctx.res, retryAfterMs, 'Too many requests.');
+      }
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requireRole,
+  jsonBody,
+  jsonBodyUpTo,
+  limitRequests
+};
@@ -0,0 +1,193 @@
+/*
+ * Moderation of gigs against the Prohibited Services policy.
+ *
+ * Admins keep a set of rules: keywords and regular expressions matched
+ * against the text of a gig, and blocked categories. A gig in a blocked
+ * category can't be published at all. A new or edited gig whose text
+ * matches a keyword or regex is held as 'pending_review' instead of being
+ * listed, and so is a gig reported by REPORTS_FOR_REVIEW different users.
+ * Admins approve it ('active') or reject it ('rejected') with a reason the
+ * seller sees.
+ *
+ * Reports from buyers are kept as records of their own; a gig with open
+ * reports is in the review queue even while it is still listed.
+ */
+
+const RULE_TYPES = ['keyword', 'regex', 'category'];
+
+const GIG_STATUSES = ['active', 'pending_review', 'rejected'];
+
+// Reports by this many different users take a gig off the listings until
+// an admin has looked at it
+const REPORTS_FOR_REVIEW = 3;
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_REPORT_LENGTH = 1000;
+
+// Check a rule from an admin. Returns { rule } with its type, pattern and
+// note, or { error }.
+function normalizeRule(input) {
+  const type = input && input.type;
+  if (!RULE_TYPES.includes(type)) {
+    return { error: `Rule type must be one of ${RULE_TYPES.join(', ')}` };
+  }
+  const pattern = typeof input.pattern === 'string' ? input.pattern.trim() : '';
+  if (!pattern || pattern.length > MAX_PATTERN_LENGTH) {
+    return { error: `The pattern must be 1 to ${MAX_PATTERN_LENGTH} characters` };
+  }
+  if (type === 'regex') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+  const note = input.note ? String(input.note).trim() : null;
+  return { rule: { type, pattern: type === 'regex' ? pattern : pattern.toLowerCase(), note } };
+}
+
+// The text of a gig that rules are matched against
+function gigText(gig) {
+  const packages = (gig.packages || []).map(p => [p.name].concat(p.features).join('\n'));
+  return [gig.title, gig.description].concat(packages).join('\n');
+}
+
+function createModeration({ rules, reports, gigs }) {
+  // Compiled regex rules by rule id, rebuilt when rules change
+  let compiled = new Map();
+  function compile() {
+    compiled = new Map(rules.filter(r => r.type === 'regex').map(r => [r.id, new RegExp(r.pattern, 'i')]));
+  }
+  compile();
+
+  function matches(rule, text, category) {
+    if (rule.type === 'category') {
+      return category === rule.pattern;
+    }
+    if (rule.type === 'keyword') {
+      return text.toLowerCase().includes(rule.pattern);
+    }
+    return compiled.get(rule.id).test(text);
+  }
+
+  // Check a gig against the rules. Returns { error } for a blocked
+  // category, or { flags }: the keyword and regex rules it matches.
+  function screen(gig) {
+    const text = gigText(gig);
+    const category = String(gig.category || '').trim().toLowerCase();
+    const hits = rules.filter(rule => matches(rule, text, category));
+    const block = hits.find(rule => rule.type === 'category');
+    if (block) {
+      return { error: `Gigs in the category "${gig.category}" are not allowed on Bazimn` };
+    }
+    return { flags: hits.map(rule => ({ ruleId: rule.id, type: rule.type, pattern: rule.pattern })) };
+  }
+
+  // Add a rule. Returns { rule } or { error }.
+  async function addRule(input, admin) {
+    const { rule, error } = normalizeRule(input);
+    if (error) {
+      return { error };
+    }
+    if (rules.some(r => r.type === rule.type && r.pattern === rule.pattern)) {
+      return { error: 'This rule already exists' };
+    }
+    const stored = Object.assign({ id: rules.nextId() }, rule, { createdBy: admin.id, createdAt: Date.now() });
+    await rules.insert(stored);
+    compile();
+    return { rule: stored };
+  }
+
+  // Resolves to the removed rule, or null if there was none
+  async function removeRule(ruleId) {
+    const [removed] = await rules.removeWhere(r => r.id === ruleId);
+    compile();
+    return removed || null;
+  }
+
+  function openReportsFor(gigId) {
+    return reports.filter(r => r.gigId === gigId && r.status === 'open');
+  }
+
+  // Report a gig on behalf of `user`. Enough reports hold the gig for
+  // review. Returns { report } or { error, status }.
+  async function report(gig, user, reason) {
+    const text = typeof reason === 'string' ? reason.trim() : '';
+    if (!text || text.length > MAX_REPORT_LENGTH) {
+      return { error: `Describe the problem in 1 to ${MAX_REPORT_LENGTH} characters`, status: 400 };
+    }
+    if (gig.sellerId === user.id) {
+      return { error: 'You cannot report your own gig', status: 403 };
+    }
+    if (openReportsFor(gig.id).some(r => r.reporterId === user.id)) {
+      return { error: 'You have already reported this gig', status: 409 };
+    }
+    const stored = {
+      id: reports.nextId(),
+      gigId: gig.id,
+      reporterId: user.id,
+      reason: text,
+      status: 'open',
+      createdAt: Date.now(),
+      resolvedAt: null
+    };
+    await reports.insert(stored);
+    if (gig.status === 'active' && openReportsFor(gig.id).length >= REPORTS_FOR_REVIEW) {
+      gig.status = 'pending_review';
+      await gigs.save();
+    }
+    return { report: stored };
+  }
+
+  // Close the open reports of a gig as 'dismissed' or 'upheld'
+  async function closeReports(gig, status) {
+    const open = openReportsFor(gig.id);
+    open.forEach(r => {
+      r.status = status;
+      r.resolvedAt = Date.now();
+    });
+    if (open.length > 0) {
+      await reports.save();
+    }
+  }
+
+  // Publish a gig after review; its open reports are dismissed
+  async function approve(gig, admin) {
+    gig.status = 'active';
+    gig.moderation = Object.assign({}, gig.moderation, { reason: null, reviewedBy: admin.id, reviewedAt: Date.now() });
+    await gigs.save();
+    await closeReports(gig, 'dismissed');
+  }
+
+  // Take a gig off the listings with a reason for the seller; its open
+  // reports are upheld
+  async function reject(gig, admin, reason) {
+    gig.status = 'rejected';
+    gig.moderation = Object.assign({}, gig.moderation, { reason, reviewedBy: admin.id, reviewedAt: Date.now() });
+    await gigs.save();
+    await closeReports(gig, 'upheld');
+  }
+
+  // Gigs waiting for a decision: held for review or with open reports,
+  // oldest first, each with those reports
+  function queue() {
+    return gigs
+      .filter(g => g.status === 'pending_review' || openReportsFor(g.id).length > 0)
+      .map(g => ({ gig: g, reports: openReportsFor(g.id) }))
+      .sort((a, b) => (a.gig.updatedAt || a.gig.createdAt) - (b.gig.updatedAt || b.gig.createdAt));
+  }
+
+  // Rules by type, then pattern
+  function listRules() {
+    return rules.all().slice().sort((a, b) => a.type.localeCompare(b.type) || a.pattern.localeCompare(b.pattern));
+  }
+
+  return { listRules, screen, addRule, removeRule, report, approve, reject, queue };
+}
+
+module.exports = {
+  RULE_TYPES,
+  GIG_STATUSES,
+  REPORTS_FOR_REVIEW,
+  createModeration
+};
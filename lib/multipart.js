@@ -0,0 +1,193 @@
+/*
+ * Streaming parser for multipart/form-data request bodies.
+ *
+ * Text fields are collected in memory (they are small); file parts are
+ * handed over chunk by chunk as they arrive, so a large upload never has to
+ * fit in memory. The request is paused while a chunk is being handled,
+ * which keeps a slow disk from being flooded.
+ *
+ * Errors carry an HTTP `status`. A body over `maxBytes` closes the
+ * connection, as for JSON bodies (see lib/http.js).
+ */
+
+// Largest header block accepted for one part
+const MAX_HEADER_BYTES = 16 * 1024;
+
+function multipartError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function boundaryOf(contentType) {
+  const match = /^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  return match ? match[1] || match[2] : null;
+}
+
+// { name, filename, contentType } from the header block of a part
+function parsePartHeaders(block) {
+  const headers = {};
+  block.split('\r\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  });
+  const disposition = headers['content-disposition'] || '';
+  const name = /\bname="([^"]*)"/i.exec(disposition);
+  const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+  if (!/^form-data/i.test(disposition) || !name) {
+    throw multipartError('Malformed multipart part');
+  }
+  return {
+    name: name[1],
+    filename: filename ? filename[1] : null,
+    contentType: headers['content-type'] || null
+  };
+}
+
+// Parse the body of `req`. For each file part `onFile({ name, filename,
+// contentType })` is called and must resolve to a sink with async
+// `write(chunk)` and `end()`. Resolves to { fields } once the whole body has
+// been read and every sink has ended.
+function parseMultipart(req, { onFile, maxBytes, maxFieldBytes = 64 * 1024 }) {
+  const boundary = boundaryOf(req.headers['content-type']);
+  if (!boundary) {
+    return Promise.reject(multipartError('Expected a multipart/form-data body'));
+  }
+  if (Number(req.headers['content-length']) > maxBytes) {
+    return Promise.reject(multipartError('Upload is too large', 413));
+  }
+  // Every boundary, the first one included, is matched as CRLF--boundary
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  const fields = {};
+  let buffer = Buffer.from('\r\n');
+  let state = 'preamble';
+  let part = null;
+  let received = 0;
+
+  async function emit(data) {
+    if (data.length === 0) {
+      return;
+    }
+    if (part.sink) {
+      await part.sink.write(data);
+      return;
+    }
+    part.size += data.length;
+    if (part.size > maxFieldBytes) {
+      throw multipartError(`Field ${part.name} is too long`, 413);
+    }
+    part.chunks.push(data);
+  }
+
+  async function finishPart() {
+    if (part.sink) {
+      await part.sink.end();
+    } else {
+      fields[part.name] = Buffer.concat(part.chunks).toString('utf8');
+    }
+    part = null;
+  }
+
+  // Work through as much of the buffer as possible
+  async function consume() {
+    for (;;) {
+      if (state === 'preamble' || state === 'body') {
+        const index = buffer.indexOf(delimiter);
+        if (index === -1) {
+          // Hold back what could be the start of a delimiter
+          const keep = Math.min(buffer.length, delimiter.length - 1);
+          if (state === 'body') {
+            await emit(buffer.subarray(0, buffer.length - keep));
+          }
+          buffer = buffer.subarray(buffer.length - keep);
+          return;
+        }
+        if (state === 'body') {
+          await emit(buffer.subarray(0, index));
+          await finishPart();
+        }
+        buffer = buffer.subarray(index + delimiter.length);
+        state = 'boundary';
+      } else if (state === 'boundary') {
+        if (buffer.length < 2) {
+          return;
+        }
+        const marker = buffer.subarray(0, 2).toString();
+        if (marker === '--') {
+          state = 'done';
+          return;
+        }
+        if (marker !== '\r\n') {
+          throw multipartError('Malformed multipart body');
+        }
+        buffer = buffer.subarray(2);
+        state = 'headers';
+      } else if (state === 'headers') {
+        const index = buffer.indexOf('\r\n\r\n');
+        if (index === -1) {
+          if (buffer.length > MAX_HEADER_BYTES) {
+            throw multipartError('Multipart headers are too large');
+          }
+          return;
+        }
+        const info = parsePartHeaders(buffer.subarray(0, index).toString('utf8'));
+        buffer = buffer.subarray(index + 4);
+        part = info.filename === null
+          ? { name: info.name, chunks: [], size: 0 }
+          : { name: info.name, sink: await onFile(info) };
+        state = 'body';
+      } else {
+        // Anything after the closing boundary is ignored
+        buffer = Buffer.alloc(0);
+        return;
+      }
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    let pending = Promise.resolve();
+    let failed = false;
+    const fail = err => {
+      if (!failed) {
+        failed = true;
+        reject(err);
+      }
+    };
+    req.on('data', chunk => {
+      if (failed) {
+        // Drain the rest of the body so the error response can be read
+        return;
+      }
+      received += chunk.length;
+      if (received > maxBytes) {
+        req.connection.destroy();
+        fail(new Error('Body too large'));
+        return;
+      }
+      req.pause();
+      pending = pending
+        .then(() => {
+          buffer = Buffer.concat([buffer, chunk]);
+          return consume();
+        })
+        .then(() => req.resume(), err => {
+          fail(err);
+          req.resume();
+        });
+    });
+    req.on('end', () => {
+      pending.then(() => {
+        if (state !== 'done') {
+          fail(multipartError('Unexpected end of multipart body'));
+        } else if (!failed) {
+          resolve({ fields });
+        }
+      });
+    });
+    req.on('error', fail);
+  });
+}
+
+module.exports = { parseMultipart };
@@ -0,0 +1,205 @@
+/*
+ * Notifications about marketplace events.
+ *
+ * Handlers call `notify()` (or `orderChanged()` after moving an order
+ * along its lifecycle) and the service delivers the notification over each
+ * channel the recipient has enabled for that kind of event. The in-app
+ * channel stores it for GET /api/notifications and pushes it to the
+ * user's open pages; other channels are adapters with one method:
+ *
+ *   send(user, notification)   deliver it; resolves when done
+ *
+ * The email channel hands notifications to lib/mailer.js, which writes them
+ * to the local outbox unless a real mail transport is installed.
+ *
+ * Users override the defaults below per event and channel; their choices
+ * are kept on the user record as `notificationPreferences`.
+ */
+
+const IN_APP = 'in_app';
+
+// Kinds of events, with whether email is on by default
+const EVENTS = {
+  order_placed: { label: 'New orders on my gigs', email: true },
+  order_updated: { label: 'Progress on my orders', email: false },
+  message: { label: 'New messages', email: false },
+  dispute_opened: { label: 'Disputes opened on my orders', email: true },
+  dispute_updated: { label: 'Statements, messages and deadlines in my disputes', email: false },
+  dispute_resolved: { label: 'Disputes resolved', email: true },
+  funds_released: { label: 'Payments released to my balance', email: true },
+  gig_reviewed: { label: 'Decisions on my gigs after review', email: true }
+};
+
+// What the other party hears about when an order moves along
+const ORDER_UPDATES = {
+  start: 'The seller started work on order #{id}',
+  deliver: 'Order #{id} was delivered',
+  request_revision: 'A revision was requested on order #{id}',
+  request_cancellation: 'Cancellation of order #{id} was requested',
+  decline_cancellation: 'The cancellation request on order #{id} was declined',
+  cancel: 'Order #{id} was cancelled'
+};
+
+function createEmailChannel({ mailer, appUrl }) {
+  return {
+    async send(user, notification) {
+      await mailer.sendMail({
+        to: user.email,
+        subject: notification.title,
+        text: `Hi ${user.username},\n\n${notification.body}\n\n` +
+          (notification.link ? `${appUrl}${notification.link}\n\n` : '') +
+          'You can choose which notifications you get by email on your dashboard.\n'
+      });
+    }
+  };
+}
+
+function createNotificationService({ collection, users, events, channels = {} }) {
+  const channelNames = [IN_APP].concat(Object.keys(channels));
+
+  // The user's effective preferences: { event: { channel: boolean } }
+  function preferencesOf(user) {
+    const saved = user.notificationPreferences || {};
+    const preferences = {};
+    Object.keys(EVENTS).forEach(event => {
+      preferences[event] = {};
+      channelNames.forEach(channel => {
+        const value = saved[event] && saved[event][channel];
+        const fallback = channel === IN_APP || (channel === 'email' && EVENTS[event].email);
+        preferences[event][channel] = typeof value === 'boolean' ? value : fallback;
+      });
+    });
+    return preferences;
+  }
+
+  // Check a preferences update from a client. Returns { preferences } with
+  // the new effective preferences, or { error }.
+  function normalizePreferences(user, input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { error: 'preferences must be an object keyed by event' };
+    }
+    const preferences = preferencesOf(user);
+    for (const event of Object.keys(input)) {
+      if (!EVENTS[event]) {
+        return { error: `Unknown event: ${event}` };
+      }
+      for (const channel of Object.keys(input[event] || {})) {
+        if (!channelNames.includes(channel) || typeof input[event][channel] !== 'boolean') {
+          return { error: `${event}.${channel} must be true or false, for one of ${channelNames.join(', ')}` };
+        }
+        preferences[event][channel] = input[event][channel];
+      }
+    }
+    return { preferences };
+  }
+
+  function unreadCount(userId) {
+    return collection.filter(n => n.userId === userId && !n.readAt).length;
+  }
+
+  // Notify a user of `event`. An unread notification with the same `key`
+  // (e.g. for messages in one conversation) is updated instead of adding
+  // another one.
+  async function notify(userId, event, { title, body, link = null, key = null }) {
+    const user = users.get(userId);
+    if (!user || !EVENTS[event]) {
+      return;
+    }
+    const preferences = preferencesOf(user)[event];
+    let notification = { event, title, body, link };
+    if (preferences[IN_APP]) {
+      const existing = key && collection.find(n => n.userId === userId && n.key === key && !n.readAt);
+      if (existing) {
+        Object.assign(existing, notification, { count: existing.count + 1, createdAt: Date.now() });
+        await collection.save();
+        notification = existing;
+      } else {
+        notification = Object.assign({ id: collection.nextId(), userId, key, count: 1 }, notification,
+          { readAt: null, createdAt: Date.now() });
+        await collection.insert(notification);
+      }
+      events.publish([userId], 'notification', { notification, unreadCount: unreadCount(userId) });
+    }
+    Object.keys(channels).forEach(channel => {
+      if (preferences[channel]) {
+        channels[channel].send(user, notification).catch(err => {
+          console.error(`Error sending ${event} notification by ${channel}:`, err);
+        });
+      }
+    });
+  }
+
+  // What the parties of an order hear about its latest timeline entry:
+  // { to, event, title, body }, or null
+  function orderNotice(order, entry) {
+    const id = order.id;
+    const note = entry.note ? `: ${entry.note}` : '.';
+    const other = entry.actorId === order.buyerId ? order.sellerId : order.buyerId;
+    switch (entry.action) {
+      case 'fund':
+        return { to: [order.sellerId], event: 'order_placed', title: `New order #${id}`,
+          body: `You have a new paid order, #${id}. Start work when you are ready.` };
+      case 'expire':
+        return { to: [order.buyerId], event: 'order_updated', title: `Order #${id} expired`,
+          body: `Order #${id} expired because it was not paid in time.` };
+      case 'accept':
+        return { to: [order.sellerId], event: 'funds_released', title: `Payment released for order #${id}`,
+          body: `The buyer accepted order #${id} and its payment was released to your balance.` };
+      case 'dispute':
+        return { to: [other], event: 'dispute_opened', title: `Dispute on order #${id}`,
+          body: `A dispute was opened on order #${id}${note}` };
+      case 'release':
+      case 'split':
+      case 'refund':
+        return { to: [order.buyerId, order.sellerId], event: 'dispute_resolved', title: `Dispute resolved on order #${id}`,
+          body: `The dispute on order #${id} was resolved${note}` };
+      default:
+        return ORDER_UPDATES[entry.action]
+          ? { to: [other], event: 'order_updated', title: `Update on order #${id}`,
+            body: ORDER_UPDATES[entry.action].replace('{id}', id) + note }
+          : null;
+    }
+  }
+
+  // Notify the parties of an order about its latest timeline entry
+  async function orderChanged(order) {
+    const notice = orderNotice(order, order.timeline[order.timeline.length - 1]);
+    if (!notice) {
+      return;
+    }
+    const link = `/dashboard.html?orderId=${encodeURIComponent(order.id)}`;
+    await Promise.all(notice.to.map(userId =>
+      notify(userId, notice.event, { title: notice.title, body: notice.body, link })));
+  }
+
+  // One page of a user's notifications, newest first
+  function list(userId, { page, limit, unreadOnly }) {
+    const matches = collection
+      .filter(n => n.userId === userId && (!unreadOnly || !n.readAt))
+      .sort((a, b) => b.createdAt - a.createdAt);
+    const start = (page - 1) * limit;
+    return { notifications: matches.slice(start, start + limit), total: matches.length };
+  }
+
+  // Mark the user's notifications with the given ids (or all of them) read.
+  // Resolves to the number marked.
+  async function markRead(userId, ids) {
+    const now = Date.now();
+    const marked = collection.filter(n => n.userId === userId && !n.readAt && (ids === 'all' || ids.includes(n.id)));
+    marked.forEach(n => {
+      n.readAt = now;
+    });
+    if (marked.length > 0) {
+      await collection.save();
+    }
+    return marked.length;
+  }
+
+  return { channelNames, preferencesOf, normalizePreferences, unreadCount, notify, orderChanged, list, markRead };
+}
+
+module.exports = {
+  EVENTS,
+  createEmailChannel,
+  createNotificationService
+};
@@ -0,0 +1,233 @@
+const { snapshotPackage } = require('./packages');
+
+/*
+ * Order lifecycle.
+ *
+ * An order moves through these statuses:
+ *
+ *   awaiting_payment -> placed -> in_progress -> delivered -> completed
+ *                                      ^             |
+ *                                      |             v
+ *                                      +--- revision_requested
+ *
+ * An order is placed once the buyer's payment is confirmed by the payment
+ * gateway (see lib/payments.js); unpaid orders expire. Either party can
+ * cancel an order before the seller starts on it.
+ * Once work has started, cancelling needs both: one side requests it and
+ * the other agrees (or it is declined or withdrawn). An active order can be
+ * disputed, after which an admin settles it as completed or cancelled.
+ *
+ * Each action is allowed only from certain statuses, only for one side of
+ * the order and, where it has a guard, only when the guard passes. Every
+ * action is appended to `order.timeline`.
+ */
+
+const STATUSES = [
+  'awaiting_payment',
+  'expired',
+  'placed',
+  'in_progress',
+  'delivered',
+  'revision_requested',
+  'completed',
+  'cancelled',
+  'disputed'
+];
+
+// action -> statuses it may start from, the status it leads to (null keeps
+// the status), who may take it and an optional guard returning an error
+const TRANSITIONS = {
+  fund: { from: ['awaiting_payment'], to: 'placed', by: ['system'] },
+  expire: { from: ['awaiting_payment'], to: 'expired', by: ['system'] },
+  start: { from: ['placed'], to: 'in_progress', by: ['seller'] },
+  deliver: { from: ['in_progress', 'revision_requested'], to: 'delivered', by: ['seller'] },
+  request_revision: {
+    from: ['delivered'],
+    to: 'revision_requested',
+    by: ['buyer'],
+    guard: order => (revisionsLeft(order) > 0 ? null : 'No revisions left on this order')
+  },
+  accept: { from: ['delivered'], to: 'completed', by: ['buyer'] },
+  request_cancellation: {
+    from: ['in_progress'],
+    to: null,
+    by: ['buyer', 'seller'],
+    guard: order => (order.cancellationRequest ? 'A cancellation request is already pending' : null)
+  },
+  decline_cancellation: {
+    from: ['in_progress'],
+    to: null,
+    by: ['buyer', 'seller'],
+    guard: order => (order.cancellationRequest ? null : 'There is no cancellation request to decline')
+  },
+  cancel: {
+    from: ['awaiting_payment', 'placed', 'in_progress'],
+    to: 'cancelled',
+    by: ['buyer', 'seller'],
+    guard: (order, user) => {
+      const request = order.cancellationRequest;
+      if (order.status !== 'in_progress' || (request && request.requestedBy !== user.id)) {
+        return null;
+      }
+      return 'Once work has started, the other party has to agree to cancel';
+    }
+  },
+  dispute: { from: ['in_progress', 'delivered', 'revision_requested'], to: 'disputed', by: ['buyer', 'seller'] },
+  release: { from: ['disputed'], to: 'completed', by: ['admin'] },
+  split: { from: ['disputed'], to: 'completed', by: ['admin'] },
+  refund: { from: ['disputed'], to: 'cancelled', by: ['admin'] }
+};
+
+const MAX_NOTE_LENGTH = 2000;
+
+// Actor for transitions the platform makes by itself, such as funding an
+// order when its payment is confirmed
+const SYSTEM = { id: 'system', role: 'system' };
+
+// The side a user is on for an order: 'buyer', 'seller', 'admin', 'system'
+// or null
+function partyOf(order, user) {
+  if (!user) {
+    return null;
+  }
+  if (user === SYSTEM) {
+    return 'system';
+  }
+  if (order.buyerId === user.id) {
+    return 'buyer';
+  }
+  if (order.sellerId === user.id) {
+    return 'seller';
+  }
+  return user.role === 'admin' ? 'admin' : null;
+}
+
+// Revisions the buyer may still ask for. Orders placed before packages
+// existed include none.
+function revisionsLeft(order) {
+  const included = order.package ? order.package.revisions : 0;
+  return Math.max(0, included - (order.revisionsUsed || 0));
+}
+
+// Actions the user can take on the order right now
+function availableActions(order, user) {
+  const party = partyOf(order, user);
+  return Object.keys(TRANSITIONS).filter(action => {
+    const t = TRANSITIONS[action];
+    if (!t.by.includes(party) || !t.from.includes(order.status)) {
+      return false;
+    }
+    return !t.guard || !t.guard(order, user);
+  });
+}
+
+// Start an order's timeline. New orders wait for payment; orders from
+// before payments were collected start out placed.
+function placedEntry(order) {
+  const status = order.status === 'awaiting_payment' ? 'awaiting_payment' : 'placed';
+  return { status, action: 'place', actorId: order.buyerId, note: null, at: order.createdAt };
+}
+
+// A new order for `pkg`, waiting for payment. `gigId` is null for orders
+// from custom offers. The package and the fee breakdown (`pricing`) are
+// copied onto the order so later edits to the gig or the fee schedule
+// don't change it.
+function newOrder({ id, buyerId, sellerId, gigId, pkg, pricing, createdAt = Date.now() }) {
+  const { package: packageSnapshot, dueAt } = snapshotPackage(pkg, createdAt);
+  const order = {
+    id,
+    buyerId,
+    sellerId,
+    gigId,
+    package: packageSnapshot,
+    amount: pkg.price,
+    pricing,
+    status: 'awaiting_payment',
+    createdAt,
+    dueAt,
+    escrow: 0,
+    revisionsUsed: 0,
+    deliveredAt: null,
+    completedAt: null,
+    cancelledAt: null
+  };
+  order.timeline = [placedEntry(order)];
+  return order;
+}
+
+// Move an order along `action` on behalf of `user`, recording it on the
+// timeline with an optional note and `files` (descriptions of uploaded
+// files, see lib/uploads.js). Returns { error, status } if the move isn't
+// allowed, otherwise { entry } with the new timeline entry. The caller
+// saves the order and handles any money the transition moves.
+function transition(order, action, user, { note, files = [] } = {}) {
+  const t = TRANSITIONS[action];
+  if (!t) {
+    return { error: 'Unknown order action', status: 400 };
+  }
+  const party = partyOf(order, user);
+  if (!party) {
+    return { error: 'Not authorized for this order', status: 403 };
+  }
+  if (!t.by.includes(party)) {
+    return { error: `Only the ${t.by.join(' or ')} can ${action.replace('_', ' ')} this order`, status: 403 };
+  }
+  if (!t.from.includes(order.status)) {
+    return { error: `Cannot ${action.replace('_', ' ')} an order that is ${order.status.replace('_', ' ')}`, status: 409 };
+  }
+  const refusal = t.guard && t.guard(order, user);
+  if (refusal) {
+    return { error: refusal, status: 409 };
+  }
+  const text = note === undefined || note === null ? '' : String(note).trim();
+  if (text.length > MAX_NOTE_LENGTH) {
+    return { error: `Note must be at most ${MAX_NOTE_LENGTH} characters`, status: 400 };
+  }
+  if (action === 'deliver' && !text) {
+    return { error: 'A delivery note is required', status: 400 };
+  }
+  const now = Date.now();
+  const entry = { status: t.to || order.status, action, actorId: user.id, note: text || null, at: now };
+  if (files.length > 0) {
+    entry.files = files;
+  }
+  order.status = entry.status;
+  // Any other action settles a pending cancellation request
+  order.cancellationRequest = action === 'request_cancellation'
+    ? { requestedBy: user.id, reason: text || null, requestedAt: now }
+    : null;
+  order.timeline = (order.timeline || [placedEntry(order)]).concat(entry);
+  if (action === 'deliver') {
+    order.deliveredAt = now;
+  }
+  if (action === 'request_revision') {
+    order.revisionsUsed = (order.revisionsUsed || 0) + 1;
+  }
+  if (t.to === 'completed') {
+    order.completedAt = now;
+  }
+  if (t.to === 'cancelled' || t.to === 'expired') {
+    order.cancelledAt = now;
+  }
+  return { entry };
+}
+
+// Payload of the live `order` event for the latest change to an order
+// (see routes/events.js)
+function changeEvent(order) {
+  const entry = order.timeline[order.timeline.length - 1];
+  return { orderId: order.id, status: order.status, action: entry.action, at: entry.at };
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  SYSTEM,
+  partyOf,
+  revisionsLeft,
+  availableActions,
+  placedEntry,
+  newOrder,
+  transition,
+  changeEvent
+};
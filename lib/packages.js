@@ -0,0 +1,113 @@
+/*
+ * Gig pricing packages.
+ *
+ * A gig offers up to three tiers: basic, standard and premium. Each tier has
+ * its own price, delivery time in days, number of included revisions and a
+ * list of features. `gig.price` mirrors the cheapest tier so listings,
+ * filters and sorting keep working on a single number.
+ */
+
+const TIERS = ['basic', 'standard', 'premium'];
+const MAX_FEATURES = 10;
+const MAX_DELIVERY_DAYS = 365;
+const MAX_REVISIONS = 20;
+
+// Delivery time assumed for gigs created with a single price
+const DEFAULT_DELIVERY_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tierName(tier) {
+  return tier.charAt(0).toUpperCase() + tier.slice(1);
+}
+
+// Validate package input from a seller. Returns { packages } on success or
+// { error } describing the first problem found.
+function normalizePackages(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'At least one package is required' };
+  }
+  if (input.length > TIERS.length) {
+    return { error: `A gig can have at most ${TIERS.length} packages` };
+  }
+  const packages = [];
+  for (const raw of input) {
+    const tier = raw && raw.tier;
+    if (!TIERS.includes(tier)) {
+      return { error: `Package tier must be one of ${TIERS.join(', ')}` };
+    }
+    if (packages.some(p => p.id === tier)) {
+      return { error: `Duplicate ${tier} package` };
+    }
+    const price = Number(raw.price);
+    if (!Number.isFinite(price) || price <= 0) {
+      return { error: `${tierName(tier)} package needs a price above zero` };
+    }
+    const deliveryDays = Number(raw.deliveryDays);
+    if (!Number.isInteger(deliveryDays) || deliveryDays < 1 || deliveryDays > MAX_DELIVERY_DAYS) {
+      return { error: `${tierName(tier)} package needs a delivery time of 1 to ${MAX_DELIVERY_DAYS} days` };
+    }
+    const revisions = raw.revisions === undefined || raw.revisions === '' ? 0 : Number(raw.revisions);
+    if (!Number.isInteger(revisions) || revisions < 0 || revisions > MAX_REVISIONS) {
+      return { error: `${tierName(tier)} package revisions must be 0 to ${MAX_REVISIONS}` };
+    }
+    const features = (Array.isArray(raw.features) ? raw.features : String(raw.features || '').split('\n'))
+      .map(f => String(f).trim())
+      .filter(Boolean);
+    if (features.length > MAX_FEATURES) {
+      return { error: `${tierName(tier)} package can list at most ${MAX_FEATURES} features` };
+    }
+    packages.push({
+      id: tier,
+      name: raw.name ? String(raw.name).trim() : tierName(tier),
+      price: Math.round(price * 100) / 100,
+      deliveryDays,
+      revisions,
+      features
+    });
+  }
+  packages.sort((a, b) => TIERS.indexOf(a.id) - TIERS.indexOf(b.id));
+  return { packages };
+}
+
+// Package input for a gig that only gives a single price
+function singlePricePackage(price, deliveryDays) {
+  return { tier: 'basic', price, deliveryDays: deliveryDays || DEFAULT_DELIVERY_DAYS, revisions: 0, features: [] };
+}
+
+// Lowest package price, stored as gig.price
+function startingPrice(packages) {
+  return Math.min.apply(null, packages.map(p => p.price));
+}
+
+// The package a buyer picked, or the gig's first one when none is given
+function findPackage(gig, packageId) {
+  const packages = gig.packages || [];
+  return (packageId ? packages.find(p => p.id === packageId) : packages[0]) || null;
+}
+
+// Copy of a package to store on an order, with the due date it implies
+function snapshotPackage(pkg, orderedAt) {
+  return {
+    package: {
+      id: pkg.id,
+      name: pkg.name,
+      price: pkg.price,
+      deliveryDays: pkg.deliveryDays,
+      revisions: pkg.revisions,
+      features: pkg.features.slice()
+    },
+    dueAt: orderedAt + pkg.deliveryDays * DAY_MS
+  };
+}
+
+module.exports = {
+  TIERS,
+  MAX_DELIVERY_DAYS,
+  MAX_REVISIONS,
+  normalizePackages,
+  singlePricePackage,
+  startingPrice,
+  findPackage,
+  snapshotPackage
+};
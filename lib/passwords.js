@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const util = require('util');
+
+/*
+ * Password hashing helpers.
+ *
+ * Passwords are hashed with scrypt and a random per-user salt. The stored
+ * string records the cost parameters so they can be raised later without
+ * breaking existing hashes:
+ *
+ *   scrypt$<N>$<r>$<p>$<salt hex>$<hash hex>
+ */
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const COST = { N: 16384, r: 8, p: 1 };
+
+function format(salt, hash) {
+  return ['scrypt', COST.N, COST.r, COST.p, salt.toString('hex'), hash.toString('hex')].join('$');
+}
+
+function parse(stored) {
+  const parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return null;
+  }
+  return {
+    N: parseInt(parts[1], 10),
+    r: parseInt(parts[2], 10),
+    p: parseInt(parts[3], 10),
+    salt: Buffer.from(parts[4], 'hex'),
+    hash: Buffer.from(parts[5], 'hex')
+  };
+}
+
+// Hash a plaintext password for storage
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(String(password), salt, KEY_LENGTH, COST);
+  return format(salt, hash);
+}
+
+// Synchronous variant used while migrating records at startup
+function hashPasswordSync(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH, COST);
+  return format(salt, hash);
+}
+
+// Check a plaintext password against a stored hash in constant time.
+// A missing or malformed hash is still run through scrypt so that unknown
+// accounts take as long to reject as known ones.
+async function verifyPassword(password, stored) {
+  const parsed = parse(stored);
+  const params = parsed || { N: COST.N, r: COST.r, p: COST.p, salt: crypto.randomBytes(SALT_BYTES), hash: Buffer.alloc(KEY_LENGTH) };
+  const hash = await scrypt(String(password), params.salt, params.hash.length, { N: params.N, r: params.r, p: params.p });
+  return Boolean(parsed) && crypto.timingSafeEqual(hash, params.hash);
+}
+
+// True if the value is already in our hash format
+function isPasswordHash(value) {
+  return parse(value) !== null;
+}
+
+// Replace the plaintext `password` of a user record from before hashing
+// with a `passwordHash`. The old hard-coded admin/admin account is also
+// forced to pick a new password. Returns false if there was nothing to do.
+function upgradeLegacyPassword(user) {
+  if (typeof user.password !== 'string') {
+    return false;
+  }
+  if (user.role === 'admin' && user.password === 'admin') {
+    user.mustChangePassword = true;
+  }
+  user.passwordHash = isPasswordHash(user.password) ? user.password : hashPasswordSync(user.password);
+  delete user.password;
+  return true;
+}
+
+module.exports = {
+  hashPassword,
+  hashPasswordSync,
+  verifyPassword,
+  isPasswordHash,
+  upgradeLegacyPassword
+};
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { EXTERNAL_FUNDING, userAccount } = require('./ledger');
+const { SYSTEM, transition } = require('./orders');
+const { pricingOf } = require('./escrow');
+
+/*
+ * Collecting payment for orders through a payment gateway.
+ *
+ * A new order waits for payment. The buyer starts a payment intent for it
+ * with a method: 'card' (the buyer is sent to the gateway's checkout page)
+ * or 'mobile_money' (the gateway pushes a prompt to the buyer's phone, as
+ * with an STK push). The gateway then reports the outcome to our webhook,
+ * and only a confirmed payment funds the order's escrow. Unpaid orders
+ * expire after a while.
+ *
+ * Gateways are adapters with two methods:
+ *
+ *   createIntent(payment)          start collecting `payment.amount`;
+ *                                  resolves to { reference, action }
+ *   parseWebhook(rawBody, headers) verify a callback and return its event
+ *                                  { id, type, reference, reason }, or null
+ *                                  if the signature doesn't check out
+ *
+ * `action` tells the client what to do next: { type: 'redirect', url } or
+ * { type: 'stk_push', message }. Event types are 'payment.succeeded' and
+ * 'payment.failed'. Gateways may deliver an event more than once, so each
+ * event id is only handled the first time it arrives.
+ */
+
+const METHODS = ['card', 'mobile_money'];
+
+// Webhook signatures older than this are refused, so captured callbacks
+// can't be replayed later
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// `t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>">`
+function signPayload(secret, body, timestamp = Date.now()) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+function verifySignature(secret, body, header) {
+  const parts = {};
+  String(header || '').split(',').forEach(part => {
+    const [key, value] = part.split('=');
+    parts[key] = value;
+  });
+  const timestamp = Number(parts.t);
+  if (!Number.isFinite(timestamp) || !parts.v1 || Math.abs(Date.now() - timestamp) > SIGNATURE_TOLERANCE_MS) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Gateway for development and tests. Nothing is charged: the checkout page
+// (mock-checkout.html) stands in for both the card form and the phone
+// prompt, and `simulate()` sends the signed webhook a real gateway would.
+function createMockGateway({ secret, appUrl }) {
+  const SIGNATURE_HEADER = 'x-mock-signature';
+
+  async function createIntent(payment) {
+    const reference = `mock_${crypto.randomBytes(8).toString('hex')}`;
+    const url = `${appUrl}/mock-checkout.html?reference=${reference}`;
+    if (payment.method === 'mobile_money') {
+      return {
+        reference,
+        action: { type: 'stk_push', message: `A payment prompt was sent to ${payment.phone}.`, url }
+      };
+    }
+    return { reference, action: { type: 'redirect', url } };
+  }
+
+  function parseWebhook(rawBody, headers) {
+    if (!verifySignature(secret, rawBody, headers[SIGNATURE_HEADER])) {
+      return null;
+    }
+    try {
+      return JSON.parse(rawBody);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Report the outcome of a payment to our webhook, like a real gateway
+  function simulate(reference, outcome) {
+    const event = {
+      id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      type: outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+      reference,
+      reason: outcome === 'succeeded' ? null : 'Declined by the payer'
+    };
+    const body = JSON.stringify(event);
+    const url = new URL('/api/payments/webhook', appUrl);
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          [SIGNATURE_HEADER]: signPayload(secret, body)
+        }
+      }, res => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  return { name: 'mock', createIntent, parseWebhook, simulate };
+}
+
+// `onOrderChange(order)` is called for every order a payment funds or that
+// expires unpaid, once it has been saved.
+function createPaymentService({
+  payments, paymentEvents, orders, users, ledger, escrow, gateway, timeoutMs, onOrderChange = () => {}
+}) {
+  // Start collecting payment for an order awaiting it. Any earlier pending
+  // attempt is superseded. Resolves to { payment, action }.
+  async function start(order, { method, phone }) {
+    payments
+      .filter(p => p.orderId === order.id && p.status === 'pending')
+      .forEach(p => {
+        p.status = 'superseded';
+      });
+    const payment = {
+      id: payments.nextId(),
+      orderId: order.id,
+      buyerId: order.buyerId,
+      amount: pricingOf(order).total,
+      method,
+      phone: phone || null,
+      gateway: gateway.name,
+      reference: null,
+      status: 'pending',
+      failureReason: null,
+      createdAt: Date.now(),
+      settledAt: null
+    };
+    const { reference, action } = await gateway.createIntent(payment);
+    payment.reference = reference;
+    await payments.insert(payment);
+    return { payment, action };
+  }
+
+  // Apply a confirmed payment. If the order can no longer be funded (it
+  // expired or was cancelled meanwhile) the money goes to the buyer's
+  // balance instead of being lost.
+  async function fund(payment) {
+    const order = orders.get(payment.orderId);
+    if (order && order.status === 'awaiting_payment') {
+      transition(order, 'fund', SYSTEM, { note: `Paid by ${payment.method.replace('_', ' ')}` });
+      order.paymentId = payment.id;
+      await escrow.hold(order);
+      await orders.save();
+      onOrderChange(order);
+      return;
+    }
+    await ledger.transfer('funding', EXTERNAL_FUNDING, userAccount(payment.buyerId), payment.amount,
+      { orderId: payment.orderId, memo: 'Payment received after the order was closed' });
+    escrow.syncWallet(payment.buyerId);
+    await users.save();
+  }
+
+  // Handle a verified gateway event. Resolves to false for an event that
+  // was already handled.
+  async function handleEvent(event) {
+    if (paymentEvents.find(e => e.eventId === event.id)) {
+      return false;
+    }
+    await paymentEvents.insert({
+      id: paymentEvents.nextId(),
+      eventId: event.id,
+      type: event.type,
+      reference: event.reference,
+      receivedAt: Date.now()
+    });
+    const payment = payments.find(p => p.reference === event.reference);
+    if (!payment || payment.status === 'succeeded' || payment.status === 'failed') {
+      return true;
+    }
+    if (event.type === 'payment.succeeded') {
+      payment.status = 'succeeded';
+      payment.settledAt = Date.now();
+      await fund(payment);
+    } else if (event.type === 'payment.failed') {
+      payment.status = 'failed';
+      payment.failureReason = event.reason || 'Payment failed';
+      payment.settledAt = Date.now();
+    }
+    await payments.save();
+    return true;
+  }
+
+  // Expire orders that have waited for payment longer than `timeoutMs`,
+  // with their pending payments. Resolves to the number expired.
+  async function expireUnpaid() {
+    const cutoff = Date.now() - timeoutMs;
+    const stale = orders.filter(o => o.status === 'awaiting_payment' && o.createdAt < cutoff);
+    stale.forEach(order => {
+      transition(order, 'expire', SYSTEM, { note: 'Not paid in time' });
+      payments
+        .filter(p => p.orderId === order.id && p.status === 'pending')
+        .forEach(p => {
+          p.status = 'expired';
+        });
+    });
+    if (stale.length > 0) {
+      await Promise.all([orders.save(), payments.save()]);
+      stale.forEach(onOrderChange);
+    }
+    return stale.length;
+  }
+
+  return { start, handleEvent, expireUnpaid };
+}
+
+module.exports = {
+  METHODS,
+  signPayload,
+  verifySignature,
+  createMockGateway,
+  createPaymentService
+};
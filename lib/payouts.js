@@ -0,0 +1,192 @@
+const { userAccount, EXTERNAL_PAYOUTS } = require('./ledger');
+
+/*
+ * Withdrawals and payout providers.
+ *
+ * A user asks to withdraw part of their balance to a bank account, a
+ * mobile money number or a PayPal address. The amount is moved out of
+ * their balance into a hold account for the withdrawal right away, so it
+ * can't be spent twice while an admin reviews the request.
+ *
+ * An approved withdrawal is handed to the payout provider configured for
+ * its method. Providers are adapters with two methods:
+ *
+ *   send(withdrawal)   start a payout
+ *   check(withdrawal)  ask about a payout that was still pending
+ *
+ * Both resolve to { status: 'paid' | 'pending' | 'failed', reference, reason }.
+ * A paid withdrawal leaves the platform; a rejected, cancelled or failed one
+ * goes back to the user's balance.
+ *
+ * Withdrawal statuses: requested -> sending -> processing -> paid | failed,
+ * or requested -> rejected | cancelled. 'sending' lasts while the provider
+ * is being asked to pay; a payout it pays or refuses right away skips
+ * 'processing'. Only 'processing' payouts are polled, so the poller can't
+ * settle one that its approval is still settling.
+ */
+
+const METHODS = ['bank_transfer', 'mobile_money', 'paypal'];
+
+function holdAccount(withdrawalId) {
+  return `withdrawal:${withdrawalId}`;
+}
+
+// Provider for development and testing. `mode` decides what every payout
+// does: 'succeed', 'fail', or 'pending', in which case the payout is paid
+// once `pendingMs` has passed.
+function createSimulatedProvider({ mode = 'succeed', pendingMs = 60 * 1000 } = {}) {
+  async function send(withdrawal) {
+    const reference = `sim_${withdrawal.id}_${Date.now()}`;
+    if (mode === 'fail') {
+      return { status: 'failed', reference, reason: 'Simulated payout failure' };
+    }
+    if (mode === 'pending') {
+      return { status: 'pending', reference };
+    }
+    return { status: 'paid', reference };
+  }
+
+  async function check(withdrawal) {
+    if (Date.now() - withdrawal.sentAt >= pendingMs) {
+      return { status: 'paid', reference: withdrawal.providerReference };
+    }
+    return { status: 'pending', reference: withdrawal.providerReference };
+  }
+
+  return { name: 'simulated', send, check };
+}
+
+// `providers` maps each withdrawal method to a provider adapter
+function createPayoutService({ withdrawals, users, ledger, escrow, providers }) {
+  // Move a new withdrawal's amount out of the user's balance and store it
+  async function request(user, { amount, method, destination }) {
+    const withdrawal = {
+      id: withdrawals.nextId(),
+      userId: user.id,
+      amount,
+      method,
+      destination,
+      status: 'requested',
+      provider: null,
+      providerReference: null,
+      failureReason: null,
+      createdAt: Date.now(),
+      reviewedAt: null,
+      reviewedBy: null,
+      sentAt: null,
+      completedAt: null
+    };
+    await ledger.transfer('withdrawal_hold', userAccount(user.id), holdAccount(withdrawal.id), amount,
+      { memo: `Withdrawal ${withdrawal.id}` });
+    escrow.syncWallet(user.id);
+    await users.save();
+    await withdrawals.insert(withdrawal);
+    return withdrawal;
+  }
+
+  // Give the held amount back to the user
+  async function returnFunds(withdrawal) {
+    await ledger.transfer('withdrawal_return', holdAccount(withdrawal.id), userAccount(withdrawal.userId),
+      withdrawal.amount, { memo: `Withdrawal ${withdrawal.id}` });
+    escrow.syncWallet(withdrawal.userId);
+    await users.save();
+  }
+
+  // Record what the provider said about a payout
+  async function applyResult(withdrawal, result) {
+    withdrawal.providerReference = result.reference || withdrawal.providerReference;
+    if (result.status === 'paid') {
+      await ledger.transfer('payout', holdAccount(withdrawal.id), EXTERNAL_PAYOUTS, withdrawal.amount,
+        { memo: `Withdrawal ${withdrawal.id}` });
+      withdrawal.status = 'paid';
+      withdrawal.completedAt = Date.now();
+    } else if (result.status === 'failed') {
+      await returnFunds(withdrawal);
+      withdrawal.status = 'failed';
+      withdrawal.failureReason = result.reason || 'Payout failed';
+      withdrawal.completedAt = Date.now();
+    }
+  }
+
+  // Approve a requested withdrawal and send it to its provider
+  async function approve(withdrawal, admin) {
+    const provider = providers[withdrawal.method];
+    withdrawal.status = 'sending';
+    withdrawal.reviewedAt = Date.now();
+    withdrawal.reviewedBy = admin.id;
+    withdrawal.provider = provider.name;
+    withdrawal.sentAt = Date.now();
+    let result;
+    try {
+      result = await provider.send(withdrawal);
+    } catch (err) {
+      result = { status: 'failed', reason: err.message };
+    }
+    await applyResult(withdrawal, result);
+    if (withdrawal.status === 'sending') {
+      // Taken by the provider, to be paid later
+      withdrawal.status = 'processing';
+    }
+    await withdrawals.save();
+    return withdrawal;
+  }
+
+  // End a requested withdrawal without paying it: 'rejected' by an admin
+  // or 'cancelled' by the user. The status changes before the first await,
+  // so a second decline of the same request sees it is no longer 'requested'.
+  async function decline(withdrawal, status, actor, reason) {
+    const previous = {
+      status: withdrawal.status,
+      failureReason: withdrawal.failureReason,
+      reviewedAt: withdrawal.reviewedAt,
+      reviewedBy: withdrawal.reviewedBy,
+      completedAt: withdrawal.completedAt
+    };
+    withdrawal.status = status;
+    withdrawal.failureReason = reason || null;
+    withdrawal.reviewedAt = Date.now();
+    withdrawal.reviewedBy = actor.id;
+    withdrawal.completedAt = Date.now();
+    try {
+      await returnFunds(withdrawal);
+    } catch (err) {
+      Object.assign(withdrawal, previous);
+      throw err;
+    }
+    await withdrawals.save();
+    return withdrawal;
+  }
+
+  // Ask providers about payouts still pending; resolves to how many settled
+  async function pollPending() {
+    const pending = withdrawals.filter(w => w.status === 'processing');
+    let settled = 0;
+    for (const withdrawal of pending) {
+      const provider = providers[withdrawal.method];
+      let result;
+      try {
+        result = await provider.check(withdrawal);
+      } catch (err) {
+        console.error(`Error checking payout for withdrawal ${withdrawal.id}:`, err);
+        continue;
+      }
+      await applyResult(withdrawal, result);
+      if (withdrawal.status !== 'processing') {
+        settled++;
+      }
+    }
+    if (settled > 0) {
+      await withdrawals.save();
+    }
+    return settled;
+  }
+
+  return { request, approve, decline, pollPending };
+}
+
+module.exports = {
+  METHODS,
+  holdAccount,
+  createSimulatedProvider,
+  createPayoutService
+};
@@ -0,0 +1,139 @@
+/*
+ * Rate limiting and login lockout.
+ *
+ * Limiters are token buckets: each key (a client address, an account) may
+ * make `limit` requests in a burst, and regains them gradually over
+ * `windowMs`. The login lockout counts failed logins per account; from
+ * `threshold` failures on, the account is locked for `baseMs`, doubling
+ * with every further failure up to `maxMs`. Failures are forgotten after
+ * `resetAfterMs` without another one, or on a successful login. Every
+ * attempt counts as a failure until its password has been checked.
+ *
+ * State lives in a store with three async methods:
+ *
+ *   get(key)                  the value, or null
+ *   update(key, fn, ttlMs)    replace the value with fn(value or null) and
+ *                             keep it for ttlMs; resolves to the new value
+ *   delete(key)
+ *
+ * update() must be atomic, so concurrent requests can't both spend the
+ * last request of a bucket. createMemoryStore keeps the state in this
+ * process; a store shared between several servers has to offer the same
+ * methods, doing update() in one transaction.
+ */
+
+// Keeps entries in a Map until their time to live has passed. Expired
+// entries are dropped when read, or by prune().
+function createMemoryStore() {
+  const entries = new Map();
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async function get(key) {
+    return read(key);
+  }
+
+  // Reading and writing happen without awaiting in between, which makes
+  // the update atomic within this process
+  async function update(key, fn, ttlMs) {
+    const value = fn(read(key));
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  }
+
+  async function remove(key) {
+    entries.delete(key);
+  }
+
+  // Drop expired entries; returns the number dropped
+  function prune() {
+    const now = Date.now();
+    let dropped = 0;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  return { get, update, delete: remove, prune };
+}
+
+// A token bucket per key. `name` keeps the keys of different limiters
+// apart in a shared store.
+function createRateLimiter({ store, name, limit, windowMs }) {
+  const refillPerMs = limit / windowMs;
+
+  // Take one request from the bucket of `key`. Resolves to { allowed }, or
+  // { allowed: false, retryAfterMs } once the bucket is empty.
+  async function consume(key) {
+    // A bucket left alone for a whole window is full again, so it can go
+    const bucket = await store.update(`rate:${name}:${key}`, current => {
+      const now = Date.now();
+      const previous = current || { tokens: limit, updatedAt: now };
+      const tokens = Math.min(limit, previous.tokens + (now - previous.updatedAt) * refillPerMs);
+      // `taken` records whether this request got a token
+      return tokens >= 1
+        ? { tokens: tokens - 1, updatedAt: now, taken: true }
+        : { tokens, updatedAt: now, taken: false };
+    }, windowMs);
+    if (!bucket.taken) {
+      return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+    }
+    return { allowed: true };
+  }
+
+  return { consume };
+}
+
+function createLoginLockout({ store, threshold, baseMs, maxMs, resetAfterMs }) {
+  const storeKey = key => `lockout:${key}`;
+
+  // Count a login attempt as a failure before its password is checked, so
+  // parallel guesses can't all get in ahead of the first recorded failure;
+  // a successful login takes it back with clear(). Resolves to
+  // { locked: false }, or { locked: true, retryAfterMs } while the account
+  // is locked, in which case the attempt isn't counted.
+  async function attempt(key) {
+    // The state is kept for at least as long as any lock, which is at most
+    // maxMs. `counted` records whether this attempt may go ahead.
+    const state = await store.update(storeKey(key), current => {
+      const now = Date.now();
+      if (current && current.lockedUntil > now) {
+        return Object.assign({}, current, { counted: false });
+      }
+      const failures = (current ? current.failures : 0) + 1;
+      const lockMs = failures >= threshold ? Math.min(maxMs, baseMs * 2 ** (failures - threshold)) : 0;
+      return { failures, lockedUntil: now + lockMs, lockMs, counted: true };
+    }, Math.max(resetAfterMs, maxMs));
+    if (!state.counted) {
+      return { locked: true, retryAfterMs: state.lockedUntil - Date.now() };
+    }
+    return { locked: false };
+  }
+
+  // Forget the failures of an account after a successful login or reset
+  async function clear(key) {
+    await store.delete(storeKey(key));
+  }
+
+  return { attempt, clear };
+}
+
+module.exports = {
+  createMemoryStore,
+  createRateLimiter,
+  createLoginLockout
+};
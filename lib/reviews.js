@@ -0,0 +1,93 @@
+/*
+ * Review publishing and rating aggregates.
+ *
+ * Once an order is completed its buyer and seller may each review the
+ * other. Reviews stay hidden until both have been submitted or the review
+ * window has passed, so neither side can retaliate against the other's
+ * review. Published buyer reviews count towards the gig's and the seller's
+ * rating; published seller reviews count towards the buyer's rating. The
+ * aggregates are stored as `rating: { average, count }` on gigs and users.
+ */
+
+function createReviewService({ reviews, orders, gigs, users, windowMs }) {
+  function windowClosed(order, now = Date.now()) {
+    return Boolean(order.completedAt) && now > order.completedAt + windowMs;
+  }
+
+  function summarize(list) {
+    if (list.length === 0) {
+      return { average: 0, count: 0 };
+    }
+    const total = list.reduce((sum, r) => sum + r.rating, 0);
+    return { average: Math.round((total / list.length) * 10) / 10, count: list.length };
+  }
+
+  // Recompute the stored ratings of a gig and a user from published reviews
+  function refreshRatings({ gigId, userId }) {
+    if (gigId) {
+      const gig = gigs.get(gigId);
+      if (gig) {
+        gig.rating = summarize(reviews.filter(r => r.publishedAt && r.gigId === gigId && r.authorRole === 'buyer'));
+      }
+    }
+    if (userId) {
+      const user = users.get(userId);
+      if (user) {
+        user.rating = summarize(reviews.filter(r => r.publishedAt && r.subjectId === userId));
+      }
+    }
+  }
+
+  async function publish(list) {
+    const now = Date.now();
+    list.forEach(r => {
+      r.publishedAt = now;
+    });
+    list.forEach(r => refreshRatings({ gigId: r.authorRole === 'buyer' ? r.gigId : null, userId: r.subjectId }));
+    await Promise.all([reviews.save(), gigs.save(), users.save()]);
+  }
+
+  // Store a review by one party of a completed order. It is published
+  // together with the other party's review, if that is already in.
+  async function submit(order, author, { rating, comment }) {
+    const authorRole = author.id === order.buyerId ? 'buyer' : 'seller';
+    const review = {
+      id: reviews.nextId(),
+      orderId: order.id,
+      gigId: order.gigId || null,
+      authorId: author.id,
+      authorRole,
+      subjectId: authorRole === 'buyer' ? order.sellerId : order.buyerId,
+      rating,
+      comment: comment || '',
+      createdAt: Date.now(),
+      publishedAt: null
+    };
+    await reviews.insert(review);
+    const pair = reviews.filter(r => r.orderId === order.id);
+    if (pair.length === 2) {
+      await publish(pair);
+    }
+    return review;
+  }
+
+  // Publish reviews whose order's review window has closed
+  async function publishDue() {
+    const now = Date.now();
+    const due = reviews.filter(r => {
+      if (r.publishedAt) {
+        return false;
+      }
+      const order = orders.get(r.orderId);
+      return !order || windowClosed(order, now);
+    });
+    if (due.length > 0) {
+      await publish(due);
+    }
+    return due.length;
+  }
+
+  return { windowClosed, submit, publishDue, summarize };
+}
+
+module.exports = { createReviewService };
@@ -0,0 +1,101 @@
+const { sendJson } = require('./http');
+
+/*
+ * Minimal request router.
+ *
+ * Routes are registered with a method, a path pattern and one or more
+ * handlers. Patterns may contain named parameters (`/api/gigs/:id`), which
+ * are decoded into `ctx.params`. Every handler receives the request context
+ * and a `next` function; middleware calls `await next()` to continue and
+ * simply returns (after sending a response) to stop the chain.
+ *
+ * The context passed to `handle()` must carry `req`, `res`, `method` and
+ * `pathname`. A path that exists for other methods only gets a 405 with an
+ * `Allow` header.
+ */
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Turn `/api/gigs/:id` into a regular expression and its parameter names
+function compile(pattern) {
+  const keys = [];
+  const source = pattern.split('/').map(segment => {
+    if (segment.startsWith(':')) {
+      keys.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return escapeRegExp(segment);
+  }).join('/');
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+// Call handlers in order, giving each a `next` that runs the rest
+function run(handlers, ctx) {
+  const dispatch = index => {
+    const handler = handlers[index];
+    if (!handler) {
+      return Promise.resolve();
+    }
+    return Promise.resolve(handler(ctx, () => dispatch(index + 1)));
+  };
+  return dispatch(0);
+}
+
+function createRouter() {
+  const routes = [];
+  const middleware = [];
+
+  function add(method, pattern, handlers) {
+    if (handlers.length === 0) {
+      throw new Error(`Route ${method} ${pattern} has no handler`);
+    }
+    routes.push(Object.assign({ method, pattern, handlers }, compile(pattern)));
+  }
+
+  // Dispatch a request. Resolves to false if no route matches the path.
+  async function handle(ctx) {
+    const matches = [];
+    routes.forEach(route => {
+      const match = route.regex.exec(ctx.pathname);
+      if (match) {
+        matches.push({ route, match });
+      }
+    });
+    if (matches.length === 0) {
+      return false;
+    }
+    const found = matches.find(m => m.route.method === ctx.method);
+    if (!found) {
+      const allowed = Array.from(new Set(matches.map(m => m.route.method)));
+      ctx.res.setHeader('Allow', allowed.concat('OPTIONS').join(', '));
+      sendJson(ctx.res, 405, { error: 'Method not allowed' });
+      return true;
+    }
+    ctx.params = {};
+    try {
+      found.route.keys.forEach((key, i) => {
+        ctx.params[key] = decodeURIComponent(found.match[i + 1]);
+      });
+    } catch (err) {
+      // Malformed percent-encoding in a path parameter
+      sendJson(ctx.res, 400, { error: 'Bad request' });
+      return true;
+    }
+    await run(middleware.concat(found.route.handlers), ctx);
+    return true;
+  }
+
+  return {
+    // Middleware run before the handlers of every matched route
+    use: fn => {
+      middleware.push(fn);
+    },
+    get: (pattern, ...handlers) => add('GET', pattern, handlers),
+    post: (pattern, ...handlers) => add('POST', pattern, handlers),
+    handle
+  };
+}
+
+module.exports = { createRouter };
@@ -0,0 +1,98 @@
+/*
+ * In-memory full-text index over gig titles and descriptions.
+ *
+ * Text is lower-cased and split into words. Each word maps to the gigs that
+ * contain it, with a weight: title words count more than description words.
+ * A query matches a gig when every query word is a prefix of some word in
+ * the gig, and the summed weights give a relevance score.
+ *
+ * The index is kept in step with the gigs collection by calling `add()`
+ * whenever a gig is created or edited and `remove()` when it is deleted.
+ */
+
+const TITLE_WEIGHT = 3;
+const DESCRIPTION_WEIGHT = 1;
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function createGigIndex() {
+  // word -> Map(gigId -> weight)
+  const postings = new Map();
+  // gigId -> words indexed for it, so a gig can be removed cleanly
+  const wordsByGig = new Map();
+
+  function remove(gigId) {
+    const words = wordsByGig.get(gigId);
+    if (!words) {
+      return;
+    }
+    words.forEach(word => {
+      const entries = postings.get(word);
+      entries.delete(gigId);
+      if (entries.size === 0) {
+        postings.delete(word);
+      }
+    });
+    wordsByGig.delete(gigId);
+  }
+
+  // Index a gig, replacing whatever was indexed for it before
+  function add(gig) {
+    remove(gig.id);
+    const weights = new Map();
+    tokenize(gig.title).forEach(word => {
+      weights.set(word, (weights.get(word) || 0) + TITLE_WEIGHT);
+    });
+    tokenize(gig.description).forEach(word => {
+      weights.set(word, (weights.get(word) || 0) + DESCRIPTION_WEIGHT);
+    });
+    weights.forEach((weight, word) => {
+      if (!postings.has(word)) {
+        postings.set(word, new Map());
+      }
+      postings.get(word).set(gig.id, weight);
+    });
+    wordsByGig.set(gig.id, Array.from(weights.keys()));
+  }
+
+  // Score gigs matching every word of the query. Returns a Map of
+  // gigId -> score, or null when the query has no words.
+  function search(query) {
+    const terms = tokenize(query);
+    if (terms.length === 0) {
+      return null;
+    }
+    let scores = null;
+    terms.forEach(term => {
+      const termScores = new Map();
+      postings.forEach((entries, word) => {
+        if (word.startsWith(term)) {
+          entries.forEach((weight, gigId) => {
+            termScores.set(gigId, (termScores.get(gigId) || 0) + weight);
+          });
+        }
+      });
+      if (scores === null) {
+        scores = termScores;
+        return;
+      }
+      const combined = new Map();
+      scores.forEach((score, gigId) => {
+        if (termScores.has(gigId)) {
+          combined.set(gigId, score + termScores.get(gigId));
+        }
+      });
+      scores = combined;
+    });
+    return scores;
+  }
+
+  return { add, remove, search };
+}
+
+module.exports = { createGigIndex, tokenize };
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+/*
+ * Persistent login sessions, kept in a store collection.
+ *
+ * Each login creates a session identified by a random bearer token. Only a
+ * SHA-256 hash of the token is kept, so the sessions file can't be replayed
+ * if it leaks. A session ends when it has been idle for `idleTimeoutMs`, when
+ * it is older than `absoluteTimeoutMs`, or when it is revoked.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only rewrite the file for a last-seen update once per minute per session
+const TOUCH_PERSIST_INTERVAL_MS = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createSessionStore({ collection, idleTimeoutMs = 7 * DAY_MS, absoluteTimeoutMs = 30 * DAY_MS }) {
+  function isExpired(session, now) {
+    return now - session.lastSeenAt > idleTimeoutMs || now - session.createdAt > absoluteTimeoutMs;
+  }
+
+  // Remove expired sessions; resolves to the number dropped
+  async function prune() {
+    const now = Date.now();
+    const removed = await collection.removeWhere(s => isExpired(s, now));
+    return removed.length;
+  }
+
+  // Start a session for a user. `meta` carries the device (user agent) and IP.
+  async function create(userId, meta = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const session = {
+      id: crypto.randomBytes(8).toString('hex'),
+      tokenHash: hashToken(token),
+      userId,
+      device: meta.device || 'Unknown device',
+      ip: meta.ip || null,
+      createdAt: now,
+      lastSeenAt: now
+    };
+    await collection.insert(session);
+    return { token, session };
+  }
+
+  // Look up the live session for a token and record activity on it.
+  // Returns null for unknown, revoked or expired tokens.
+  function resolve(token) {
+    if (!token) {
+      return null;
+    }
+    const tokenHash = hashToken(token);
+    const session = collection.find(s => s.tokenHash === tokenHash);
+    if (!session) {
+      return null;
+    }
+    const now = Date.now();
+    if (isExpired(session, now)) {
+      logSaveError(collection.removeWhere(s => s === session));
+      return null;
+    }
+    const persist = now - session.lastSeenAt > TOUCH_PERSIST_INTERVAL_MS;
+    session.lastSeenAt = now;
+    if (persist) {
+      logSaveError(collection.save());
+    }
+    return session;
+  }
+
+  function logSaveError(promise) {
+    promise.catch(err => {
+      console.error('Error saving sessions:', err);
+    });
+  }
+
+  // Revoke the session belonging to a token; resolves to true if it existed
+  async function revokeToken(token) {
+    const tokenHash = hashToken(token);
+    const removed = await collection.removeWhere(s => s.tokenHash === tokenHash);
+    return removed.length > 0;
+  }
+
+  // Revoke one of a user's sessions by its public id
+  async function revokeSession(userId, sessionId) {
+    const removed = await collection.removeWhere(s => s.userId === userId && s.id === sessionId);
+    return removed.length > 0;
+  }
+
+  // Revoke every session of a user, optionally keeping one (by session id).
+  // Resolves to the number of sessions revoked.
+  async function revokeUser(userId, exceptSessionId) {
+    const removed = await collection.removeWhere(s => s.userId === userId && s.id !== exceptSessionId);
+    return removed.length;
+  }
+
+  // Live sessions of a user, most recently used first
+  function listForUser(userId) {
+    const now = Date.now();
+    return collection
+      .filter(s => s.userId === userId && !isExpired(s, now))
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+  }
+
+  return {
+    create,
+    resolve,
+    revokeToken,
+    revokeSession,
+    revokeUser,
+    listForUser,
+    prune
+  };
+}
+
+module.exports = { createSessionStore };
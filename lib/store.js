@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Storage layer for Bazimn.
+ *
+ * Route handlers work with collections (users, gigs, orders, ...) held in
+ * memory and ask the store to persist them after a change. Persistence is
+ * delegated to a backend with two methods:
+ *
+ *   read(name, defaultValue)  synchronous, used once at startup
+ *   write(name, data)         returns a promise, must be atomic
+ *
+ * The bundled backend keeps one JSON file per collection. Another backend
+ * (e.g. a SQLite file) can be passed to createStore() without changing the
+ * handlers.
+ *
+ * Writes to a collection are serialized: a save requested while another is
+ * running waits for it, and saves requested while one is already waiting
+ * share that write. Record IDs come from per-collection counters that only
+ * ever increase, so deleting a record never causes its ID to be reused.
+ */
+
+// Backend storing each collection as `<dir>/<name>.json`. Files are written
+// to a temporary file, flushed to disk and renamed over the original, so a
+// crash mid-write leaves either the old or the new contents.
+function createJsonFileBackend(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const fileFor = name => path.join(dir, name + '.json');
+  return {
+    read(name, defaultValue) {
+      let raw;
+      try {
+        raw = fs.readFileSync(fileFor(name), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          return defaultValue;
+        }
+        throw err;
+      }
+      if (!raw.trim()) {
+        return defaultValue;
+      }
+      try {
+        return JSON.parse(raw);
+      } catch (err) {
+        // Refuse to start rather than overwrite a damaged file with defaults
+        throw new Error(`Could not parse ${fileFor(name)}: ${err.message}`);
+      }
+    },
+    async write(name, data) {
+      const file = fileFor(name);
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      try {
+        const handle = await fs.promises.open(tmp, 'w');
+        try {
+          await handle.writeFile(JSON.stringify(data, null, 2));
+          await handle.sync();
+        } finally {
+          await handle.close();
+        }
+        await fs.promises.rename(tmp, file);
+      } catch (err) {
+        await fs.promises.unlink(tmp).catch(() => {});
+        throw err;
+      }
+    }
+  };
+}
+
+// Run writes for one key one at a time, coalescing requests that arrive
+// while a write is already waiting its turn
+function createWriteQueue(write) {
+  let tail = Promise.resolve();
+  let waiting = null;
+  return {
+    schedule() {
+      if (waiting) {
+        return waiting;
+      }
+      const next = tail.then(() => {
+        waiting = null;
+        return write();
+      });
+      waiting = next;
+      tail = next.catch(() => {});
+      return next;
+    },
+    idle() {
+      return tail;
+    }
+  };
+}
+
+function createStore({ backend }) {
+  const queues = [];
+  const counters = backend.read('counters', {});
+  const counterQueue = createWriteQueue(() => backend.write('counters', counters));
+  queues.push(counterQueue);
+
+  function nextId(name) {
+    counters[name] = (counters[name] || 0) + 1;
+    counterQueue.schedule().catch(err => {
+      console.error('Error saving ID counters:', err);
+    });
+    return counters[name].toString();
+  }
+
+  // Load a collection of records that each carry a string `id`
+  function collection(name) {
+    let records = backend.read(name, []);
+    // Never hand out an ID at or below one already in use, even if the
+    // counters file is missing or older than the data
+    const highest = records.reduce((max, r) => (/^\d+$/.test(r.id) ? Math.max(max, Number(r.id)) : max), 0);
+    counters[name] = Math.max(counters[name] || 0, highest);
+    const queue = createWriteQueue(() => backend.write(name, records));
+    queues.push(queue);
+
+    return {
+      name,
+      all: () => records,
+      get: id => records.find(r => r.id === id),
+      find: predicate => records.find(predicate),
+      filter: predicate => records.filter(predicate),
+      some: predicate => records.some(predicate),
+      nextId: () => nextId(name),
+      // Add a record and persist the collection
+      insert(record) {
+        records.push(record);
+        return queue.schedule().then(() => record);
+      },
+      // Remove records matching a predicate; resolves to the removed records
+      removeWhere(predicate) {
+        const removed = records.filter(predicate);
+        if (removed.length === 0) {
+          return Promise.resolve(removed);
+        }
+        records = records.filter(r => !predicate(r));
+        return queue.schedule().then(() => removed);
+      },
+      // Persist in-place changes to records of this collection
+      save() {
+        return queue.schedule();
+      }
+    };
+  }
+
+  // Resolve once every write requested so far has finished
+  function flush() {
+    return Promise.all(queues.map(q => q.idle()));
+  }
+
+  return { collection, flush };
+}
+
+module.exports = {
+  createJsonFileBackend,
+  createStore
+};
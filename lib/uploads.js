@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseMultipart } = require('./multipart');
+
+/*
+ * Uploaded files: gig images, message attachments and order deliveries.
+ *
+ * A file is uploaded on its own (POST /api/uploads, multipart/form-data
+ * with a single `file` field) and then referenced by its id when the gig,
+ * message or delivery is created. Files are streamed to `dir`, which lies
+ * outside the static root, so they can only be read through the download
+ * route and its access checks.
+ *
+ * The type of a file is recognised from its first bytes, never from its
+ * name or the type the client claims. Each type has its own size limit and
+ * each kind of upload accepts only some types. Uploads that were never
+ * attached to anything are removed after a day.
+ */
+
+const MB = 1024 * 1024;
+
+const TYPES = [
+  { contentType: 'image/jpeg', extension: '.jpg', maxBytes: 5 * MB, magic: [[0, 'ffd8ff']] },
+  { contentType: 'image/png', extension: '.png', maxBytes: 5 * MB, magic: [[0, '89504e470d0a1a0a']] },
+  { contentType: 'image/gif', extension: '.gif', maxBytes: 5 * MB, magic: [[0, '474946383']] },
+  { contentType: 'image/webp', extension: '.webp', maxBytes: 5 * MB, magic: [[0, '52494646'], [8, '57454250']] },
+  { contentType: 'application/pdf', extension: '.pdf', maxBytes: 20 * MB, magic: [[0, '25504446']] },
+  { contentType: 'application/zip', extension: '.zip', maxBytes: 100 * MB, magic: [[0, '504b0304']] },
+  { contentType: 'video/mp4', extension: '.mp4', maxBytes: 100 * MB, magic: [[4, '66747970']] }
+];
+
+// Bytes needed to recognise any of the types above
+const SNIFF_BYTES = 16;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// What each kind of upload accepts
+const KINDS = {
+  gig_image: IMAGE_TYPES,
+  attachment: IMAGE_TYPES.concat('application/pdf', 'application/zip'),
+  delivery: IMAGE_TYPES.concat('application/pdf', 'application/zip', 'video/mp4')
+};
+
+// Largest body accepted for any upload: the biggest file plus room for the
+// multipart framing and fields
+const MAX_UPLOAD_BYTES = Math.max.apply(null, TYPES.map(t => t.maxBytes)) + MB;
+
+const UNATTACHED_TTL_MS = 24 * 60 * 60 * 1000;
+
+// The type of a file from its first bytes, or null if it isn't one we take
+function sniffContentType(head) {
+  const hex = head.toString('hex');
+  return TYPES.find(t => t.magic.every(([offset, bytes]) => hex.startsWith(bytes, offset * 2))) || null;
+}
+
+function uploadError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function createUploadStore({ collection, dir }) {
+  // Metadata kept with whatever an upload is attached to
+  function describe(upload) {
+    return { id: upload.id, name: upload.name, contentType: upload.contentType, size: upload.size };
+  }
+
+  // Sink that sniffs the first bytes, then streams the file to a temporary
+  // path while enforcing the size limit of its type
+  function fileSink(kind, tempPath) {
+    let head = Buffer.alloc(0);
+    let type = null;
+    let size = 0;
+    let handle = null;
+
+    async function accept(data) {
+      size += data.length;
+      if (size > type.maxBytes) {
+        throw uploadError(`${type.extension.slice(1).toUpperCase()} files can be at most ${type.maxBytes / MB} MB`, 413);
+      }
+      await handle.write(data);
+    }
+
+    async function identify() {
+      type = sniffContentType(head);
+      if (!type || !KINDS[kind].includes(type.contentType)) {
+        throw uploadError(`This file type can't be uploaded here; allowed: ${KINDS[kind].join(', ')}`, 415);
+      }
+      handle = await fs.promises.open(tempPath, 'w');
+      const data = head;
+      head = null;
+      await accept(data);
+    }
+
+    return {
+      async write(data) {
+        if (type) {
+          return accept(data);
+        }
+        head = Buffer.concat([head, data]);
+        if (head.length >= SNIFF_BYTES) {
+          await identify();
+        }
+      },
+      async end() {
+        if (!type) {
+          await identify();
+        }
+        await handle.close();
+        handle = null;
+      },
+      async discard() {
+        if (handle) {
+          await handle.close().catch(() => {});
+        }
+        await fs.promises.unlink(tempPath).catch(() => {});
+      },
+      result: () => ({ type, size })
+    };
+  }
+
+  // Stream the single file of an upload request to disk and record it.
+  // Resolves to { upload } or { error, status }.
+  async function receive(req, owner, { kind, orderId = null }) {
+    if (!KINDS[kind]) {
+      return { error: `Upload kind must be one of ${Object.keys(KINDS).join(', ')}`, status: 400 };
+    }
+    await fs.promises.mkdir(dir, { recursive: true });
+    const id = collection.nextId();
+    const tempPath = path.join(dir, `${id}-${crypto.randomBytes(6).toString('hex')}.part`);
+    let sink = null;
+    let filename = null;
+    try {
+      await parseMultipart(req, {
+        maxBytes: MAX_UPLOAD_BYTES,
+        async onFile(info) {
+          if (info.name !== 'file' || sink) {
+            throw uploadError('Send exactly one file, in the field "file"');
+          }
+          filename = info.filename;
+          sink = fileSink(kind, tempPath);
+          return sink;
+        }
+      });
+    } catch (err) {
+      if (sink) {
+        await sink.discard();
+      }
+      // Errors without a status (such as 'Body too large', after which the
+      // connection is already closed) are for the caller
+      if (!err.status) {
+        throw err;
+      }
+      return { error: err.message, status: err.status };
+    }
+    if (!sink) {
+      return { error: 'Send exactly one file, in the field "file"', status: 400 };
+    }
+    const { type, size } = sink.result();
+    const file = `${id}${type.extension}`;
+    await fs.promises.rename(tempPath, path.join(dir, file));
+    const upload = {
+      id,
+      ownerId: owner.id,
+      kind,
+      orderId,
+      name: path.basename(filename || `file${type.extension}`).slice(0, 200) || `file${type.extension}`,
+      contentType: type.contentType,
+      size,
+      file,
+      attachedTo: null,
+      createdAt: Date.now()
+    };
+    await collection.insert(upload);
+    return { upload };
+  }
+
+  // Look up uploads by id for attaching them. Each must belong to `user`,
+  // be of `kind` (for `orderId` where given) and not be attached yet.
+  // Returns { uploads } or { error }.
+  function claim(ids, user, { kind, orderId = null, max = 10 }) {
+    if (ids === undefined || ids === null) {
+      return { uploads: [] };
+    }
+    if (!Array.isArray(ids) || ids.length > max) {
+      return { error: `Attach at most ${max} files` };
+    }
+    const uploads = [];
+    for (const id of ids) {
+      const upload = collection.get(String(id));
+      if (!upload || upload.ownerId !== user.id || upload.kind !== kind || upload.attachedTo ||
+          (orderId !== null && upload.orderId !== orderId) || uploads.includes(upload)) {
+        return { error: `File ${id} can't be attached here` };
+      }
+      uploads.push(upload);
+    }
+    return { uploads };
+  }
+
+  // Record what the uploads were attached to, e.g. { type: 'gig', gigId }
+  async function attach(uploads, target) {
+    if (uploads.length === 0) {
+      return;
+    }
+    uploads.forEach(u => {
+      u.attachedTo = target;
+    });
+    await collection.save();
+  }
+
+  function open(upload) {
+    return fs.createReadStream(path.join(dir, upload.file));
+  }
+
+  // Delete uploads that were never attached to anything
+  async function removeUnattached(maxAgeMs = UNATTACHED_TTL_MS) {
+    const cutoff = Date.now() - maxAgeMs;
+    const removed = await collection.removeWhere(u => !u.attachedTo && u.createdAt < cutoff);
+    await Promise.all(removed.map(u => fs.promises.unlink(path.join(dir, u.file)).catch(() => {})));
+    return removed.length;
+  }
+
+  return { describe, receive, claim, attach, open, removeUnattached };
+}
+
+module.exports = {
+  KINDS,
+  IMAGE_TYPES,
+  sniffContentType,
+  createUploadStore
+};
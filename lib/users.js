@@ -0,0 +1,67 @@
+/*
+ * Helpers for user records.
+ *
+ * An account is 'active', 'suspended' by an admin (with a reason and
+ * optionally an end date, `user.suspension`) or 'deactivated'. Suspended
+ * users can't log in and their gigs are hidden. Deactivated accounts have
+ * been deleted: their personal details are gone, but the record stays so
+ * the orders, messages and ledger entries of the other party still point
+ * somewhere.
+ */
+
+const ACCOUNT_STATUSES = ['active', 'suspended', 'deactivated'];
+
+// Strip credentials before a user record is sent to a client
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+// Status of an account at `now`. A suspension ends by itself once its end
+// date has passed.
+function accountStatus(user, now = Date.now()) {
+  const status = user.status || 'active';
+  if (status === 'suspended' && user.suspension && user.suspension.until && user.suspension.until <= now) {
+    return 'active';
+  }
+  return status;
+}
+
+function isActive(user) {
+  return Boolean(user) && accountStatus(user) === 'active';
+}
+
+// Check the end date of a suspension: empty for an open-ended one, or a
+// timestamp or date in the future. Returns { until } or { error }.
+function normalizeSuspensionEnd(input, now = Date.now()) {
+  if (input === undefined || input === null || input === '') {
+    return { until: null };
+  }
+  const until = typeof input === 'number' ? input : Date.parse(input);
+  if (!Number.isFinite(until) || until <= now) {
+    return { error: 'The end of the suspension must be a date in the future' };
+  }
+  return { until };
+}
+
+// Remove the personal details of a deleted account. The id, role, balance
+// and ratings stay, so records referring to the user keep working.
+function anonymize(user, now = Date.now()) {
+  user.username = 'Deleted user';
+  user.email = `deleted-${user.id}@deleted.invalid`;
+  delete user.passwordHash;
+  delete user.mustChangePassword;
+  delete user.notificationPreferences;
+  user.status = 'deactivated';
+  user.suspension = null;
+  user.deactivatedAt = now;
+}
+
+module.exports = {
+  ACCOUNT_STATUSES,
+  publicUser,
+  accountStatus,
+  isActive,
+  normalizeSuspensionEnd,
+  anonymize
+};
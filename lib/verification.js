@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const { sniffContentType } = require('./uploads');
+
+/*
+ * Seller identity verification (KYC).
+ *
+ * Every account starts at the 'basic' verification level. A seller raises
+ * it to 'verified' by submitting their legal name, an identity document and
+ * scans or photos of it, which an admin reviews and approves or rejects
+ * with a reason. 'trusted' is only ever set by hand (the first admin
+ * account has it).
+ *
+ * Each level carries limits for sellers: the total value of orders they
+ * may have open at once and the largest single withdrawal. A null limit
+ * means none.
+ *
+ * Document files are kept in `dir`, which server.js makes sure lies
+ * outside anything the server serves, and only admins can read them back.
+ */
+
+const LEVELS = ['basic', 'verified', 'trusted'];
+
+const DOCUMENT_TYPES = ['national_id', 'passport', 'drivers_license'];
+
+// A submission carries one to MAX_DOCUMENTS files (e.g. both sides of an
+// ID card and a selfie holding it), each at most MAX_DOCUMENT_BYTES
+const MAX_DOCUMENTS = 3;
+const MAX_DOCUMENT_BYTES = 3 * 1024 * 1024;
+
+// Orders in these statuses no longer count against a seller's limit
+const CLOSED_ORDER_STATUSES = ['completed', 'cancelled', 'expired'];
+
+// Types accepted for documents, recognised from the files' first bytes;
+// whatever the client claims is ignored
+const DOCUMENT_CONTENT_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+// Decode the `documents` of a submission, each a base64 data URL. Returns
+// { files } with { buffer, contentType, extension } or { error }.
+function decodeDocuments(documents) {
+  if (!Array.isArray(documents) || documents.length === 0) {
+    return { error: 'Attach at least one document' };
+  }
+  if (documents.length > MAX_DOCUMENTS) {
+    return { error: `Attach at most ${MAX_DOCUMENTS} documents` };
+  }
+  const files = [];
+  for (const document of documents) {
+    const match = /^data:[^;,]*;base64,(.+)$/.exec(String(document || ''));
+    if (!match) {
+      return { error: 'Documents must be sent as base64 data URLs' };
+    }
+    const buffer = Buffer.from(match[1], 'base64');
+    if (buffer.length > MAX_DOCUMENT_BYTES) {
+      return { error: `Each document must be at most ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB` };
+    }
+    const type = sniffContentType(buffer);
+    if (!type || !DOCUMENT_CONTENT_TYPES.includes(type.contentType)) {
+      return { error: 'Documents must be JPEG or PNG images or PDF files' };
+    }
+    files.push({ buffer, contentType: type.contentType, extension: type.extension });
+  }
+  return { files };
+}
+
+// `limits` maps each level to { maxOpenOrderValue, maxWithdrawal }
+function createVerificationService({ requests, users, orders, dir, limits }) {
+  // Users whose submission is being stored. They can't submit another one
+  // until it is, so two submissions can't both pass the pending check.
+  const submitting = new Set();
+
+  // Limits that apply to a user; only sellers have any
+  function limitsFor(user) {
+    if (user.role !== 'seller') {
+      return { maxOpenOrderValue: null, maxWithdrawal: null };
+    }
+    return limits[user.verificationLevel] || limits.basic;
+  }
+
+  // Total price of a seller's orders that haven't ended yet
+  function openOrderValue(sellerId) {
+    return orders
+      .filter(o => o.sellerId === sellerId && !CLOSED_ORDER_STATUSES.includes(o.status))
+      .reduce((sum, o) => sum + o.amount, 0);
+  }
+
+  // Whether a seller may take on another order for `amount`. Returns
+  // { error } when it would go over their limit.
+  function checkOrderLimit(seller, amount) {
+    const { maxOpenOrderValue } = limitsFor(seller);
+    if (maxOpenOrderValue !== null && openOrderValue(seller.id) + amount > maxOpenOrderValue) {
+      return { error: 'This seller has reached the value of orders they can take on until they are verified' };
+    }
+    return {};
+  }
+
+  // The user's most recent submission, if any
+  function latestFor(userId) {
+    const own = requests.filter(r => r.userId === userId);
+    return own[own.length - 1] || null;
+  }
+
+  // Store a seller's submission for review. Returns { request } or { error,
+  // status }.
+  async function submit(user, { fullName, country, documentType, documentNumber, documents }) {
+    if (user.verificationLevel !== 'basic') {
+      return { error: 'Your account is already verified', status: 409 };
+    }
+    const latest = latestFor(user.id);
+    if (submitting.has(user.id) || (latest && latest.status === 'pending')) {
+      return { error: 'Your documents are already waiting for review', status: 409 };
+    }
+    const name = String(fullName || '').trim();
+    const countryName = String(country || '').trim();
+    const number = String(documentNumber || '').trim();
+    if (!name || !countryName || !number) {
+      return { error: 'Full name, country and document number are required', status: 400 };
+    }
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      return { error: `Document type must be one of ${DOCUMENT_TYPES.join(', ')}`, status: 400 };
+    }
+    const { files, error } = decodeDocuments(documents);
+    if (error) {
+      return { error, status: 400 };
+    }
+    const request = {
+      id: requests.nextId(),
+      userId: user.id,
+      fullName: name,
+      country: countryName,
+      documentType,
+      documentNumber: number,
+      documents: [],
+      status: 'pending',
+      reason: null,
+      submittedAt: Date.now(),
+      reviewedAt: null,
+      reviewedBy: null
+    };
+    submitting.add(user.id);
+    try {
+      const requestDir = path.join(dir, request.id);
+      await fs.promises.mkdir(requestDir, { recursive: true });
+      for (const [index, file] of files.entries()) {
+        const fileName = `${index}${file.extension}`;
+        await fs.promises.writeFile(path.join(requestDir, fileName), file.buffer);
+        request.documents.push({ file: fileName, contentType: file.contentType, size: file.buffer.length });
+      }
+      await requests.insert(request);
+    } finally {
+      submitting.delete(user.id);
+    }
+    return { request };
+  }
+
+  // Contents of one document of a submission, or null
+  async function readDocument(request, index) {
+    const document = request.documents[index];
+    if (!document) {
+      return null;
+    }
+    const buffer = await fs.promises.readFile(path.join(dir, request.id, document.file));
+    return { buffer, contentType: document.contentType };
+  }
+
+  // Approve or reject a pending submission. Approval raises the user to
+  // 'verified'; a rejection needs a reason the seller will see.
+  async function review(request, admin, { approve, reason }) {
+    const text = reason ? String(reason).trim() : '';
+    if (!approve && !text) {
+      return { error: 'A reason is required to reject', status: 400 };
+    }
+    request.status = approve ? 'approved' : 'rejected';
+    request.reason = text || null;
+    request.reviewedAt = Date.now();
+    request.reviewedBy = admin.id;
+    const user = users.get(request.userId);
+    if (approve && user) {
+      user.verificationLevel = 'verified';
+      user.verifiedAt = request.reviewedAt;
+      await users.save();
+    }
+    await requests.save();
+    return { request };
+  }
+
+  // Delete the identity details and document files of a deleted account.
+  // Submissions still waiting for review are withdrawn.
+  async function forget(userId) {
+    const submitted = requests.filter(r => r.userId === userId);
+    for (const request of submitted) {
+      await fs.promises.rm(path.join(dir, request.id), { recursive: true, force: true });
+      request.fullName = null;
+      request.documentNumber = null;
+      request.documents = [];
+      if (request.status === 'pending') {
+        request.status = 'withdrawn';
+      }
+    }
+    if (submitted.length > 0) {
+      await requests.save();
+    }
+  }
+
+  return { limitsFor, openOrderValue, checkOrderLimit, latestFor, submit, readDocument, review, forget };
+}
+
+module.exports = {
+  LEVELS,
+  DOCUMENT_TYPES,
+  MAX_DOCUMENTS,
+  MAX_DOCUMENT_BYTES,
+  createVerificationService
+};
@@ -0,0 +1,73 @@
+// Live updates from the server's event stream (see routes/events.js).
+// EventSource can't send the Authorization header, so the stream is read
+// with fetch. After a dropped connection it reconnects with the id of the
+// last event seen, and the server replays what was missed. A page keeps a
+// single stream, shared by everything that listens on it.
+
+const liveListeners = [];
+let liveStarted = false;
+
+// Call `onEvent(type, data)` for every event on the page's stream
+function openLiveEvents(token, onEvent) {
+  liveListeners.push(onEvent);
+  if (!liveStarted) {
+    liveStarted = true;
+    connectLiveEvents(token);
+  }
+}
+
+function connectLiveEvents(token) {
+  let lastEventId = null;
+  let retryMs = 3000;
+
+  // Apply one event block (the lines between blank lines)
+  function dispatch(block) {
+    let type = 'message';
+    const data = [];
+    block.split('\n').forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon === 0) return; // heartbeat comment
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'id') lastEventId = value;
+      else if (field === 'event') type = value;
+      else if (field === 'data') data.push(value);
+      else if (field === 'retry') retryMs = Number(value) || retryMs;
+    });
+    if (data.length > 0) {
+      const payload = JSON.parse(data.join('\n'));
+      liveListeners.forEach(listener => listener(type, payload));
+    }
+  }
+
+  async function connect() {
+    try {
+      const headers = { Authorization: 'Bearer ' + token };
+      if (lastEventId) {
+        headers['Last-Event-ID'] = lastEventId;
+      }
+      const res = await fetch('/api/events', { headers, cache: 'no-store' });
+      if (res.status === 401 || res.status === 403) {
+        // Logged out; nothing to reconnect to
+        return;
+      }
+      const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          dispatch(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+        }
+      }
+    } catch (err) {
+      // Reconnect below
+    }
+    setTimeout(connect, retryMs);
+  }
+
+  connect();
+}
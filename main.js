@@ -67,6 +67,55 @@ function showRegisterForm() {
   });
 }
 
+// Build and show the form for choosing a new password. Used when the
+// server requires a password change before the account can be used.
+function showChangePasswordForm() {
+  const authSection = document.getElementById('auth-section');
+  authSection.innerHTML = `
+    <h2>Choose a New Password</h2>
+    <p>You must change your password before continuing.</p>
+    <form id="change-password-form">
+      <label>Current password
+        <input type="password" name="currentPassword" required>
+      </label>
+      <label>New password
+        <input type="password" name="newPassword" required>
+      </label>
+      <button type="submit">Change Password</button>
+    </form>
+  `;
+  document.getElementById('change-password-form').addEventListener('submit', changePassword);
+}
+
+// Handle change password form submission
+async function changePassword(event) {
+  event.preventDefault();
+  const form = event.target;
+  const formData = new FormData(form);
+  const payload = Object.fromEntries(formData.entries());
+  try {
+    const token = localStorage.getItem('token');
+    const res = await fetch('/api/change-password', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer ' + token
+      },
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json();
+    if (res.ok) {
+      localStorage.removeItem('mustChangePassword');
+      showMessage('Password changed', 'success');
+      checkAuth();
+    } else {
+      showMessage(data.error || 'Could not change password', 'error');
+    }
+  } catch (err) {
+    showMessage('Network error', 'error');
+  }
+}
+
 // Handle registration form submission
 async function registerUser(event) {
   event.preventDefault();
@@ -109,6 +158,9 @@ async function loginUser(event) {
       localStorage.setItem('token', data.token);
       localStorage.setItem('role', data.role);
       localStorage.setItem('userId', data.userId);
+      if (data.mustChangePassword) {
+        localStorage.setItem('mustChangePassword', '1');
+      }
       showMessage('Login successful', 'success');
       checkAuth();
     } else {
@@ -119,30 +171,126 @@ async function loginUser(event) {
   }
 }
 
-// Logout the user
-function logout() {
+// Logout the user: revoke the session on the server, then forget it locally
+async function logout() {
+  const token = localStorage.getItem('token');
+  try {
+    await fetch('/api/logout', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer ' + token }
+    });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+  }
   localStorage.removeItem('token');
   localStorage.removeItem('role');
   localStorage.removeItem('userId');
+  localStorage.removeItem('mustChangePassword');
   showLoginForm();
   document.getElementById('create-gig-section').classList.add('hidden');
   fetchGigs();
 }
 
-// Fetch the list of gigs from server
+// Current search filters and page for the gig list
+let gigQuery = { page: 1 };
+
+// Fetch the list of gigs from server using the current filters
 async function fetchGigs() {
+  const params = new URLSearchParams();
+  Object.keys(gigQuery).forEach(key => {
+    if (gigQuery[key] !== '' && gigQuery[key] !== undefined) {
+      params.set(key, gigQuery[key]);
+    }
+  });
   try {
-    const res = await fetch('/api/gigs');
+    const res = await fetch('/api/gigs?' + params.toString());
     const data = await res.json();
     if (res.ok) {
       renderGigs(data.gigs);
+      renderPagination(data);
+    } else {
+      showMessage(data.error || 'Could not load gigs', 'error');
     }
   } catch (err) {
     console.error('Error fetching gigs:', err);
   }
 }
 
+// Fill the category filter with the categories that have gigs
+async function loadCategories() {
+  try {
+    const res = await fetch('/api/gigs/categories');
+    const data = await res.json();
+    if (!res.ok) return;
+    const select = document.querySelector('#gig-search-form select[name="category"]');
+    data.categories.forEach(category => {
+      const option = document.createElement('option');
+      option.value = category.name;
+      option.textContent = `${category.name} (${category.count})`;
+      select.appendChild(option);
+    });
+  } catch (err) {
+    console.error('Error fetching categories:', err);
+  }
+}
+
+// Apply the search form and go back to the first page
+function searchGigs(event) {
+  event.preventDefault();
+  const formData = new FormData(event.target);
+  gigQuery = Object.fromEntries(formData.entries());
+  gigQuery.page = 1;
+  fetchGigs();
+}
+
+// Render previous/next controls for the gig list
+function renderPagination(data) {
+  const container = document.getElementById('gig-pagination');
+  container.innerHTML = '';
+  if (data.total === 0) {
+    container.textContent = 'No gigs match your search.';
+    return;
+  }
+  if (data.totalPages <= 1) return;
+  const prev = document.createElement('button');
+  prev.textContent = 'Previous';
+  prev.disabled = data.page <= 1;
+  prev.addEventListener('click', () => {
+    gigQuery.page = data.page - 1;
+    fetchGigs();
+  });
+  const info = document.createElement('span');
+  info.textContent = ` Page ${data.page} of ${data.totalPages} `;
+  const next = document.createElement('button');
+  next.textContent = 'Next';
+  next.disabled = data.page >= data.totalPages;
+  next.addEventListener('click', () => {
+    gigQuery.page = data.page + 1;
+    fetchGigs();
+  });
+  container.appendChild(prev);
+  container.appendChild(info);
+  container.appendChild(next);
+}
+
+// Describe an aggregate rating like "★ 4.5 (12 reviews)"
+function formatRating(rating) {
+  if (!rating || rating.count === 0) {
+    return 'No reviews yet';
+  }
+  return `★ ${rating.average.toFixed(1)} (${rating.count} review${rating.count === 1 ? '' : 's'})`;
+}
+
 // Render gigs in the DOM
+// Badge for gigs from sellers who passed identity verification
+function verifiedBadge() {
+  const badge = document.createElement('span');
+  badge.className = 'badge verified';
+  badge.textContent = 'Verified';
+  badge.title = 'This seller has verified their identity';
+  return badge;
+}
+
 function renderGigs(gigs) {
   const gigsDiv = document.getElementById('gigs');
   gigsDiv.innerHTML = '';
@@ -152,19 +300,43 @@ function renderGigs(gigs) {
     const card = document.createElement('div');
     card.className = 'gig-card';
     const title = document.createElement('h3');
-    title.textContent = gig.title;
+    const link = document.createElement('a');
+    link.href = '/gig-details.html?id=' + encodeURIComponent(gig.id);
+    link.textContent = gig.title;
+    title.appendChild(link);
+    if (gig.sellerVerified) {
+      title.appendChild(verifiedBadge());
+    }
     const desc = document.createElement('p');
     desc.textContent = gig.description;
     const price = document.createElement('p');
-    price.textContent = `Price: $${gig.price}`;
+    price.textContent = gig.packages && gig.packages.length > 1 ? `From $${gig.price}` : `Price: $${gig.price}`;
+    const rating = document.createElement('p');
+    rating.textContent = formatRating(gig.rating);
+    if (gig.imageUrls && gig.imageUrls.length > 0) {
+      const img = document.createElement('img');
+      img.className = 'gig-image';
+      img.src = gig.imageUrls[0];
+      img.alt = gig.title;
+      card.appendChild(img);
+    }
     card.appendChild(title);
     card.appendChild(desc);
     card.appendChild(price);
+    card.appendChild(rating);
     // Determine button based on user role
     if (role === 'buyer') {
       const btn = document.createElement('button');
-      btn.textContent = 'Order';
-      btn.addEventListener('click', () => orderGig(gig.id));
+      if (gig.packages && gig.packages.length > 1) {
+        // Let the buyer compare packages before ordering
+        btn.textContent = 'Choose Package';
+        btn.addEventListener('click', () => {
+          window.location.href = '/gig-details.html?id=' + encodeURIComponent(gig.id);
+        });
+      } else {
+        btn.textContent = 'Order';
+        btn.addEventListener('click', () => orderGig(gig.id));
+      }
       card.appendChild(btn);
     } else if (role === 'seller') {
       if (gig.sellerId === userId) {
@@ -182,14 +354,53 @@ function renderGigs(gigs) {
   });
 }
 
+// Upload one file (see routes/uploads.js) and resolve to its id
+async function uploadFile(file, query) {
+  const body = new FormData();
+  body.append('file', file);
+  const res = await fetch('/api/uploads?' + new URLSearchParams(query), {
+    method: 'POST',
+    headers: { Authorization: 'Bearer ' + localStorage.getItem('token') },
+    body
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(`${file.name}: ${data.error || 'upload failed'}`);
+  }
+  return data.upload.id;
+}
+
 // Handle gig creation by seller
 async function createGig(event) {
   event.preventDefault();
   const form = event.target;
   const formData = new FormData(form);
-  const payload = Object.fromEntries(formData.entries());
-  // Convert price to number
-  payload.price = parseFloat(payload.price);
+  const fields = Object.fromEntries(formData.entries());
+  // Collect the packages the seller filled in
+  const packages = ['basic', 'standard', 'premium']
+    .filter(tier => fields[`${tier}_price`])
+    .map(tier => ({
+      tier,
+      price: parseFloat(fields[`${tier}_price`]),
+      deliveryDays: parseInt(fields[`${tier}_deliveryDays`], 10),
+      revisions: parseInt(fields[`${tier}_revisions`] || '0', 10),
+      features: fields[`${tier}_features`].split('\n').map(f => f.trim()).filter(Boolean)
+    }));
+  const payload = {
+    title: fields.title,
+    description: fields.description,
+    category: fields.category,
+    packages
+  };
+  try {
+    const files = formData.getAll('images').filter(file => file.size > 0);
+    payload.images = [];
+    for (const file of files) {
+      payload.images.push(await uploadFile(file, { kind: 'gig_image' }));
+    }
+  } catch (err) {
+    return showMessage(err.message, 'error');
+  }
   try {
     const token = localStorage.getItem('token');
     const res = await fetch('/api/gigs', {
@@ -202,7 +413,8 @@ async function createGig(event) {
     });
     const data = await res.json();
     if (res.ok) {
-      showMessage('Gig created successfully', 'success');
+      // Gigs matching the moderation rules wait for review before listing
+      showMessage(data.message, 'success');
       form.reset();
       fetchGigs();
     } else {
@@ -220,6 +432,18 @@ async function orderGig(gigId) {
     if (!token) {
       return showMessage('Please log in as a buyer to order', 'error');
     }
+    // Show the price breakdown before placing the order
+    const quoteRes = await fetch(`/api/gigs/${encodeURIComponent(gigId)}/quote`);
+    const quoteData = await quoteRes.json();
+    if (!quoteRes.ok) {
+      return showMessage(quoteData.error || 'Failed to place order', 'error');
+    }
+    const { quote } = quoteData;
+    if (!confirm(`${quote.packageName} package: $${quote.price.toFixed(2)}\n` +
+                 `Service fee: $${quote.serviceFee.toFixed(2)}\n` +
+                 `Total: $${quote.total.toFixed(2)}\n\nPlace this order?`)) {
+      return;
+    }
     const res = await fetch('/api/orders', {
       method: 'POST',
       headers: {
@@ -230,7 +454,8 @@ async function orderGig(gigId) {
     });
     const data = await res.json();
     if (res.ok) {
-      showMessage('Order placed successfully', 'success');
+      // The order is placed once it is paid for from the dashboard
+      window.location.href = '/dashboard.html?pay=' + encodeURIComponent(data.order.id);
     } else {
       showMessage(data.error || 'Failed to place order', 'error');
     }
@@ -245,7 +470,11 @@ function checkAuth() {
   const role = localStorage.getItem('role');
   const authSection = document.getElementById('auth-section');
   const createGigSection = document.getElementById('create-gig-section');
-  if (token && role) {
+  if (token && role && localStorage.getItem('mustChangePassword')) {
+    // Logged in, but the account is locked until the password is changed
+    createGigSection.classList.add('hidden');
+    showChangePasswordForm();
+  } else if (token && role) {
     // Logged in
     // Display greeting and logout button
     const username = localStorage.getItem('username');
@@ -272,4 +501,8 @@ function checkAuth() {
   fetchGigs();
 }
 
-document.addEventListener('DOMContentLoaded', checkAuth);
\ No newline at end of file
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('gig-search-form').addEventListener('submit', searchGigs);
+  loadCategories();
+  checkAuth();
+});
\ No newline at end of file
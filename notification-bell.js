@@ -0,0 +1,124 @@
+// Notification bell shown in the header of every page for logged-in users.
+// It shows the number of unread notifications, opens a panel with the
+// latest ones and updates live as new ones arrive (see live.js).
+
+const BELL_PAGE_SIZE = 10;
+
+async function fetchNotifications(token) {
+  const res = await fetch(`/api/notifications?limit=${BELL_PAGE_SIZE}`, {
+    headers: { Authorization: 'Bearer ' + token }
+  });
+  return res.ok ? res.json() : null;
+}
+
+async function markNotificationsRead(token, body) {
+  const res = await fetch('/api/notifications/read', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: 'Bearer ' + token
+    },
+    body: JSON.stringify(body)
+  });
+  return res.ok ? res.json() : null;
+}
+
+function setupNotificationBell() {
+  const token = localStorage.getItem('token');
+  const nav = document.querySelector('header nav');
+  if (!token || !nav || localStorage.getItem('mustChangePassword')) return;
+
+  const bell = document.createElement('a');
+  bell.href = '#';
+  bell.className = 'notification-bell';
+  bell.title = 'Notifications';
+  bell.textContent = '🔔';
+  const badge = document.createElement('span');
+  badge.className = 'badge hidden';
+  bell.appendChild(badge);
+  const panel = document.createElement('div');
+  panel.className = 'notification-panel hidden';
+  nav.appendChild(bell);
+  document.querySelector('header').appendChild(panel);
+
+  let notifications = [];
+
+  function showCount(count) {
+    badge.textContent = count;
+    badge.classList.toggle('hidden', count === 0);
+  }
+
+  function renderPanel() {
+    panel.innerHTML = '';
+    const heading = document.createElement('div');
+    heading.className = 'notification-heading';
+    heading.textContent = 'Notifications';
+    const markAll = document.createElement('button');
+    markAll.textContent = 'Mark all as read';
+    markAll.addEventListener('click', async () => {
+      const result = await markNotificationsRead(token, { all: true });
+      if (result) {
+        notifications.forEach(n => { n.readAt = Date.now(); });
+        showCount(result.unreadCount);
+        renderPanel();
+      }
+    });
+    heading.appendChild(markAll);
+    panel.appendChild(heading);
+    if (notifications.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No notifications yet.';
+      panel.appendChild(empty);
+    }
+    notifications.forEach(n => {
+      const item = document.createElement('a');
+      item.className = 'notification' + (n.readAt ? '' : ' unread');
+      item.href = n.link || '#';
+      const title = document.createElement('strong');
+      title.textContent = n.count > 1 ? `${n.title} (${n.count})` : n.title;
+      const body = document.createElement('p');
+      body.textContent = n.body;
+      const when = document.createElement('small');
+      when.textContent = new Date(n.createdAt).toLocaleString();
+      item.appendChild(title);
+      item.appendChild(body);
+      item.appendChild(when);
+      item.addEventListener('click', async event => {
+        if (!n.readAt) {
+          event.preventDefault();
+          await markNotificationsRead(token, { ids: [n.id] });
+          window.location.href = item.href;
+        }
+      });
+      panel.appendChild(item);
+    });
+  }
+
+  async function refresh() {
+    const data = await fetchNotifications(token);
+    if (data) {
+      notifications = data.notifications;
+      showCount(data.unreadCount);
+      renderPanel();
+    }
+  }
+
+  bell.addEventListener('click', event => {
+    event.preventDefault();
+    panel.classList.toggle('hidden');
+  });
+
+  openLiveEvents(token, (type, data) => {
+    if (type === 'notification') {
+      notifications = [data.notification].concat(notifications.filter(n => n.id !== data.notification.id))
+        .slice(0, BELL_PAGE_SIZE);
+      showCount(data.unreadCount);
+      renderPanel();
+    } else if (type === 'reset') {
+      refresh();
+    }
+  });
+  refresh();
+}
+
+document.addEventListener('DOMContentLoaded', setupNotificationBell);
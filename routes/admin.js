@@ -0,0 +1,603 @@
+const mailer = require('../lib/mailer');
+const { CORS_HEADERS, sendJson } = require('../lib/http');
+const { requireRole, jsonBody } = require('../lib/middleware');
+const { ACCOUNT_STATUSES, publicUser, accountStatus, normalizeSuspensionEnd, anonymize } = require('../lib/users');
+const { transition } = require('../lib/orders');
+const { STATUSES: DISPUTE_STATUSES, normalizeText } = require('../lib/disputes');
+const { ACTIONS: AUDIT_ACTIONS, normalizeReason, snapshot } = require('../lib/audit');
+const { GIG_STATUSES } = require('../lib/moderation');
+const { pricingOf, roundCents } = require('../lib/escrow');
+const { userAccount, escrowAccount } = require('../lib/ledger');
+const { releaseJob } = require('../lib/jobs');
+
+/*
+ * Admin endpoints under /api/adm. Every route requires the admin role, and
+ * every change made here is recorded in the audit log (see lib/audit.js).
+ * Destructive ones need a `reason`.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+module.exports = function registerAdminRoutes(router, app) {
+  const {
+    users, gigs, orders, disputes, passwordResets, withdrawals, verificationRequests, sessions, ledger, gigIndex, escrow, fees, jobs,
+    payouts, verification, disputeService, audit, moderation, notifications, announceOrderChange, announceDisputeChange
+  } = app;
+  const adminOnly = requireRole('admin', 'Admin only');
+
+  // Users with the current status of their account; `status` filters them
+  router.get('/api/adm/users', adminOnly, async ctx => {
+    const status = ctx.query.get('status');
+    if (status && !ACCOUNT_STATUSES.includes(status)) {
+      return sendJson(ctx.res, 400, { error: `status must be one of ${ACCOUNT_STATUSES.join(', ')}` });
+    }
+    const list = users
+      .filter(u => !status || accountStatus(u) === status)
+      .map(u => Object.assign(publicUser(u), { status: accountStatus(u) }));
+    return sendJson(ctx.res, 200, { users: list });
+  });
+
+  // Look up the user an account action is about. Admin accounts and deleted
+  // ones can't be changed. Returns the user, or null after responding.
+  function changeableUser(ctx) {
+    const user = users.get(ctx.body.userId);
+    if (!user || accountStatus(user) === 'deactivated') {
+      sendJson(ctx.res, 404, { error: 'User not found' });
+      return null;
+    }
+    if (user.role === 'admin') {
+      sendJson(ctx.res, 403, { error: 'Admin accounts cannot be changed here' });
+      return null;
+    }
+    return user;
+  }
+
+  // Suspend an account with a `reason` and optionally `until`, a date when
+  // the suspension ends by itself. The user is signed out everywhere.
+  router.post('/api/adm/users/suspend', adminOnly, jsonBody, async ctx => {
+    const user = changeableUser(ctx);
+    if (!user) {
+      return;
+    }
+    const { reason, error } = normalizeReason(ctx.body.reason);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const end = normalizeSuspensionEnd(ctx.body.until);
+    if (end.error) {
+      return sendJson(ctx.res, 400, { error: end.error });
+    }
+    const before = snapshot(publicUser(user));
+    user.status = 'suspended';
+    user.suspension = { reason, until: end.until, by: ctx.userId, at: Date.now() };
+    await users.save();
+    await sessions.revokeUser(user.id);
+    await audit.record(ctx, { action: 'suspend_user', target: { type: 'user', id: user.id }, reason, before, after: publicUser(user) });
+    return sendJson(ctx.res, 200, { message: 'User suspended', user: publicUser(user) });
+  });
+
+  // Lift a suspension before its end
+  router.post('/api/adm/users/reinstate', adminOnly, jsonBody, async ctx => {
+    const user = changeableUser(ctx);
+    if (!user) {
+      return;
+    }
+    if (accountStatus(user) !== 'suspended') {
+      return sendJson(ctx.res, 409, { error: 'This account is not suspended' });
+    }
+    const { reason, error } = normalizeReason(ctx.body.reason);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const before = snapshot(publicUser(user));
+    user.status = 'active';
+    user.suspension = null;
+    await users.save();
+    await audit.record(ctx, { action: 'reinstate_user', target: { type: 'user', id: user.id }, reason, before, after: publicUser(user) });
+    return sendJson(ctx.res, 200, { message: 'User reinstated', user: publicUser(user) });
+  });
+
+  // Gigs, optionally only those with `status` (see lib/moderation.js)
+  router.get('/api/adm/gigs', adminOnly, async ctx => {
+    const status = ctx.query.get('status');
+    if (status && !GIG_STATUSES.includes(status)) {
+      return sendJson(ctx.res, 400, { error: `status must be one of ${GIG_STATUSES.join(', ')}` });
+    }
+    return sendJson(ctx.res, 200, { gigs: status ? gigs.filter(g => g.status === status) : gigs.all() });
+  });
+
+  // Moderation rules that new and edited gigs are screened against
+  router.get('/api/adm/moderation/rules', adminOnly, async ctx => {
+    return sendJson(ctx.res, 200, { rules: moderation.listRules() });
+  });
+
+  // Add a rule: { type: keyword|regex|category, pattern, note }
+  router.post('/api/adm/moderation/rules', adminOnly, jsonBody, async ctx => {
+    const result = await moderation.addRule(ctx.body, ctx.user);
+    if (result.error) {
+      return sendJson(ctx.res, 400, { error: result.error });
+    }
+    await audit.record(ctx, { action: 'add_moderation_rule', target: { type: 'moderation_rule', id: result.rule.id }, after: result.rule });
+    return sendJson(ctx.res, 201, { message: 'Rule added', rule: result.rule });
+  });
+
+  router.post('/api/adm/moderation/rules/delete', adminOnly, jsonBody, async ctx => {
+    const { reason, error } = normalizeReason(ctx.body.reason);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const removed = await moderation.removeRule(ctx.body.ruleId);
+    if (!removed) {
+      return sendJson(ctx.res, 404, { error: 'Rule not found' });
+    }
+    await audit.record(ctx, { action: 'remove_moderation_rule', target: { type: 'moderation_rule', id: removed.id }, reason, before: removed });
+    return sendJson(ctx.res, 200, { message: 'Rule removed' });
+  });
+
+  // Gigs held for review or reported by buyers, oldest first, with the
+  // rules they matched, their open reports and the seller's name
+  router.get('/api/adm/moderation/queue', adminOnly, async ctx => {
+    const queue = moderation.queue().map(({ gig, reports }) => {
+      const seller = users.get(gig.sellerId);
+      return { gig, reports, sellerName: seller ? seller.username : null };
+    });
+    return sendJson(ctx.res, 200, { queue });
+  });
+
+  // Approve or reject a gig in the queue. A rejection needs a reason,
+  // which is sent to the seller.
+  async function reviewGig(ctx, approve) {
+    const gig = gigs.get(ctx.body.gigId);
+    if (!gig) {
+      return sendJson(ctx.res, 404, { error: 'Gig not found' });
+    }
+    let reason = null;
+    if (!approve) {
+      const checked = normalizeReason(ctx.body.reason);
+      if (checked.error) {
+        return sendJson(ctx.res, 400, { error: checked.error });
+      }
+      reason = checked.reason;
+    }
+    const wasListed = gig.status === 'active';
+    const before = snapshot(gig);
+    if (approve) {
+      await moderation.approve(gig, ctx.user);
+    } else {
+      await moderation.reject(gig, ctx.user, reason);
+    }
+    await audit.record(ctx, {
+      action: approve ? 'approve_gig' : 'reject_gig',
+      target: { type: 'gig', id: gig.id },
+      reason,
+      before,
+      after: gig
+    });
+    // A listed gig whose reports were dismissed hasn't changed for the seller
+    if (!(approve && wasListed)) {
+      notifications.notify(gig.sellerId, 'gig_reviewed', {
+        title: approve ? `Your gig "${gig.title}" is now listed` : `Your gig "${gig.title}" was not approved`,
+        body: approve
+          ? 'Bazimn reviewed your gig and it is now visible to buyers.'
+          : `Reason: ${reason}\n\nYou can edit the gig from your dashboard to submit it again.`,
+        link: '/dashboard.html'
+      }).catch(err => {
+        console.error(`Error sending notification for gig ${gig.id}:`, err);
+      });
+    }
+    return sendJson(ctx.res, 200, { message: approve ? 'Gig approved' : 'Gig rejected', gig });
+  }
+
+  router.post('/api/adm/moderation/approve', adminOnly, jsonBody, ctx => reviewGig(ctx, true));
+  router.post('/api/adm/moderation/reject', adminOnly, jsonBody, ctx => reviewGig(ctx, false));
+
+  router.get('/api/adm/orders', adminOnly, async ctx => {
+    return sendJson(ctx.res, 200, { orders: orders.all() });
+  });
+
+  // Disputes, optionally only those with `status` (see lib/disputes.js)
+  router.get('/api/adm/disputes', adminOnly, async ctx => {
+    const status = ctx.query.get('status');
+    if (status && !DISPUTE_STATUSES.includes(status)) {
+      return sendJson(ctx.res, 400, { error: `status must be one of ${DISPUTE_STATUSES.join(', ')}` });
+    }
+    return sendJson(ctx.res, 200, { disputes: status ? disputes.filter(d => d.status === status) : disputes.all() });
+  });
+
+  // Write to both parties of a dispute
+  router.post('/api/adm/disputes/:id/messages', adminOnly, jsonBody, async ctx => {
+    const dispute = disputes.get(ctx.params.id);
+    if (!dispute) {
+      return sendJson(ctx.res, 404, { error: 'Dispute not found' });
+    }
+    const { text, error } = normalizeText(ctx.body.text);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const result = await disputeService.addAdminMessage(dispute, ctx.user, { text });
+    if (result.error) {
+      return sendJson(ctx.res, result.status, { error: result.error });
+    }
+    await audit.record(ctx, { action: 'message_dispute', target: { type: 'dispute', id: dispute.id }, after: result.entry });
+    const order = orders.get(dispute.orderId);
+    announceDisputeChange(dispute, {
+      to: order ? [order.buyerId, order.sellerId] : [dispute.initiatorId],
+      title: `Message from Bazimn about your dispute on order #${dispute.orderId}`,
+      body: text
+    });
+    return sendJson(ctx.res, 201, { message: 'Message sent', dispute });
+  });
+
+  // Parse a `from`/`to` filter: a timestamp in milliseconds or a date such
+  // as 2024-05-01. Returns null when not given and NaN when invalid.
+  function parseTime(input) {
+    if (!input) {
+      return null;
+    }
+    return /^\d+$/.test(input) ? Number(input) : Date.parse(input);
+  }
+
+  // One page of the audit log, newest first. Filters: actorId, action,
+  // targetType, targetId and a time range with from/to.
+  router.get('/api/adm/audit', adminOnly, async ctx => {
+    const action = ctx.query.get('action');
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return sendJson(ctx.res, 400, { error: `action must be one of ${AUDIT_ACTIONS.join(', ')}` });
+    }
+    const from = parseTime(ctx.query.get('from'));
+    const to = parseTime(ctx.query.get('to'));
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return sendJson(ctx.res, 400, { error: 'from and to must be dates or timestamps' });
+    }
+    const page = Math.max(1, parseInt(ctx.query.get('page'), 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(ctx.query.get('limit'), 10) || DEFAULT_PAGE_SIZE));
+    const { entries, total } = audit.list({
+      actorId: ctx.query.get('actorId'),
+      action,
+      targetType: ctx.query.get('targetType'),
+      targetId: ctx.query.get('targetId'),
+      from,
+      to,
+      page,
+      limit
+    });
+    return sendJson(ctx.res, 200, { entries, total, page, limit, totalPages: Math.max(1, Math.ceil(total / limit)) });
+  });
+
+  // Fee schedule: the stored rules and the rule currently used by default
+  router.get('/api/adm/fees', adminOnly, async ctx => {
+    return sendJson(ctx.res, 200, { rules: fees.list(), defaultRule: fees.ruleFor(null) });
+  });
+
+  // Create or replace a fee rule. Without a category it is the default.
+  router.post('/api/adm/fees', adminOnly, jsonBody, async ctx => {
+    const rulesBefore = snapshot(fees.list());
+    const result = await fees.setRule(ctx.body, ctx.userId);
+    if (result.error) {
+      return sendJson(ctx.res, 400, { error: result.error });
+    }
+    await audit.record(ctx, {
+      action: 'set_fee_rule',
+      target: { type: 'fee_rule', id: result.rule.id },
+      before: rulesBefore.find(r => r.id === result.rule.id),
+      after: result.rule
+    });
+    return sendJson(ctx.res, 200, { message: 'Fee rule saved', rule: result.rule });
+  });
+
+  // Remove a fee rule; the category falls back to the default again
+  router.post('/api/adm/fees/delete', adminOnly, jsonBody, async ctx => {
+    const { reason, error } = normalizeReason(ctx.body.reason);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const removed = await fees.removeRule(ctx.body.category);
+    if (!removed) {
+      return sendJson(ctx.res, 404, { error: 'Fee rule not found' });
+    }
+    await audit.record(ctx, { action: 'remove_fee_rule', target: { type: 'fee_rule', id: removed.id }, reason, before: removed });
+    return sendJson(ctx.res, 200, { message: 'Fee rule removed' });
+  });
+
+  // Withdrawal queue, oldest first; `status` filters it (e.g. requested)
+  router.get('/api/adm/withdrawals', adminOnly, async ctx => {
+    const status = ctx.query.get('status');
+    const list = withdrawals
+      .filter(w => !status || w.status === status)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(w => {
+        const user = users.get(w.userId);
+        return Object.assign({}, w, { username: user ? user.username : null });
+      });
+    return sendJson(ctx.res, 200, { withdrawals: list });
+  });
+
+  // Approve a withdrawal and send it to the payout provider
+  router.post('/api/adm/withdrawals/approve', adminOnly, jsonBody, async ctx => {
+    const withdrawal = withdrawals.get(ctx.body.withdrawalId);
+    if (!withdrawal) {
+      return sendJson(ctx.res, 404, { error: 'Withdrawal not found' });
+    }
+    if (withdrawal.status !== 'requested') {
+      return sendJson(ctx.res, 409, { error: 'Withdrawal has already been reviewed' });
+    }
+    const before = snapshot(withdrawal);
+    await payouts.approve(withdrawal, ctx.user);
+    await audit.record(ctx, { action: 'approve_withdrawal', target: { type: 'withdrawal', id: withdrawal.id }, before, after: withdrawal });
+    const messages = {
+      paid: 'Withdrawal paid',
+      processing: 'Withdrawal sent; the payout is pending',
+      failed: 'Payout failed; the funds were returned to the user'
+    };
+    return sendJson(ctx.res, 200, { message: messages[withdrawal.status], withdrawal });
+  });
+
+  // Reject a withdrawal; the funds go back to the user's balance
+  router.post('/api/adm/withdrawals/reject', adminOnly, jsonBody, async ctx => {
+    const withdrawal = withdrawals.get(ctx.body.withdrawalId);
+    if (!withdrawal) {
+      return sendJson(ctx.res, 404, { error: 'Withdrawal not found' });
+    }
+    if (withdrawal.status !== 'requested') {
+      return sendJson(ctx.res, 409, { error: 'Withdrawal has already been reviewed' });
+    }
+    const { reason, error } = normalizeReason(ctx.body.reason);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const before = snapshot(withdrawal);
+    await payouts.decline(withdrawal, 'rejected', ctx.user, reason);
+    await audit.record(ctx, {
+      action: 'reject_withdrawal', target: { type: 'withdrawal', id: withdrawal.id }, reason, before, after: withdrawal
+    });
+    return sendJson(ctx.res, 200, { message: 'Withdrawal rejected', withdrawal });
+  });
+
+  // Identity verification queue, oldest first; `status` filters it (e.g.
+  // pending)
+  router.get('/api/adm/verifications', adminOnly, async ctx => {
+    const status = ctx.query.get('status');
+    const list = verificationRequests
+      .filter(r => !status || r.status === status)
+      .sort((a, b) => a.submittedAt - b.submittedAt)
+      .map(r => {
+        const user = users.get(r.userId);
+        return Object.assign({}, r, {
+          username: user ? user.username : null,
+          email: user ? user.email : null,
+          verificationLevel: user ? user.verificationLevel : null
+        });
+      });
+    return sendJson(ctx.res, 200, { verifications: list });
+  });
+
+  // One document of a submission, as the file itself
+  router.get('/api/adm/verifications/:id/documents/:index', adminOnly, async ctx => {
+    const request = verificationRequests.get(ctx.params.id);
+    const index = Number(ctx.params.index);
+    const document = request && Number.isInteger(index) ? await verification.readDocument(request, index) : null;
+    if (!document) {
+      return sendJson(ctx.res, 404, { error: 'Document not found' });
+    }
+    ctx.res.writeHead(200, Object.assign({
+      'Content-Type': document.contentType,
+      'Content-Length': document.buffer.length,
+      'Cache-Control': 'no-store'
+    }, CORS_HEADERS));
+    ctx.res.end(document.buffer);
+  });
+
+  // Approve or reject a pending submission and tell the seller by email
+  async function reviewVerification(ctx, approve) {
+    const { requestId, reason } = ctx.body;
+    const request = verificationRequests.get(requestId);
+    if (!request) {
+      return sendJson(ctx.res, 404, { error: 'Verification request not found' });
+    }
+    if (request.status !== 'pending') {
+      return sendJson(ctx.res, 409, { error: 'Verification request has already been reviewed' });
+    }
+    const before = snapshot(request);
+    const result = await verification.review(request, ctx.user, { approve, reason });
+    if (result.error) {
+      return sendJson(ctx.res, result.status, { error: result.error });
+    }
+    await audit.record(ctx, {
+      action: approve ? 'approve_verification' : 'reject_verification',
+      target: { type: 'verification_request', id: request.id },
+      reason: request.reason,
+      before,
+      after: request
+    });
+    const user = users.get(request.userId);
+    if (user) {
+      mailer.sendMail({
+        to: user.email,
+        subject: approve ? 'Your Bazimn account is verified' : 'Your Bazimn verification was not approved',
+        text: approve
+          ? 'Your identity documents were approved and your account is now verified.'
+          : `Your identity documents were not approved: ${request.reason}\n\nYou can submit new documents from your dashboard.`
+      }).catch(err => {
+        console.error('Error sending verification email:', err);
+      });
+    }
+    return sendJson(ctx.res, 200, {
+      message: approve ? 'Verification approved' : 'Verification rejected',
+      verification: request
+    });
+  }
+
+  router.post('/api/adm/verifications/approve', adminOnly, jsonBody, ctx => reviewVerification(ctx, true));
+  router.post('/api/adm/verifications/reject', adminOnly, jsonBody, ctx => reviewVerification(ctx, false));
+
+  // Check the ledger against itself and against the balances kept on users
+  // and orders. Anything listed needs a closer look.
+  router.get('/api/adm/reconciliation', adminOnly, async ctx => {
+    const unbalanced = ledger.unbalanced().map(t => t.id);
+    const wallets = users
+      .filter(u => (u.wallet || 0) !== ledger.balance(userAccount(u.id)))
+      .map(u => ({ userId: u.id, username: u.username, wallet: u.wallet || 0, ledgerBalance: ledger.balance(userAccount(u.id)) }));
+    const escrows = orders
+      .filter(o => {
+        const held = ledger.balance(escrowAccount(o.id));
+        const ended = o.status === 'completed' || o.status === 'cancelled';
+        return (o.escrow || 0) !== held || (ended && held !== 0);
+      })
+      .map(o => ({ orderId: o.id, status: o.status, escrow: o.escrow || 0, ledgerBalance: ledger.balance(escrowAccount(o.id)) }));
+    // Money left in the accounts of users or orders that no longer exist,
+    // or held for withdrawals that are already over
+    const orphaned = ledger.accounts().filter(({ account, balance }) => {
+      const [kind, id] = account.split(':');
+      if (balance === 0) {
+        return false;
+      }
+      if (kind === 'withdrawal') {
+        const withdrawal = withdrawals.get(id);
+        return !withdrawal || !['requested', 'sending', 'processing'].includes(withdrawal.status) || withdrawal.amount !== balance;
+      }
+      return (kind === 'user' && !users.get(id)) || (kind === 'escrow' && !orders.get(id));
+    });
+    return sendJson(ctx.res, 200, {
+      ok: unbalanced.length + wallets.length + escrows.length + orphaned.length === 0,
+      checkedAt: Date.now(),
+      unbalancedTransactions: unbalanced,
+      walletMismatches: wallets,
+      escrowMismatches: escrows,
+      orphanedAccounts: orphaned
+    });
+  });
+
+  // Delete gig
+  router.post('/api/adm/delete-gig', adminOnly, jsonBody, async ctx => {
+    const { gigId } = ctx.body;
+    const { reason, error } = normalizeReason(ctx.body.reason);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const [removedGig] = await gigs.removeWhere(g => g.id === gigId);
+    if (!removedGig) {
+      return sendJson(ctx.res, 404, { error: 'Gig not found' });
+    }
+    gigIndex.remove(removedGig.id);
+    await audit.record(ctx, { action: 'delete_gig', target: { type: 'gig', id: removedGig.id }, reason, before: removedGig });
+    return sendJson(ctx.res, 200, { message: 'Gig deleted' });
+  });
+
+  // Delete user: sign them out, remove their personal details and identity
+  // documents and hide their gigs. Their orders, messages and ledger
+  // entries stay for the other party and for admins.
+  router.post('/api/adm/delete-user', adminOnly, jsonBody, async ctx => {
+    const user = changeableUser(ctx);
+    if (!user) {
+      return;
+    }
+    const { reason, error } = normalizeReason(ctx.body.reason);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const before = snapshot(publicUser(user));
+    anonymize(user);
+    await users.save();
+    await sessions.revokeUser(user.id);
+    await passwordResets.removeWhere(r => r.userId === user.id);
+    await verification.forget(user.id);
+    await audit.record(ctx, { action: 'delete_user', target: { type: 'user', id: user.id }, reason, before, after: publicUser(user) });
+    return sendJson(ctx.res, 200, { message: 'User deleted; their personal details were removed', user: publicUser(user) });
+  });
+
+  // Work out how much of the order price goes to the seller for a dispute
+  // outcome: 'release' (all), 'refund' (none) or 'split' by `sellerAmount`
+  // or `sellerPercent`. Returns { sellerAmount } or { error }.
+  function outcomeSellerAmount(outcome, body, price) {
+    if (outcome === 'release') {
+      return { sellerAmount: price };
+    }
+    if (outcome === 'refund') {
+      return { sellerAmount: 0 };
+    }
+    if (outcome !== 'split') {
+      return { error: 'Outcome must be release, refund or split' };
+    }
+    const hasAmount = body.sellerAmount !== undefined && body.sellerAmount !== '';
+    const hasPercent = body.sellerPercent !== undefined && body.sellerPercent !== '';
+    if (hasAmount === hasPercent) {
+      return { error: 'A split needs either sellerAmount or sellerPercent' };
+    }
+    if (hasAmount) {
+      const amount = Number(body.sellerAmount);
+      if (!Number.isFinite(amount) || amount < 0 || amount > price) {
+        return { error: `sellerAmount must be between 0 and ${price}` };
+      }
+      return { sellerAmount: roundCents(amount) };
+    }
+    const percent = Number(body.sellerPercent);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      return { error: 'sellerPercent must be between 0 and 100' };
+    }
+    return { sellerAmount: roundCents(price * percent / 100) };
+  }
+
+  // Resolve dispute: settle the frozen order by releasing the escrow to the
+  // seller, refunding it to the buyer or splitting it between them. Older
+  // clients send `releaseToSeller` instead of an `outcome`. A dispute whose
+  // order isn't frozen (one carried over from before orders were frozen on
+  // a dispute, whose order has since been settled) is closed without
+  // touching the order.
+  router.post('/api/adm/resolve-dispute', adminOnly, jsonBody, async ctx => {
+    const { disputeId, releaseToSeller } = ctx.body;
+    const outcome = ctx.body.outcome || (releaseToSeller ? 'release' : 'refund');
+    const dispute = disputes.get(disputeId);
+    if (!dispute) {
+      return sendJson(ctx.res, 404, { error: 'Dispute not found' });
+    }
+    if (dispute.status === 'resolved') {
+      return sendJson(ctx.res, 400, { error: 'Dispute already resolved' });
+    }
+    // The resolution, shown to both parties, is the reason for the audit log
+    const { reason: resolution, error } = normalizeReason(ctx.body.resolution);
+    if (error) {
+      return sendJson(ctx.res, 400, { error: 'A resolution is required' });
+    }
+    const order = orders.get(dispute.orderId);
+    const before = snapshot({ dispute, order });
+    const settles = Boolean(order) && order.status === 'disputed';
+    let settlement = null;
+    if (settles) {
+      const split = outcomeSellerAmount(outcome, ctx.body, pricingOf(order).price);
+      if (split.error) {
+        return sendJson(ctx.res, 400, { error: split.error });
+      }
+      const result = transition(order, outcome, ctx.user, { note: resolution });
+      if (result.error) {
+        return sendJson(ctx.res, result.status, { error: result.error });
+      }
+      settlement = await escrow.split(order, split.sellerAmount);
+      await orders.save();
+      if (order.status === 'cancelled') {
+        await releaseJob(jobs, order);
+      }
+    }
+    dispute.status = 'resolved';
+    dispute.resolution = resolution;
+    dispute.outcome = settles ? outcome : null;
+    dispute.settlement = settlement;
+    dispute.resolvedAt = Date.now();
+    await disputes.save();
+    await audit.record(ctx, {
+      action: 'resolve_dispute',
+      target: { type: 'dispute', id: dispute.id },
+      reason: resolution,
+      before,
+      after: { dispute, order }
+    });
+    if (settles) {
+      announceOrderChange(order);
+    }
+    announceDisputeChange(dispute);
+    return sendJson(ctx.res, 200, {
+      message: settles ? 'Dispute resolved' : 'Dispute closed; its order was not frozen, so nothing was settled',
+      dispute
+    });
+  });
+};
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const config = require('../lib/config');
+const mailer = require('../lib/mailer');
+const passwords = require('../lib/passwords');
+const { sendJson, sendTooManyRequests } = require('../lib/http');
+const { requireAuth, jsonBody, limitRequests } = require('../lib/middleware');
+const { accountStatus } = require('../lib/users');
+
+/*
+ * Account routes: registration, login, sessions and password changes.
+ *
+ * Registration, login and password resets are rate limited per client
+ * address, resets also per account, and logins lock an account after
+ * repeated failures (see lib/ratelimit.js).
+ */
+
+module.exports = function registerAuthRoutes(router, app) {
+  const { users, passwordResets, sessions, rateLimits, loginLockout } = app;
+
+  // Emails are stored and compared trimmed and in lower case. Accounts are
+  // limited by the email given, whether or not it exists, so the limits
+  // don't reveal which accounts do.
+  function accountKey(email) {
+    return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+  }
+
+  // The user with an email. An exact match comes first, for accounts stored
+  // before emails were lowercased that differ only in case.
+  function findByEmail(email) {
+    const key = accountKey(email);
+    return key ? users.find(u => u.email === email) || users.find(u => accountKey(u.email) === key) : null;
+  }
+  const byIp = ctx => ctx.ip;
+  const byEmail = ctx => accountKey(ctx.body.email);
+
+  // Only a hash of each reset token is stored, so the file alone can't be
+  // used to take over an account
+  function hashResetToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Issue a single-use reset token for a user. Earlier tokens for the same
+  // user are invalidated and expired or used ones are pruned.
+  async function createPasswordReset(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    await passwordResets.removeWhere(r => r.userId === user.id || r.usedAt || r.expiresAt <= now);
+    await passwordResets.insert({
+      id: passwordResets.nextId(),
+      userId: user.id,
+      email: user.email,
+      tokenHash: hashResetToken(token),
+      createdAt: now,
+      expiresAt: now + config.RESET_TOKEN_TTL_MS,
+      usedAt: null
+    });
+    return token;
+  }
+
+  // Validate a reset token for the given email and mark it as used.
+  // Returns the reset record, or null if the token is unknown, used or expired.
+  async function consumePasswordReset(email, token) {
+    const tokenHash = hashResetToken(token);
+    const reset = passwordResets.find(r => r.tokenHash === tokenHash);
+    if (!reset || reset.usedAt || reset.expiresAt <= Date.now() || accountKey(reset.email) !== accountKey(email)) {
+      return null;
+    }
+    reset.usedAt = Date.now();
+    await passwordResets.save();
+    return reset;
+  }
+
+  // Email a reset link to the user. Delivery runs in the background so the
+  // response time doesn't reveal whether the account exists.
+  function sendPasswordResetEmail(user, token) {
+    const link = `${config.APP_URL}/reset-password.html?email=${encodeURIComponent(user.email)}&token=${token}`;
+    mailer.sendMail({
+      to: user.email,
+      subject: 'Reset your Bazimn password',
+      text: `Hi ${user.username},\n\n` +
+        `Someone asked to reset the password for your Bazimn account. ` +
+        `Use the link below within the next hour to choose a new password:\n\n${link}\n\n` +
+        `If you did not request this, you can ignore this email.`
+    }).catch(err => {
+      console.error('Error sending password reset email:', err);
+    });
+  }
+
+  // Registration
+  router.post('/api/register', limitRequests(rateLimits.register.ip, byIp), jsonBody, async ctx => {
+    const { username, email, password, role } = ctx.body;
+    if (!username || !accountKey(email) || !password || !role) {
+      return sendJson(ctx.res, 400, { error: 'Missing fields' });
+    }
+    if (role !== 'buyer' && role !== 'seller') {
+      return sendJson(ctx.res, 400, { error: 'Role must be buyer or seller' });
+    }
+    if (findByEmail(email)) {
+      return sendJson(ctx.res, 400, { error: 'Email already exists' });
+    }
+    const id = users.nextId();
+    const newUser = {
+      id,
+      username,
+      email: accountKey(email),
+      passwordHash: await passwords.hashPassword(password),
+      role, // 'buyer' or 'seller'
+      wallet: 0,
+      verificationLevel: 'basic',
+      status: 'active',
+      createdAt: Date.now()
+    };
+    await users.insert(newUser);
+    return sendJson(ctx.res, 201, { message: 'User registered', userId: id });
+  });
+
+  // Login
+  router.post('/api/login', limitRequests(rateLimits.login.ip, byIp), jsonBody, async ctx => {
+    const { email, password } = ctx.body;
+    if (!accountKey(email) || !password) {
+      return sendJson(ctx.res, 400, { error: 'Missing credentials' });
+    }
+    // The attempt counts as a failed login until the password checks out
+    const lockKey = accountKey(email);
+    const lock = await loginLockout.attempt(lockKey);
+    if (lock.locked) {
+      return sendTooManyRequests(ctx.res, lock.retryAfterMs, 'Too many failed logins for this account.');
+    }
+    const user = findByEmail(email);
+    // Always verify, even for unknown emails, so timing doesn't leak accounts
+    const valid = await passwords.verifyPassword(password, user && user.passwordHash);
+    if (!user || !valid) {
+      return sendJson(ctx.res, 401, { error: 'Invalid email or password' });
+    }
+    await loginLockout.clear(lockKey);
+    if (accountStatus(user) === 'suspended') {
+      const { reason, until } = user.suspension;
+      return sendJson(ctx.res, 403, {
+        error: `This account is suspended${until ? ' until ' + new Date(until).toUTCString() : ''}: ${reason}`,
+        suspended: true,
+        reason,
+        until
+      });
+    }
+    const { token } = await sessions.create(user.id, {
+      device: ctx.req.headers['user-agent'],
+      ip: ctx.ip
+    });
+    return sendJson(ctx.res, 200, {
+      message: 'Logged in',
+      token,
+      role: user.role,
+      userId: user.id,
+      mustChangePassword: Boolean(user.mustChangePassword)
+    });
+  });
+
+  // Log out: revoke the token used for this request
+  router.post('/api/logout', requireAuth, async ctx => {
+    await sessions.revokeToken(ctx.token);
+    return sendJson(ctx.res, 200, { message: 'Logged out' });
+  });
+
+  // Sign out everywhere: revoke every session of the caller
+  router.post('/api/logout-all', requireAuth, async ctx => {
+    const revoked = await sessions.revokeUser(ctx.userId);
+    return sendJson(ctx.res, 200, { message: 'Signed out everywhere', revoked });
+  });
+
+  // List the caller's active sessions
+  router.get('/api/sessions', requireAuth, async ctx => {
+    const list = sessions.listForUser(ctx.userId).map(s => ({
+      id: s.id,
+      device: s.device,
+      ip: s.ip,
+      createdAt: s.createdAt,
+      lastSeenAt: s.lastSeenAt,
+      current: s.id === ctx.session.id
+    }));
+    return sendJson(ctx.res, 200, { sessions: list });
+  });
+
+  // Revoke a single session of the caller, e.g. a lost device
+  router.post('/api/sessions/revoke', requireAuth, jsonBody, async ctx => {
+    const { sessionId } = ctx.body;
+    if (!sessionId) {
+      return sendJson(ctx.res, 400, { error: 'sessionId required' });
+    }
+    if (!(await sessions.revokeSession(ctx.userId, sessionId))) {
+      return sendJson(ctx.res, 404, { error: 'Session not found' });
+    }
+    return sendJson(ctx.res, 200, { message: 'Session revoked' });
+  });
+
+  // Change password for the logged-in user
+  router.post('/api/change-password', requireAuth, jsonBody, async ctx => {
+    const { currentPassword, newPassword } = ctx.body;
+    if (!currentPassword || !newPassword) {
+      return sendJson(ctx.res, 400, { error: 'Missing fields' });
+    }
+    const user = ctx.user;
+    if (!(await passwords.verifyPassword(currentPassword, user.passwordHash))) {
+      return sendJson(ctx.res, 401, { error: 'Current password is incorrect' });
+    }
+    if (currentPassword === newPassword) {
+      return sendJson(ctx.res, 400, { error: 'New password must be different' });
+    }
+    user.passwordHash = await passwords.hashPassword(newPassword);
+    delete user.mustChangePassword;
+    await users.save();
+    // Keep this session but sign out every other one
+    await sessions.revokeUser(user.id, ctx.session.id);
+    return sendJson(ctx.res, 200, { message: 'Password changed' });
+  });
+
+  // Request a password reset link
+  router.post('/api/forgot-password', limitRequests(rateLimits.passwordReset.ip, byIp), jsonBody,
+    limitRequests(rateLimits.passwordReset.account, byEmail), async ctx => {
+    const { email } = ctx.body;
+    if (!email) {
+      return sendJson(ctx.res, 400, { error: 'Email required' });
+    }
+    // Same answer for unknown emails so accounts can't be enumerated. It is
+    // sent before the token is stored, so the time it takes doesn't depend
+    // on whether the account exists either.
+    sendJson(ctx.res, 200, {
+      message: 'If an account exists for that email, a reset link has been sent to it.'
+    });
+    const user = findByEmail(email);
+    if (user) {
+      createPasswordReset(user)
+        .then(resetToken => sendPasswordResetEmail(user, resetToken))
+        .catch(err => {
+          console.error('Error creating password reset:', err);
+        });
+    }
+  });
+
+  // Reset password with a token from the reset email
+  router.post('/api/reset-password', limitRequests(rateLimits.passwordReset.ip, byIp), jsonBody, async ctx => {
+    const { email, token: resetToken, newPassword } = ctx.body;
+    if (!email || !resetToken || !newPassword) {
+      return sendJson(ctx.res, 400, { error: 'Missing fields' });
+    }
+    const reset = await consumePasswordReset(email, resetToken);
+    const user = reset && users.get(reset.userId);
+    if (!user) {
+      return sendJson(ctx.res, 400, { error: 'Invalid or expired reset token' });
+    }
+    user.passwordHash = await passwords.hashPassword(newPassword);
+    delete user.mustChangePassword;
+    await users.save();
+    // Sign the user out everywhere now that the password has changed, and
+    // let them log in with the new one even if the account was locked
+    await sessions.revokeUser(user.id);
+    await loginLockout.clear(accountKey(user.email));
+    return sendJson(ctx.res, 200, { message: 'Password has been reset. You can now log in.' });
+  });
+};
@@ -0,0 +1,124 @@
+const { sendJson } = require('../lib/http');
+const { requireAuth, jsonBody } = require('../lib/middleware');
+const { transition } = require('../lib/orders');
+const { MAX_EVIDENCE_FILES, normalizeText } = require('../lib/disputes');
+
+/*
+ * Disputes raised by order participants (see lib/disputes.js). Admins
+ * settle them under /api/adm.
+ */
+
+module.exports = function registerDisputeRoutes(router, app) {
+  const {
+    users, gigs, orders, disputes, jobs, disputeService, uploadStore, announceOrderChange, announceDisputeChange
+  } = app;
+
+  // Buyer, seller and admins may see a dispute
+  function canAccessDispute(dispute, user) {
+    const order = orders.get(dispute.orderId);
+    return user.role === 'admin' || Boolean(order && (order.buyerId === user.id || order.sellerId === user.id));
+  }
+
+  // A dispute with the title of its order and the names of the parties
+  function disputeView(dispute) {
+    const order = orders.get(dispute.orderId);
+    const gig = order && gigs.get(order.gigId);
+    const job = order && order.jobId ? jobs.get(order.jobId) : null;
+    const nameOf = id => (users.get(id) || { username: 'Unknown user' }).username;
+    return Object.assign({}, dispute, {
+      orderTitle: gig ? gig.title : (job ? job.title : 'Custom Order'),
+      initiatorName: nameOf(dispute.initiatorId),
+      respondentName: dispute.respondentId ? nameOf(dispute.respondentId) : null
+    });
+  }
+
+  // Look up the evidence uploads for a statement on `order`. Returns
+  // { uploads } or { error }.
+  function claimEvidence(ids, user, order) {
+    return uploadStore.claim(ids, user, { kind: 'attachment', orderId: order.id, max: MAX_EVIDENCE_FILES });
+  }
+
+  // Create a dispute on an order: a `reason` and optionally `evidence`, the
+  // ids of files uploaded for the order. The order is frozen until an admin
+  // settles it.
+  router.post('/api/disputes', requireAuth, jsonBody, async ctx => {
+    const { orderId, evidence } = ctx.body;
+    const { text: reason, error } = normalizeText(ctx.body.reason);
+    if (!orderId || error) {
+      return sendJson(ctx.res, 400, { error: orderId ? error : 'Missing fields' });
+    }
+    const order = orders.get(orderId);
+    if (!order) {
+      return sendJson(ctx.res, 404, { error: 'Order not found' });
+    }
+    // Only participants can file dispute
+    if (order.buyerId !== ctx.userId && order.sellerId !== ctx.userId) {
+      return sendJson(ctx.res, 403, { error: 'Not authorised to dispute' });
+    }
+    const claimed = claimEvidence(evidence, ctx.user, order);
+    if (claimed.error) {
+      return sendJson(ctx.res, 400, { error: claimed.error });
+    }
+    const result = transition(order, 'dispute', ctx.user, { note: reason });
+    if (result.error) {
+      return sendJson(ctx.res, result.status, { error: result.error });
+    }
+    await orders.save();
+    const dispute = await disputeService.file(order, ctx.user, { reason, files: claimed.uploads.map(uploadStore.describe) });
+    await uploadStore.attach(claimed.uploads, { type: 'dispute', disputeId: dispute.id, orderId: order.id });
+    announceOrderChange(order);
+    announceDisputeChange(dispute);
+    return sendJson(ctx.res, 201, { message: 'Dispute created', dispute: disputeView(dispute) });
+  });
+
+  // The caller's disputes, as buyer or seller, newest first
+  router.get('/api/disputes', requireAuth, async ctx => {
+    const mine = disputes
+      .filter(d => {
+        const order = orders.get(d.orderId);
+        return order && (order.buyerId === ctx.userId || order.sellerId === ctx.userId);
+      })
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return sendJson(ctx.res, 200, { disputes: mine.map(disputeView) });
+  });
+
+  router.get('/api/disputes/:id', requireAuth, async ctx => {
+    const dispute = disputes.get(ctx.params.id);
+    if (!dispute || !canAccessDispute(dispute, ctx.user)) {
+      return sendJson(ctx.res, 404, { error: 'Dispute not found' });
+    }
+    return sendJson(ctx.res, 200, { dispute: disputeView(dispute) });
+  });
+
+  // Add a statement, with optional `evidence`, to a dispute on one of the
+  // caller's orders
+  router.post('/api/disputes/:id/statements', requireAuth, jsonBody, async ctx => {
+    const dispute = disputes.get(ctx.params.id);
+    const order = dispute && orders.get(dispute.orderId);
+    if (!order || (order.buyerId !== ctx.userId && order.sellerId !== ctx.userId)) {
+      return sendJson(ctx.res, 404, { error: 'Dispute not found' });
+    }
+    const { text, error } = normalizeText(ctx.body.text);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const claimed = claimEvidence(ctx.body.evidence, ctx.user, order);
+    if (claimed.error) {
+      return sendJson(ctx.res, 400, { error: claimed.error });
+    }
+    const result = await disputeService.addStatement(dispute, order, ctx.user, {
+      text,
+      files: claimed.uploads.map(uploadStore.describe)
+    });
+    if (result.error) {
+      return sendJson(ctx.res, result.status, { error: result.error });
+    }
+    await uploadStore.attach(claimed.uploads, { type: 'dispute', disputeId: dispute.id, orderId: order.id });
+    announceDisputeChange(dispute, {
+      to: [order.buyerId, order.sellerId].filter(id => id !== ctx.userId),
+      title: `New statement in the dispute on order #${order.id}`,
+      body: `${ctx.user.username}: ${text}`
+    });
+    return sendJson(ctx.res, 201, { message: 'Statement added', dispute: disputeView(dispute) });
+  });
+};
@@ -0,0 +1,27 @@
+const { requireAuth } = require('../lib/middleware');
+
+/*
+ * The caller's live event stream (see lib/events.js). Events:
+ *
+ *   message       { orderId, message }           a new message in an order
+ *   typing        { orderId, userId }            the other party is typing
+ *   order         { orderId, status, action }    an order changed status
+ *   dispute       { disputeId, orderId, status } a dispute was opened or resolved
+ *   notification  { notification, unreadCount }  a new notification
+ *   reset         {}                             missed events can't be replayed
+ */
+
+module.exports = function registerEventRoutes(router, app) {
+  const { sessions, events } = app;
+
+  // Browsers can't set headers on an EventSource, so clients read this
+  // with fetch and send the Authorization and Last-Event-ID headers
+  // themselves
+  router.get('/api/events', requireAuth, async ctx => {
+    const sessionId = ctx.session.id;
+    events.connect(ctx, {
+      lastEventId: ctx.req.headers['last-event-id'] || ctx.query.get('lastEventId'),
+      isActive: () => sessions.listForUser(ctx.userId).some(s => s.id === sessionId)
+    });
+  });
+};
@@ -0,0 +1,268 @@
+const { sendJson } = require('../lib/http');
+const { requireAuth, requireRole, jsonBody } = require('../lib/middleware');
+const { normalizePackages, singlePricePackage, startingPrice, findPackage } = require('../lib/packages');
+const { isActive } = require('../lib/users');
+
+/*
+ * Gig listing, search, creation and editing. New and edited gigs are
+ * screened against the moderation rules (see lib/moderation.js); only
+ * active gigs of sellers whose account is active are listed.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_IMAGES = 5;
+
+// Read an optional numeric query parameter; NaN signals an invalid value
+function numberParam(value) {
+  if (value === null || value === '') {
+    return null;
+  }
+  return Number(value);
+}
+
+function ratingOf(gig) {
+  return (gig.rating && gig.rating.average) || 0;
+}
+
+module.exports = function registerGigRoutes(router, app) {
+  const { users, gigs, gigIndex, fees, uploadStore, moderation } = app;
+
+  // A gig as shown to buyers, with the addresses of its images and flagged
+  // when its seller has been verified
+  function gigView(gig) {
+    const seller = users.get(gig.sellerId);
+    const view = Object.assign({}, gig, {
+      imageUrls: (gig.images || []).map(id => `/api/uploads/${id}`),
+      sellerVerified: Boolean(seller && seller.verificationLevel !== 'basic')
+    });
+    delete view.moderation;
+    return view;
+  }
+
+  // A gig as shown to its seller, with the reason it was rejected. Which
+  // rules it matched stays with the admins.
+  function ownGigView(gig) {
+    return Object.assign(gigView(gig), { rejectionReason: gig.status === 'rejected' ? gig.moderation.reason : null });
+  }
+
+  // Whether buyers can see and order a gig
+  function isListed(gig) {
+    return gig.status === 'active' && isActive(users.get(gig.sellerId));
+  }
+
+  // Check `images` against the upload store. Returns { uploads } or { error }.
+  function claimImages(ids, user) {
+    return uploadStore.claim(ids, user, { kind: 'gig_image', max: MAX_IMAGES });
+  }
+
+  // Message for a seller whose gig was just saved
+  function savedMessage(gig, action) {
+    return gig.status === 'pending_review'
+      ? `Gig ${action}; it will be listed once Bazimn has reviewed it`
+      : `Gig ${action}`;
+  }
+
+  const newestFirst = (a, b) => b.createdAt - a.createdAt;
+  const comparators = {
+    newest: () => newestFirst,
+    price_asc: () => (a, b) => a.price - b.price || newestFirst(a, b),
+    price_desc: () => (a, b) => b.price - a.price || newestFirst(a, b),
+    rating: () => (a, b) => ratingOf(b) - ratingOf(a) || newestFirst(a, b),
+    relevance: scores => (a, b) => (scores ? scores.get(b.id) - scores.get(a.id) : 0) || newestFirst(a, b)
+  };
+
+  // List gigs. Supports full-text search (q), category, sellerId, minPrice,
+  // maxPrice, sort (relevance, newest, price_asc, price_desc, rating) and
+  // page/limit pagination.
+  router.get('/api/gigs', async ctx => {
+    const query = ctx.query;
+    const text = (query.get('q') || '').trim();
+    const category = (query.get('category') || '').trim().toLowerCase();
+    const sellerId = query.get('sellerId');
+    const minPrice = numberParam(query.get('minPrice'));
+    const maxPrice = numberParam(query.get('maxPrice'));
+    if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+      return sendJson(ctx.res, 400, { error: 'minPrice and maxPrice must be numbers' });
+    }
+    const sort = query.get('sort') || (text ? 'relevance' : 'newest');
+    if (!comparators[sort]) {
+      return sendJson(ctx.res, 400, { error: 'Unknown sort order' });
+    }
+    const page = Math.max(1, parseInt(query.get('page'), 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.get('limit'), 10) || DEFAULT_PAGE_SIZE));
+
+    const scores = gigIndex.search(text);
+    const matches = gigs.filter(g =>
+      isListed(g) &&
+      (!scores || scores.has(g.id)) &&
+      (!category || String(g.category).toLowerCase() === category) &&
+      (!sellerId || g.sellerId === sellerId) &&
+      (minPrice === null || g.price >= minPrice) &&
+      (maxPrice === null || g.price <= maxPrice)
+    );
+    matches.sort(comparators[sort](scores));
+    const start = (page - 1) * limit;
+    return sendJson(ctx.res, 200, {
+      gigs: matches.slice(start, start + limit).map(gigView),
+      total: matches.length,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(matches.length / limit))
+    });
+  });
+
+  // Categories in use, with the number of gigs in each, for filter controls
+  router.get('/api/gigs/categories', async ctx => {
+    const counts = {};
+    gigs.filter(isListed).forEach(g => {
+      counts[g.category] = (counts[g.category] || 0) + 1;
+    });
+    const categories = Object.keys(counts).sort().map(name => ({ name, count: counts[name] }));
+    return sendJson(ctx.res, 200, { categories });
+  });
+
+  // Create gig (seller only). Takes up to three `packages`, or a single
+  // `price` (and optional `deliveryDays`) for a one-package gig, and
+  // optionally `images`: ids of up to MAX_IMAGES uploaded gig images.
+  router.post('/api/gigs', requireRole('seller', 'Only sellers can create gigs'), jsonBody, async ctx => {
+    const { title, description, price, deliveryDays, category } = ctx.body;
+    if (!title || !description || (!price && !ctx.body.packages)) {
+      return sendJson(ctx.res, 400, { error: 'Missing fields' });
+    }
+    const { packages, error } = normalizePackages(ctx.body.packages || [singlePricePackage(price, deliveryDays)]);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const images = claimImages(ctx.body.images, ctx.user);
+    if (images.error) {
+      return sendJson(ctx.res, 400, { error: images.error });
+    }
+    const id = gigs.nextId();
+    const newGig = {
+      id,
+      sellerId: ctx.userId,
+      title,
+      description,
+      price: startingPrice(packages),
+      packages,
+      images: images.uploads.map(u => u.id),
+      category: category || 'General',
+      createdAt: Date.now()
+    };
+    const screened = moderation.screen(newGig);
+    if (screened.error) {
+      return sendJson(ctx.res, 400, { error: screened.error });
+    }
+    newGig.status = screened.flags.length > 0 ? 'pending_review' : 'active';
+    newGig.moderation = { flags: screened.flags, reason: null, reviewedBy: null, reviewedAt: null };
+    await gigs.insert(newGig);
+    await uploadStore.attach(images.uploads, { type: 'gig', gigId: id });
+    gigIndex.add(newGig);
+    return sendJson(ctx.res, 201, { message: savedMessage(newGig, 'created'), gig: ownGigView(newGig) });
+  });
+
+  // The caller's own gigs, whatever their status, newest first
+  router.get('/api/gigs/mine', requireRole('seller', 'Only sellers have gigs'), async ctx => {
+    const mine = gigs.filter(g => g.sellerId === ctx.userId).sort(newestFirst);
+    return sendJson(ctx.res, 200, { gigs: mine.map(ownGigView) });
+  });
+
+  // Get single gig. Sellers and admins also see gigs that aren't listed.
+  router.get('/api/gigs/:id', async ctx => {
+    const gig = gigs.get(ctx.params.id);
+    const canSeeUnlisted = ctx.user && gig && (ctx.user.role === 'admin' || ctx.userId === gig.sellerId);
+    if (!gig || !(isListed(gig) || canSeeUnlisted)) {
+      return sendJson(ctx.res, 404, { error: 'Gig not found' });
+    }
+    return sendJson(ctx.res, 200, { gig: ctx.userId === gig.sellerId ? ownGigView(gig) : gigView(gig) });
+  });
+
+  // Edit one of the caller's gigs. Fields left out keep their value;
+  // `images` replaces the gig's images. The gig is screened again, and a
+  // gig that was held or rejected goes back for review.
+  router.post('/api/gigs/:id/edit', requireRole('seller', 'Only sellers can edit gigs'), jsonBody, async ctx => {
+    const gig = gigs.get(ctx.params.id);
+    if (!gig || gig.sellerId !== ctx.userId) {
+      return sendJson(ctx.res, 404, { error: 'Gig not found' });
+    }
+    const { title, description, category, price, deliveryDays } = ctx.body;
+    if ((title !== undefined && !String(title).trim()) || (description !== undefined && !String(description).trim())) {
+      return sendJson(ctx.res, 400, { error: 'Title and description cannot be empty' });
+    }
+    const changes = {};
+    if (ctx.body.packages || price) {
+      const { packages, error } = normalizePackages(ctx.body.packages || [singlePricePackage(price, deliveryDays)]);
+      if (error) {
+        return sendJson(ctx.res, 400, { error });
+      }
+      changes.packages = packages;
+      changes.price = startingPrice(packages);
+    }
+    let images = null;
+    if (ctx.body.images !== undefined) {
+      if (!Array.isArray(ctx.body.images)) {
+        return sendJson(ctx.res, 400, { error: 'images must be a list of upload ids' });
+      }
+      // Images the gig already has can be kept without uploading them again
+      const kept = ctx.body.images.filter(id => (gig.images || []).includes(id));
+      const added = ctx.body.images.filter(id => !kept.includes(id));
+      images = claimImages(added, ctx.user);
+      if (images.error) {
+        return sendJson(ctx.res, 400, { error: images.error });
+      }
+      if (kept.length + images.uploads.length > MAX_IMAGES) {
+        return sendJson(ctx.res, 400, { error: `A gig can have at most ${MAX_IMAGES} images` });
+      }
+      changes.images = kept.concat(images.uploads.map(u => u.id));
+    }
+    if (title !== undefined) changes.title = String(title).trim();
+    if (description !== undefined) changes.description = String(description).trim();
+    if (category !== undefined) changes.category = String(category).trim() || 'General';
+    const edited = Object.assign({}, gig, changes);
+    const screened = moderation.screen(edited);
+    if (screened.error) {
+      return sendJson(ctx.res, 400, { error: screened.error });
+    }
+    Object.assign(gig, changes, {
+      status: screened.flags.length > 0 || gig.status !== 'active' ? 'pending_review' : 'active',
+      moderation: Object.assign({}, gig.moderation, { flags: screened.flags }),
+      updatedAt: Date.now()
+    });
+    await gigs.save();
+    if (images) {
+      await uploadStore.attach(images.uploads, { type: 'gig', gigId: gig.id });
+    }
+    gigIndex.remove(gig.id);
+    gigIndex.add(gig);
+    return sendJson(ctx.res, 200, { message: savedMessage(gig, 'saved'), gig: ownGigView(gig) });
+  });
+
+  // Report a listed gig that breaks the Prohibited Services policy
+  router.post('/api/gigs/:id/report', requireAuth, jsonBody, async ctx => {
+    const gig = gigs.get(ctx.params.id);
+    if (!gig || !isListed(gig)) {
+      return sendJson(ctx.res, 404, { error: 'Gig not found' });
+    }
+    const result = await moderation.report(gig, ctx.user, ctx.body.reason);
+    if (result.error) {
+      return sendJson(ctx.res, result.status, { error: result.error });
+    }
+    return sendJson(ctx.res, 201, { message: 'Thank you; Bazimn will review this gig' });
+  });
+
+  // What ordering a package would cost, with the service fee, before the
+  // buyer confirms
+  router.get('/api/gigs/:id/quote', async ctx => {
+    const gig = gigs.get(ctx.params.id);
+    if (!gig || !isListed(gig)) {
+      return sendJson(ctx.res, 404, { error: 'Gig not found' });
+    }
+    const pkg = findPackage(gig, ctx.query.get('packageId'));
+    if (!pkg) {
+      return sendJson(ctx.res, 400, { error: 'Unknown package for this gig' });
+    }
+    const { price, serviceFee, total } = fees.quote(pkg.price, gig.category);
+    return sendJson(ctx.res, 200, { quote: { packageId: pkg.id, packageName: pkg.name, price, serviceFee, total } });
+  });
+};
@@ -0,0 +1,301 @@
+const { sendJson } = require('../lib/http');
+const { requireAuth, requireRole, jsonBody } = require('../lib/middleware');
+const { newOrder } = require('../lib/orders');
+const { isActive } = require('../lib/users');
+const { normalizeJob, normalizeOffer, offerPackage } = require('../lib/jobs');
+
+/*
+ * Custom job requests and the offers sellers send for them or from an
+ * order conversation (see lib/jobs.js).
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+module.exports = function registerJobRoutes(router, app) {
+  const { users, gigs, orders, jobs, offers, fees, verification, events, notifications } = app;
+
+  function usernameOf(userId) {
+    const user = users.get(userId);
+    return user ? user.username : 'Unknown user';
+  }
+
+  // A job for display, with its buyer and how many offers are pending
+  function jobView(job) {
+    return Object.assign({}, job, {
+      buyerUsername: usernameOf(job.buyerId),
+      offerCount: offers.filter(o => o.jobId === job.id && o.status === 'pending').length
+    });
+  }
+
+  // An offer for display, with the seller, the job title and what the
+  // buyer would pay in total
+  function offerView(offer) {
+    const job = offer.jobId ? jobs.get(offer.jobId) : null;
+    const { serviceFee, total } = fees.quote(offer.price, offer.category);
+    return Object.assign({}, offer, {
+      sellerUsername: usernameOf(offer.sellerId),
+      buyerUsername: usernameOf(offer.buyerId),
+      jobTitle: job ? job.title : null,
+      quote: { price: offer.price, serviceFee, total }
+    });
+  }
+
+  // Open jobs that haven't reached their deadline, newest first. Supports
+  // q (words in the title or description), category and page/limit.
+  router.get('/api/jobs', async ctx => {
+    const words = (ctx.query.get('q') || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const category = (ctx.query.get('category') || '').trim().toLowerCase();
+    const page = Math.max(1, parseInt(ctx.query.get('page'), 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(ctx.query.get('limit'), 10) || DEFAULT_PAGE_SIZE));
+    const now = Date.now();
+    const matches = jobs
+      .filter(j => {
+        const text = `${j.title} ${j.description}`.toLowerCase();
+        return j.status === 'open' && j.deadline > now &&
+          (!category || j.category.toLowerCase() === category) &&
+          words.every(w => text.includes(w));
+      })
+      .sort((a, b) => b.createdAt - a.createdAt);
+    const start = (page - 1) * limit;
+    return sendJson(ctx.res, 200, {
+      jobs: matches.slice(start, start + limit).map(jobView),
+      total: matches.length,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(matches.length / limit))
+    });
+  });
+
+  // The caller's own jobs with every offer on them, newest first
+  router.get('/api/jobs/mine', requireRole('buyer', 'Only buyers post jobs'), async ctx => {
+    const mine = jobs
+      .filter(j => j.buyerId === ctx.userId)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(j => Object.assign(jobView(j), {
+        offers: offers.filter(o => o.jobId === j.id).map(offerView)
+      }));
+    return sendJson(ctx.res, 200, { jobs: mine });
+  });
+
+  // Post a job (buyer only)
+  router.post('/api/jobs', requireRole('buyer', 'Only buyers can post jobs'), jsonBody, async ctx => {
+    const { job: fields, error } = normalizeJob(ctx.body);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const job = Object.assign({ id: jobs.nextId(), buyerId: ctx.userId }, fields, {
+      status: 'open',
+      hiredOfferId: null,
+      orderId: null,
+      createdAt: Date.now(),
+      closedAt: null
+    });
+    await jobs.insert(job);
+    return sendJson(ctx.res, 201, { message: 'Job posted', job: jobView(job) });
+  });
+
+  // One job. Its buyer sees every offer on it, a seller only their own.
+  router.get('/api/jobs/:id', async ctx => {
+    const job = jobs.get(ctx.params.id);
+    if (!job) {
+      return sendJson(ctx.res, 404, { error: 'Job not found' });
+    }
+    const visible = offers.filter(o => o.jobId === job.id &&
+      (job.buyerId === ctx.userId || o.sellerId === ctx.userId));
+    return sendJson(ctx.res, 200, { job: Object.assign(jobView(job), { offers: visible.map(offerView) }) });
+  });
+
+  // Take a job down without hiring; pending offers on it are declined
+  router.post('/api/jobs/:id/close', requireAuth, async ctx => {
+    const job = jobs.get(ctx.params.id);
+    if (!job || job.buyerId !== ctx.userId) {
+      return sendJson(ctx.res, 404, { error: 'Job not found' });
+    }
+    if (job.status !== 'open') {
+      return sendJson(ctx.res, 409, { error: 'This job is no longer open' });
+    }
+    job.status = 'closed';
+    job.closedAt = Date.now();
+    declinePending(o => o.jobId === job.id);
+    await Promise.all([jobs.save(), offers.save()]);
+    return sendJson(ctx.res, 200, { message: 'Job closed', job: jobView(job) });
+  });
+
+  // Decline the pending offers matching `predicate`
+  function declinePending(predicate) {
+    offers.filter(o => o.status === 'pending' && predicate(o)).forEach(o => {
+      o.status = 'declined';
+      o.respondedAt = Date.now();
+    });
+  }
+
+  function newOffer(ctx, terms, fields) {
+    return Object.assign({ id: offers.nextId(), sellerId: ctx.userId }, fields, terms, {
+      status: 'pending',
+      orderId: null,
+      createdAt: Date.now(),
+      respondedAt: null
+    });
+  }
+
+  // Send an offer for an open job (seller only), one pending offer per
+  // seller and job
+  router.post('/api/jobs/:id/offers', requireRole('seller', 'Only sellers can send offers'), jsonBody, async ctx => {
+    const job = jobs.get(ctx.params.id);
+    if (!job) {
+      return sendJson(ctx.res, 404, { error: 'Job not found' });
+    }
+    if (job.status !== 'open' || job.deadline <= Date.now()) {
+      return sendJson(ctx.res, 409, { error: 'This job is no longer taking offers' });
+    }
+    if (offers.some(o => o.jobId === job.id && o.sellerId === ctx.userId && o.status === 'pending')) {
+      return sendJson(ctx.res, 409, { error: 'You already have a pending offer on this job' });
+    }
+    const { offer: terms, error } = normalizeOffer(ctx.body);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const offer = newOffer(ctx, terms, {
+      buyerId: job.buyerId,
+      jobId: job.id,
+      threadOrderId: null,
+      category: job.category
+    });
+    await offers.insert(offer);
+    return sendJson(ctx.res, 201, { message: 'Offer sent', offer: offerView(offer) });
+  });
+
+  // Send an offer from an order conversation to the buyer of that order
+  // (its seller only). The offer is posted in the conversation as well.
+  router.post('/api/offers', requireRole('seller', 'Only sellers can send offers'), jsonBody, async ctx => {
+    const order = orders.get(ctx.body.orderId);
+    if (!order || order.sellerId !== ctx.userId) {
+      return sendJson(ctx.res, 404, { error: 'Order not found' });
+    }
+    const { offer: terms, error } = normalizeOffer(ctx.body);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const gig = gigs.get(order.gigId);
+    const offer = newOffer(ctx, terms, {
+      buyerId: order.buyerId,
+      jobId: null,
+      threadOrderId: order.id,
+      category: gig ? gig.category : null
+    });
+    await offers.insert(offer);
+    order.messages = order.messages || [];
+    order.messages.push({
+      senderId: ctx.userId,
+      text: `Custom offer: $${offer.price.toFixed(2)}, delivered in ${offer.deliveryDays} day(s)`,
+      timestamp: offer.createdAt,
+      offerId: offer.id
+    });
+    await orders.save();
+    const message = order.messages[order.messages.length - 1];
+    events.publish([order.buyerId, order.sellerId], 'message', { orderId: order.id, message });
+    await notifications.notify(order.buyerId, 'message', {
+      title: `New message on order #${order.id}`,
+      body: `${ctx.user.username}: ${message.text}`,
+      link: `/dashboard.html?orderId=${encodeURIComponent(order.id)}`,
+      key: `message:${order.id}`
+    });
+    return sendJson(ctx.res, 201, { message: 'Offer sent', offer: offerView(offer) });
+  });
+
+  // Offers the caller sent (sellers) or received (buyers), newest first
+  router.get('/api/offers', requireAuth, async ctx => {
+    const list = offers
+      .filter(o => o.sellerId === ctx.userId || o.buyerId === ctx.userId)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(offerView);
+    return sendJson(ctx.res, 200, { offers: list });
+  });
+
+  // Look up a pending offer addressed to (or sent by) the caller
+  function pendingOffer(ctx, side) {
+    const offer = offers.get(ctx.params.id);
+    if (!offer || offer[side] !== ctx.userId) {
+      sendJson(ctx.res, 404, { error: 'Offer not found' });
+      return null;
+    }
+    if (offer.status !== 'pending') {
+      sendJson(ctx.res, 409, { error: `This offer was already ${offer.status}` });
+      return null;
+    }
+    return offer;
+  }
+
+  // Accept an offer (its buyer only). This creates an order for it that
+  // waits for payment like any other, and hires the seller for the job.
+  router.post('/api/offers/:id/accept', requireAuth, async ctx => {
+    const offer = pendingOffer(ctx, 'buyerId');
+    if (!offer) {
+      return;
+    }
+    const job = offer.jobId ? jobs.get(offer.jobId) : null;
+    if (job && job.status !== 'open') {
+      return sendJson(ctx.res, 409, { error: 'This job is no longer open' });
+    }
+    const seller = users.get(offer.sellerId);
+    if (!isActive(seller)) {
+      return sendJson(ctx.res, 409, { error: 'This seller can no longer take orders' });
+    }
+    const limit = verification.checkOrderLimit(seller, offer.price);
+    if (limit.error) {
+      return sendJson(ctx.res, 409, { error: limit.error });
+    }
+    const pkg = offerPackage(offer);
+    const order = Object.assign(newOrder({
+      id: orders.nextId(),
+      buyerId: offer.buyerId,
+      sellerId: offer.sellerId,
+      gigId: null,
+      pkg,
+      pricing: fees.quote(pkg.price, offer.category)
+    }), { jobId: offer.jobId, offerId: offer.id });
+    // Claim the offer and the job before the first await, so a second
+    // accept of this offer, or of another offer on the job, is refused
+    offer.status = 'accepted';
+    offer.orderId = order.id;
+    offer.respondedAt = Date.now();
+    if (job) {
+      job.status = 'hired';
+      job.hiredOfferId = offer.id;
+      job.orderId = order.id;
+      job.closedAt = Date.now();
+      declinePending(o => o.jobId === job.id);
+    }
+    await orders.insert(order);
+    if (job) {
+      await jobs.save();
+    }
+    await offers.save();
+    return sendJson(ctx.res, 201, { message: 'Offer accepted; complete the payment to place the order', order });
+  });
+
+  // Turn an offer down (its buyer only)
+  router.post('/api/offers/:id/decline', requireAuth, async ctx => {
+    const offer = pendingOffer(ctx, 'buyerId');
+    if (!offer) {
+      return;
+    }
+    offer.status = 'declined';
+    offer.respondedAt = Date.now();
+    await offers.save();
+    return sendJson(ctx.res, 200, { message: 'Offer declined', offer: offerView(offer) });
+  });
+
+  // Take back an offer that hasn't been answered (its seller only)
+  router.post('/api/offers/:id/withdraw', requireAuth, async ctx => {
+    const offer = pendingOffer(ctx, 'sellerId');
+    if (!offer) {
+      return;
+    }
+    offer.status = 'withdrawn';
+    offer.respondedAt = Date.now();
+    await offers.save();
+    return sendJson(ctx.res, 200, { message: 'Offer withdrawn', offer: offerView(offer) });
+  });
+};
@@ -0,0 +1,150 @@
+const { sendJson } = require('../lib/http');
+const { requireAuth, jsonBody, limitRequests } = require('../lib/middleware');
+
+/*
+ * Order conversations and the inbox built from them.
+ */
+
+module.exports = function registerMessageRoutes(router, app) {
+  const { users, gigs, orders, jobs, offers, uploadStore, events, notifications, rateLimits } = app;
+
+  // Buyer, seller and admins may read and write an order's messages
+  function canAccessOrder(order, user) {
+    return order.buyerId === user.id || order.sellerId === user.id || user.role === 'admin';
+  }
+
+  // Summarise an order conversation from the point of view of one participant.
+  // Unread messages are those sent by someone else after the user's read cursor.
+  function buildInboxThread(order, userId) {
+    const messages = order.messages || [];
+    const counterpartId = order.buyerId === userId ? order.sellerId : order.buyerId;
+    const counterpart = users.get(counterpartId);
+    const gig = gigs.get(order.gigId);
+    const job = order.jobId ? jobs.get(order.jobId) : null;
+    const lastReadAt = (order.readCursors && order.readCursors[userId]) || 0;
+    const lastMessage = messages.length ? messages[messages.length - 1] : null;
+    return {
+      orderId: order.id,
+      orderStatus: order.status,
+      counterpartId,
+      counterpartUsername: counterpart ? counterpart.username : 'Unknown user',
+      gigTitle: gig ? gig.title : (job ? job.title : 'Custom Order'),
+      lastMessage,
+      messageCount: messages.length,
+      unreadCount: messages.filter(m => m.senderId !== userId && m.timestamp > lastReadAt).length,
+      updatedAt: lastMessage ? lastMessage.timestamp : order.createdAt
+    };
+  }
+
+  // List the caller's order conversations, most recent activity first
+  router.get('/api/inbox', requireAuth, async ctx => {
+    const userId = ctx.userId;
+    const threads = orders
+      .filter(o => o.buyerId === userId || o.sellerId === userId ||
+        (o.messages || []).some(m => m.senderId === userId))
+      .map(o => buildInboxThread(o, userId))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+    const unreadTotal = threads.reduce((sum, t) => sum + t.unreadCount, 0);
+    return sendJson(ctx.res, 200, { threads, unreadTotal });
+  });
+
+  // Mark an order conversation as read up to its latest message
+  router.post('/api/messages/read', requireAuth, jsonBody, async ctx => {
+    const { orderId } = ctx.body;
+    if (!orderId) {
+      return sendJson(ctx.res, 400, { error: 'orderId required' });
+    }
+    const order = orders.get(orderId);
+    if (!order) {
+      return sendJson(ctx.res, 404, { error: 'Order not found' });
+    }
+    if (!canAccessOrder(order, ctx.user)) {
+      return sendJson(ctx.res, 403, { error: 'Not authorised to view messages' });
+    }
+    const messages = order.messages || [];
+    const lastMessage = messages[messages.length - 1];
+    order.readCursors = order.readCursors || {};
+    order.readCursors[ctx.userId] = lastMessage ? lastMessage.timestamp : Date.now();
+    await orders.save();
+    return sendJson(ctx.res, 200, { message: 'Marked as read', thread: buildInboxThread(order, ctx.userId) });
+  });
+
+  // Fetch messages for an order. Messages that carry a custom offer (see
+  // routes/jobs.js) include its terms and current status.
+  router.get('/api/messages', requireAuth, async ctx => {
+    const orderId = ctx.query.get('orderId');
+    if (!orderId) {
+      return sendJson(ctx.res, 400, { error: 'orderId required' });
+    }
+    const order = orders.get(orderId);
+    if (!order) {
+      return sendJson(ctx.res, 404, { error: 'Order not found' });
+    }
+    // Only participants or admin can view messages
+    if (!canAccessOrder(order, ctx.user)) {
+      return sendJson(ctx.res, 403, { error: 'Not authorised to view messages' });
+    }
+    const messages = (order.messages || []).map(m => {
+      const offer = m.offerId ? offers.get(m.offerId) : null;
+      if (!offer) {
+        return m;
+      }
+      const { id, description, price, deliveryDays, revisions, status, orderId } = offer;
+      return Object.assign({}, m, { offer: { id, description, price, deliveryDays, revisions, status, orderId } });
+    });
+    return sendJson(ctx.res, 200, { messages });
+  });
+
+  // Post a new message in an order, with text and/or `attachments`: ids of
+  // files uploaded for this order (see routes/uploads.js). Rate limited per
+  // client address and per sender.
+  router.post('/api/messages', requireAuth, limitRequests(rateLimits.messages.ip, ctx => ctx.ip),
+    limitRequests(rateLimits.messages.account, ctx => ctx.userId), jsonBody, async ctx => {
+    const { orderId, text, attachments } = ctx.body;
+    if (!orderId || (!text && !(Array.isArray(attachments) && attachments.length > 0))) {
+      return sendJson(ctx.res, 400, { error: 'Missing fields' });
+    }
+    const order = orders.get(orderId);
+    if (!order) {
+      return sendJson(ctx.res, 404, { error: 'Order not found' });
+    }
+    // Only buyer, seller or admin may send messages
+    if (!canAccessOrder(order, ctx.user)) {
+      return sendJson(ctx.res, 403, { error: 'Not authorised to send message' });
+    }
+    const claimed = uploadStore.claim(attachments, ctx.user, { kind: 'attachment', orderId: order.id, max: 5 });
+    if (claimed.error) {
+      return sendJson(ctx.res, 400, { error: claimed.error });
+    }
+    const message = { senderId: ctx.userId, text: text || '', timestamp: Date.now() };
+    if (claimed.uploads.length > 0) {
+      message.attachments = claimed.uploads.map(uploadStore.describe);
+    }
+    order.messages = order.messages || [];
+    order.messages.push(message);
+    await orders.save();
+    await uploadStore.attach(claimed.uploads, { type: 'message', orderId: order.id });
+    events.publish([order.buyerId, order.sellerId, ctx.userId], 'message', { orderId: order.id, message });
+    const preview = message.text || `sent ${claimed.uploads.length} file(s)`;
+    await Promise.all([order.buyerId, order.sellerId].filter(id => id !== ctx.userId).map(userId =>
+      notifications.notify(userId, 'message', {
+        title: `New message on order #${order.id}`,
+        body: `${ctx.user.username}: ${preview}`,
+        link: `/dashboard.html?orderId=${encodeURIComponent(order.id)}`,
+        key: `message:${order.id}`
+      })));
+    return sendJson(ctx.res, 201, { message: 'Message sent' });
+  });
+
+  // Tell the other participants that the caller is typing in an order's
+  // conversation. Clients send this every few seconds while typing.
+  router.post('/api/messages/typing', requireAuth, jsonBody, async ctx => {
+    const order = orders.get(ctx.body.orderId);
+    if (!order || !canAccessOrder(order, ctx.user)) {
+      return sendJson(ctx.res, 404, { error: 'Order not found' });
+    }
+    const others = [order.buyerId, order.sellerId].filter(id => id !== ctx.userId);
+    events.publish(others, 'typing', { orderId: order.id, userId: ctx.userId }, { replay: false });
+    return sendJson(ctx.res, 200, { message: 'OK' });
+  });
+};
@@ -0,0 +1,66 @@
+const { sendJson } = require('../lib/http');
+const { requireAuth, jsonBody } = require('../lib/middleware');
+const { EVENTS } = require('../lib/notifications');
+
+/*
+ * The caller's notifications and notification preferences (see
+ * lib/notifications.js).
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+module.exports = function registerNotificationRoutes(router, app) {
+  const { users, notifications } = app;
+
+  // One page of the caller's notifications, newest first, with the number
+  // still unread. `unread=1` lists only unread ones.
+  router.get('/api/notifications', requireAuth, async ctx => {
+    const page = Math.max(1, parseInt(ctx.query.get('page'), 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(ctx.query.get('limit'), 10) || DEFAULT_PAGE_SIZE));
+    const { notifications: list, total } = notifications.list(ctx.userId, {
+      page,
+      limit,
+      unreadOnly: ctx.query.get('unread') === '1'
+    });
+    return sendJson(ctx.res, 200, {
+      notifications: list,
+      unreadCount: notifications.unreadCount(ctx.userId),
+      total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit))
+    });
+  });
+
+  // Mark notifications read: the given `ids`, or all of them with `all: true`
+  router.post('/api/notifications/read', requireAuth, jsonBody, async ctx => {
+    const { ids, all } = ctx.body;
+    if (all !== true && !(Array.isArray(ids) && ids.every(id => typeof id === 'string'))) {
+      return sendJson(ctx.res, 400, { error: 'Send the ids to mark read, or all: true' });
+    }
+    const marked = await notifications.markRead(ctx.userId, all === true ? 'all' : ids);
+    return sendJson(ctx.res, 200, { marked, unreadCount: notifications.unreadCount(ctx.userId) });
+  });
+
+  // The caller's preferences for each kind of event and channel
+  router.get('/api/notifications/preferences', requireAuth, async ctx => {
+    return sendJson(ctx.res, 200, {
+      events: Object.keys(EVENTS).map(event => ({ event, label: EVENTS[event].label })),
+      channels: notifications.channelNames,
+      preferences: notifications.preferencesOf(ctx.user)
+    });
+  });
+
+  // Change preferences: { preferences: { event: { channel: true|false } } }.
+  // Events and channels left out keep their current setting.
+  router.post('/api/notifications/preferences', requireAuth, jsonBody, async ctx => {
+    const { preferences, error } = notifications.normalizePreferences(ctx.user, ctx.body.preferences);
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    ctx.user.notificationPreferences = preferences;
+    await users.save();
+    return sendJson(ctx.res, 200, { message: 'Notification preferences saved', preferences });
+  });
+};
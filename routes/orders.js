@@ -0,0 +1,137 @@
+const { sendJson } = require('../lib/http');
+const { requireAuth, requireRole, jsonBody } = require('../lib/middleware');
+const { findPackage } = require('../lib/packages');
+const { availableActions, revisionsLeft, newOrder, transition } = require('../lib/orders');
+const { isActive } = require('../lib/users');
+const { releaseJob } = require('../lib/jobs');
+
+/*
+ * Order placement and the order lifecycle (see lib/orders.js).
+ */
+
+module.exports = function registerOrderRoutes(router, app) {
+  const { users, gigs, orders, reviews, payments, jobs, escrow, fees, verification, uploadStore, announceOrderChange } = app;
+
+  // List orders (for buyer or seller), with the gig (or job) title, whether the
+  // caller has reviewed the order, the latest payment attempt and what the
+  // caller can do next, for display
+  router.get('/api/orders', requireAuth, async ctx => {
+    const userOrders = orders
+      .filter(o => o.buyerId === ctx.userId || o.sellerId === ctx.userId)
+      .map(o => {
+        const gig = gigs.get(o.gigId);
+        const job = o.jobId ? jobs.get(o.jobId) : null;
+        const attempts = payments.filter(p => p.orderId === o.id);
+        const payment = attempts[attempts.length - 1];
+        return Object.assign({}, o, {
+          gigTitle: gig ? gig.title : null,
+          jobTitle: job ? job.title : null,
+          payment: payment ? { status: payment.status, method: payment.method, failureReason: payment.failureReason } : null,
+          reviewedByMe: reviews.some(r => r.orderId === o.id && r.authorId === ctx.userId),
+          revisionsLeft: revisionsLeft(o),
+          actions: availableActions(o, ctx.user)
+        });
+      });
+    return sendJson(ctx.res, 200, { orders: userOrders });
+  });
+
+  // Create order (buyer only) for one of the gig's packages. The order
+  // waits for payment (POST /api/orders/:id/pay) before the seller sees it
+  // as placed.
+  router.post('/api/orders', requireRole('buyer', 'Only buyers can place orders'), jsonBody, async ctx => {
+    const { gigId, packageId } = ctx.body;
+    const gig = gigs.get(gigId);
+    const seller = gig && users.get(gig.sellerId);
+    // Gigs held for review, rejected ones and those of suspended or deleted
+    // sellers are hidden
+    if (!gig || gig.status !== 'active' || !isActive(seller)) {
+      return sendJson(ctx.res, 404, { error: 'Gig not found' });
+    }
+    const pkg = findPackage(gig, packageId);
+    if (!pkg) {
+      return sendJson(ctx.res, 400, { error: 'Unknown package for this gig' });
+    }
+    const limit = verification.checkOrderLimit(seller, pkg.price);
+    if (limit.error) {
+      return sendJson(ctx.res, 409, { error: limit.error });
+    }
+    const order = newOrder({
+      id: orders.nextId(),
+      buyerId: ctx.userId,
+      sellerId: gig.sellerId,
+      gigId: gig.id,
+      pkg,
+      pricing: fees.quote(pkg.price, gig.category)
+    });
+    await orders.insert(order);
+    return sendJson(ctx.res, 201, { message: 'Order created; complete the payment to place it', order });
+  });
+
+  // Apply a lifecycle action for the caller and settle escrow if it ends
+  // the order. A delivery may carry `files`: ids of delivery uploads.
+  async function act(ctx, order, action) {
+    const { uploads: files, error } = action === 'deliver'
+      ? uploadStore.claim(ctx.body.files, ctx.user, { kind: 'delivery', orderId: order.id })
+      : { uploads: [] };
+    if (error) {
+      return sendJson(ctx.res, 400, { error });
+    }
+    const result = transition(order, action, ctx.user, { note: ctx.body.note, files: files.map(uploadStore.describe) });
+    if (result.error) {
+      return sendJson(ctx.res, result.status, { error: result.error });
+    }
+    await uploadStore.attach(files, { type: 'delivery', orderId: order.id });
+    let message = ACTION_MESSAGES[action];
+    if (order.status === 'completed') {
+      await escrow.release(order);
+    } else if (order.status === 'cancelled' && order.escrow > 0) {
+      await escrow.refund(order);
+      message = 'Order cancelled and refunded';
+    }
+    await orders.save();
+    if (order.status === 'cancelled') {
+      await releaseJob(jobs, order);
+    }
+    announceOrderChange(order);
+    return sendJson(ctx.res, 200, { message, order });
+  }
+
+  const ACTION_MESSAGES = {
+    start: 'Order started',
+    deliver: 'Order delivered',
+    request_revision: 'Revision requested',
+    accept: 'Order completed',
+    request_cancellation: 'Cancellation requested',
+    decline_cancellation: 'Cancellation request declined',
+    cancel: 'Order cancelled'
+  };
+
+  // Lifecycle actions: POST /api/orders/:id/<path> with an optional `note`
+  const ACTION_PATHS = {
+    start: 'start',
+    deliver: 'deliver',
+    'request-revision': 'request_revision',
+    accept: 'accept',
+    'request-cancellation': 'request_cancellation',
+    'decline-cancellation': 'decline_cancellation',
+    cancel: 'cancel'
+  };
+  Object.keys(ACTION_PATHS).forEach(path => {
+    router.post(`/api/orders/:id/${path}`, requireAuth, jsonBody, async ctx => {
+      const order = orders.get(ctx.params.id);
+      if (!order) {
+        return sendJson(ctx.res, 404, { error: 'Order not found' });
+      }
+      return act(ctx, order, ACTION_PATHS[path]);
+    });
+  });
+
+  // Older clients complete an order here; it is the buyer accepting the delivery
+  router.post('/api/complete-order', requireAuth, jsonBody, async ctx => {
+    const order = orders.get(ctx.body.orderId);
+    if (!order) {
+      return sendJson(ctx.res, 404, { error: 'Order not found' });
+    }
+    return act(ctx, order, 'accept');
+  });
+};
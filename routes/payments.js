@@ -0,0 +1,82 @@
+const { readRawBody, sendJson } = require('../lib/http');
+const { requireAuth, jsonBody } = require('../lib/middleware');
+const { METHODS } = require('../lib/payments');
+
+/*
+ * Paying for orders and the payment gateway's webhook (see lib/payments.js).
+ */
+
+const PHONE_PATTERN = /^\+?[0-9]{7,15}$/;
+
+module.exports = function registerPaymentRoutes(router, app) {
+  const { orders, payments, paymentService, paymentGateway } = app;
+
+  // Start paying for one of the caller's orders that is awaiting payment.
+  // Body: { method: 'card' | 'mobile_money', phone } (phone for mobile money)
+  router.post('/api/orders/:id/pay', requireAuth, jsonBody, async ctx => {
+    const order = orders.get(ctx.params.id);
+    if (!order || order.buyerId !== ctx.userId) {
+      return sendJson(ctx.res, 404, { error: 'Order not found' });
+    }
+    if (order.status !== 'awaiting_payment') {
+      return sendJson(ctx.res, 409, { error: 'This order is not awaiting payment' });
+    }
+    const { method } = ctx.body;
+    if (!METHODS.includes(method)) {
+      return sendJson(ctx.res, 400, { error: `Method must be one of ${METHODS.join(', ')}` });
+    }
+    const phone = ctx.body.phone ? String(ctx.body.phone).replace(/[\s-]/g, '') : '';
+    if (method === 'mobile_money' && !PHONE_PATTERN.test(phone)) {
+      return sendJson(ctx.res, 400, { error: 'A valid phone number is required for mobile money' });
+    }
+    const { payment, action } = await paymentService.start(order, { method, phone });
+    return sendJson(ctx.res, 201, { message: 'Payment started', payment, action });
+  });
+
+  // Callback from the payment gateway. The body must be read raw so its
+  // signature can be checked.
+  router.post('/api/payments/webhook', async ctx => {
+    let rawBody;
+    try {
+      rawBody = await readRawBody(ctx.req);
+    } catch (err) {
+      // The connection has already been closed
+      return;
+    }
+    const event = paymentGateway.parseWebhook(rawBody, ctx.req.headers);
+    if (!event) {
+      return sendJson(ctx.res, 400, { error: 'Invalid webhook signature' });
+    }
+    const handled = await paymentService.handleEvent(event);
+    return sendJson(ctx.res, 200, { received: true, duplicate: !handled });
+  });
+
+  // The mock gateway's checkout page lets the buyer approve or decline
+  if (paymentGateway.simulate) {
+    function findOwnPayment(ctx, reference) {
+      const payment = payments.find(p => p.reference === reference);
+      return payment && payment.buyerId === ctx.userId ? payment : null;
+    }
+
+    router.get('/api/payments/mock/:reference', requireAuth, async ctx => {
+      const payment = findOwnPayment(ctx, ctx.params.reference);
+      if (!payment) {
+        return sendJson(ctx.res, 404, { error: 'Payment not found' });
+      }
+      return sendJson(ctx.res, 200, { payment });
+    });
+
+    router.post('/api/payments/mock/complete', requireAuth, jsonBody, async ctx => {
+      const { reference, outcome } = ctx.body;
+      const payment = findOwnPayment(ctx, reference);
+      if (!payment) {
+        return sendJson(ctx.res, 404, { error: 'Payment not found' });
+      }
+      if (payment.status !== 'pending') {
+        return sendJson(ctx.res, 409, { error: `This payment is already ${payment.status}` });
+      }
+      await paymentGateway.simulate(reference, outcome === 'succeeded' ? 'succeeded' : 'failed');
+      return sendJson(ctx.res, 200, { message: 'Payment outcome sent', payment });
+    });
+  }
+};
@@ -0,0 +1,108 @@
+const { sendJson } = require('../lib/http');
+const { requireAuth, jsonBody } = require('../lib/middleware');
+
+/*
+ * Reviews on completed orders, and public profiles showing ratings.
+ */
+
+const MAX_COMMENT_LENGTH = 2000;
+
+module.exports = function registerReviewRoutes(router, app) {
+  const { users, gigs, orders, reviews, reviewService } = app;
+
+  // Shape a published review for display
+  function publicReview(review) {
+    const author = users.get(review.authorId);
+    return {
+      id: review.id,
+      orderId: review.orderId,
+      gigId: review.gigId,
+      authorId: review.authorId,
+      authorUsername: author ? author.username : 'Unknown user',
+      authorRole: review.authorRole,
+      rating: review.rating,
+      comment: review.comment,
+      createdAt: review.createdAt
+    };
+  }
+
+  // Leave a review on a completed order (buyer or seller, once each)
+  router.post('/api/reviews', requireAuth, jsonBody, async ctx => {
+    const { orderId, rating, comment } = ctx.body;
+    const stars = Number(rating);
+    if (!orderId || !Number.isInteger(stars) || stars < 1 || stars > 5) {
+      return sendJson(ctx.res, 400, { error: 'orderId and a rating from 1 to 5 are required' });
+    }
+    if (comment && String(comment).length > MAX_COMMENT_LENGTH) {
+      return sendJson(ctx.res, 400, { error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+    const order = orders.get(orderId);
+    if (!order) {
+      return sendJson(ctx.res, 404, { error: 'Order not found' });
+    }
+    if (order.buyerId !== ctx.userId && order.sellerId !== ctx.userId) {
+      return sendJson(ctx.res, 403, { error: 'Not authorised to review this order' });
+    }
+    if (order.status !== 'completed') {
+      return sendJson(ctx.res, 400, { error: 'Only completed orders can be reviewed' });
+    }
+    if (reviewService.windowClosed(order)) {
+      return sendJson(ctx.res, 400, { error: 'The review window for this order has closed' });
+    }
+    if (reviews.find(r => r.orderId === order.id && r.authorId === ctx.userId)) {
+      return sendJson(ctx.res, 400, { error: 'You have already reviewed this order' });
+    }
+    const review = await reviewService.submit(order, ctx.user, {
+      rating: stars,
+      comment: comment ? String(comment).trim() : ''
+    });
+    return sendJson(ctx.res, 201, {
+      message: review.publishedAt ? 'Review published' : 'Review submitted. It will be published once the other party has reviewed or the review window closes.',
+      review
+    });
+  });
+
+  // Published buyer reviews of a gig
+  router.get('/api/gigs/:id/reviews', async ctx => {
+    const gig = gigs.get(ctx.params.id);
+    if (!gig) {
+      return sendJson(ctx.res, 404, { error: 'Gig not found' });
+    }
+    const list = reviews
+      .filter(r => r.publishedAt && r.gigId === gig.id && r.authorRole === 'buyer')
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(publicReview);
+    return sendJson(ctx.res, 200, { rating: gig.rating || reviewService.summarize([]), reviews: list });
+  });
+
+  // Public profile of a user, including their rating
+  router.get('/api/users/:id', async ctx => {
+    const user = users.get(ctx.params.id);
+    if (!user) {
+      return sendJson(ctx.res, 404, { error: 'User not found' });
+    }
+    return sendJson(ctx.res, 200, {
+      user: {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        verificationLevel: user.verificationLevel,
+        createdAt: user.createdAt,
+        rating: user.rating || reviewService.summarize([])
+      }
+    });
+  });
+
+  // Published reviews about a user
+  router.get('/api/users/:id/reviews', async ctx => {
+    const user = users.get(ctx.params.id);
+    if (!user) {
+      return sendJson(ctx.res, 404, { error: 'User not found' });
+    }
+    const list = reviews
+      .filter(r => r.publishedAt && r.subjectId === user.id)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(publicReview);
+    return sendJson(ctx.res, 200, { rating: user.rating || reviewService.summarize([]), reviews: list });
+  });
+};
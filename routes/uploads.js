@@ -0,0 +1,89 @@
+const { CORS_HEADERS, sendJson } = require('../lib/http');
+const { requireAuth } = require('../lib/middleware');
+const { IMAGE_TYPES } = require('../lib/uploads');
+
+/*
+ * File uploads and downloads (see lib/uploads.js).
+ */
+
+// Types a browser may show in place; everything else is downloaded
+const INLINE_TYPES = IMAGE_TYPES.concat('application/pdf', 'video/mp4');
+
+function contentDisposition(upload) {
+  const fallback = upload.name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const disposition = INLINE_TYPES.includes(upload.contentType) ? 'inline' : 'attachment';
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(upload.name)}`;
+}
+
+module.exports = function registerUploadRoutes(router, app) {
+  const { orders, uploads, uploadStore } = app;
+
+  // An upload as returned to clients
+  function uploadView(upload) {
+    return Object.assign(uploadStore.describe(upload), { url: `/api/uploads/${upload.id}` });
+  }
+
+  // Upload one file as multipart/form-data in the field `file`. `kind` is
+  // gig_image (sellers), attachment (for a message on order `orderId`) or
+  // delivery (the seller delivering order `orderId`).
+  router.post('/api/uploads', requireAuth, async ctx => {
+    const kind = ctx.query.get('kind');
+    const orderId = ctx.query.get('orderId');
+    if (kind === 'gig_image' && ctx.user.role !== 'seller') {
+      return sendJson(ctx.res, 403, { error: 'Only sellers can upload gig images' });
+    }
+    if (kind === 'attachment' || kind === 'delivery') {
+      const order = orders.get(orderId);
+      const allowed = order && (kind === 'delivery'
+        ? order.sellerId === ctx.userId
+        : order.buyerId === ctx.userId || order.sellerId === ctx.userId || ctx.user.role === 'admin');
+      if (!allowed) {
+        return sendJson(ctx.res, 404, { error: 'Order not found' });
+      }
+    }
+    let result;
+    try {
+      result = await uploadStore.receive(ctx.req, ctx.user, { kind, orderId: kind === 'gig_image' ? null : orderId });
+    } catch (err) {
+      if (err.message === 'Body too large') {
+        // The connection has already been closed
+        return;
+      }
+      throw err;
+    }
+    if (result.error) {
+      return sendJson(ctx.res, result.status, { error: result.error });
+    }
+    return sendJson(ctx.res, 201, { message: 'File uploaded', upload: uploadView(result.upload) });
+  });
+
+  // Download a file. Gig images are public; message attachments and
+  // deliveries only go to the order's buyer and seller and to admins.
+  router.get('/api/uploads/:id', async ctx => {
+    const upload = uploads.get(ctx.params.id);
+    let allowed = false;
+    if (upload && upload.kind === 'gig_image') {
+      allowed = true;
+    } else if (upload && ctx.user) {
+      const order = orders.get(upload.orderId);
+      allowed = ctx.user.role === 'admin' || upload.ownerId === ctx.userId ||
+        Boolean(order && upload.attachedTo && (order.buyerId === ctx.userId || order.sellerId === ctx.userId));
+    }
+    if (!allowed) {
+      return sendJson(ctx.res, 404, { error: 'File not found' });
+    }
+    ctx.res.writeHead(200, Object.assign({
+      'Content-Type': upload.contentType,
+      'Content-Length': upload.size,
+      'Content-Disposition': contentDisposition(upload),
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': upload.kind === 'gig_image' ? 'public, max-age=86400' : 'private, no-store'
+    }, CORS_HEADERS));
+    const stream = uploadStore.open(upload);
+    stream.on('error', err => {
+      console.error(`Error reading upload ${upload.id}:`, err);
+      ctx.res.destroy();
+    });
+    stream.pipe(ctx.res);
+  });
+};
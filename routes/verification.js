@@ -0,0 +1,48 @@
+const { sendJson } = require('../lib/http');
+const { requireAuth, requireRole, jsonBodyUpTo } = require('../lib/middleware');
+const { DOCUMENT_TYPES, MAX_DOCUMENTS, MAX_DOCUMENT_BYTES } = require('../lib/verification');
+
+/*
+ * Identity verification for the caller (see lib/verification.js). Admins
+ * review submissions under /api/adm/verifications.
+ */
+
+// Documents travel base64-encoded in the JSON body, which makes them about
+// a third larger
+const MAX_SUBMISSION_BYTES = Math.ceil(MAX_DOCUMENTS * MAX_DOCUMENT_BYTES * 4 / 3) + 64 * 1024;
+
+// A submission as shown to the user who sent it
+function submissionView(request) {
+  const { id, fullName, country, documentType, status, reason, submittedAt, reviewedAt } = request;
+  return { id, fullName, country, documentType, documents: request.documents.length, status, reason, submittedAt, reviewedAt };
+}
+
+module.exports = function registerVerificationRoutes(router, app) {
+  const { verification } = app;
+
+  // The caller's level, the limits that come with it and their latest
+  // submission
+  router.get('/api/verification', requireAuth, async ctx => {
+    const latest = verification.latestFor(ctx.userId);
+    return sendJson(ctx.res, 200, {
+      level: ctx.user.verificationLevel,
+      limits: verification.limitsFor(ctx.user),
+      openOrderValue: verification.openOrderValue(ctx.userId),
+      submission: latest ? submissionView(latest) : null,
+      documentTypes: DOCUMENT_TYPES,
+      maxDocuments: MAX_DOCUMENTS,
+      maxDocumentBytes: MAX_DOCUMENT_BYTES
+    });
+  });
+
+  // Submit identity documents for review (sellers only). `documents` is a
+  // list of base64 data URLs of JPEG, PNG or PDF files.
+  router.post('/api/verification', requireRole('seller', 'Only sellers can submit verification documents'),
+    jsonBodyUpTo(MAX_SUBMISSION_BYTES), async ctx => {
+      const result = await verification.submit(ctx.user, ctx.body);
+      if (result.error) {
+        return sendJson(ctx.res, result.status, { error: result.error });
+      }
+      return sendJson(ctx.res, 201, { message: 'Documents submitted for review', submission: submissionView(result.request) });
+    });
+};
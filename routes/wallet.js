@@ -0,0 +1,35 @@
+const { sendJson } = require('../lib/http');
+const { requireAuth } = require('../lib/middleware');
+const { userAccount } = require('../lib/ledger');
+
+/*
+ * The caller's wallet: balance and transaction history from the ledger.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+module.exports = function registerWalletRoutes(router, app) {
+  const { orders, ledger } = app;
+
+  // Balance, money held in escrow on the caller's open orders, and the
+  // page/limit paginated history of the caller's wallet, newest first
+  router.get('/api/wallet', requireAuth, async ctx => {
+    const page = Math.max(1, parseInt(ctx.query.get('page'), 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(ctx.query.get('limit'), 10) || DEFAULT_PAGE_SIZE));
+    const history = ledger.history(userAccount(ctx.userId));
+    const inEscrow = orders
+      .filter(o => o.buyerId === ctx.userId || o.sellerId === ctx.userId)
+      .reduce((sum, o) => sum + (o.escrow || 0), 0);
+    const start = (page - 1) * limit;
+    return sendJson(ctx.res, 200, {
+      balance: ledger.balance(userAccount(ctx.userId)),
+      inEscrow: Math.round(inEscrow * 100) / 100,
+      transactions: history.slice(start, start + limit),
+      total: history.length,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(history.length / limit))
+    });
+  });
+};
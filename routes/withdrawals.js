@@ -0,0 +1,73 @@
+const config = require('../lib/config');
+const { sendJson } = require('../lib/http');
+const { requireAuth, jsonBody } = require('../lib/middleware');
+const { userAccount } = require('../lib/ledger');
+const { METHODS } = require('../lib/payouts');
+const { roundCents } = require('../lib/escrow');
+
+/*
+ * Withdrawals from the caller's balance (see lib/payouts.js).
+ */
+
+const MAX_DESTINATION_LENGTH = 200;
+
+module.exports = function registerWithdrawalRoutes(router, app) {
+  const { withdrawals, ledger, payouts, verification } = app;
+
+  // The caller's withdrawals, newest first
+  router.get('/api/withdrawals', requireAuth, async ctx => {
+    const list = withdrawals
+      .filter(w => w.userId === ctx.userId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return sendJson(ctx.res, 200, {
+      withdrawals: list,
+      minimum: config.MIN_WITHDRAWAL,
+      maximum: verification.limitsFor(ctx.user).maxWithdrawal,
+      methods: METHODS
+    });
+  });
+
+  // Ask to withdraw part of the balance. The amount is held until an admin
+  // approves or rejects the request.
+  router.post('/api/withdrawals', requireAuth, jsonBody, async ctx => {
+    const { method, destination } = ctx.body;
+    const amount = Number(ctx.body.amount);
+    if (!Number.isFinite(amount) || roundCents(amount) !== amount) {
+      return sendJson(ctx.res, 400, { error: 'Amount must be a number of dollars and cents' });
+    }
+    if (amount < config.MIN_WITHDRAWAL) {
+      return sendJson(ctx.res, 400, { error: `The minimum withdrawal is $${config.MIN_WITHDRAWAL}` });
+    }
+    if (!METHODS.includes(method)) {
+      return sendJson(ctx.res, 400, { error: `Method must be one of ${METHODS.join(', ')}` });
+    }
+    const to = destination ? String(destination).trim() : '';
+    if (!to || to.length > MAX_DESTINATION_LENGTH) {
+      return sendJson(ctx.res, 400, { error: 'Enter the account, number or address to pay out to' });
+    }
+    const { maxWithdrawal } = verification.limitsFor(ctx.user);
+    if (maxWithdrawal !== null && amount > maxWithdrawal) {
+      return sendJson(ctx.res, 400, {
+        error: `Withdrawals are limited to $${maxWithdrawal} at a time at your verification level`
+      });
+    }
+    if (amount > ledger.balance(userAccount(ctx.userId))) {
+      return sendJson(ctx.res, 400, { error: 'Amount is more than your available balance' });
+    }
+    const withdrawal = await payouts.request(ctx.user, { amount, method, destination: to });
+    return sendJson(ctx.res, 201, { message: 'Withdrawal requested', withdrawal });
+  });
+
+  // Cancel a request that hasn't been reviewed yet; the amount is returned
+  router.post('/api/withdrawals/:id/cancel', requireAuth, async ctx => {
+    const withdrawal = withdrawals.get(ctx.params.id);
+    if (!withdrawal || withdrawal.userId !== ctx.userId) {
+      return sendJson(ctx.res, 404, { error: 'Withdrawal not found' });
+    }
+    if (withdrawal.status !== 'requested') {
+      return sendJson(ctx.res, 409, { error: 'Only withdrawals awaiting review can be cancelled' });
+    }
+    await payouts.decline(withdrawal, 'cancelled', ctx.user);
+    return sendJson(ctx.res, 200, { message: 'Withdrawal cancelled', withdrawal });
+  });
+};
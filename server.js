@@ -1,130 +1,463 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const config = require('./lib/config');
+const passwords = require('./lib/passwords');
+const { createSessionStore } = require('./lib/sessions');
+const { createStore, createJsonFileBackend } = require('./lib/store');
+const { createRouter } = require('./lib/router');
+const { CORS_HEADERS, clientIp, sendJson } = require('./lib/http');
+const { authenticate } = require('./lib/middleware');
+const { createGigIndex } = require('./lib/search');
+const { createReviewService } = require('./lib/reviews');
+const { normalizePackages, singlePricePackage } = require('./lib/packages');
+const { placedEntry, changeEvent } = require('./lib/orders');
+const { createEscrow } = require('./lib/escrow');
+const { createFeeSchedule } = require('./lib/fees');
+const { METHODS: PAYOUT_METHODS, createSimulatedProvider, createPayoutService } = require('./lib/payouts');
+const { createMockGateway, createPaymentService } = require('./lib/payments');
+const { createVerificationService } = require('./lib/verification');
+const { createUploadStore } = require('./lib/uploads');
+const { createEventHub } = require('./lib/events');
+const { createAuditLog } = require('./lib/audit');
+const { createModeration } = require('./lib/moderation');
+const { releaseJob } = require('./lib/jobs');
+const { createMemoryStore, createRateLimiter, createLoginLockout } = require('./lib/ratelimit');
+const { createDisputeService } = require('./lib/disputes');
+const { createEmailChannel, createNotificationService } = require('./lib/notifications');
+const mailer = require('./lib/mailer');
+const { createLedger, OPENING_BALANCES, userAccount, escrowAccount } = require('./lib/ledger');
 
 /*
  * Bazimn marketplace MVP server
  *
  * This file implements a very simple HTTP server without external dependencies.
- * It supports a handful of API endpoints to register/login users, create gigs
- * and orders, and mark orders as complete. Data is stored in JSON files
- * under the `data` directory. For a real production system you would use
- * a database and proper authentication, but this MVP demonstrates the
- * core flows described in the marketplace plan.
+ * It loads the data, wires the API routes from the `routes` directory into
+ * the router and serves the static site. Data is stored in JSON files
+ * through the storage layer in `lib/store.js`, which can be pointed at a
+ * different backend without changing the route handlers.
  */
 
 // Directory paths
 const DATA_DIR = __dirname;
 const PUBLIC_DIR = __dirname;
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+// Load or initialize persistent data
+const store = createStore({ backend: createJsonFileBackend(DATA_DIR) });
+const users = store.collection('users');
+const gigs = store.collection('gigs');
+const orders = store.collection('orders');
+const disputes = store.collection('disputes');
+const passwordResets = store.collection('password-resets');
+const reviews = store.collection('reviews');
+const withdrawals = store.collection('withdrawals');
+const payments = store.collection('payments');
+const paymentEvents = store.collection('payment-events');
+const jobs = store.collection('jobs');
+const offers = store.collection('offers');
+const verificationRequests = store.collection('verification-requests');
+const uploads = store.collection('uploads');
+const notificationRecords = store.collection('notifications');
+const ledger = createLedger({ collection: store.collection('ledger') });
+const fees = createFeeSchedule({ collection: store.collection('fee-rules'), defaults: config.DEFAULT_FEES });
+const audit = createAuditLog({ collection: store.collection('audit') });
+const moderation = createModeration({
+  rules: store.collection('moderation-rules'),
+  reports: store.collection('gig-reports'),
+  gigs
+});
+
+// Log failures of saves that nothing waits on
+function logSaveError(promise) {
+  promise.catch(err => {
+    console.error('Error saving data:', err);
+  });
 }
 
-// Helper to read a JSON file, returns an array or object
-function readJSON(file, defaultValue) {
-  try {
-    const data = fs.readFileSync(path.join(DATA_DIR, file), 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    return defaultValue;
+// Audit entries from before snapshots left out personal details
+logSaveError(audit.removePersonalDetails().then(changed => {
+  if (changed > 0) {
+    console.log(`Removed personal details from ${changed} audit log entries`);
   }
-}
+}));
 
-// Helper to write data back to JSON file
-function writeJSON(file, data) {
-  fs.writeFileSync(path.join(DATA_DIR, file), JSON.stringify(data, null, 2));
-}
+// Login sessions, persisted so restarts don't sign everybody out
+const sessions = createSessionStore({
+  collection: store.collection('sessions'),
+  idleTimeoutMs: config.SESSION_IDLE_TIMEOUT_MS,
+  absoluteTimeoutMs: config.SESSION_ABSOLUTE_TIMEOUT_MS
+});
+logSaveError(sessions.prune());
+setInterval(() => logSaveError(sessions.prune()), 60 * 60 * 1000).unref();
 
-// Generate a simple token (not secure) based on timestamp and random number
-function generateToken() {
-  return (
-    Date.now().toString(36) +
-    Math.random().toString(36).substring(2, 8)
-  );
+// Upgrade records created before password hashing was introduced
+let upgradedPasswords = 0;
+users.all().forEach(u => {
+  if (passwords.upgradeLegacyPassword(u)) {
+    upgradedPasswords++;
+  }
+});
+if (upgradedPasswords > 0) {
+  logSaveError(users.save());
+  console.log(`Upgraded ${upgradedPasswords} plaintext password(s) to salted hashes`);
 }
 
-// In-memory token store: token -> userId mapping
-const tokenStore = {};
-
-// Load or initialize persistent data
-let users = readJSON('users.json', []);
-let gigs = readJSON('gigs.json', []);
-let orders = readJSON('orders.json', []);
-let disputes = readJSON('disputes.json', []);
-
 // Ensure there is at least one admin account for management. On first run,
-// if no admin exists, create a default admin user with a known password.
+// if no admin exists, create one with the password from ADMIN_PASSWORD or a
+// random one-time password printed to the console. Either way the password
+// must be changed on first login.
 if (!users.some(u => u.role === 'admin')) {
+  const initialPassword = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('hex');
   const adminUser = {
-    id: (users.length + 1).toString(),
+    id: users.nextId(),
     username: 'admin',
     email: 'admin@bazimn.local',
-    password: 'admin',
+    passwordHash: passwords.hashPasswordSync(initialPassword),
+    mustChangePassword: true,
     role: 'admin',
     wallet: 0,
     verificationLevel: 'trusted',
+    status: 'active',
     createdAt: Date.now()
   };
-  users.push(adminUser);
-  writeJSON('users.json', users);
+  logSaveError(users.insert(adminUser));
+  if (!process.env.ADMIN_PASSWORD) {
+    console.log(`Created admin account ${adminUser.email} with one-time password: ${initialPassword}`);
+  }
 }
 
-// Persist data on server exit
-function persistData() {
-  writeJSON('users.json', users);
-  writeJSON('gigs.json', gigs);
-  writeJSON('orders.json', orders);
-  writeJSON('disputes.json', disputes);
+// Give gigs created before pricing packages a single basic package. Gigs
+// without a valid price get none and are taken off the listings until the
+// seller edits them.
+let upgradedGigs = 0;
+const unpricedGigs = [];
+gigs.all().forEach(g => {
+  if (!Array.isArray(g.packages)) {
+    const { packages, error } = normalizePackages([singlePricePackage(g.price)]);
+    if (error) {
+      g.packages = [];
+      g.status = 'rejected';
+      g.moderation = { flags: [], reason: `This gig has no valid price (${error}); edit it to set one`, reviewedBy: null, reviewedAt: null };
+      unpricedGigs.push(g.id);
+    } else {
+      g.packages = packages;
+    }
+    upgradedGigs++;
+  }
+});
+if (upgradedGigs > 0) {
+  logSaveError(gigs.save());
+  console.log(`Added a basic package to ${upgradedGigs - unpricedGigs.length} gig(s)`);
+}
+if (unpricedGigs.length > 0) {
+  console.log(`Unlisted gig(s) without a valid price: ${unpricedGigs.join(', ')}`);
 }
 
-// Graceful shutdown to persist data
-process.on('SIGINT', () => {
-  persistData();
-  process.exit();
+// Gigs from before moderation were published as they were submitted
+const unmoderatedGigs = gigs.filter(g => !g.status);
+unmoderatedGigs.forEach(g => {
+  g.status = 'active';
 });
+if (unmoderatedGigs.length > 0) {
+  logSaveError(gigs.save());
+}
 
-// Parse JSON body from incoming request
-function parseRequestBody(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-      // Limit body size to 1MB to prevent abuse
-      if (body.length > 1e6) {
-        req.connection.destroy();
-        reject(new Error('Body too large'));
-      }
-    });
-    req.on('end', () => {
-      try {
-        const data = body ? JSON.parse(body) : {};
-        resolve(data);
-      } catch (err) {
-        reject(err);
-      }
+// Give orders from before the lifecycle a timeline, and freeze orders that
+// have an open dispute
+let upgradedOrders = 0;
+orders.all().forEach(o => {
+  if (Array.isArray(o.timeline)) {
+    return;
+  }
+  o.timeline = [placedEntry(o)];
+  if (o.status === 'completed') {
+    o.timeline.push({ status: 'completed', action: 'accept', actorId: null, note: null, at: o.completedAt || o.createdAt });
+  } else if (disputes.some(d => d.orderId === o.id && d.status === 'open')) {
+    o.status = 'disputed';
+    o.timeline.push({ status: 'disputed', action: 'dispute', actorId: null, note: null, at: o.createdAt });
+  }
+  o.revisionsUsed = 0;
+  upgradedOrders++;
+});
+if (upgradedOrders > 0) {
+  logSaveError(orders.save());
+  console.log(`Added a timeline to ${upgradedOrders} order(s)`);
+}
+
+// Search index over gigs, rebuilt at startup and updated by the gig routes
+const gigIndex = createGigIndex();
+gigs.all().forEach(g => gigIndex.add(g));
+
+// Reviews are published when both parties are in or the window closes
+const reviewService = createReviewService({ reviews, orders, gigs, users, windowMs: config.REVIEW_WINDOW_MS });
+logSaveError(reviewService.publishDue());
+setInterval(() => logSaveError(reviewService.publishDue()), 60 * 60 * 1000).unref();
+
+// Wallets and escrow from before the ledger become opening balances, so
+// the ledger accounts for every balance from here on
+if (ledger.accounts().length === 0) {
+  const opening = [];
+  users.all().forEach(u => {
+    if (u.wallet) {
+      opening.push(ledger.transfer('opening_balance', OPENING_BALANCES, userAccount(u.id), u.wallet));
+    }
+  });
+  orders.all().forEach(o => {
+    if (o.escrow) {
+      opening.push(ledger.transfer('opening_balance', OPENING_BALANCES, escrowAccount(o.id), o.escrow, { orderId: o.id }));
+    }
+  });
+  if (opening.length > 0) {
+    logSaveError(Promise.all(opening));
+    console.log(`Recorded ${opening.length} opening balance(s) in the ledger`);
+  }
+}
+
+// Holds order payments in escrow and pays them out, through the ledger
+const escrow = createEscrow({ users, ledger });
+
+// Payout providers by withdrawal method. Only the simulated provider ships
+// with the MVP; a real adapter implements the same send/check interface.
+const simulatedProvider = createSimulatedProvider({
+  mode: config.PAYOUT_SIMULATOR_MODE,
+  pendingMs: config.PAYOUT_SIMULATOR_PENDING_MS
+});
+const payoutProviders = {};
+PAYOUT_METHODS.forEach(method => {
+  payoutProviders[method] = simulatedProvider;
+});
+const payouts = createPayoutService({ withdrawals, users, ledger, escrow, providers: payoutProviders });
+setInterval(() => logSaveError(payouts.pollPending()), 60 * 1000).unref();
+
+// Live updates pushed to open dashboards and inboxes
+const events = createEventHub({ replaySize: config.EVENT_REPLAY_SIZE, heartbeatMs: config.EVENT_HEARTBEAT_MS });
+
+// Notifications, shown in the app and sent by email (to the local outbox
+// unless a mail transport is configured)
+const notifications = createNotificationService({
+  collection: notificationRecords,
+  users,
+  events,
+  channels: { email: createEmailChannel({ mailer, appUrl: config.APP_URL }) }
+});
+
+// Tell both parties about the latest change to an order: live on their open
+// pages and through their notifications
+function announceOrderChange(order) {
+  events.publish([order.buyerId, order.sellerId], 'order', changeEvent(order));
+  notifications.orderChanged(order).catch(err => {
+    console.error(`Error sending notifications for order ${order.id}:`, err);
+  });
+}
+
+// Disputes with a deadline for the other party to respond
+const disputeService = createDisputeService({ disputes, responseWindowMs: config.DISPUTE_RESPONSE_WINDOW_MS });
+
+// Give disputes from before statements and deadlines their reason as the
+// first statement and a respondent, who is asked to respond if the dispute
+// is still open
+let upgradedDisputes = 0;
+disputes.all().forEach(d => {
+  if (Array.isArray(d.entries)) {
+    return;
+  }
+  const order = orders.get(d.orderId);
+  const initiatorIsBuyer = !order || order.buyerId === d.initiatorId;
+  d.respondentId = order ? (initiatorIsBuyer ? order.sellerId : order.buyerId) : null;
+  d.entries = [{
+    id: '1', type: 'statement', authorId: d.initiatorId, role: initiatorIsBuyer ? 'buyer' : 'seller',
+    text: d.reason, files: [], at: d.createdAt
+  }];
+  d.responseDueAt = null;
+  d.respondedAt = null;
+  if (d.status === 'open') {
+    disputeService.askRespondent(d);
+  }
+  upgradedDisputes++;
+});
+if (upgradedDisputes > 0) {
+  logSaveError(disputes.save());
+  console.log(`Added statements to ${upgradedDisputes} dispute(s)`);
+}
+
+// Tell the parties of a dispute and the admins that it changed, live on
+// their open pages. With a `notice` ({ to, title, body }) those users are
+// notified as well.
+function announceDisputeChange(dispute, notice) {
+  const order = orders.get(dispute.orderId);
+  const parties = order ? [order.buyerId, order.sellerId] : [dispute.initiatorId];
+  const admins = users.filter(u => u.role === 'admin').map(u => u.id);
+  events.publish(parties.concat(admins), 'dispute', { disputeId: dispute.id, orderId: dispute.orderId, status: dispute.status });
+  if (notice) {
+    const link = `/dashboard.html?dispute=${encodeURIComponent(dispute.id)}`;
+    Promise.all(notice.to.map(userId =>
+      notifications.notify(userId, 'dispute_updated', { title: notice.title, body: notice.body, link })))
+      .catch(err => {
+        console.error(`Error sending notifications for dispute ${dispute.id}:`, err);
+      });
+  }
+}
+
+// Disputes whose respondent doesn't answer in time go to review anyway
+async function reviewOverdueDisputes() {
+  const overdue = await disputeService.reviewOverdue();
+  overdue.forEach(dispute => {
+    const order = orders.get(dispute.orderId);
+    announceDisputeChange(dispute, {
+      to: order ? [order.buyerId, order.sellerId] : [dispute.initiatorId],
+      title: `The dispute on order #${dispute.orderId} is under review`,
+      body: 'The deadline to respond has passed. An admin will now review the dispute.'
     });
   });
 }
+logSaveError(reviewOverdueDisputes());
+setInterval(() => logSaveError(reviewOverdueDisputes()), 60 * 1000).unref();
+
+// Payment gateway for order payments
+const gateways = {
+  mock: () => createMockGateway({
+    secret: config.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'),
+    appUrl: config.APP_URL
+  })
+};
+if (!gateways[config.PAYMENT_GATEWAY]) {
+  throw new Error(`Unknown payment gateway: ${config.PAYMENT_GATEWAY}`);
+}
+const paymentGateway = gateways[config.PAYMENT_GATEWAY]();
+const paymentService = createPaymentService({
+  payments, paymentEvents, orders, users, ledger, escrow,
+  gateway: paymentGateway,
+  timeoutMs: config.PAYMENT_TIMEOUT_MS,
+  onOrderChange: order => {
+    // An order that expired unpaid no longer holds the job it was hired for
+    if (order.status === 'expired') {
+      logSaveError(releaseJob(jobs, order));
+    }
+    announceOrderChange(order);
+  }
+});
+logSaveError(paymentService.expireUnpaid());
+setInterval(() => logSaveError(paymentService.expireUnpaid()), 60 * 1000).unref();
 
-// Send a JSON response
-function sendJson(res, statusCode, data) {
-  res.writeHead(statusCode, {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+// Resolve the directory of a setting that holds private files, refusing to
+// start if the static file server could reach it
+function privateDir(setting) {
+  const dir = path.resolve(config[setting]);
+  if (!path.relative(PUBLIC_DIR, dir).startsWith('..')) {
+    throw new Error(`${setting} must be outside ${PUBLIC_DIR}`);
+  }
+  return dir;
+}
+
+// Seller identity verification and the limits of each level
+const verificationDir = privateDir('VERIFICATION_DIR');
+// Documents used to be kept with the data files, inside PUBLIC_DIR
+const legacyVerificationDir = path.join(DATA_DIR, 'verification');
+if (fs.existsSync(legacyVerificationDir)) {
+  fs.cpSync(legacyVerificationDir, verificationDir, { recursive: true });
+  fs.rmSync(legacyVerificationDir, { recursive: true, force: true });
+  console.log(`Moved identity documents from ${legacyVerificationDir} to ${verificationDir}`);
+}
+const verification = createVerificationService({
+  requests: verificationRequests,
+  users,
+  orders,
+  dir: verificationDir,
+  limits: config.VERIFICATION_LIMITS
+});
+
+// Uploaded files, kept where the static file server can't reach them
+const uploadsDir = privateDir('UPLOADS_DIR');
+const uploadStore = createUploadStore({ collection: uploads, dir: uploadsDir });
+logSaveError(uploadStore.removeUnattached());
+setInterval(() => logSaveError(uploadStore.removeUnattached()), 60 * 60 * 1000).unref();
+
+// Request limits by client address and account, and the lockout after
+// failed logins. Their state is kept in this process.
+const rateLimitStore = createMemoryStore();
+setInterval(() => rateLimitStore.prune(), 60 * 1000).unref();
+const rateLimits = {};
+Object.entries(config.RATE_LIMITS).forEach(([name, byKey]) => {
+  rateLimits[name] = {};
+  Object.entries(byKey).forEach(([by, limit]) => {
+    rateLimits[name][by] = createRateLimiter(Object.assign({ store: rateLimitStore, name: `${name}:${by}` }, limit));
   });
-  res.end(JSON.stringify(data));
+});
+const loginLockout = createLoginLockout(Object.assign({ store: rateLimitStore }, config.LOGIN_LOCKOUT));
+
+// Everything the route modules need access to
+const app = {
+  store, users, gigs, orders, disputes, passwordResets, reviews, withdrawals, payments, jobs, offers,
+  verificationRequests, uploads, sessions, ledger, fees, gigIndex, reviewService, escrow, payouts,
+  paymentGateway, paymentService, verification, uploadStore, events, notifications, disputeService, audit, moderation,
+  rateLimits, loginLockout, announceOrderChange, announceDisputeChange
+};
+
+const router = createRouter();
+router.use(authenticate(app));
+// Accounts flagged for a password change may do nothing else until they
+// have chosen a new one
+router.use((ctx, next) => {
+  if (ctx.user && ctx.user.mustChangePassword &&
+      ctx.pathname !== '/api/change-password' && ctx.pathname !== '/api/logout') {
+    return sendJson(ctx.res, 403, { error: 'Password change required', mustChangePassword: true });
+  }
+  return next();
+});
+require('./routes/auth')(router, app);
+require('./routes/gigs')(router, app);
+require('./routes/orders')(router, app);
+require('./routes/payments')(router, app);
+require('./routes/jobs')(router, app);
+require('./routes/verification')(router, app);
+require('./routes/uploads')(router, app);
+require('./routes/messages')(router, app);
+require('./routes/disputes')(router, app);
+require('./routes/reviews')(router, app);
+require('./routes/wallet')(router, app);
+require('./routes/withdrawals')(router, app);
+require('./routes/admin')(router, app);
+require('./routes/events')(router, app);
+require('./routes/notifications')(router, app);
+
+// Graceful shutdown: let pending writes finish before exiting
+process.on('SIGINT', () => {
+  store.flush().then(() => process.exit());
+});
+
+// Data files, verification documents and the mail outbox live next to the public files but must
+// never be served
+const PRIVATE_FILES = [
+  '/users.json', '/gigs.json', '/orders.json', '/disputes.json',
+  '/password-resets.json', '/sessions.json', '/counters.json', '/reviews.json',
+  '/ledger.json', '/fee-rules.json', '/withdrawals.json', '/payments.json', '/payment-events.json',
+  '/jobs.json', '/offers.json', '/verification-requests.json',
+  '/uploads.json', '/notifications.json', '/audit.json', '/moderation-rules.json', '/gig-reports.json'
+];
+const PRIVATE_DIRS = ['/outbox/', '/lib/', '/routes/', '/verification/'];
+
+function isPrivatePath(filePath) {
+  return PRIVATE_FILES.includes(filePath) || filePath.endsWith('.tmp') ||
+    PRIVATE_DIRS.some(dir => filePath.startsWith(dir));
 }
 
 // Serve static files from PUBLIC_DIR
 function serveStatic(req, res) {
-  let filePath = req.url;
+  let filePath;
+  try {
+    filePath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (err) {
+    // Malformed percent-encoding
+    return sendJson(res, 400, { error: 'Bad request' });
+  }
   if (filePath === '/' || filePath === '') {
     filePath = '/index.html';
   }
+  filePath = path.posix.normalize(filePath);
+  if (isPrivatePath(filePath)) {
+    return sendJson(res, 404, { error: 'File not found' });
+  }
   const ext = path.extname(filePath);
   const contentTypeMap = {
     '.html': 'text/html',
@@ -137,7 +470,7 @@ function serveStatic(req, res) {
     '.svg': 'image/svg+xml'
   };
   const contentType = contentTypeMap[ext] || 'text/plain';
-  const fullPath = path.join(PUBLIC_DIR, decodeURIComponent(filePath));
+  const fullPath = path.join(PUBLIC_DIR, filePath);
   fs.readFile(fullPath, (err, content) => {
     if (err) {
       sendJson(res, 404, { error: 'File not found' });
@@ -150,355 +483,35 @@ function serveStatic(req, res) {
 
 // Main request handler
 async function handleRequest(req, res) {
-  const { method, url } = req;
-  // Extract pathname from URL to handle possible query strings
-  const pathname = new URL(req.url, 'http://localhost').pathname;
+  const { method } = req;
+  // Parse the URL once so handlers get the pathname and query string separately
+  let url;
+  try {
+    url = new URL(req.url, 'http://localhost');
+  } catch (err) {
+    // A request target that isn't a valid URL path
+    return sendJson(res, 400, { error: 'Bad request' });
+  }
   // Handle CORS preflight
   if (method === 'OPTIONS') {
-    res.writeHead(200, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
-    });
+    res.writeHead(200, CORS_HEADERS);
     return res.end();
   }
   // API endpoints start with /api
-  if (pathname.startsWith('/api')) {
+  if (url.pathname.startsWith('/api')) {
     try {
-      // Parse token from Authorization header if present
-      const authHeader = req.headers['authorization'] || '';
-      const token = authHeader.replace('Bearer ', '');
-      let userId = null;
-      if (tokenStore[token]) {
-        userId = tokenStore[token];
-      }
-
-      // Registration
-      if (method === 'POST' && pathname === '/api/register') {
-        const data = await parseRequestBody(req);
-        const { username, email, password, role } = data;
-        if (!username || !email || !password || !role) {
-          return sendJson(res, 400, { error: 'Missing fields' });
-        }
-        if (users.find(u => u.email === email)) {
-          return sendJson(res, 400, { error: 'Email already exists' });
-        }
-        const id = (users.length + 1).toString();
-        const newUser = {
-          id,
-          username,
-          email,
-          password, // NOTE: storing plain password – do not use in production
-          role, // 'buyer' or 'seller'
-          wallet: 0,
-          verificationLevel: 'basic',
-          createdAt: Date.now()
-        };
-        users.push(newUser);
-        writeJSON('users.json', users);
-        return sendJson(res, 201, { message: 'User registered', userId: id });
-      }
-      // Login
-      if (method === 'POST' && pathname === '/api/login') {
-        const data = await parseRequestBody(req);
-        const { email, password } = data;
-        if (!email || !password) {
-          return sendJson(res, 400, { error: 'Missing credentials' });
-        }
-        const user = users.find(u => u.email === email && u.password === password);
-        if (!user) {
-          return sendJson(res, 401, { error: 'Invalid email or password' });
-        }
-        const token = generateToken();
-        tokenStore[token] = user.id;
-        return sendJson(res, 200, { message: 'Logged in', token, role: user.role, userId: user.id });
-      }
-      // List gigs
-      if (method === 'GET' && pathname === '/api/gigs') {
-        return sendJson(res, 200, { gigs });
-      }
-      // Create gig (seller only)
-      if (method === 'POST' && pathname === '/api/gigs') {
-        if (!userId) {
-          return sendJson(res, 401, { error: 'Unauthorized' });
-        }
-        const seller = users.find(u => u.id === userId);
-        if (!seller || seller.role !== 'seller') {
-          return sendJson(res, 403, { error: 'Only sellers can create gigs' });
-        }
-        const data = await parseRequestBody(req);
-        const { title, description, price, category } = data;
-        if (!title || !description || !price) {
-          return sendJson(res, 400, { error: 'Missing fields' });
-        }
-        const id = (gigs.length + 1).toString();
-        const newGig = {
-          id,
-          sellerId: seller.id,
-          title,
-          description,
-          price: parseFloat(price),
-          category: category || 'General',
-          createdAt: Date.now()
-        };
-        gigs.push(newGig);
-        writeJSON('gigs.json', gigs);
-        return sendJson(res, 201, { message: 'Gig created', gig: newGig });
+      const ctx = { req, res, method, pathname: url.pathname, query: url.searchParams, ip: clientIp(req, config.TRUST_PROXY) };
+      const handled = await router.handle(ctx);
+      if (!handled) {
+        // Unknown API route
+        return sendJson(res, 404, { error: 'Not found' });
       }
-      // Get single gig
-      if (method === 'GET' && pathname.startsWith('/api/gigs/')) {
-        const parts = url.split('/');
-        const gigId = parts[3];
-        const gig = gigs.find(g => g.id === gigId);
-        if (!gig) {
-          return sendJson(res, 404, { error: 'Gig not found' });
-        }
-        return sendJson(res, 200, { gig });
-      }
-      // List orders (for buyer or seller)
-      if (method === 'GET' && pathname === '/api/orders') {
-        if (!userId) {
-          return sendJson(res, 401, { error: 'Unauthorized' });
-        }
-        const userOrders = orders.filter(o => o.buyerId === userId || o.sellerId === userId);
-        return sendJson(res, 200, { orders: userOrders });
-      }
-      // Create order (buyer only)
-      if (method === 'POST' && pathname === '/api/orders') {
-        if (!userId) {
-          return sendJson(res, 401, { error: 'Unauthorized' });
-        }
-        const buyer = users.find(u => u.id === userId);
-        if (!buyer || buyer.role !== 'buyer') {
-          return sendJson(res, 403, { error: 'Only buyers can place orders' });
-        }
-        const data = await parseRequestBody(req);
-        const { gigId } = data;
-        const gig = gigs.find(g => g.id === gigId);
-        if (!gig) {
-          return sendJson(res, 404, { error: 'Gig not found' });
-        }
-        const orderId = (orders.length + 1).toString();
-        const newOrder = {
-          id: orderId,
-          buyerId: buyer.id,
-          sellerId: gig.sellerId,
-          gigId: gig.id,
-          amount: gig.price,
-          status: 'in_progress',
-          createdAt: Date.now(),
-          escrow: gig.price,
-          completedAt: null
-        };
-        orders.push(newOrder);
-        writeJSON('orders.json', orders);
-        return sendJson(res, 201, { message: 'Order placed', order: newOrder });
-      }
-      // Complete order (seller or buyer can mark as complete)
-      if (method === 'POST' && pathname === '/api/complete-order') {
-        if (!userId) {
-          return sendJson(res, 401, { error: 'Unauthorized' });
-        }
-        const data = await parseRequestBody(req);
-        const { orderId } = data;
-        const order = orders.find(o => o.id === orderId);
-        if (!order) {
-          return sendJson(res, 404, { error: 'Order not found' });
-        }
-        // Only buyer or seller involved can complete
-        if (order.buyerId !== userId && order.sellerId !== userId) {
-          return sendJson(res, 403, { error: 'Not authorized for this order' });
-        }
-        if (order.status === 'completed') {
-          return sendJson(res, 400, { error: 'Order already completed' });
-        }
-        order.status = 'completed';
-        order.completedAt = Date.now();
-        // Release escrow: credit seller wallet and reset escrow
-        const seller = users.find(u => u.id === order.sellerId);
-        if (seller) {
-          seller.wallet += order.escrow;
-        }
-        order.escrow = 0;
-        writeJSON('orders.json', orders);
-        writeJSON('users.json', users);
-        return sendJson(res, 200, { message: 'Order completed', order });
-      }
-
-      // Fetch messages for an order
-      if (method === 'GET' && pathname.startsWith('/api/messages')) {
-        const urlObj = new URL(req.url, `http://localhost`);
-        const orderId = urlObj.searchParams.get('orderId');
-        if (!orderId) {
-          return sendJson(res, 400, { error: 'orderId required' });
-        }
-        const order = orders.find(o => o.id === orderId);
-        if (!order) {
-          return sendJson(res, 404, { error: 'Order not found' });
-        }
-        // Only participants or admin can view messages
-        if (userId !== order.buyerId && userId !== order.sellerId) {
-          const requestingUser = users.find(u => u.id === userId);
-          if (!requestingUser || requestingUser.role !== 'admin') {
-            return sendJson(res, 403, { error: 'Not authorised to view messages' });
-          }
-        }
-        order.messages = order.messages || [];
-        return sendJson(res, 200, { messages: order.messages });
-      }
-      // Post a new message in an order
-      if (method === 'POST' && pathname === '/api/messages') {
-        if (!userId) {
-          return sendJson(res, 401, { error: 'Unauthorized' });
-        }
-        const data = await parseRequestBody(req);
-        const { orderId, text } = data;
-        if (!orderId || !text) {
-          return sendJson(res, 400, { error: 'Missing fields' });
-        }
-        const order = orders.find(o => o.id === orderId);
-        if (!order) {
-          return sendJson(res, 404, { error: 'Order not found' });
-        }
-        // Only buyer, seller or admin may send messages
-        if (order.buyerId !== userId && order.sellerId !== userId) {
-          const requestingUser = users.find(u => u.id === userId);
-          if (!requestingUser || requestingUser.role !== 'admin') {
-            return sendJson(res, 403, { error: 'Not authorised to send message' });
-          }
-        }
-        order.messages = order.messages || [];
-        order.messages.push({ senderId: userId, text, timestamp: Date.now() });
-        writeJSON('orders.json', orders);
-        return sendJson(res, 201, { message: 'Message sent' });
-      }
-
-      // Create a dispute on an order
-      if (method === 'POST' && pathname === '/api/disputes') {
-        if (!userId) {
-          return sendJson(res, 401, { error: 'Unauthorized' });
-        }
-        const data = await parseRequestBody(req);
-        const { orderId, reason } = data;
-        if (!orderId || !reason) {
-          return sendJson(res, 400, { error: 'Missing fields' });
-        }
-        const order = orders.find(o => o.id === orderId);
-        if (!order) {
-          return sendJson(res, 404, { error: 'Order not found' });
-        }
-        // Only participants can file dispute
-        if (order.buyerId !== userId && order.sellerId !== userId) {
-          return sendJson(res, 403, { error: 'Not authorised to dispute' });
-        }
-        const disputeId = (disputes.length + 1).toString();
-        const newDispute = {
-          id: disputeId,
-          orderId,
-          initiatorId: userId,
-          reason,
-          status: 'open',
-          resolution: null,
-          createdAt: Date.now(),
-          resolvedAt: null
-        };
-        disputes.push(newDispute);
-        writeJSON('disputes.json', disputes);
-        return sendJson(res, 201, { message: 'Dispute created', dispute: newDispute });
-      }
-
-      // Admin endpoints grouped by prefix
-      if (pathname.startsWith('/api/adm')) {
-        // Determine current user and admin status
-        const requestingUser = users.find(u => u.id === userId);
-        const isAdmin = requestingUser && requestingUser.role === 'admin';
-        if (!isAdmin) {
-          return sendJson(res, 403, { error: 'Admin only' });
-        }
-        // GET endpoints
-        if (method === 'GET') {
-          if (pathname === '/api/adm/users') {
-            return sendJson(res, 200, { users });
-          }
-          if (pathname === '/api/adm/gigs') {
-            return sendJson(res, 200, { gigs });
-          }
-          if (pathname === '/api/adm/orders') {
-            return sendJson(res, 200, { orders });
-          }
-          if (pathname === '/api/adm/disputes') {
-            return sendJson(res, 200, { disputes });
-          }
-        }
-        // POST endpoints
-        if (method === 'POST') {
-          // Delete gig
-          if (pathname === '/api/adm/delete-gig') {
-            const data = await parseRequestBody(req);
-            const { gigId } = data;
-            const index = gigs.findIndex(g => g.id === gigId);
-            if (index === -1) {
-              return sendJson(res, 404, { error: 'Gig not found' });
-            }
-            gigs.splice(index, 1);
-            writeJSON('gigs.json', gigs);
-            return sendJson(res, 200, { message: 'Gig deleted' });
-          }
-          // Delete user
-          if (pathname === '/api/adm/delete-user') {
-            const data = await parseRequestBody(req);
-            const { userId: uid } = data;
-            const index = users.findIndex(u => u.id === uid);
-            if (index === -1) {
-              return sendJson(res, 404, { error: 'User not found' });
-            }
-            const [removed] = users.splice(index, 1);
-            gigs = gigs.filter(g => g.sellerId !== uid);
-            orders = orders.filter(o => o.buyerId !== uid && o.sellerId !== uid);
-            writeJSON('users.json', users);
-            writeJSON('gigs.json', gigs);
-            writeJSON('orders.json', orders);
-            return sendJson(res, 200, { message: 'User and related data deleted', user: removed });
-          }
-          // Resolve dispute
-          if (pathname === '/api/adm/resolve-dispute') {
-            const data = await parseRequestBody(req);
-            const { disputeId, resolution, releaseToSeller } = data;
-            const dispute = disputes.find(d => d.id === disputeId);
-            if (!dispute) {
-              return sendJson(res, 404, { error: 'Dispute not found' });
-            }
-            if (dispute.status !== 'open') {
-              return sendJson(res, 400, { error: 'Dispute already resolved' });
-            }
-            dispute.status = 'resolved';
-            dispute.resolution = resolution;
-            dispute.resolvedAt = Date.now();
-            const order = orders.find(o => o.id === dispute.orderId);
-            if (order) {
-              if (releaseToSeller) {
-                const seller = users.find(u => u.id === order.sellerId);
-                if (seller) {
-                  seller.wallet += order.escrow;
-                }
-              }
-              order.escrow = 0;
-              order.status = 'completed';
-              writeJSON('orders.json', orders);
-            }
-            writeJSON('disputes.json', disputes);
-            writeJSON('users.json', users);
-            return sendJson(res, 200, { message: 'Dispute resolved', dispute });
-          }
-        }
-        // Unknown admin endpoint
-        return sendJson(res, 404, { error: 'Admin endpoint not found' });
-      }
-      // Unknown API route
-      return sendJson(res, 404, { error: 'Not found' });
     } catch (err) {
       console.error('Error handling request:', err);
-      return sendJson(res, 500, { error: 'Server error' });
+      if (!res.headersSent) {
+        return sendJson(res, 500, { error: 'Server error' });
+      }
+      res.end();
     }
   } else {
     // Non-API route: serve static files
@@ -511,7 +524,6 @@ const server = http.createServer((req, res) => {
   handleRequest(req, res);
 });
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Bazimn server listening on port ${PORT}`);
-});
\ No newline at end of file
+server.listen(config.PORT, () => {
+  console.log(`Bazimn server listening on port ${config.PORT}`);
+});
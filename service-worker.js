@@ -15,8 +15,11 @@ const resourcesToCache = [
   '/forgot-password.html',
   '/reset-password.html',
   '/inbox.html',
+  '/jobs.html',
   '/gig-details.html',
   '/dashboard.js',
+  '/live.js',
+  '/notification-bell.js',
   '/icons/icon-192.png',
   '/icons/icon-512.png'
 ];
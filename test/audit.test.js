@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mailer = require('../lib/mailer');
+const { createAuditLog } = require('../lib/audit');
+const { createRouter } = require('../lib/router');
+const { authenticate } = require('../lib/middleware');
+const { createSessionStore } = require('../lib/sessions');
+const { createVerificationService } = require('../lib/verification');
+const { createMemoryStore, request } = require('./helpers');
+
+const sent = [];
+mailer.setTransport({ send: async message => { sent.push(message); } });
+
+// The admin routes with an admin and a seller who has submitted documents.
+// Resolves to the router, the admin's token and the audit collection.
+async function setup(t) {
+  const store = createMemoryStore({
+    users: [
+      { id: '1', username: 'admin', email: 'admin@example.com', role: 'admin', status: 'active' },
+      { id: '2', username: 'sue', email: 'sue@example.com', role: 'seller', verificationLevel: 'basic', status: 'active' }
+    ],
+    'verification-requests': [{
+      id: '1', userId: '2', fullName: 'Susan Seller', country: 'Kenya', documentType: 'passport',
+      documentNumber: 'AK1234567', documents: [], status: 'pending', reason: null, submittedAt: 1
+    }]
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bazimn-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const users = store.collection('users');
+  const verificationRequests = store.collection('verification-requests');
+  const auditCollection = store.collection('audit');
+  const app = {
+    users,
+    verificationRequests,
+    passwordResets: store.collection('password-resets'),
+    sessions: createSessionStore({ collection: store.collection('sessions') }),
+    verification: createVerificationService({ requests: verificationRequests, users, orders: store.collection('orders'), dir, limits: {} }),
+    audit: createAuditLog({ collection: auditCollection })
+  };
+  const router = createRouter();
+  router.use(authenticate(app));
+  require('../routes/admin')(router, app);
+  const { token } = await app.sessions.create('1');
+  return { router, token, auditCollection };
+}
+
+test('no personal details are left in the audit log once an account is deleted', async t => {
+  const { router, token, auditCollection } = await setup(t);
+  const post = async (url, body) => {
+    const res = await request(router, 'POST', url, { token, body });
+    assert.strictEqual(res.status, 200, res.body.error);
+  };
+  await post('/api/adm/users/suspend', { userId: '2', reason: 'Spam' });
+  await post('/api/adm/users/reinstate', { userId: '2', reason: 'Appealed' });
+  await post('/api/adm/verifications/approve', { requestId: '1' });
+  await post('/api/adm/delete-user', { userId: '2', reason: 'Asked to be forgotten' });
+  const log = JSON.stringify(auditCollection.all());
+  assert.strictEqual(auditCollection.all().length, 4);
+  ['sue@example.com', 'Susan Seller', 'AK1234567'].forEach(detail => {
+    assert.ok(!log.includes(detail), `${detail} is still in the audit log`);
+  });
+});
+
+test('personal details are taken out of entries recorded with them', async () => {
+  const store = createMemoryStore({
+    audit: [
+      { id: '1', action: 'suspend_user', before: { id: '2', email: 'sue@example.com' }, after: { id: '2', email: 'sue@example.com' } },
+      { id: '2', action: 'reject_withdrawal', before: { id: '1', destination: '+254712345678' }, after: null },
+      { id: '3', action: 'remove_fee_rule', before: { id: '1', percent: 10 }, after: null }
+    ]
+  });
+  const collection = store.collection('audit');
+  const audit = createAuditLog({ collection });
+  assert.strictEqual(await audit.removePersonalDetails(), 2);
+  assert.deepStrictEqual(collection.get('1').before, { id: '2' });
+  assert.deepStrictEqual(collection.get('2').before, { id: '1' });
+  assert.deepStrictEqual(store.backend.written.audit[2].before, { id: '1', percent: 10 });
+  assert.strictEqual(await audit.removePersonalDetails(), 0);
+});
+
+test('admin actions are recorded with who, why, from where and what changed', async t => {
+  const { router, token, auditCollection } = await setup(t);
+  const suspend = body => request(router, 'POST', '/api/adm/users/suspend', { token, body, ip: '203.0.113.9' });
+  assert.deepStrictEqual((await suspend({ userId: '2', reason: ' ' })).body, { error: 'A reason is required' });
+  assert.strictEqual(auditCollection.all().length, 0);
+  assert.strictEqual((await suspend({ userId: '2', reason: ' Spam ' })).status, 200);
+  const [entry] = auditCollection.all();
+  assert.deepStrictEqual(
+    [entry.actorId, entry.actorName, entry.action, entry.targetType, entry.targetId, entry.reason, entry.ip],
+    ['1', 'admin', 'suspend_user', 'user', '2', 'Spam', '203.0.113.9']
+  );
+  assert.deepStrictEqual([entry.before.status, entry.after.status], ['active', 'suspended']);
+});
+
+test('the log can be filtered by action, target and time', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1e12 });
+  const { router, token } = await setup(t);
+  await request(router, 'POST', '/api/adm/users/suspend', { token, body: { userId: '2', reason: 'Spam' } });
+  t.mock.timers.tick(1000);
+  await request(router, 'POST', '/api/adm/users/reinstate', { token, body: { userId: '2', reason: 'Appealed' } });
+  const list = async query => (await request(router, 'GET', `/api/adm/audit${query}`, { token })).body;
+  assert.deepStrictEqual((await list('')).entries.map(e => e.action), ['reinstate_user', 'suspend_user']);
+  assert.deepStrictEqual((await list('?action=suspend_user')).entries.map(e => e.reason), ['Spam']);
+  assert.strictEqual((await list('?targetType=user&targetId=2')).total, 2);
+  assert.strictEqual((await list('?targetId=1')).total, 0);
+  assert.deepStrictEqual((await list(`?to=${1e12}`)).entries.map(e => e.action), ['suspend_user']);
+  assert.strictEqual((await list('?limit=1&page=2')).entries[0].action, 'suspend_user');
+  assert.match((await list('?action=drop_tables')).error, /^action must be one of/);
+  assert.deepStrictEqual(await list('?from=yesterday'), { error: 'from and to must be dates or timestamps' });
+});
+
+test('unknown actions are refused rather than recorded', async () => {
+  const store = createMemoryStore();
+  const collection = store.collection('audit');
+  const audit = createAuditLog({ collection });
+  const ctx = { userId: '1', user: { username: 'admin' }, ip: '127.0.0.1' };
+  await assert.rejects(audit.record(ctx, { action: 'drop_tables', target: { type: 'db', id: '1' } }), /Unknown audit action: drop_tables/);
+  assert.deepStrictEqual(collection.all(), []);
+});
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../lib/config');
+const mailer = require('../lib/mailer');
+const { createRouter } = require('../lib/router');
+const { authenticate } = require('../lib/middleware');
+const { hashPasswordSync } = require('../lib/passwords');
+const { createSessionStore } = require('../lib/sessions');
+const { createMemoryStore: createLimitStore, createRateLimiter, createLoginLockout } = require('../lib/ratelimit');
+const { createMemoryStore, request } = require('./helpers');
+
+// Hashed once; scrypt is slow on purpose
+const passwordHash = hashPasswordSync('correct horse');
+
+// Mail goes here instead of the outbox
+const sent = [];
+mailer.setTransport({ send: async message => { sent.push(message); } });
+
+// The auth routes on a store with one buyer, with the limits from config
+function setup() {
+  const store = createMemoryStore({
+    users: [{ id: '1', username: 'sue', email: 'sue@example.com', passwordHash, role: 'buyer', status: 'active' }]
+  });
+  const limitStore = createLimitStore();
+  const rateLimits = {};
+  Object.entries(config.RATE_LIMITS).forEach(([name, byKey]) => {
+    rateLimits[name] = {};
+    Object.entries(byKey).forEach(([by, limit]) => {
+      rateLimits[name][by] = createRateLimiter(Object.assign({ store: limitStore, name: `${name}:${by}` }, limit));
+    });
+  });
+  const app = {
+    users: store.collection('users'),
+    passwordResets: store.collection('password-resets'),
+    sessions: createSessionStore({ collection: store.collection('sessions') }),
+    rateLimits,
+    loginLockout: createLoginLockout(Object.assign({ store: limitStore }, config.LOGIN_LOCKOUT))
+  };
+  const router = createRouter();
+  router.use(authenticate(app));
+  require('../routes/auth')(router, app);
+  return { app, router };
+}
+
+function login(router, password, ip) {
+  return request(router, 'POST', '/api/login', { body: { email: 'sue@example.com', password }, ip });
+}
+
+test('logging in starts a session', async () => {
+  const { app, router } = setup();
+  const res = await login(router, 'correct horse');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.userId, '1');
+  assert.strictEqual(app.sessions.resolve(res.body.token).userId, '1');
+});
+
+test('parallel bad logins can\'t get past the lockout', async () => {
+  const { router } = setup();
+  const { threshold } = config.LOGIN_LOCKOUT;
+  // Spread over addresses so the per-address limit doesn't get in the way
+  const results = await Promise.all(Array.from({ length: 3 * threshold }, (_, i) => login(router, 'guess', `10.0.0.${i}`)));
+  assert.strictEqual(results.filter(r => r.status === 401).length, threshold);
+  assert.strictEqual(results.filter(r => r.status === 429).length, 2 * threshold);
+  assert.strictEqual((await login(router, 'correct horse')).status, 429);
+});
+
+test('a successful login forgets earlier failures', async () => {
+  const { router } = setup();
+  const { threshold } = config.LOGIN_LOCKOUT;
+  for (let i = 0; i < threshold - 1; i++) {
+    assert.strictEqual((await login(router, 'guess')).status, 401);
+  }
+  assert.strictEqual((await login(router, 'correct horse')).status, 200);
+  for (let i = 0; i < threshold - 1; i++) {
+    assert.strictEqual((await login(router, 'guess')).status, 401);
+  }
+  assert.strictEqual((await login(router, 'correct horse')).status, 200);
+});
+
+test('emails match whatever their case, and sessions record the client address', async () => {
+  const { app, router } = setup();
+  const res = await request(router, 'POST', '/api/login', {
+    body: { email: ' Sue@Example.COM', password: 'correct horse' }, ip: '203.0.113.7'
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(app.sessions.listForUser('1')[0].ip, '203.0.113.7');
+  const taken = await request(router, 'POST', '/api/register', {
+    body: { username: 'sue2', email: 'SUE@example.com', password: 'pw', role: 'seller' }
+  });
+  assert.deepStrictEqual([taken.status, taken.body.error], [400, 'Email already exists']);
+  const created = await request(router, 'POST', '/api/register', {
+    body: { username: 'bob', email: 'Bob@Example.com', password: 'pw', role: 'buyer' }
+  });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(app.users.get(created.body.userId).email, 'bob@example.com');
+});
+
+test('failed logins count against the account whatever the case of the email', async () => {
+  const { router } = setup();
+  const { threshold } = config.LOGIN_LOCKOUT;
+  for (let i = 0; i < threshold; i++) {
+    const email = i % 2 ? 'SUE@example.com' : 'sue@example.com';
+    assert.strictEqual((await request(router, 'POST', '/api/login', { body: { email, password: 'guess' } })).status, 401);
+  }
+  assert.strictEqual((await login(router, 'correct horse')).status, 429);
+});
+
+// Ask for a reset link for `email` and resolve to the token in the mail
+// that was sent, if any. The mail goes out after the response.
+async function requestReset(router, email) {
+  sent.length = 0;
+  const res = await request(router, 'POST', '/api/forgot-password', { body: { email } });
+  assert.strictEqual(res.status, 200);
+  for (let i = 0; i < 10 && sent.length === 0; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  const match = sent.length ? /token=([0-9a-f]+)/.exec(sent[0].text) : null;
+  return match && match[1];
+}
+
+function resetPassword(router, token, newPassword = 'battery staple') {
+  return request(router, 'POST', '/api/reset-password', { body: { email: 'sue@example.com', token, newPassword } });
+}
+
+test('a reset link sets a new password and signs the user out everywhere', async () => {
+  const { app, router } = setup();
+  const { token: sessionToken } = await app.sessions.create('1');
+  const resetToken = await requestReset(router, 'sue@example.com');
+  assert.ok(resetToken);
+  assert.strictEqual(sent[0].to, 'sue@example.com');
+  // Only a hash of the token is stored
+  assert.ok(!JSON.stringify(app.passwordResets.all()).includes(resetToken));
+  const res = await resetPassword(router, resetToken);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(app.sessions.resolve(sessionToken), null);
+  assert.strictEqual((await login(router, 'correct horse')).status, 401);
+  assert.strictEqual((await login(router, 'battery staple')).status, 200);
+});
+
+test('unknown emails get the same answer and no mail', async () => {
+  const { router } = setup();
+  assert.strictEqual(await requestReset(router, 'nobody@example.com'), null);
+  assert.strictEqual(sent.length, 0);
+});
+
+test('reset tokens work once, for their own email and only until they expire', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1e12 });
+  const { router } = setup();
+  const used = await requestReset(router, 'sue@example.com');
+  assert.strictEqual((await resetPassword(router, used)).status, 200);
+  assert.strictEqual((await resetPassword(router, used)).status, 400);
+  const other = await requestReset(router, 'sue@example.com');
+  const wrongEmail = await request(router, 'POST', '/api/reset-password', {
+    body: { email: 'bob@example.com', token: other, newPassword: 'x' }
+  });
+  assert.strictEqual(wrongEmail.status, 400);
+  t.mock.timers.tick(config.RESET_TOKEN_TTL_MS);
+  assert.strictEqual((await resetPassword(router, other)).status, 400);
+});
+
+test('a new reset link replaces the previous one', async () => {
+  const { router } = setup();
+  const first = await requestReset(router, 'sue@example.com');
+  const second = await requestReset(router, 'sue@example.com');
+  assert.strictEqual((await resetPassword(router, first)).status, 400);
+  assert.strictEqual((await resetPassword(router, second)).status, 200);
+});
+
+test('users can list their sessions and sign out of them', async () => {
+  const { router } = setup();
+  const laptop = (await login(router, 'correct horse')).body.token;
+  const phone = (await login(router, 'correct horse')).body.token;
+  const list = await request(router, 'GET', '/api/sessions', { token: laptop });
+  assert.deepStrictEqual(list.body.sessions.map(s => s.current).sort(), [false, true]);
+  assert.strictEqual((await request(router, 'POST', '/api/logout', { token: phone })).status, 200);
+  assert.strictEqual((await request(router, 'GET', '/api/sessions', { token: phone })).status, 401);
+  const third = (await login(router, 'correct horse')).body.token;
+  const all = await request(router, 'POST', '/api/logout-all', { token: third });
+  assert.strictEqual(all.body.revoked, 2);
+  assert.strictEqual((await request(router, 'GET', '/api/sessions', { token: laptop })).status, 401);
+});
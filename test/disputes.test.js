@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeText, createDisputeService } = require('../lib/disputes');
+const { availableActions, transition } = require('../lib/orders');
+const { createMemoryStore } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const buyer = { id: '1' };
+const seller = { id: '2' };
+const admin = { id: '3', role: 'admin' };
+const order = { id: '7', buyerId: '1', sellerId: '2' };
+
+function setup() {
+  const store = createMemoryStore();
+  const disputes = store.collection('disputes');
+  return { disputes, service: createDisputeService({ disputes, responseWindowMs: 3 * DAY }) };
+}
+
+test('filing a dispute asks the other party to respond in time', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1e12 });
+  const { disputes, service } = setup();
+  const files = [{ uploadId: '4', name: 'draft.png' }];
+  const dispute = await service.file(order, buyer, { reason: 'Not what was agreed', files });
+  assert.strictEqual(disputes.get(dispute.id), dispute);
+  assert.deepStrictEqual([dispute.status, dispute.initiatorId, dispute.respondentId], ['awaiting_response', '1', '2']);
+  assert.strictEqual(dispute.responseDueAt, 1e12 + 3 * DAY);
+  assert.deepStrictEqual(dispute.entries, [
+    { id: '1', type: 'statement', authorId: '1', role: 'buyer', text: 'Not what was agreed', files, at: 1e12 }
+  ]);
+});
+
+test('the respondent\'s first statement sends the dispute to review', async () => {
+  const { service } = setup();
+  const dispute = await service.file(order, seller, { reason: 'No reply for weeks', files: [] });
+  assert.strictEqual(dispute.respondentId, '1');
+  await service.addStatement(dispute, order, seller, { text: 'Still waiting' });
+  assert.strictEqual(dispute.status, 'awaiting_response');
+  const { entry } = await service.addStatement(dispute, order, buyer, { text: 'I was away' });
+  assert.deepStrictEqual([entry.id, entry.role, entry.files], ['3', 'buyer', []]);
+  assert.strictEqual(dispute.status, 'under_review');
+  assert.strictEqual(dispute.respondedAt, entry.at);
+  const message = await service.addAdminMessage(dispute, admin, { text: 'Please send the files' });
+  assert.deepStrictEqual([message.entry.type, message.entry.role], ['admin_message', 'admin']);
+  dispute.status = 'resolved';
+  assert.deepStrictEqual(await service.addStatement(dispute, order, buyer, { text: 'One more thing' }),
+    { error: 'This dispute has been resolved', status: 400 });
+  assert.deepStrictEqual(await service.addAdminMessage(dispute, admin, { text: 'Closed' }),
+    { error: 'This dispute has been resolved', status: 400 });
+  assert.strictEqual(dispute.entries.length, 4);
+});
+
+test('disputes go to review once the response deadline passes', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1e12 });
+  const { service } = setup();
+  const late = await service.file(order, buyer, { reason: 'Late', files: [] });
+  t.mock.timers.tick(DAY);
+  const recent = await service.file({ id: '8', buyerId: '1', sellerId: '2' }, buyer, { reason: 'Also late', files: [] });
+  t.mock.timers.tick(2 * DAY + 1);
+  assert.deepStrictEqual(await service.reviewOverdue(), [late]);
+  assert.deepStrictEqual([late.status, recent.status], ['under_review', 'awaiting_response']);
+  assert.deepStrictEqual(await service.reviewOverdue(), []);
+});
+
+test('statements must have some text, but not too much', () => {
+  assert.deepStrictEqual(normalizeText('  Late delivery '), { text: 'Late delivery' });
+  assert.deepStrictEqual(normalizeText(' '), { error: 'Write a statement' });
+  assert.deepStrictEqual(normalizeText(42), { error: 'Write a statement' });
+  assert.deepStrictEqual(normalizeText('x'.repeat(5001)), { error: 'Keep it under 5000 characters' });
+});
+
+test('a disputed order is frozen until an admin settles it', () => {
+  const disputed = { id: '7', buyerId: '1', sellerId: '2', status: 'delivered', timeline: [] };
+  assert.ok(transition(disputed, 'dispute', buyer).entry);
+  assert.strictEqual(disputed.status, 'disputed');
+  assert.deepStrictEqual(availableActions(disputed, buyer), []);
+  assert.deepStrictEqual(availableActions(disputed, seller), []);
+  assert.strictEqual(transition(disputed, 'accept', buyer).status, 409);
+  assert.strictEqual(transition(disputed, 'release', seller).status, 403);
+  assert.deepStrictEqual(availableActions(disputed, admin), ['release', 'split', 'refund']);
+  transition(disputed, 'refund', admin, { note: 'Never delivered' });
+  assert.strictEqual(disputed.status, 'cancelled');
+});
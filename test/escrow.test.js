@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEscrow, pricingOf } = require('../lib/escrow');
+const { createLedger, PLATFORM_REVENUE, EXTERNAL_FUNDING, userAccount, escrowAccount } = require('../lib/ledger');
+const { createMemoryStore } = require('./helpers');
+
+// $100 price, $5 service fee on top, $20 commission out of the price
+const PRICING = { price: 100, serviceFee: 5, total: 105, commission: 20, sellerEarnings: 80, feeCategory: null };
+
+async function setup(orderFields = {}) {
+  const store = createMemoryStore({ users: [{ id: '1', wallet: 0 }, { id: '2', wallet: 0 }] });
+  const users = store.collection('users');
+  const ledger = createLedger({ collection: store.collection('ledger') });
+  const escrow = createEscrow({ users, ledger });
+  const order = Object.assign({ id: '10', buyerId: '1', sellerId: '2', status: 'completed', pricing: PRICING }, orderFields);
+  await escrow.hold(order);
+  const balances = () => ({
+    buyer: ledger.balance(userAccount('1')),
+    seller: ledger.balance(userAccount('2')),
+    platform: ledger.balance(PLATFORM_REVENUE),
+    escrow: ledger.balance(escrowAccount('10'))
+  });
+  return { users, ledger, escrow, order, balances };
+}
+
+test('hold brings the total onto the platform and into escrow', async () => {
+  const { ledger, order, balances } = await setup();
+  assert.strictEqual(order.escrow, 105);
+  assert.deepStrictEqual(balances(), { buyer: 0, seller: 0, platform: 0, escrow: 105 });
+  assert.strictEqual(ledger.balance(EXTERNAL_FUNDING), -105);
+});
+
+test('release pays the seller their earnings and the platform its fees', async () => {
+  const { escrow, order, users, balances } = await setup();
+  const settlement = await escrow.release(order);
+  assert.deepStrictEqual(balances(), { buyer: 0, seller: 80, platform: 25, escrow: 0 });
+  assert.strictEqual(users.get('2').wallet, 80);
+  assert.strictEqual(order.escrow, 0);
+  assert.strictEqual(settlement.sellerEarnings, 80);
+  assert.strictEqual(settlement.buyerAmount, 0);
+});
+
+test('refund returns everything to the buyer, fees included', async () => {
+  const { escrow, order, balances } = await setup();
+  await escrow.refund(order);
+  assert.deepStrictEqual(balances(), { buyer: 105, seller: 0, platform: 0, escrow: 0 });
+});
+
+test('split charges fees in proportion to the seller\'s share', async () => {
+  const { escrow, order, ledger, balances } = await setup();
+  const settlement = await escrow.split(order, 40);
+  assert.deepStrictEqual(balances(), { buyer: 63, seller: 32, platform: 10, escrow: 0 });
+  assert.deepStrictEqual(
+    { sellerAmount: settlement.sellerAmount, commission: settlement.commission, serviceFee: settlement.serviceFee },
+    { sellerAmount: 40, commission: 8, serviceFee: 2 }
+  );
+  assert.deepStrictEqual(ledger.unbalanced(), []);
+});
+
+test('odd splits still add up to the amount held, to the cent', async () => {
+  const { escrow, order, balances } = await setup({
+    pricing: { price: 33.33, serviceFee: 1.67, total: 35, commission: 6.67, sellerEarnings: 26.66, feeCategory: null }
+  });
+  await escrow.split(order, 11.11);
+  const b = balances();
+  assert.strictEqual(b.escrow, 0);
+  assert.strictEqual(Math.round((b.buyer + b.seller + b.platform) * 100), 3500);
+});
+
+test('the seller can\'t be paid more than the price', async () => {
+  const { escrow, order, balances } = await setup();
+  await escrow.split(order, 1000);
+  assert.deepStrictEqual(balances(), { buyer: 0, seller: 80, platform: 25, escrow: 0 });
+});
+
+test('a disputed order\'s escrow is frozen', async () => {
+  const { escrow, order, balances } = await setup();
+  order.status = 'disputed';
+  await assert.rejects(escrow.release(order), /frozen by a dispute/);
+  assert.strictEqual(balances().escrow, 105);
+});
+
+test('orders from before fees paid and pay out the bare price', async () => {
+  const { escrow, order, balances } = await setup({ pricing: undefined, amount: 30 });
+  assert.strictEqual(pricingOf(order).total, 30);
+  await escrow.release(order);
+  assert.deepStrictEqual(balances(), { buyer: 0, seller: 30, platform: 0, escrow: 0 });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createEventHub } = require('../lib/events');
+
+// A response that keeps the events written to it
+function createStream() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.ended = false;
+  res.writeHead = (status, headers) => { res.status = status; res.headers = headers; };
+  res.write = text => { res.chunks.push(text); };
+  res.end = () => { res.ended = true; res.emit('close'); };
+  // The events received, as [id, type, data]
+  res.events = () => res.chunks.filter(c => c.includes('event: ')).map(c => {
+    const id = /^id: (\d+)/.exec(c);
+    return [id ? Number(id[1]) : null, /event: (.*)/.exec(c)[1], JSON.parse(/data: (.*)/.exec(c)[1])];
+  });
+  return res;
+}
+
+function connect(hub, userId, options = {}) {
+  const res = createStream();
+  hub.connect({ res, userId }, options);
+  return res;
+}
+
+test('events reach every open stream of the users they are for', () => {
+  const hub = createEventHub();
+  const [tab1, tab2, other] = [connect(hub, '1'), connect(hub, '1'), connect(hub, '2')];
+  assert.strictEqual(tab1.headers['Content-Type'], 'text/event-stream');
+  hub.publish(['1', '1', null], 'message', { orderId: '4' });
+  hub.publish(['1', '2'], 'typing', { orderId: '4' }, { replay: false });
+  assert.deepStrictEqual(tab1.events().map(e => e[1]), ['message', 'typing']);
+  assert.deepStrictEqual(tab2.events(), tab1.events());
+  assert.deepStrictEqual(other.events().map(e => [e[0], e[1]]), [[null, 'typing']]);
+  tab1.end();
+  hub.publish(['1'], 'message', {});
+  assert.strictEqual(tab1.events().length, 2);
+  assert.strictEqual(tab2.events().length, 3);
+});
+
+test('a reconnecting client gets what it missed, or a reset', () => {
+  const hub = createEventHub({ replaySize: 2 });
+  const first = connect(hub, '1');
+  hub.publish(['1'], 'a', {});
+  const lastEventId = first.events()[0][0];
+  first.end();
+  hub.publish(['1'], 'b', {});
+  hub.publish(['2'], 'c', {});
+  assert.deepStrictEqual(connect(hub, '1', { lastEventId }).events().map(e => e[1]), ['b']);
+  hub.publish(['1'], 'd', {});
+  // 'b' is no longer kept
+  assert.deepStrictEqual(connect(hub, '1', { lastEventId }).events().map(e => e[1]), ['reset']);
+  assert.deepStrictEqual(connect(hub, '1', { lastEventId: 'nonsense' }).events().map(e => e[1]), ['reset']);
+});
+
+test('opening too many streams closes the oldest', () => {
+  const hub = createEventHub();
+  const streams = Array.from({ length: 6 }, () => connect(hub, '1'));
+  assert.deepStrictEqual(streams.map(s => s.ended), [true, false, false, false, false, false]);
+  hub.publish(['1'], 'message', {});
+  assert.deepStrictEqual(streams.map(s => s.events().length), [0, 1, 1, 1, 1, 1]);
+});
+
+test('streams end at the first heartbeat after the session does', t => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const hub = createEventHub({ heartbeatMs: 1000 });
+  let active = true;
+  const res = connect(hub, '1', { isActive: () => active });
+  t.mock.timers.tick(1000);
+  assert.ok(res.chunks.includes(': heartbeat\n\n'));
+  active = false;
+  t.mock.timers.tick(1000);
+  assert.strictEqual(res.ended, true);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFeeSchedule } = require('../lib/fees');
+const { createMemoryStore } = require('./helpers');
+
+const defaults = {
+  buyerFee: { percent: 5, fixed: 0, minimum: 1 },
+  sellerCommission: { percent: 20, fixed: 0, minimum: 0 }
+};
+
+function setup() {
+  const store = createMemoryStore();
+  return createFeeSchedule({ collection: store.collection('fee-rules'), defaults });
+}
+
+test('quotes use the built-in fees until a rule is set', () => {
+  const fees = setup();
+  assert.deepStrictEqual(fees.quote(100), {
+    price: 100, serviceFee: 5, total: 105, commission: 20, sellerEarnings: 80, feeCategory: null
+  });
+  // The minimum applies to small prices, but a fee is never more than the price
+  assert.strictEqual(fees.quote(10).serviceFee, 1);
+  assert.strictEqual(fees.quote(0.5).serviceFee, 0.5);
+});
+
+test('a category rule replaces the default for that category only', async () => {
+  const fees = setup();
+  await fees.setRule({ buyerFee: { percent: 4 }, sellerCommission: { percent: 10 } }, '1');
+  const { rule } = await fees.setRule({
+    category: ' Design ', buyerFee: { percent: 2.5, fixed: 1 }, sellerCommission: { percent: 15 }
+  }, '1');
+  assert.strictEqual(rule.category, 'design');
+  assert.deepStrictEqual(fees.quote(200, 'DESIGN'), {
+    price: 200, serviceFee: 6, total: 206, commission: 30, sellerEarnings: 170, feeCategory: 'design'
+  });
+  assert.strictEqual(fees.quote(200, 'writing').serviceFee, 8);
+  assert.deepStrictEqual(fees.list().map(r => r.category), [null, 'design']);
+  // Setting a rule again replaces it
+  await fees.setRule({ category: 'design', buyerFee: { percent: 3 }, sellerCommission: {} }, '1');
+  assert.strictEqual(fees.list().length, 2);
+  assert.strictEqual(fees.quote(200, 'design').commission, 0);
+  assert.strictEqual((await fees.removeRule('Design')).category, 'design');
+  assert.strictEqual(await fees.removeRule('design'), null);
+  assert.strictEqual(fees.quote(200, 'design').feeCategory, null);
+});
+
+test('invalid fees are rejected', async () => {
+  const fees = setup();
+  assert.deepStrictEqual(await fees.setRule({ buyerFee: { percent: 51 }, sellerCommission: {} }, '1'),
+    { error: 'Service fee percent must be at most 50' });
+  assert.deepStrictEqual(await fees.setRule({ buyerFee: {}, sellerCommission: { fixed: -1 } }, '1'),
+    { error: 'Commission fixed must be a number of at least 0' });
+  assert.deepStrictEqual(fees.list(), []);
+});
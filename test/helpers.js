@@ -0,0 +1,68 @@
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { createStore } = require('../lib/store');
+
+/*
+ * Shared setup for the tests.
+ *
+ * The memory backend keeps collections in an object instead of on disk.
+ * Each write takes a turn of the event loop, as a real write would, so
+ * code that awaits a save gives other requests the chance to run.
+ *
+ * Route tests call a router the way server.js does, with a request made
+ * from a body and a response that keeps what was sent.
+ */
+
+// `data` maps collection names to their initial records. Finished writes
+// are kept in `written`.
+function createMemoryBackend(data = {}) {
+  const written = {};
+  return {
+    written,
+    read(name, defaultValue) {
+      return name in data ? JSON.parse(JSON.stringify(data[name])) : defaultValue;
+    },
+    write(name, value) {
+      return new Promise(resolve => setImmediate(() => {
+        written[name] = JSON.parse(JSON.stringify(value));
+        resolve();
+      }));
+    }
+  };
+}
+
+// A store on a memory backend; the backend is returned with it
+function createMemoryStore(data) {
+  const backend = createMemoryBackend(data);
+  return Object.assign(createStore({ backend }), { backend });
+}
+
+// Just enough of a response for sendJson; the JSON sent ends up in `body`
+function createResponse() {
+  const res = { headers: {}, status: null, body: null };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.writeHead = (status, headers) => { res.status = status; Object.assign(res.headers, headers); };
+  res.end = body => { res.body = body === undefined ? null : JSON.parse(body); };
+  return res;
+}
+
+// Send a request through `router`. `body` goes out as JSON and `token` as
+// a bearer token. The connection comes from a proxy on this machine and
+// `ip` is the client address it passed on. Resolves to the response.
+async function request(router, method, url, { body, token, ip = '127.0.0.1', headers = {} } = {}) {
+  const req = Readable.from(body === undefined ? [] : [JSON.stringify(body)]);
+  req.headers = Object.assign({}, headers, token ? { authorization: `Bearer ${token}` } : {});
+  req.socket = { remoteAddress: '127.0.0.1' };
+  const res = createResponse();
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  const handled = await router.handle({ req, res, method, pathname, query: searchParams, ip });
+  assert.ok(handled, `No route for ${method} ${pathname}`);
+  return res;
+}
+
+module.exports = {
+  createMemoryBackend,
+  createMemoryStore,
+  createResponse,
+  request
+};
@@ -0,0 +1,198 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../lib/config');
+const { createRouter } = require('../lib/router');
+const { authenticate } = require('../lib/middleware');
+const { createSessionStore } = require('../lib/sessions');
+const { createFeeSchedule } = require('../lib/fees');
+const { createLedger } = require('../lib/ledger');
+const { createEscrow } = require('../lib/escrow');
+const { createUploadStore } = require('../lib/uploads');
+const { createVerificationService } = require('../lib/verification');
+const { createEventHub } = require('../lib/events');
+const { createNotificationService } = require('../lib/notifications');
+const { normalizeJob, normalizeOffer, offerPackage, releaseJob } = require('../lib/jobs');
+const { createMemoryStore, request } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The job and order routes with a buyer and two sellers. Resolves to the
+// router, the collections and a token for each user.
+async function setup() {
+  const store = createMemoryStore({
+    users: [
+      { id: '1', username: 'bob', role: 'buyer', status: 'active', verificationLevel: 'basic' },
+      { id: '2', username: 'sue', role: 'seller', status: 'active', verificationLevel: 'basic' },
+      { id: '3', username: 'ann', role: 'seller', status: 'active', verificationLevel: 'basic' }
+    ]
+  });
+  const users = store.collection('users');
+  const orders = store.collection('orders');
+  const ledger = createLedger({ collection: store.collection('ledger') });
+  const app = {
+    users,
+    orders,
+    gigs: store.collection('gigs'),
+    jobs: store.collection('jobs'),
+    offers: store.collection('offers'),
+    reviews: store.collection('reviews'),
+    payments: store.collection('payments'),
+    sessions: createSessionStore({ collection: store.collection('sessions') }),
+    fees: createFeeSchedule({ collection: store.collection('fee-rules'), defaults: config.DEFAULT_FEES }),
+    escrow: createEscrow({ users, ledger }),
+    verification: createVerificationService({
+      requests: store.collection('verification-requests'), users, orders, dir: null, limits: config.VERIFICATION_LIMITS
+    }),
+    uploadStore: createUploadStore({ collection: store.collection('uploads'), dir: null }),
+    events: createEventHub(),
+    announceOrderChange: () => {}
+  };
+  app.notifications = createNotificationService({ collection: store.collection('notifications'), users, events: app.events });
+  const router = createRouter();
+  router.use(authenticate(app));
+  require('../routes/jobs')(router, app);
+  require('../routes/orders')(router, app);
+  const tokens = {};
+  for (const id of ['1', '2', '3']) {
+    tokens[id] = (await app.sessions.create(id)).token;
+  }
+  return Object.assign({ router, tokens }, app);
+}
+
+function post(router, url, token, body = {}) {
+  return request(router, 'POST', url, { token, body });
+}
+
+// A job by the buyer with an offer from each seller
+async function jobWithOffers({ router, tokens }) {
+  const { body: { job } } = await post(router, '/api/jobs', tokens['1'], {
+    title: 'Logo', description: 'A logo for a bakery', budget: 100, deadline: Date.now() + 7 * DAY
+  });
+  const offerIds = [];
+  for (const seller of ['2', '3']) {
+    const res = await post(router, `/api/jobs/${job.id}/offers`, tokens[seller], {
+      description: 'Three drafts', price: 80, deliveryDays: 3
+    });
+    assert.strictEqual(res.status, 201, res.body.error);
+    offerIds.push(res.body.offer.id);
+  }
+  return { job, offerIds };
+}
+
+test('accepting an offer hires its seller and declines the others', async () => {
+  const app = await setup();
+  const { job, offerIds } = await jobWithOffers(app);
+  const res = await post(app.router, `/api/offers/${offerIds[0]}/accept`, app.tokens['1']);
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.order.amount, 80);
+  assert.strictEqual(res.body.order.status, 'awaiting_payment');
+  const hired = app.jobs.get(job.id);
+  assert.strictEqual(hired.status, 'hired');
+  assert.strictEqual(hired.hiredOfferId, offerIds[0]);
+  assert.strictEqual(hired.orderId, res.body.order.id);
+  assert.strictEqual(app.offers.get(offerIds[0]).status, 'accepted');
+  assert.strictEqual(app.offers.get(offerIds[1]).status, 'declined');
+});
+
+test('parallel accepts of offers on one job create one order', async () => {
+  const app = await setup();
+  const { job, offerIds } = await jobWithOffers(app);
+  const results = await Promise.all(offerIds.concat(offerIds).map(id => post(app.router, `/api/offers/${id}/accept`, app.tokens['1'])));
+  assert.strictEqual(results.filter(r => r.status === 201).length, 1);
+  assert.strictEqual(app.orders.all().length, 1);
+  assert.strictEqual(app.jobs.get(job.id).orderId, app.orders.all()[0].id);
+});
+
+test('cancelling the order of a job opens it again', async () => {
+  const app = await setup();
+  const { job, offerIds } = await jobWithOffers(app);
+  const { body: { order } } = await post(app.router, `/api/offers/${offerIds[0]}/accept`, app.tokens['1']);
+  const res = await post(app.router, `/api/orders/${order.id}/cancel`, app.tokens['1']);
+  assert.strictEqual(res.status, 200, res.body.error);
+  const reopened = app.jobs.get(job.id);
+  assert.strictEqual(reopened.status, 'open');
+  assert.strictEqual(reopened.orderId, null);
+  assert.strictEqual(reopened.hiredOfferId, null);
+  // Sellers can send offers again
+  const offer = await post(app.router, `/api/jobs/${job.id}/offers`, app.tokens['3'], {
+    description: 'Two drafts', price: 60, deliveryDays: 2
+  });
+  assert.strictEqual(offer.status, 201);
+});
+
+test('a job released after its deadline is closed', async () => {
+  const store = createMemoryStore({
+    jobs: [
+      { id: '1', status: 'hired', hiredOfferId: '1', orderId: '4', deadline: 1000, closedAt: 500 },
+      { id: '2', status: 'hired', hiredOfferId: '2', orderId: '5', deadline: 1000, closedAt: 500 }
+    ]
+  });
+  const jobs = store.collection('jobs');
+  const closed = await releaseJob(jobs, { id: '4', jobId: '1' }, 2000);
+  assert.strictEqual(closed.status, 'closed');
+  assert.strictEqual(closed.closedAt, 2000);
+  // Only the order the job was hired for releases it
+  assert.strictEqual(await releaseJob(jobs, { id: '6', jobId: '2' }, 2000), null);
+  assert.strictEqual(jobs.get('2').status, 'hired');
+  assert.strictEqual(await releaseJob(jobs, { id: '7', jobId: null }, 2000), null);
+});
+
+test('jobs and offers are checked and cleaned up', () => {
+  const now = Date.parse('2026-03-01T12:00:00');
+  const { job } = normalizeJob({ title: ' Logo ', description: 'For a bakery', budget: '99.999', deadline: '2026-03-01' }, now);
+  assert.deepStrictEqual(job, {
+    title: 'Logo', description: 'For a bakery', category: 'General', budget: 100, deadline: Date.parse('2026-03-01T23:59:59')
+  });
+  const valid = { title: 'Logo', description: 'For a bakery', budget: 100, deadline: now + DAY };
+  assert.deepStrictEqual(normalizeJob(Object.assign({}, valid, { title: ' ' }), now), { error: 'Title and description are required' });
+  assert.deepStrictEqual(normalizeJob(Object.assign({}, valid, { budget: 0 }), now), { error: 'Budget must be above zero' });
+  assert.deepStrictEqual(normalizeJob(Object.assign({}, valid, { deadline: now }), now), { error: 'Deadline must be a date in the future' });
+  assert.deepStrictEqual(normalizeJob(Object.assign({}, valid, { deadline: 'soon' }), now), { error: 'Deadline must be a date in the future' });
+
+  const { offer } = normalizeOffer({ description: ' Three drafts ', price: '80', deliveryDays: '3' });
+  assert.deepStrictEqual(offer, { description: 'Three drafts', price: 80, deliveryDays: 3, revisions: 0 });
+  assert.deepStrictEqual(normalizeOffer({ price: 80, deliveryDays: 3 }), { error: 'Describe what the offer includes' });
+  assert.deepStrictEqual(normalizeOffer({ description: 'x', price: 80, deliveryDays: 1.5 }), { error: 'Delivery time must be 1 to 365 days' });
+  assert.deepStrictEqual(normalizeOffer({ description: 'x', price: 80, deliveryDays: 3, revisions: 21 }), { error: 'Revisions must be 0 to 20' });
+  assert.deepStrictEqual(offerPackage(Object.assign({ id: '1' }, offer)), {
+    id: 'custom', name: 'Custom offer', price: 80, deliveryDays: 3, revisions: 0, features: []
+  });
+});
+
+test('open jobs are listed for sellers, and only their buyer sees every offer', async () => {
+  const app = await setup();
+  const { job } = await jobWithOffers(app);
+  const list = await request(app.router, 'GET', '/api/jobs?q=BAKERY');
+  assert.deepStrictEqual(list.body.jobs.map(j => [j.id, j.buyerUsername, j.offerCount]), [[job.id, 'bob', 2]]);
+  assert.strictEqual((await request(app.router, 'GET', '/api/jobs?category=design')).body.total, 0);
+  const asBuyer = await request(app.router, 'GET', `/api/jobs/${job.id}`, { token: app.tokens['1'] });
+  assert.deepStrictEqual(asBuyer.body.job.offers.map(o => o.sellerUsername), ['sue', 'ann']);
+  const asSeller = await request(app.router, 'GET', `/api/jobs/${job.id}`, { token: app.tokens['3'] });
+  assert.deepStrictEqual(asSeller.body.job.offers.map(o => o.sellerUsername), ['ann']);
+  assert.strictEqual((await post(app.router, `/api/jobs/${job.id}/offers`, app.tokens['3'], {
+    description: 'Again', price: 70, deliveryDays: 3
+  })).status, 409);
+  assert.strictEqual((await post(app.router, `/api/jobs/${job.id}/close`, app.tokens['1'])).status, 200);
+  assert.deepStrictEqual(app.offers.all().map(o => o.status), ['declined', 'declined']);
+  assert.strictEqual((await request(app.router, 'GET', '/api/jobs')).body.total, 0);
+});
+
+test('an offer sent from an order conversation is posted in it and can be accepted', async () => {
+  const app = await setup();
+  await app.orders.insert({ id: '9', buyerId: '1', sellerId: '2', gigId: null, status: 'completed', messages: [] });
+  assert.strictEqual((await post(app.router, '/api/offers', app.tokens['3'], {
+    orderId: '9', description: 'More work', price: 30, deliveryDays: 2
+  })).status, 404);
+  const sent = await post(app.router, '/api/offers', app.tokens['2'], {
+    orderId: '9', description: 'Two more pages', price: 30, deliveryDays: 2
+  });
+  assert.strictEqual(sent.status, 201, sent.body.error);
+  const { offer } = sent.body;
+  assert.deepStrictEqual(app.orders.get('9').messages.map(m => m.offerId), [offer.id]);
+  assert.strictEqual(app.notifications.unreadCount('1'), 1);
+  const res = await post(app.router, `/api/offers/${offer.id}/accept`, app.tokens['1']);
+  assert.strictEqual(res.status, 201, res.body.error);
+  assert.strictEqual(res.body.order.jobId, null);
+  assert.strictEqual(res.body.order.package.id, 'custom');
+  assert.strictEqual((await post(app.router, `/api/offers/${offer.id}/withdraw`, app.tokens['2'])).status, 409);
+});
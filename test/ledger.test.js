@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLedger, userAccount } = require('../lib/ledger');
+const { createMemoryStore } = require('./helpers');
+
+function setup(data) {
+  const store = createMemoryStore(data);
+  const collection = store.collection('ledger');
+  return { collection, ledger: createLedger({ collection }) };
+}
+
+test('a transfer moves money between two accounts', async () => {
+  const { ledger } = setup();
+  const transaction = await ledger.transfer('funding', 'external:funding', userAccount('1'), 25.5, { orderId: '7' });
+  assert.strictEqual(transaction.type, 'funding');
+  assert.strictEqual(transaction.orderId, '7');
+  assert.strictEqual(ledger.balance(userAccount('1')), 25.5);
+  assert.strictEqual(ledger.balance('external:funding'), -25.5);
+  assert.strictEqual(ledger.balance('nobody'), 0);
+});
+
+test('amounts are kept in cents, so sums don\'t drift', async () => {
+  const { ledger } = setup();
+  for (let i = 0; i < 10; i++) {
+    await ledger.transfer('funding', 'external:funding', userAccount('1'), 0.1);
+  }
+  assert.strictEqual(ledger.balance(userAccount('1')), 1);
+  await ledger.transfer('fee', userAccount('1'), 'platform:revenue', 0.333);
+  assert.strictEqual(ledger.balance('platform:revenue'), 0.33);
+});
+
+test('unbalanced, unknown or non-finite transactions are refused', async () => {
+  const { ledger, collection } = setup();
+  await assert.rejects(ledger.post({ type: 'funding', entries: [{ account: 'a', amount: 5 }, { account: 'b', amount: -4 }] }),
+    /Unbalanced funding transaction/);
+  await assert.rejects(ledger.transfer('gift', 'a', 'b', 5), /Unknown ledger transaction type/);
+  await assert.rejects(ledger.transfer('funding', 'a', 'b', NaN), /finite/);
+  assert.strictEqual(collection.all().length, 0);
+  assert.strictEqual(ledger.balance('a'), 0);
+});
+
+test('a transfer of nothing records nothing', async () => {
+  const { ledger, collection } = setup();
+  assert.strictEqual(await ledger.transfer('refund', 'a', 'b', 0), null);
+  assert.strictEqual(collection.all().length, 0);
+});
+
+test('history lists an account\'s movements newest first with running balances', async () => {
+  const { ledger } = setup();
+  await ledger.transfer('funding', 'external:funding', userAccount('1'), 50);
+  await ledger.transfer('escrow_hold', userAccount('1'), 'escrow:1', 30);
+  await ledger.transfer('refund', 'escrow:1', userAccount('1'), 10);
+  assert.deepStrictEqual(ledger.history(userAccount('1')).map(r => [r.type, r.amount, r.balanceAfter]), [
+    ['refund', 10, 30],
+    ['escrow_hold', -30, 20],
+    ['funding', 50, 50]
+  ]);
+});
+
+test('balances are rebuilt from stored transactions, and bad ones reported', () => {
+  const { ledger } = setup({
+    ledger: [
+      { id: '1', type: 'funding', entries: [{ account: 'external:funding', amount: -20 }, { account: 'user:1', amount: 20 }] },
+      { id: '2', type: 'fee', entries: [{ account: 'user:1', amount: -5 }, { account: 'platform:revenue', amount: 4 }] }
+    ]
+  });
+  assert.strictEqual(ledger.balance('user:1'), 15);
+  assert.deepStrictEqual(ledger.unbalanced().map(t => t.id), ['2']);
+  assert.deepStrictEqual(ledger.accounts().find(a => a.account === 'platform:revenue'), { account: 'platform:revenue', balance: 4 });
+});
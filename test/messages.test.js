@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../lib/config');
+const { createRouter } = require('../lib/router');
+const { authenticate } = require('../lib/middleware');
+const { createSessionStore } = require('../lib/sessions');
+const { createUploadStore } = require('../lib/uploads');
+const { createEventHub } = require('../lib/events');
+const { createNotificationService } = require('../lib/notifications');
+const { createMemoryStore: createLimitStore, createRateLimiter } = require('../lib/ratelimit');
+const { createMemoryStore, request } = require('./helpers');
+
+// The message routes with a buyer, two sellers and an outsider. Order 1 is
+// for a gig of seller 2 and has an earlier message from each side; order 2
+// was hired through a job of seller 3 and has none.
+async function setup() {
+  const store = createMemoryStore({
+    users: [
+      { id: '1', username: 'bob', role: 'buyer', status: 'active' },
+      { id: '2', username: 'sue', role: 'seller', status: 'active' },
+      { id: '3', username: 'ann', role: 'seller', status: 'active' },
+      { id: '4', username: 'eve', role: 'buyer', status: 'active' }
+    ],
+    gigs: [{ id: '1', title: 'Logo design', sellerId: '2' }],
+    jobs: [{ id: '1', title: 'Bakery website', buyerId: '1' }],
+    orders: [
+      {
+        id: '1', buyerId: '1', sellerId: '2', gigId: '1', status: 'in_progress', createdAt: 100,
+        messages: [{ senderId: '1', text: 'Hi', timestamp: 200 }, { senderId: '2', text: 'Hello', timestamp: 300 }]
+      },
+      { id: '2', buyerId: '1', sellerId: '3', gigId: null, jobId: '1', status: 'placed', createdAt: 250, messages: [] }
+    ]
+  });
+  const users = store.collection('users');
+  const events = createEventHub();
+  const limitStore = createLimitStore();
+  const app = {
+    users,
+    events,
+    gigs: store.collection('gigs'),
+    orders: store.collection('orders'),
+    jobs: store.collection('jobs'),
+    offers: store.collection('offers'),
+    sessions: createSessionStore({ collection: store.collection('sessions') }),
+    uploadStore: createUploadStore({ collection: store.collection('uploads'), dir: null }),
+    notifications: createNotificationService({ collection: store.collection('notifications'), users, events }),
+    rateLimits: {
+      messages: {
+        ip: createRateLimiter(Object.assign({ store: limitStore, name: 'messages:ip' }, config.RATE_LIMITS.messages.ip)),
+        account: createRateLimiter(Object.assign({ store: limitStore, name: 'messages:account' }, config.RATE_LIMITS.messages.account))
+      }
+    }
+  };
+  const router = createRouter();
+  router.use(authenticate(app));
+  require('../routes/messages')(router, app);
+  const tokens = {};
+  for (const id of ['1', '2', '3', '4']) {
+    tokens[id] = (await app.sessions.create(id)).token;
+  }
+  return { router, tokens };
+}
+
+async function inbox(router, token) {
+  const res = await request(router, 'GET', '/api/inbox', { token });
+  assert.strictEqual(res.status, 200);
+  return res.body;
+}
+
+test('the inbox has a thread per order, latest activity first', async () => {
+  const { router, tokens } = await setup();
+  const { threads, unreadTotal } = await inbox(router, tokens['1']);
+  assert.deepStrictEqual(threads.map(t => [t.orderId, t.counterpartUsername, t.gigTitle, t.unreadCount]), [
+    ['1', 'sue', 'Logo design', 1],
+    ['2', 'ann', 'Bakery website', 0]
+  ]);
+  assert.strictEqual(threads[0].lastMessage.text, 'Hello');
+  assert.strictEqual(threads[1].updatedAt, 250);
+  assert.strictEqual(unreadTotal, 1);
+  assert.deepStrictEqual((await inbox(router, tokens['4'])).threads, []);
+});
+
+test('messages are unread for the other side until they mark the thread read', async () => {
+  const { router, tokens } = await setup();
+  const sent = await request(router, 'POST', '/api/messages', { token: tokens['3'], body: { orderId: '2', text: 'Starting today' } });
+  assert.strictEqual(sent.status, 201);
+  let { threads, unreadTotal } = await inbox(router, tokens['1']);
+  assert.deepStrictEqual(threads.map(t => [t.orderId, t.unreadCount]), [['2', 1], ['1', 1]]);
+  assert.strictEqual(unreadTotal, 2);
+  assert.strictEqual((await inbox(router, tokens['3'])).threads[0].unreadCount, 0);
+  const read = await request(router, 'POST', '/api/messages/read', { token: tokens['1'], body: { orderId: '2' } });
+  assert.strictEqual(read.body.thread.unreadCount, 0);
+  ({ unreadTotal } = await inbox(router, tokens['1']));
+  assert.strictEqual(unreadTotal, 1);
+});
+
+test('only the parties of an order can read or mark its messages', async () => {
+  const { router, tokens } = await setup();
+  const read = await request(router, 'GET', '/api/messages?orderId=1', { token: tokens['4'] });
+  assert.strictEqual(read.status, 403);
+  const mark = await request(router, 'POST', '/api/messages/read', { token: tokens['4'], body: { orderId: '1' } });
+  assert.strictEqual(mark.status, 403);
+  const own = await request(router, 'GET', '/api/messages?orderId=1', { token: tokens['2'] });
+  assert.deepStrictEqual(own.body.messages.map(m => m.text), ['Hi', 'Hello']);
+  assert.strictEqual((await request(router, 'GET', '/api/inbox')).status, 401);
+});
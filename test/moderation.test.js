@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createModeration } = require('../lib/moderation');
+const { createMemoryStore } = require('./helpers');
+
+const admin = { id: '1' };
+
+function setup() {
+  const store = createMemoryStore({
+    gigs: [
+      { id: '1', title: 'Logo design', description: 'Three concepts', sellerId: '2', status: 'active', createdAt: 100 },
+      { id: '2', title: 'Essay help', description: 'Any subject', sellerId: '2', status: 'pending_review', createdAt: 200 }
+    ]
+  });
+  const gigs = store.collection('gigs');
+  const reports = store.collection('gig-reports');
+  const moderation = createModeration({ rules: store.collection('moderation-rules'), reports, gigs });
+  return { gigs, reports, moderation };
+}
+
+test('gigs are screened against keyword, regex and category rules', async () => {
+  const { moderation } = setup();
+  await moderation.addRule({ type: 'keyword', pattern: ' Exam ' }, admin);
+  const { rule } = await moderation.addRule({ type: 'regex', pattern: 'take (my|your) test' }, admin);
+  await moderation.addRule({ type: 'category', pattern: 'Weapons' }, admin);
+  const gig = {
+    title: 'Study help', description: 'I will take your TEST', category: 'Tutoring',
+    packages: [{ name: 'Basic', features: ['Exam prep'] }]
+  };
+  assert.deepStrictEqual(moderation.screen(gig).flags.map(f => f.type).sort(), ['keyword', 'regex']);
+  assert.deepStrictEqual(moderation.screen({ title: 'Knives', description: '', category: 'weapons' }),
+    { error: 'Gigs in the category "weapons" are not allowed on Bazimn' });
+  assert.deepStrictEqual(moderation.screen({ title: 'Logo', description: 'Clean', category: 'Design' }), { flags: [] });
+  await moderation.removeRule(rule.id);
+  assert.deepStrictEqual(moderation.screen(gig).flags.map(f => f.pattern), ['exam']);
+  assert.deepStrictEqual(moderation.listRules().map(r => r.type), ['category', 'keyword']);
+});
+
+test('invalid and duplicate rules are refused', async () => {
+  const { moderation } = setup();
+  assert.deepStrictEqual(await moderation.addRule({ type: 'phrase', pattern: 'x' }, admin),
+    { error: 'Rule type must be one of keyword, regex, category' });
+  assert.deepStrictEqual(await moderation.addRule({ type: 'keyword', pattern: ' ' }, admin),
+    { error: 'The pattern must be 1 to 200 characters' });
+  assert.ok((await moderation.addRule({ type: 'regex', pattern: '(' }, admin)).error);
+  await moderation.addRule({ type: 'keyword', pattern: 'exam' }, admin);
+  assert.deepStrictEqual(await moderation.addRule({ type: 'keyword', pattern: 'EXAM' }, admin), { error: 'This rule already exists' });
+  assert.strictEqual(moderation.listRules().length, 1);
+});
+
+test('enough reports from different users hold a gig for review', async () => {
+  const { gigs, moderation } = setup();
+  const gig = gigs.get('1');
+  assert.strictEqual((await moderation.report(gig, { id: '2' }, 'Mine')).status, 403);
+  assert.strictEqual((await moderation.report(gig, { id: '3' }, ' ')).status, 400);
+  await moderation.report(gig, { id: '3' }, 'Copied work');
+  assert.strictEqual((await moderation.report(gig, { id: '3' }, 'Again')).status, 409);
+  await moderation.report(gig, { id: '4' }, 'Copied work');
+  assert.strictEqual(gig.status, 'active');
+  // Reported gigs are in the queue while still listed
+  assert.deepStrictEqual(moderation.queue().map(q => [q.gig.id, q.reports.length]), [['1', 2], ['2', 0]]);
+  await moderation.report(gig, { id: '5' }, 'Copied work');
+  assert.strictEqual(gig.status, 'pending_review');
+});
+
+test('decisions publish or reject a gig and close its reports', async () => {
+  const { gigs, reports, moderation } = setup();
+  const [first, second] = [gigs.get('1'), gigs.get('2')];
+  await moderation.report(first, { id: '3' }, 'Copied work');
+  await moderation.approve(first, admin);
+  assert.strictEqual(first.status, 'active');
+  assert.deepStrictEqual(reports.all().map(r => r.status), ['dismissed']);
+  await moderation.report(second, { id: '3' }, 'Cheating');
+  await moderation.reject(second, admin, 'Academic cheating is not allowed');
+  assert.deepStrictEqual([second.status, second.moderation.reason, second.moderation.reviewedBy],
+    ['rejected', 'Academic cheating is not allowed', '1']);
+  assert.deepStrictEqual(reports.all().map(r => r.status), ['dismissed', 'upheld']);
+  assert.deepStrictEqual(moderation.queue(), []);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { parseMultipart } = require('../lib/multipart');
+const { createUploadStore } = require('../lib/uploads');
+const { createMemoryStore } = require('./helpers');
+
+const BOUNDARY = '----bazimn-test';
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'), Buffer.alloc(64, 1)]);
+
+// Encode `parts` ({ name, value } or { name, filename, contentType, data })
+// as a multipart body
+function encode(parts) {
+  const pieces = parts.map(p => Buffer.concat([
+    Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="${p.name}"` +
+      (p.filename !== undefined ? `; filename="${p.filename}"\r\nContent-Type: ${p.contentType}` : '') + '\r\n\r\n'),
+    Buffer.isBuffer(p.data) ? p.data : Buffer.from(p.value !== undefined ? p.value : p.data),
+    Buffer.from('\r\n')
+  ]));
+  return Buffer.concat(pieces.concat(Buffer.from(`--${BOUNDARY}--\r\n`)));
+}
+
+// A request carrying `body`, delivered in chunks of `chunkSize` bytes
+function request(body, chunkSize = body.length) {
+  const chunks = [];
+  for (let i = 0; i < body.length; i += chunkSize) {
+    chunks.push(body.subarray(i, i + chunkSize));
+  }
+  const req = Readable.from(chunks, { objectMode: false });
+  req.headers = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}`, 'content-length': String(body.length) };
+  req.connection = { destroy: () => req.destroy() };
+  return req;
+}
+
+// Sink collecting a file part in memory
+function collector(files) {
+  return info => {
+    const file = Object.assign({ chunks: [], ended: false }, info);
+    files.push(file);
+    return { write: async chunk => { file.chunks.push(chunk); }, end: async () => { file.ended = true; } };
+  };
+}
+
+test('fields and files are parsed, whatever the chunk size', async () => {
+  const data = Buffer.alloc(5000, 7);
+  const body = encode([
+    { name: 'title', value: 'Logo' },
+    { name: 'file', filename: 'a.bin', contentType: 'application/octet-stream', data },
+    { name: 'note', value: 'line one\r\nline two' }
+  ]);
+  for (const chunkSize of [1, 7, 64, body.length]) {
+    const files = [];
+    const { fields } = await parseMultipart(request(body, chunkSize), { maxBytes: 1e6, onFile: collector(files) });
+    assert.deepStrictEqual(fields, { title: 'Logo', note: 'line one\r\nline two' });
+    assert.strictEqual(files.length, 1);
+    assert.strictEqual(files[0].filename, 'a.bin');
+    assert.strictEqual(files[0].ended, true);
+    assert.ok(Buffer.concat(files[0].chunks).equals(data), `file differs with ${chunkSize}-byte chunks`);
+  }
+});
+
+test('a file containing something like the boundary stays intact', async () => {
+  const data = Buffer.from(`\r\n--${BOUNDARY.slice(0, -1)}x and more`);
+  const files = [];
+  await parseMultipart(request(encode([{ name: 'file', filename: 'b', contentType: 'text/plain', data }]), 3), {
+    maxBytes: 1e6, onFile: collector(files)
+  });
+  assert.ok(Buffer.concat(files[0].chunks).equals(data));
+});
+
+test('bodies that aren\'t multipart, are cut short or are too big are refused', async () => {
+  const req = request(Buffer.from('{}'));
+  req.headers['content-type'] = 'application/json';
+  await assert.rejects(parseMultipart(req, { maxBytes: 1e6, onFile: collector([]) }), { status: 400 });
+  const body = encode([{ name: 'title', value: 'Logo' }]);
+  await assert.rejects(parseMultipart(request(body.subarray(0, body.length - 10)), { maxBytes: 1e6, onFile: collector([]) }),
+    /Unexpected end of multipart body/);
+  await assert.rejects(parseMultipart(request(body), { maxBytes: 10, onFile: collector([]) }), { status: 413 });
+  await assert.rejects(parseMultipart(request(body), { maxBytes: 1e6, maxFieldBytes: 2, onFile: collector([]) }),
+    { status: 413, message: 'Field title is too long' });
+});
+
+test('a part without a name is malformed', async () => {
+  const body = Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data\r\n\r\nx\r\n--${BOUNDARY}--\r\n`);
+  await assert.rejects(parseMultipart(request(body), { maxBytes: 1e6, onFile: collector([]) }),
+    { status: 400, message: 'Malformed multipart part' });
+});
+
+// An upload store writing to a temporary directory
+function uploadStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bazimn-uploads-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, uploads: createUploadStore({ collection: createMemoryStore().collection('uploads'), dir }) };
+}
+
+const owner = { id: '2' };
+
+test('uploads are typed by their first bytes, not by what the client claims', async t => {
+  const { dir, uploads } = uploadStore(t);
+  const body = encode([{ name: 'file', filename: 'photo.txt', contentType: 'text/plain', data: PNG }]);
+  const { upload, error } = await uploads.receive(request(body, 5), owner, { kind: 'gig_image' });
+  assert.ifError(error);
+  assert.strictEqual(upload.contentType, 'image/png');
+  assert.strictEqual(upload.file, `${upload.id}.png`);
+  assert.strictEqual(upload.size, PNG.length);
+  assert.ok(fs.readFileSync(path.join(dir, upload.file)).equals(PNG));
+});
+
+test('files of a type the upload kind doesn\'t take are refused and removed', async t => {
+  const { dir, uploads } = uploadStore(t);
+  const script = Buffer.from('#!/bin/sh\necho hello from a "png"\n');
+  const disguised = encode([{ name: 'file', filename: 'x.png', contentType: 'image/png', data: script }]);
+  assert.deepStrictEqual(await uploads.receive(request(disguised), owner, { kind: 'gig_image' }), {
+    error: 'This file type can\'t be uploaded here; allowed: image/jpeg, image/png, image/gif, image/webp',
+    status: 415
+  });
+  const pdf = Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(32)]);
+  const result = await uploads.receive(request(encode([{ name: 'file', filename: 'a.pdf', contentType: 'application/pdf', data: pdf }])),
+    owner, { kind: 'gig_image' });
+  assert.strictEqual(result.status, 415);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+test('an upload must be exactly one file in the field "file"', async t => {
+  const { uploads } = uploadStore(t);
+  const two = encode([
+    { name: 'file', filename: 'a.png', contentType: 'image/png', data: PNG },
+    { name: 'file', filename: 'b.png', contentType: 'image/png', data: PNG }
+  ]);
+  assert.strictEqual((await uploads.receive(request(two), owner, { kind: 'gig_image' })).status, 400);
+  const none = encode([{ name: 'title', value: 'x' }]);
+  assert.strictEqual((await uploads.receive(request(none), owner, { kind: 'gig_image' })).status, 400);
+});
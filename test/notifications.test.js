@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRouter } = require('../lib/router');
+const { authenticate } = require('../lib/middleware');
+const { createSessionStore } = require('../lib/sessions');
+const { createEventHub } = require('../lib/events');
+const { createNotificationService } = require('../lib/notifications');
+const { createMemoryStore, request } = require('./helpers');
+
+// The notification routes for a buyer and a seller, with an email channel
+// that keeps what it is given in `emailed`
+async function setup() {
+  const store = createMemoryStore({
+    users: [
+      { id: '1', username: 'bob', email: 'bob@example.com', role: 'buyer', status: 'active' },
+      { id: '2', username: 'sue', email: 'sue@example.com', role: 'seller', status: 'active' }
+    ]
+  });
+  const users = store.collection('users');
+  const events = createEventHub();
+  const published = [];
+  const publish = events.publish;
+  events.publish = (userIds, type, data) => {
+    published.push([userIds, type]);
+    publish(userIds, type, data);
+  };
+  const emailed = [];
+  const email = { send: async (user, notification) => { emailed.push([user.id, notification.title]); } };
+  const app = {
+    users,
+    sessions: createSessionStore({ collection: store.collection('sessions') }),
+    notifications: createNotificationService({ collection: store.collection('notifications'), users, events, channels: { email } })
+  };
+  const router = createRouter();
+  router.use(authenticate(app));
+  require('../routes/notifications')(router, app);
+  const tokens = {};
+  for (const id of ['1', '2']) {
+    tokens[id] = (await app.sessions.create(id)).token;
+  }
+  return Object.assign({ router, tokens, emailed, published }, app);
+}
+
+test('order changes notify the other party in the app and by email', async () => {
+  const app = await setup();
+  const order = { id: '7', buyerId: '1', sellerId: '2', timeline: [{ action: 'fund', actorId: '1' }] };
+  await app.notifications.orderChanged(order);
+  order.timeline.push({ action: 'deliver', actorId: '2', note: 'Files attached' });
+  await app.notifications.orderChanged(order);
+  order.timeline.push({ action: 'note', actorId: '2' });
+  await app.notifications.orderChanged(order);
+  // Only new orders go out by email unless the user asks for more
+  assert.deepStrictEqual(app.emailed, [['2', 'New order #7']]);
+  assert.deepStrictEqual(app.published, [[['2'], 'notification'], [['1'], 'notification']]);
+  const res = await request(app.router, 'GET', '/api/notifications', { token: app.tokens['1'] });
+  assert.deepStrictEqual(res.body.notifications.map(n => [n.title, n.body, n.link]), [
+    ['Update on order #7', 'Order #7 was delivered: Files attached', '/dashboard.html?orderId=7']
+  ]);
+  assert.strictEqual(res.body.unreadCount, 1);
+});
+
+test('unread notifications with the same key are grouped', async () => {
+  const app = await setup();
+  const message = text => app.notifications.notify('1', 'message', { title: 'New message on order #7', body: text, key: 'message:7' });
+  await message('sue: Hi');
+  await message('sue: Are you there?');
+  let list = app.notifications.list('1', { page: 1, limit: 10 }).notifications;
+  assert.deepStrictEqual(list.map(n => [n.body, n.count]), [['sue: Are you there?', 2]]);
+  const read = await request(app.router, 'POST', '/api/notifications/read', { token: app.tokens['1'], body: { all: true } });
+  assert.deepStrictEqual(read.body, { marked: 1, unreadCount: 0 });
+  await message('sue: Done');
+  list = app.notifications.list('1', { page: 1, limit: 10, unreadOnly: true }).notifications;
+  assert.deepStrictEqual(list.map(n => [n.body, n.count]), [['sue: Done', 1]]);
+  const bad = await request(app.router, 'POST', '/api/notifications/read', { token: app.tokens['1'], body: { ids: [1] } });
+  assert.strictEqual(bad.status, 400);
+});
+
+test('users choose the channels for each kind of event', async () => {
+  const app = await setup();
+  const get = await request(app.router, 'GET', '/api/notifications/preferences', { token: app.tokens['2'] });
+  assert.deepStrictEqual(get.body.channels, ['in_app', 'email']);
+  assert.deepStrictEqual(get.body.preferences.order_placed, { in_app: true, email: true });
+  const set = await request(app.router, 'POST', '/api/notifications/preferences', {
+    token: app.tokens['2'], body: { preferences: { order_placed: { in_app: false, email: false }, message: { email: true } } }
+  });
+  assert.strictEqual(set.status, 200, set.body.error);
+  await app.notifications.notify('2', 'order_placed', { title: 'New order #8', body: '' });
+  await app.notifications.notify('2', 'message', { title: 'New message', body: '' });
+  assert.deepStrictEqual(app.emailed, [['2', 'New message']]);
+  assert.strictEqual(app.notifications.unreadCount('2'), 1);
+  const bad = await request(app.router, 'POST', '/api/notifications/preferences', {
+    token: app.tokens['2'], body: { preferences: { message: { sms: true } } }
+  });
+  assert.deepStrictEqual(bad.body, { error: 'message.sms must be true or false, for one of in_app, email' });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SYSTEM, newOrder, transition, availableActions, revisionsLeft } = require('../lib/orders');
+
+const buyer = { id: '1', role: 'buyer' };
+const seller = { id: '2', role: 'seller' };
+const admin = { id: '3', role: 'admin' };
+const stranger = { id: '4', role: 'buyer' };
+
+function order(fields = {}) {
+  const created = newOrder({
+    id: '10',
+    buyerId: buyer.id,
+    sellerId: seller.id,
+    gigId: '5',
+    pkg: { id: 'basic', name: 'Basic', price: 50, deliveryDays: 3, revisions: 1, features: [] },
+    pricing: null
+  });
+  return Object.assign(created, fields);
+}
+
+// Apply actions one after another, failing on the first refusal
+function run(o, steps) {
+  steps.forEach(([action, user, note]) => {
+    const result = transition(o, action, user, { note });
+    assert.ifError(result.error);
+  });
+  return o;
+}
+
+test('an order goes from payment to completion and records each step', () => {
+  const o = run(order(), [
+    ['fund', SYSTEM],
+    ['start', seller],
+    ['deliver', seller, 'Here it is'],
+    ['request_revision', buyer],
+    ['deliver', seller, 'Fixed'],
+    ['accept', buyer]
+  ]);
+  assert.strictEqual(o.status, 'completed');
+  assert.ok(o.completedAt);
+  assert.deepStrictEqual(o.timeline.map(e => e.status), [
+    'awaiting_payment', 'placed', 'in_progress', 'delivered', 'revision_requested', 'delivered', 'completed'
+  ]);
+  assert.strictEqual(o.revisionsUsed, 1);
+});
+
+test('actions are refused from the wrong status or side', () => {
+  const o = order();
+  assert.deepStrictEqual(transition(o, 'start', seller), {
+    error: 'Cannot start an order that is awaiting payment', status: 409
+  });
+  assert.strictEqual(transition(o, 'fund', buyer).status, 403);
+  assert.strictEqual(transition(o, 'cancel', stranger).status, 403);
+  assert.strictEqual(transition(o, 'teleport', buyer).status, 400);
+  run(o, [['fund', SYSTEM], ['start', seller]]);
+  assert.strictEqual(transition(o, 'accept', buyer).status, 409);
+  assert.strictEqual(transition(o, 'deliver', seller).error, 'A delivery note is required');
+  assert.strictEqual(o.status, 'in_progress');
+});
+
+test('revisions stop once the package has none left', () => {
+  const o = run(order(), [['fund', SYSTEM], ['start', seller], ['deliver', seller, 'v1'], ['request_revision', buyer],
+    ['deliver', seller, 'v2']]);
+  assert.strictEqual(revisionsLeft(o), 0);
+  assert.deepStrictEqual(transition(o, 'request_revision', buyer), { error: 'No revisions left on this order', status: 409 });
+});
+
+test('after work has started, cancelling needs the other party', () => {
+  const o = run(order(), [['fund', SYSTEM], ['start', seller]]);
+  assert.strictEqual(transition(o, 'cancel', buyer).status, 409);
+  run(o, [['request_cancellation', buyer, 'Changed my mind']]);
+  assert.strictEqual(transition(o, 'request_cancellation', seller).status, 409);
+  assert.strictEqual(transition(o, 'cancel', buyer).status, 409);
+  run(o, [['cancel', seller]]);
+  assert.strictEqual(o.status, 'cancelled');
+  assert.strictEqual(o.cancellationRequest, null);
+  assert.ok(o.cancelledAt);
+});
+
+test('either party can cancel before work starts', () => {
+  assert.strictEqual(run(order(), [['fund', SYSTEM], ['cancel', buyer]]).status, 'cancelled');
+  assert.strictEqual(run(order(), [['cancel', seller]]).status, 'cancelled');
+});
+
+test('a disputed order is frozen until an admin settles it', () => {
+  const o = run(order(), [['fund', SYSTEM], ['start', seller], ['dispute', buyer, 'Late']]);
+  assert.deepStrictEqual(availableActions(o, buyer), []);
+  assert.deepStrictEqual(availableActions(o, seller), []);
+  assert.deepStrictEqual(availableActions(o, admin), ['release', 'split', 'refund']);
+  assert.strictEqual(transition(o, 'release', buyer).status, 403);
+  run(o, [['refund', admin, 'Seller did not deliver']]);
+  assert.strictEqual(o.status, 'cancelled');
+});
+
+test('unpaid orders expire', () => {
+  const o = run(order(), [['expire', SYSTEM]]);
+  assert.strictEqual(o.status, 'expired');
+  assert.strictEqual(transition(o, 'fund', SYSTEM).status, 409);
+});
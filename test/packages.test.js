@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizePackages, singlePricePackage, startingPrice, findPackage, snapshotPackage
+} = require('../lib/packages');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('packages are cleaned up and put in tier order', () => {
+  const { packages, error } = normalizePackages([
+    { tier: 'premium', price: '120.456', deliveryDays: 10, revisions: 5, features: 'Source files\n\n Three concepts ' },
+    { tier: 'basic', name: ' Starter ', price: 40, deliveryDays: 3 }
+  ]);
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(packages, [
+    { id: 'basic', name: 'Starter', price: 40, deliveryDays: 3, revisions: 0, features: [] },
+    { id: 'premium', name: 'Premium', price: 120.46, deliveryDays: 10, revisions: 5, features: ['Source files', 'Three concepts'] }
+  ]);
+  assert.strictEqual(startingPrice(packages), 40);
+});
+
+test('invalid packages are rejected with the first problem', () => {
+  const basic = { tier: 'basic', price: 40, deliveryDays: 3 };
+  const cases = [
+    [[], 'At least one package is required'],
+    [[basic, basic], 'Duplicate basic package'],
+    [[{ tier: 'gold', price: 40, deliveryDays: 3 }], 'Package tier must be one of basic, standard, premium'],
+    [[{ tier: 'basic', price: 0, deliveryDays: 3 }], 'Basic package needs a price above zero'],
+    [[{ tier: 'basic', price: 40, deliveryDays: 366 }], 'Basic package needs a delivery time of 1 to 365 days'],
+    [[{ tier: 'basic', price: 40, deliveryDays: 3, revisions: 21 }], 'Basic package revisions must be 0 to 20'],
+    [[{ tier: 'basic', price: 40, deliveryDays: 3, features: Array(11).fill('x') }], 'Basic package can list at most 10 features'],
+    [[basic, basic, basic, basic], 'A gig can have at most 3 packages']
+  ];
+  cases.forEach(([input, error]) => {
+    assert.deepStrictEqual(normalizePackages(input), { error });
+  });
+});
+
+test('a single price becomes a basic package', () => {
+  const { packages } = normalizePackages([singlePricePackage(25)]);
+  assert.deepStrictEqual(packages, [{ id: 'basic', name: 'Basic', price: 25, deliveryDays: 7, revisions: 0, features: [] }]);
+});
+
+test('orders pick a package and keep a copy of it', () => {
+  const { packages } = normalizePackages([
+    { tier: 'basic', price: 40, deliveryDays: 3, features: ['One concept'] },
+    { tier: 'standard', price: 80, deliveryDays: 5 }
+  ]);
+  const gig = { packages };
+  assert.strictEqual(findPackage(gig).id, 'basic');
+  assert.strictEqual(findPackage(gig, 'standard').price, 80);
+  assert.strictEqual(findPackage(gig, 'premium'), null);
+  assert.strictEqual(findPackage({}), null);
+  const snapshot = snapshotPackage(packages[0], 1000);
+  assert.strictEqual(snapshot.dueAt, 1000 + 3 * DAY);
+  packages[0].features.push('Changed later');
+  assert.deepStrictEqual(snapshot.package.features, ['One concept']);
+});
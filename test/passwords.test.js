@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const passwords = require('../lib/passwords');
+
+test('hashes are salted and verify only their own password', async () => {
+  const first = await passwords.hashPassword('correct horse');
+  const second = await passwords.hashPassword('correct horse');
+  assert.notStrictEqual(first, second);
+  assert.match(first, /^scrypt\$16384\$8\$1\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.strictEqual(await passwords.verifyPassword('correct horse', first), true);
+  assert.strictEqual(await passwords.verifyPassword('correct horse', second), true);
+  assert.strictEqual(await passwords.verifyPassword('wrong horse', first), false);
+});
+
+test('missing or malformed hashes never verify', async () => {
+  assert.strictEqual(await passwords.verifyPassword('admin', undefined), false);
+  assert.strictEqual(await passwords.verifyPassword('admin', 'admin'), false);
+  assert.strictEqual(await passwords.verifyPassword('admin', 'scrypt$1$2$3'), false);
+  assert.strictEqual(passwords.isPasswordHash('admin'), false);
+  assert.strictEqual(passwords.isPasswordHash(passwords.hashPasswordSync('admin')), true);
+});
+
+test('plaintext passwords are replaced by hashes', async () => {
+  const seller = { id: '2', role: 'seller', password: 'hunter2' };
+  assert.strictEqual(passwords.upgradeLegacyPassword(seller), true);
+  assert.strictEqual('password' in seller, false);
+  assert.strictEqual(seller.mustChangePassword, undefined);
+  assert.strictEqual(await passwords.verifyPassword('hunter2', seller.passwordHash), true);
+  // Upgraded records are left alone
+  assert.strictEqual(passwords.upgradeLegacyPassword(seller), false);
+});
+
+test('the old default admin account has to pick a new password', () => {
+  const admin = { id: '1', role: 'admin', password: 'admin' };
+  passwords.upgradeLegacyPassword(admin);
+  assert.strictEqual(admin.mustChangePassword, true);
+  const other = { id: '3', role: 'admin', password: 'something-long' };
+  passwords.upgradeLegacyPassword(other);
+  assert.strictEqual(other.mustChangePassword, undefined);
+});
+
+test('a hash stored in the old password field is kept as it is', () => {
+  const hash = passwords.hashPasswordSync('hunter2');
+  const user = { id: '2', role: 'buyer', password: hash };
+  passwords.upgradeLegacyPassword(user);
+  assert.strictEqual(user.passwordHash, hash);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { signPayload, verifySignature, createMockGateway, createPaymentService } = require('../lib/payments');
+const { createLedger, EXTERNAL_FUNDING, userAccount, escrowAccount } = require('../lib/ledger');
+const { createEscrow } = require('../lib/escrow');
+const { newOrder } = require('../lib/orders');
+const { createMemoryStore } = require('./helpers');
+
+const SECRET = 'test-secret';
+const PRICING = { price: 100, serviceFee: 5, total: 105, commission: 20, sellerEarnings: 80, feeCategory: null };
+
+test('a signed body verifies', () => {
+  const body = JSON.stringify({ id: 'evt_1' });
+  assert.strictEqual(verifySignature(SECRET, body, signPayload(SECRET, body)), true);
+});
+
+test('a changed body, another secret or a bad header fail verification', () => {
+  const body = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded' });
+  const header = signPayload(SECRET, body);
+  assert.strictEqual(verifySignature(SECRET, body.replace('succeeded', 'failed'), header), false);
+  assert.strictEqual(verifySignature('other-secret', body, header), false);
+  assert.strictEqual(verifySignature(SECRET, body, undefined), false);
+  assert.strictEqual(verifySignature(SECRET, body, 'garbage'), false);
+  assert.strictEqual(verifySignature(SECRET, body, header.replace(/v1=\w+/, 'v1=abcd')), false);
+});
+
+test('old signatures are refused so callbacks can\'t be replayed', () => {
+  const body = '{}';
+  const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
+  assert.strictEqual(verifySignature(SECRET, body, signPayload(SECRET, body, tenMinutesAgo)), false);
+});
+
+test('the mock gateway only parses webhooks with a valid signature', () => {
+  const gateway = createMockGateway({ secret: SECRET, appUrl: 'http://localhost' });
+  const body = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', reference: 'mock_1' });
+  assert.deepStrictEqual(gateway.parseWebhook(body, { 'x-mock-signature': signPayload(SECRET, body) }),
+    { id: 'evt_1', type: 'payment.succeeded', reference: 'mock_1' });
+  assert.strictEqual(gateway.parseWebhook(body, { 'x-mock-signature': signPayload('nope', body) }), null);
+  assert.strictEqual(gateway.parseWebhook('not json', { 'x-mock-signature': signPayload(SECRET, 'not json') }), null);
+});
+
+// An order awaiting payment and a service on the mock gateway
+async function setup() {
+  const store = createMemoryStore({ users: [{ id: '1', wallet: 0 }, { id: '2', wallet: 0 }] });
+  const users = store.collection('users');
+  const orders = store.collection('orders');
+  const payments = store.collection('payments');
+  const ledger = createLedger({ collection: store.collection('ledger') });
+  const escrow = createEscrow({ users, ledger });
+  const changed = [];
+  const service = createPaymentService({
+    payments,
+    paymentEvents: store.collection('payment-events'),
+    orders,
+    users,
+    ledger,
+    escrow,
+    gateway: createMockGateway({ secret: SECRET, appUrl: 'http://localhost' }),
+    timeoutMs: 30 * 60 * 1000,
+    onOrderChange: order => changed.push(order.id)
+  });
+  const order = newOrder({
+    id: orders.nextId(),
+    buyerId: '1',
+    sellerId: '2',
+    gigId: '5',
+    pkg: { id: 'basic', name: 'Basic', price: 100, deliveryDays: 3, revisions: 0, features: [] },
+    pricing: PRICING
+  });
+  await orders.insert(order);
+  const { payment, action } = await service.start(order, { method: 'card' });
+  return { service, order, payment, action, payments, ledger, changed };
+}
+
+const succeeded = (payment, id = 'evt_1') => ({ id, type: 'payment.succeeded', reference: payment.reference });
+
+test('starting a payment supersedes the earlier attempt', async () => {
+  const { service, order, payment, action } = await setup();
+  assert.strictEqual(payment.amount, 105);
+  assert.strictEqual(action.type, 'redirect');
+  const again = await service.start(order, { method: 'mobile_money', phone: '+254700000000' });
+  assert.strictEqual(payment.status, 'superseded');
+  assert.strictEqual(again.action.type, 'stk_push');
+});
+
+test('a successful payment places the order and funds its escrow', async () => {
+  const { service, order, payment, ledger, changed } = await setup();
+  assert.strictEqual(await service.handleEvent(succeeded(payment)), true);
+  assert.strictEqual(payment.status, 'succeeded');
+  assert.strictEqual(order.status, 'placed');
+  assert.strictEqual(order.paymentId, payment.id);
+  assert.strictEqual(ledger.balance(escrowAccount(order.id)), 105);
+  assert.deepStrictEqual(changed, [order.id]);
+});
+
+test('an event delivered twice is only handled once', async () => {
+  const { service, order, payment, ledger } = await setup();
+  assert.strictEqual(await service.handleEvent(succeeded(payment)), true);
+  assert.strictEqual(await service.handleEvent(succeeded(payment)), false);
+  assert.strictEqual(ledger.balance(escrowAccount(order.id)), 105);
+  assert.strictEqual(ledger.balance(EXTERNAL_FUNDING), -105);
+});
+
+test('concurrent deliveries of one event fund the order once', async () => {
+  const { service, order, payment, ledger } = await setup();
+  const handled = await Promise.all([service.handleEvent(succeeded(payment)), service.handleEvent(succeeded(payment))]);
+  assert.deepStrictEqual(handled.sort(), [false, true]);
+  assert.strictEqual(ledger.balance(escrowAccount(order.id)), 105);
+});
+
+test('a second success event for a settled payment moves no money', async () => {
+  const { service, payment, ledger } = await setup();
+  await service.handleEvent(succeeded(payment, 'evt_1'));
+  await service.handleEvent(succeeded(payment, 'evt_2'));
+  assert.strictEqual(ledger.balance(EXTERNAL_FUNDING), -105);
+});
+
+test('a failed payment leaves the order waiting', async () => {
+  const { service, order, payment, ledger } = await setup();
+  await service.handleEvent({ id: 'evt_1', type: 'payment.failed', reference: payment.reference, reason: 'Declined' });
+  assert.strictEqual(payment.status, 'failed');
+  assert.strictEqual(payment.failureReason, 'Declined');
+  assert.strictEqual(order.status, 'awaiting_payment');
+  assert.strictEqual(ledger.balance(EXTERNAL_FUNDING), 0);
+});
+
+test('money for an order closed meanwhile goes to the buyer\'s balance', async () => {
+  const { service, order, payment, ledger } = await setup();
+  order.status = 'expired';
+  await service.handleEvent(succeeded(payment));
+  assert.strictEqual(order.status, 'expired');
+  assert.strictEqual(ledger.balance(userAccount('1')), 105);
+  assert.strictEqual(ledger.balance(escrowAccount(order.id)), 0);
+});
+
+test('orders not paid in time expire with their pending payments', async () => {
+  const { service, order, payment } = await setup();
+  assert.strictEqual(await service.expireUnpaid(), 0);
+  order.createdAt -= 31 * 60 * 1000;
+  assert.strictEqual(await service.expireUnpaid(), 1);
+  assert.strictEqual(order.status, 'expired');
+  assert.strictEqual(payment.status, 'expired');
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPayoutService, createSimulatedProvider, holdAccount } = require('../lib/payouts');
+const { createLedger, EXTERNAL_FUNDING, EXTERNAL_PAYOUTS, userAccount } = require('../lib/ledger');
+const { createEscrow } = require('../lib/escrow');
+const { createMemoryStore } = require('./helpers');
+
+const seller = { id: '2', role: 'seller' };
+const admin = { id: '1', role: 'admin' };
+
+// A seller with $100 on their balance and a payout service whose methods
+// all use `provider`
+async function setup(provider = createSimulatedProvider()) {
+  const store = createMemoryStore({ users: [{ id: '1', wallet: 0 }, { id: '2', wallet: 0 }] });
+  const users = store.collection('users');
+  const withdrawals = store.collection('withdrawals');
+  const ledger = createLedger({ collection: store.collection('ledger') });
+  const escrow = createEscrow({ users, ledger });
+  await ledger.transfer('funding', EXTERNAL_FUNDING, userAccount(seller.id), 100);
+  const payouts = createPayoutService({
+    withdrawals, users, ledger, escrow,
+    providers: { bank_transfer: provider, mobile_money: provider, paypal: provider }
+  });
+  const balance = () => ledger.balance(userAccount(seller.id));
+  return { users, withdrawals, ledger, payouts, balance };
+}
+
+function request(payouts, amount = 40) {
+  return payouts.request(seller, { amount, method: 'paypal', destination: 'sue@example.com' });
+}
+
+// What the cancel and reject routes do: refuse unless still requested
+async function declineIfRequested(payouts, withdrawal, status, actor) {
+  if (withdrawal.status !== 'requested') {
+    return false;
+  }
+  await payouts.decline(withdrawal, status, actor, status === 'rejected' ? 'No' : null);
+  return true;
+}
+
+test('a request moves the amount into a hold account', async () => {
+  const { payouts, ledger, users, balance } = await setup();
+  const withdrawal = await request(payouts);
+  assert.strictEqual(withdrawal.status, 'requested');
+  assert.strictEqual(balance(), 60);
+  assert.strictEqual(users.get(seller.id).wallet, 60);
+  assert.strictEqual(ledger.balance(holdAccount(withdrawal.id)), 40);
+});
+
+test('an approved payout leaves the platform', async () => {
+  const { payouts, ledger, balance } = await setup();
+  const withdrawal = await payouts.approve(await request(payouts), admin);
+  assert.strictEqual(withdrawal.status, 'paid');
+  assert.strictEqual(withdrawal.reviewedBy, admin.id);
+  assert.ok(withdrawal.providerReference);
+  assert.strictEqual(balance(), 60);
+  assert.strictEqual(ledger.balance(holdAccount(withdrawal.id)), 0);
+  assert.strictEqual(ledger.balance(EXTERNAL_PAYOUTS), 40);
+});
+
+test('a failed payout goes back to the balance', async () => {
+  const { payouts, balance } = await setup(createSimulatedProvider({ mode: 'fail' }));
+  const withdrawal = await payouts.approve(await request(payouts), admin);
+  assert.strictEqual(withdrawal.status, 'failed');
+  assert.strictEqual(withdrawal.failureReason, 'Simulated payout failure');
+  assert.strictEqual(balance(), 100);
+});
+
+test('a provider that throws counts as a failed payout', async () => {
+  const provider = { name: 'broken', send: async () => { throw new Error('timeout'); }, check: async () => ({}) };
+  const { payouts, balance } = await setup(provider);
+  const withdrawal = await payouts.approve(await request(payouts), admin);
+  assert.strictEqual(withdrawal.status, 'failed');
+  assert.strictEqual(withdrawal.failureReason, 'timeout');
+  assert.strictEqual(balance(), 100);
+});
+
+test('pending payouts are paid once the provider confirms them', async () => {
+  const { payouts, ledger } = await setup(createSimulatedProvider({ mode: 'pending', pendingMs: 0 }));
+  const withdrawal = await payouts.approve(await request(payouts), admin);
+  assert.strictEqual(withdrawal.status, 'processing');
+  assert.strictEqual(await payouts.pollPending(), 1);
+  assert.strictEqual(withdrawal.status, 'paid');
+  assert.strictEqual(ledger.balance(EXTERNAL_PAYOUTS), 40);
+  assert.strictEqual(await payouts.pollPending(), 0);
+});
+
+test('a payout being sent is left alone by the poller', async () => {
+  // The provider answers after a while and would report the payout paid
+  // to a check in the meantime
+  const provider = {
+    name: 'slow',
+    send: () => new Promise(resolve => setTimeout(() => resolve({ status: 'paid', reference: 'ref' }), 20)),
+    check: async () => ({ status: 'paid', reference: 'ref' })
+  };
+  const { payouts, ledger } = await setup(provider);
+  const withdrawal = await request(payouts);
+  const approving = payouts.approve(withdrawal, admin);
+  assert.strictEqual(withdrawal.status, 'sending');
+  assert.strictEqual(await payouts.pollPending(), 0);
+  await approving;
+  assert.strictEqual(withdrawal.status, 'paid');
+  assert.strictEqual(ledger.balance(EXTERNAL_PAYOUTS), 40);
+  assert.strictEqual(ledger.balance(holdAccount(withdrawal.id)), 0);
+});
+
+test('a declined withdrawal returns the amount', async () => {
+  const { payouts, balance } = await setup();
+  const withdrawal = await request(payouts);
+  await payouts.decline(withdrawal, 'rejected', admin, 'Verify your account first');
+  assert.strictEqual(withdrawal.status, 'rejected');
+  assert.strictEqual(withdrawal.failureReason, 'Verify your account first');
+  assert.strictEqual(balance(), 100);
+});
+
+test('concurrent declines of one withdrawal return the amount once', async () => {
+  const { payouts, ledger, balance } = await setup();
+  const first = await request(payouts, 10);
+  const cancelAndReject = await Promise.all([
+    declineIfRequested(payouts, first, 'cancelled', seller),
+    declineIfRequested(payouts, first, 'rejected', admin)
+  ]);
+  assert.deepStrictEqual(cancelAndReject, [true, false]);
+  assert.strictEqual(first.status, 'cancelled');
+  const second = await request(payouts, 10);
+  const rejectTwice = await Promise.all([
+    declineIfRequested(payouts, second, 'rejected', admin),
+    declineIfRequested(payouts, second, 'rejected', admin)
+  ]);
+  assert.deepStrictEqual(rejectTwice, [true, false]);
+  assert.strictEqual(balance(), 100);
+  assert.strictEqual(ledger.balance(holdAccount(first.id)), 0);
+  assert.strictEqual(ledger.balance(holdAccount(second.id)), 0);
+});
+
+test('a decline whose transfer fails leaves the withdrawal requested', async () => {
+  const { payouts, ledger } = await setup();
+  const withdrawal = await request(payouts);
+  const transfer = ledger.transfer;
+  ledger.transfer = () => Promise.reject(new Error('disk full'));
+  await assert.rejects(payouts.decline(withdrawal, 'rejected', admin, 'No'), /disk full/);
+  ledger.transfer = transfer;
+  assert.strictEqual(withdrawal.status, 'requested');
+  assert.strictEqual(withdrawal.reviewedBy, null);
+  assert.strictEqual(withdrawal.failureReason, null);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore, createRateLimiter, createLoginLockout } = require('../lib/ratelimit');
+const { limitRequests } = require('../lib/middleware');
+const { createResponse } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+// Run the tests on a clock they move themselves
+function useClock(t) {
+  t.mock.timers.enable({ apis: ['Date'], now: 1e12 });
+  return ms => t.mock.timers.tick(ms);
+}
+
+test('a bucket allows a burst of `limit`, then refills gradually', async t => {
+  const tick = useClock(t);
+  const limiter = createRateLimiter({ store: createMemoryStore(), name: 'login', limit: 3, windowMs: MINUTE });
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await limiter.consume('1.2.3.4')).allowed, true);
+  }
+  assert.deepStrictEqual(await limiter.consume('1.2.3.4'), { allowed: false, retryAfterMs: 20 * 1000 });
+  tick(10 * 1000);
+  assert.deepStrictEqual(await limiter.consume('1.2.3.4'), { allowed: false, retryAfterMs: 10 * 1000 });
+  tick(10 * 1000);
+  assert.strictEqual((await limiter.consume('1.2.3.4')).allowed, true);
+  assert.strictEqual((await limiter.consume('1.2.3.4')).allowed, false);
+});
+
+test('keys and limiters are counted separately', async t => {
+  useClock(t);
+  const store = createMemoryStore();
+  const login = createRateLimiter({ store, name: 'login', limit: 1, windowMs: MINUTE });
+  const register = createRateLimiter({ store, name: 'register', limit: 1, windowMs: MINUTE });
+  assert.strictEqual((await login.consume('a')).allowed, true);
+  assert.strictEqual((await login.consume('a')).allowed, false);
+  assert.strictEqual((await login.consume('b')).allowed, true);
+  assert.strictEqual((await register.consume('a')).allowed, true);
+});
+
+test('concurrent requests can\'t overdraw a bucket', async t => {
+  useClock(t);
+  const limiter = createRateLimiter({ store: createMemoryStore(), name: 'messages', limit: 5, windowMs: MINUTE });
+  const results = await Promise.all(Array.from({ length: 20 }, () => limiter.consume('7')));
+  assert.strictEqual(results.filter(r => r.allowed).length, 5);
+});
+
+test('the memory store forgets entries once they expire', async t => {
+  const tick = useClock(t);
+  const store = createMemoryStore();
+  assert.strictEqual(await store.update('a', () => 1, 1000), 1);
+  await store.update('b', () => 2, 5000);
+  assert.strictEqual(await store.get('a'), 1);
+  tick(2000);
+  assert.strictEqual(await store.get('a'), null);
+  tick(4000);
+  assert.strictEqual(store.prune(), 1);
+  assert.strictEqual(await store.get('b'), null);
+});
+
+test('failed logins lock an account for longer and longer', async t => {
+  const tick = useClock(t);
+  const lockout = createLoginLockout({
+    store: createMemoryStore(), threshold: 3, baseMs: MINUTE, maxMs: 4 * MINUTE, resetAfterMs: 60 * MINUTE
+  });
+  for (let i = 0; i < 3; i++) {
+    assert.deepStrictEqual(await lockout.attempt('sue@x.com'), { locked: false });
+  }
+  assert.deepStrictEqual(await lockout.attempt('sue@x.com'), { locked: true, retryAfterMs: MINUTE });
+  assert.deepStrictEqual(await lockout.attempt('bob@x.com'), { locked: false });
+  tick(MINUTE);
+  assert.deepStrictEqual(await lockout.attempt('sue@x.com'), { locked: false });
+  assert.deepStrictEqual(await lockout.attempt('sue@x.com'), { locked: true, retryAfterMs: 2 * MINUTE });
+  tick(2 * MINUTE);
+  await lockout.attempt('sue@x.com');
+  assert.deepStrictEqual(await lockout.attempt('sue@x.com'), { locked: true, retryAfterMs: 4 * MINUTE });
+  tick(4 * MINUTE);
+  await lockout.attempt('sue@x.com');
+  assert.deepStrictEqual(await lockout.attempt('sue@x.com'), { locked: true, retryAfterMs: 4 * MINUTE });
+});
+
+test('failures are forgotten after a success or a quiet period', async t => {
+  const tick = useClock(t);
+  const lockout = createLoginLockout({
+    store: createMemoryStore(), threshold: 2, baseMs: MINUTE, maxMs: 4 * MINUTE, resetAfterMs: 60 * MINUTE
+  });
+  await lockout.attempt('sue@x.com');
+  await lockout.clear('sue@x.com');
+  await lockout.attempt('sue@x.com');
+  tick(61 * MINUTE);
+  assert.deepStrictEqual(await lockout.attempt('sue@x.com'), { locked: false });
+  assert.deepStrictEqual(await lockout.attempt('sue@x.com'), { locked: false });
+  assert.strictEqual((await lockout.attempt('sue@x.com')).locked, true);
+});
+
+test('parallel attempts can\'t get past the threshold', async t => {
+  useClock(t);
+  const lockout = createLoginLockout({
+    store: createMemoryStore(), threshold: 3, baseMs: MINUTE, maxMs: 4 * MINUTE, resetAfterMs: 60 * MINUTE
+  });
+  const results = await Promise.all(Array.from({ length: 10 }, () => lockout.attempt('sue@x.com')));
+  assert.strictEqual(results.filter(r => !r.locked).length, 3);
+});
+
+test('limitRequests answers 429 with Retry-After once the limit is reached', async t => {
+  useClock(t);
+  const limiter = createRateLimiter({ store: createMemoryStore(), name: 'login', limit: 1, windowMs: 90 * 1000 });
+  const middleware = limitRequests(limiter, ctx => ctx.ip);
+  let calls = 0;
+  const next = async () => { calls++; };
+  await middleware({ ip: '1.2.3.4', res: createResponse() }, next);
+  const res = createResponse();
+  await middleware({ ip: '1.2.3.4', res }, next);
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(res.status, 429);
+  assert.strictEqual(res.headers['Retry-After'], '90');
+  assert.deepStrictEqual(res.body, { error: 'Too many requests. Try again in 2 minutes.', retryAfter: 90 });
+  await middleware({ ip: null, res: createResponse() }, next);
+  assert.strictEqual(calls, 2);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRouter } = require('../lib/router');
+const { authenticate } = require('../lib/middleware');
+const { createSessionStore } = require('../lib/sessions');
+const { createReviewService } = require('../lib/reviews');
+const { createMemoryStore, request } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WINDOW = 3 * DAY;
+
+// The review routes with a buyer, a seller and an outsider. Orders 1 and 2
+// are completed orders for the seller's gig; order 3 is still in progress.
+async function setup() {
+  const now = Date.now();
+  const store = createMemoryStore({
+    users: [
+      { id: '1', username: 'bob', role: 'buyer', status: 'active' },
+      { id: '2', username: 'sue', role: 'seller', status: 'active' },
+      { id: '3', username: 'eve', role: 'buyer', status: 'active' }
+    ],
+    gigs: [{ id: '1', title: 'Logo design', sellerId: '2' }],
+    orders: [
+      { id: '1', buyerId: '1', sellerId: '2', gigId: '1', status: 'completed', completedAt: now },
+      { id: '2', buyerId: '1', sellerId: '2', gigId: '1', status: 'completed', completedAt: now },
+      { id: '3', buyerId: '1', sellerId: '2', gigId: '1', status: 'in_progress', completedAt: null }
+    ]
+  });
+  const users = store.collection('users');
+  const gigs = store.collection('gigs');
+  const orders = store.collection('orders');
+  const reviews = store.collection('reviews');
+  const app = {
+    users,
+    gigs,
+    orders,
+    reviews,
+    sessions: createSessionStore({ collection: store.collection('sessions') }),
+    reviewService: createReviewService({ reviews, orders, gigs, users, windowMs: WINDOW })
+  };
+  const router = createRouter();
+  router.use(authenticate(app));
+  require('../routes/reviews')(router, app);
+  const tokens = {};
+  for (const id of ['1', '2', '3']) {
+    tokens[id] = (await app.sessions.create(id)).token;
+  }
+  return Object.assign({ router, tokens }, app);
+}
+
+function review(router, token, orderId, rating) {
+  return request(router, 'POST', '/api/reviews', { token, body: { orderId, rating, comment: 'Thanks' } });
+}
+
+test('reviews stay hidden until both sides have reviewed', async () => {
+  const app = await setup();
+  const first = await review(app.router, app.tokens['1'], '1', 4);
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(first.body.review.publishedAt, null);
+  let listed = await request(app.router, 'GET', '/api/gigs/1/reviews');
+  assert.deepStrictEqual(listed.body, { rating: { average: 0, count: 0 }, reviews: [] });
+  const second = await review(app.router, app.tokens['2'], '1', 5);
+  assert.ok(second.body.review.publishedAt);
+  listed = await request(app.router, 'GET', '/api/gigs/1/reviews');
+  assert.deepStrictEqual(listed.body.rating, { average: 4, count: 1 });
+  assert.deepStrictEqual(listed.body.reviews.map(r => [r.authorUsername, r.rating]), [['bob', 4]]);
+  // The buyer's rating comes from the seller's review
+  const buyer = await request(app.router, 'GET', '/api/users/1');
+  assert.deepStrictEqual(buyer.body.user.rating, { average: 5, count: 1 });
+  const about = await request(app.router, 'GET', '/api/users/2/reviews');
+  assert.deepStrictEqual(about.body.reviews.map(r => r.authorRole), ['buyer']);
+});
+
+test('unanswered reviews are published once the window closes', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1e12 });
+  const app = await setup();
+  await review(app.router, app.tokens['1'], '1', 5);
+  await review(app.router, app.tokens['1'], '2', 2);
+  assert.strictEqual(await app.reviewService.publishDue(), 0);
+  t.mock.timers.tick(WINDOW + 1);
+  assert.strictEqual(await app.reviewService.publishDue(), 2);
+  assert.deepStrictEqual(app.gigs.get('1').rating, { average: 3.5, count: 2 });
+  assert.deepStrictEqual(app.users.get('2').rating, { average: 3.5, count: 2 });
+  // Too late for the seller to answer
+  const late = await review(app.router, app.tokens['2'], '1', 1);
+  assert.strictEqual(late.status, 400);
+});
+
+test('only the parties of a completed order can review it, once each', async () => {
+  const app = await setup();
+  assert.strictEqual((await review(app.router, app.tokens['3'], '1', 5)).status, 403);
+  assert.strictEqual((await review(app.router, app.tokens['1'], '3', 5)).status, 400);
+  assert.strictEqual((await review(app.router, app.tokens['1'], '1', 6)).status, 400);
+  assert.strictEqual((await review(app.router, app.tokens['1'], '9', 5)).status, 404);
+  assert.strictEqual((await review(app.router, app.tokens['1'], '1', 5)).status, 201);
+  assert.strictEqual((await review(app.router, app.tokens['1'], '1', 5)).status, 400);
+  assert.strictEqual(app.reviews.all().length, 1);
+});
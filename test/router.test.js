@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRouter } = require('../lib/router');
+const { requireAuth, requireRole, jsonBody } = require('../lib/middleware');
+const { sendJson } = require('../lib/http');
+const { request } = require('./helpers');
+
+test('routes match on method and path and get their parameters decoded', async () => {
+  const router = createRouter();
+  router.get('/api/gigs/:id', ctx => sendJson(ctx.res, 200, { id: ctx.params.id }));
+  router.get('/api/gigs/:id/reviews/:reviewId', ctx => sendJson(ctx.res, 200, ctx.params));
+  assert.deepStrictEqual((await request(router, 'GET', '/api/gigs/logo%20design')).body, { id: 'logo design' });
+  assert.deepStrictEqual((await request(router, 'GET', '/api/gigs/7/')).body, { id: '7' });
+  assert.deepStrictEqual((await request(router, 'GET', '/api/gigs/7/reviews/2')).body, { id: '7', reviewId: '2' });
+  assert.strictEqual(await router.handle({ method: 'GET', pathname: '/api/gigs', res: {} }), false);
+  assert.strictEqual(await router.handle({ method: 'GET', pathname: '/api/gigs/7/extra', res: {} }), false);
+});
+
+test('other methods on a known path get 405 with the allowed ones', async () => {
+  const router = createRouter();
+  router.get('/api/jobs', ctx => sendJson(ctx.res, 200, {}));
+  router.post('/api/jobs', ctx => sendJson(ctx.res, 201, {}));
+  router.get('/api/jobs/:id', ctx => sendJson(ctx.res, 200, {}));
+  const res = await request(router, 'DELETE', '/api/jobs');
+  assert.strictEqual(res.status, 405);
+  assert.strictEqual(res.headers.Allow, 'GET, POST, OPTIONS');
+});
+
+test('malformed percent-encoding in a parameter is a bad request', async () => {
+  const router = createRouter();
+  let called = false;
+  router.get('/api/gigs/:id', () => { called = true; });
+  const res = await request(router, 'GET', '/api/gigs/%E0%A4%A');
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(called, false);
+});
+
+test('middleware runs in order and can stop the chain', async () => {
+  const router = createRouter();
+  const calls = [];
+  router.use(async (ctx, next) => {
+    calls.push('global');
+    await next();
+    calls.push('global done');
+  });
+  const stop = ctx => {
+    calls.push('stop');
+    sendJson(ctx.res, 403, { error: 'No' });
+  };
+  router.get('/api/open', (ctx, next) => { calls.push('first'); return next(); }, ctx => {
+    calls.push('handler');
+    sendJson(ctx.res, 200, {});
+  });
+  router.get('/api/closed', stop, () => { calls.push('unreachable'); });
+  await request(router, 'GET', '/api/open');
+  assert.deepStrictEqual(calls, ['global', 'first', 'handler', 'global done']);
+  calls.length = 0;
+  assert.strictEqual((await request(router, 'GET', '/api/closed')).status, 403);
+  assert.deepStrictEqual(calls, ['global', 'stop', 'global done']);
+  assert.throws(() => router.get('/api/empty'), /has no handler/);
+});
+
+test('auth middleware checks for a user and their role', async () => {
+  const router = createRouter();
+  const users = { '1': { id: '1', role: 'buyer' }, '2': { id: '2', role: 'admin' } };
+  router.use((ctx, next) => {
+    ctx.user = users[ctx.req.headers.authorization] || null;
+    return next();
+  });
+  const ok = ctx => sendJson(ctx.res, 200, {});
+  router.get('/api/me', requireAuth, ok);
+  router.get('/api/adm', requireRole('admin', 'Admin only'), ok);
+  const as = (url, id) => request(router, 'GET', url, { headers: id ? { authorization: id } : {} });
+  assert.strictEqual((await as('/api/me')).status, 401);
+  assert.strictEqual((await as('/api/me', '1')).status, 200);
+  assert.strictEqual((await as('/api/adm')).status, 401);
+  assert.deepStrictEqual((await as('/api/adm', '1')).body, { error: 'Admin only' });
+  assert.strictEqual((await as('/api/adm', '2')).status, 200);
+});
+
+test('jsonBody accepts JSON objects only', async () => {
+  const router = createRouter();
+  router.post('/api/echo', jsonBody, ctx => sendJson(ctx.res, 200, ctx.body));
+  assert.deepStrictEqual((await request(router, 'POST', '/api/echo', { body: { a: 1 } })).body, { a: 1 });
+  assert.deepStrictEqual((await request(router, 'POST', '/api/echo')).body, {});
+  assert.deepStrictEqual((await request(router, 'POST', '/api/echo', { body: [1] })).body, { error: 'Expected a JSON object' });
+  const res = await request(router, 'POST', '/api/echo', { body: 'text' });
+  assert.strictEqual(res.status, 400);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGigIndex, tokenize } = require('../lib/search');
+const { createRouter } = require('../lib/router');
+const { createMemoryStore, request } = require('./helpers');
+
+const GIGS = [
+  { id: '1', sellerId: '2', title: 'Logo design', description: 'A modern logo for your brand', category: 'Design', price: 50, rating: { average: 4.5 }, createdAt: 1 },
+  { id: '2', sellerId: '2', title: 'Website copy', description: 'Copy that sells, with a logo brief', category: 'Writing', price: 80, rating: { average: 5 }, createdAt: 2 },
+  { id: '3', sellerId: '3', title: 'Brand identity', description: 'Logos, colours and type', category: 'design', price: 200, createdAt: 3 },
+  { id: '4', sellerId: '3', title: 'Logo animation', description: 'Animated intro', category: 'Video', price: 120, createdAt: 4 },
+  { id: '5', sellerId: '4', title: 'Logo sketches', description: 'Hidden: its seller is suspended', category: 'Design', price: 10, createdAt: 5 },
+  { id: '6', sellerId: '2', title: 'Logo refresh', description: 'Waiting for review', category: 'Design', price: 30, createdAt: 6, status: 'pending_review' }
+];
+
+test('words are lower-cased and split on anything but letters and digits', () => {
+  assert.deepStrictEqual(tokenize('Logo-Design, 3D & Café!'), ['logo', 'design', '3d', 'café']);
+  assert.deepStrictEqual(tokenize(null), []);
+});
+
+test('every query word must prefix a word of the gig; titles weigh more', () => {
+  const index = createGigIndex();
+  GIGS.forEach(g => index.add(g));
+  const scores = index.search('LOGO');
+  assert.deepStrictEqual(Array.from(scores.keys()).sort(), ['1', '2', '3', '4', '5', '6']);
+  assert.ok(scores.get('1') > scores.get('2'));
+  assert.deepStrictEqual(Array.from(index.search('logo bran').keys()).sort(), ['1', '3']);
+  assert.strictEqual(index.search('  '), null);
+  index.remove('1');
+  assert.strictEqual(index.search('modern').size, 0);
+  index.add(Object.assign({}, GIGS[3], { title: 'Intro video' }));
+  assert.strictEqual(index.search('animation').size, 0);
+});
+
+// The gig routes over GIGS; seller 4 is suspended
+function setup() {
+  const store = createMemoryStore({
+    users: [
+      { id: '2', role: 'seller', status: 'active', verificationLevel: 'verified' },
+      { id: '3', role: 'seller', status: 'active', verificationLevel: 'basic' },
+      { id: '4', role: 'seller', status: 'suspended', suspension: { reason: 'Spam', until: null } }
+    ],
+    gigs: GIGS.map(g => Object.assign({ status: 'active' }, g))
+  });
+  const gigs = store.collection('gigs');
+  const gigIndex = createGigIndex();
+  gigs.all().forEach(g => gigIndex.add(g));
+  const router = createRouter();
+  require('../routes/gigs')(router, { users: store.collection('users'), gigs, gigIndex });
+  return router;
+}
+
+async function listIds(router, query) {
+  const res = await request(router, 'GET', `/api/gigs?${query}`);
+  assert.strictEqual(res.status, 200, res.body.error);
+  return res.body.gigs.map(g => g.id);
+}
+
+test('listings only show active gigs of active sellers, newest first', async () => {
+  const router = setup();
+  assert.deepStrictEqual(await listIds(router, ''), ['4', '3', '2', '1']);
+});
+
+test('listings filter by text, category, seller and price', async () => {
+  const router = setup();
+  assert.deepStrictEqual(await listIds(router, 'q=logo'), ['1', '4', '3', '2']);
+  assert.deepStrictEqual(await listIds(router, 'category=DESIGN'), ['3', '1']);
+  assert.deepStrictEqual(await listIds(router, 'sellerId=3'), ['4', '3']);
+  assert.deepStrictEqual(await listIds(router, 'minPrice=60&maxPrice=150'), ['4', '2']);
+  assert.deepStrictEqual(await listIds(router, 'q=logo&category=design&maxPrice=100'), ['1']);
+});
+
+test('listings sort by price or rating', async () => {
+  const router = setup();
+  assert.deepStrictEqual(await listIds(router, 'sort=price_asc'), ['1', '2', '4', '3']);
+  assert.deepStrictEqual(await listIds(router, 'sort=price_desc'), ['3', '4', '2', '1']);
+  assert.deepStrictEqual(await listIds(router, 'sort=rating'), ['2', '1', '4', '3']);
+});
+
+test('listings are paginated', async () => {
+  const router = setup();
+  const res = await request(router, 'GET', '/api/gigs?limit=3&page=2');
+  assert.deepStrictEqual(res.body.gigs.map(g => g.id), ['1']);
+  assert.deepStrictEqual([res.body.total, res.body.page, res.body.limit, res.body.totalPages], [4, 2, 3, 2]);
+  assert.strictEqual((await request(router, 'GET', '/api/gigs?limit=1000')).body.limit, 100);
+});
+
+test('bad filters are refused', async () => {
+  const router = setup();
+  assert.strictEqual((await request(router, 'GET', '/api/gigs?minPrice=cheap')).status, 400);
+  assert.strictEqual((await request(router, 'GET', '/api/gigs?sort=random')).status, 400);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSessionStore } = require('../lib/sessions');
+const { createMemoryStore } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// Sessions that end after two idle hours or ten hours in all, on a clock
+// the test moves itself
+function setup(t) {
+  t.mock.timers.enable({ apis: ['Date'], now: 1e12 });
+  const store = createMemoryStore();
+  const collection = store.collection('sessions');
+  const sessions = createSessionStore({ collection, idleTimeoutMs: 2 * HOUR, absoluteTimeoutMs: 10 * HOUR });
+  return { sessions, collection, tick: ms => t.mock.timers.tick(ms) };
+}
+
+test('a token resolves to its session, which stores only a hash of it', async t => {
+  const { sessions, collection } = setup(t);
+  const { token, session } = await sessions.create('1', { device: 'Firefox', ip: '203.0.113.7' });
+  assert.strictEqual(sessions.resolve(token), session);
+  assert.deepStrictEqual([session.userId, session.device, session.ip], ['1', 'Firefox', '203.0.113.7']);
+  assert.ok(!JSON.stringify(collection.all()).includes(token));
+  assert.strictEqual(sessions.resolve('not-a-token'), null);
+  assert.strictEqual(sessions.resolve(''), null);
+});
+
+test('sessions end when idle for too long', async t => {
+  const { sessions, tick } = setup(t);
+  const { token } = await sessions.create('1');
+  tick(HOUR);
+  assert.ok(sessions.resolve(token));
+  // Activity keeps the session alive
+  tick(1.5 * HOUR);
+  assert.ok(sessions.resolve(token));
+  tick(2 * HOUR + 1);
+  assert.strictEqual(sessions.resolve(token), null);
+});
+
+test('sessions end after the absolute timeout, however active', async t => {
+  const { sessions, tick } = setup(t);
+  const { token } = await sessions.create('1');
+  for (let i = 0; i < 10; i++) {
+    tick(HOUR);
+    assert.ok(sessions.resolve(token));
+  }
+  tick(1);
+  assert.strictEqual(sessions.resolve(token), null);
+});
+
+test('sessions can be revoked one at a time or all at once', async t => {
+  const { sessions } = setup(t);
+  const laptop = await sessions.create('1', { device: 'Laptop' });
+  const phone = await sessions.create('1', { device: 'Phone' });
+  const tablet = await sessions.create('1', { device: 'Tablet' });
+  const other = await sessions.create('2');
+  assert.strictEqual(await sessions.revokeToken(laptop.token), true);
+  assert.strictEqual(sessions.resolve(laptop.token), null);
+  // Another user's session id can't be revoked
+  assert.strictEqual(await sessions.revokeSession('2', phone.session.id), false);
+  assert.strictEqual(await sessions.revokeSession('1', phone.session.id), true);
+  await sessions.create('1', { device: 'Desktop' });
+  assert.strictEqual(await sessions.revokeUser('1', tablet.session.id), 1);
+  assert.deepStrictEqual(sessions.listForUser('1').map(s => s.device), ['Tablet']);
+  assert.ok(sessions.resolve(other.token));
+});
+
+test('pruning drops expired sessions', async t => {
+  const { sessions, collection, tick } = setup(t);
+  await sessions.create('1');
+  tick(HOUR);
+  const { token } = await sessions.create('2');
+  tick(1.5 * HOUR);
+  assert.strictEqual(await sessions.prune(), 1);
+  assert.strictEqual(collection.all().length, 1);
+  assert.ok(sessions.resolve(token));
+});
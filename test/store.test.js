@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, createJsonFileBackend } = require('../lib/store');
+const { createMemoryBackend, createMemoryStore } = require('./helpers');
+
+test('IDs only ever increase, also after records are removed', async () => {
+  const store = createMemoryStore();
+  const gigs = store.collection('gigs');
+  await gigs.insert({ id: gigs.nextId() });
+  await gigs.insert({ id: gigs.nextId() });
+  await gigs.removeWhere(g => g.id === '2');
+  assert.strictEqual(gigs.nextId(), '3');
+});
+
+test('IDs start above those already in the data, even without counters', () => {
+  const store = createMemoryStore({ gigs: [{ id: '7' }, { id: '3' }] });
+  assert.strictEqual(store.collection('gigs').nextId(), '8');
+});
+
+test('saves requested while one is waiting share its write', async () => {
+  const backend = createMemoryBackend();
+  let writes = 0;
+  const write = backend.write;
+  backend.write = (name, value) => {
+    if (name === 'orders') {
+      writes++;
+    }
+    return write(name, value);
+  };
+  const orders = createStore({ backend }).collection('orders');
+  await orders.insert({ id: '1', status: 'placed' });
+  writes = 0;
+  orders.get('1').status = 'in_progress';
+  const first = orders.save();
+  const second = orders.save();
+  const third = orders.save();
+  await Promise.all([first, second, third]);
+  assert.strictEqual(writes, 1);
+  assert.strictEqual(backend.written.orders[0].status, 'in_progress');
+});
+
+test('a failed write is reported and later writes still run', async () => {
+  const backend = createMemoryBackend();
+  let fail = true;
+  const write = backend.write;
+  backend.write = (name, value) => (name === 'users' && fail ? Promise.reject(new Error('disk full')) : write(name, value));
+  const users = createStore({ backend }).collection('users');
+  await assert.rejects(users.insert({ id: '1' }), /disk full/);
+  fail = false;
+  await users.save();
+  assert.deepStrictEqual(backend.written.users, [{ id: '1' }]);
+});
+
+test('the JSON file backend writes atomically and refuses damaged files', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bazimn-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const backend = createJsonFileBackend(dir);
+  assert.deepStrictEqual(backend.read('gigs', []), []);
+  await backend.write('gigs', [{ id: '1' }]);
+  assert.deepStrictEqual(backend.read('gigs', []), [{ id: '1' }]);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['gigs.json']);
+  fs.writeFileSync(path.join(dir, 'orders.json'), '{ broken');
+  assert.throws(() => backend.read('orders', []), /Could not parse/);
+});
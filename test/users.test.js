@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../lib/config');
+const { createRouter } = require('../lib/router');
+const { authenticate, requireAuth } = require('../lib/middleware');
+const { sendJson } = require('../lib/http');
+const { hashPasswordSync } = require('../lib/passwords');
+const { createSessionStore } = require('../lib/sessions');
+const { createAuditLog } = require('../lib/audit');
+const { createVerificationService } = require('../lib/verification');
+const { createMemoryStore: createLimitStore, createRateLimiter, createLoginLockout } = require('../lib/ratelimit');
+const { accountStatus, isActive, normalizeSuspensionEnd, anonymize, publicUser } = require('../lib/users');
+const { createMemoryStore, request } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const passwordHash = hashPasswordSync('correct horse');
+
+// The auth and admin routes, and a route that says who is calling, with an
+// admin and a seller
+async function setup() {
+  const store = createMemoryStore({
+    users: [
+      { id: '1', username: 'admin', email: 'admin@example.com', passwordHash, role: 'admin', status: 'active' },
+      { id: '2', username: 'sue', email: 'sue@example.com', passwordHash, role: 'seller', status: 'active', verificationLevel: 'basic' }
+    ]
+  });
+  const limitStore = createLimitStore();
+  const rateLimits = {};
+  Object.entries(config.RATE_LIMITS).forEach(([name, byKey]) => {
+    rateLimits[name] = {};
+    Object.entries(byKey).forEach(([by, limit]) => {
+      rateLimits[name][by] = createRateLimiter(Object.assign({ store: limitStore, name: `${name}:${by}` }, limit));
+    });
+  });
+  const users = store.collection('users');
+  const app = {
+    users,
+    passwordResets: store.collection('password-resets'),
+    sessions: createSessionStore({ collection: store.collection('sessions') }),
+    rateLimits,
+    loginLockout: createLoginLockout(Object.assign({ store: limitStore }, config.LOGIN_LOCKOUT)),
+    verification: createVerificationService({
+      requests: store.collection('verification-requests'), users, orders: store.collection('orders'), dir: null, limits: {}
+    }),
+    audit: createAuditLog({ collection: store.collection('audit') })
+  };
+  const router = createRouter();
+  router.use(authenticate(app));
+  require('../routes/auth')(router, app);
+  require('../routes/admin')(router, app);
+  router.get('/whoami', requireAuth, async ctx => sendJson(ctx.res, 200, { userId: ctx.userId }));
+  const { token } = await app.sessions.create('1');
+  return Object.assign({ router, adminToken: token }, app);
+}
+
+function login(router, email = 'sue@example.com') {
+  return request(router, 'POST', '/api/login', { body: { email, password: 'correct horse' } });
+}
+
+test('suspension ends by itself at its end date', () => {
+  const user = { status: 'suspended', suspension: { reason: 'Spam', until: 2000 } };
+  assert.strictEqual(accountStatus(user, 1999), 'suspended');
+  assert.strictEqual(accountStatus(user, 2000), 'active');
+  assert.strictEqual(accountStatus({ status: 'suspended', suspension: { until: null } }, 1e15), 'suspended');
+  assert.strictEqual(accountStatus({}), 'active');
+  assert.strictEqual(isActive(null), false);
+  assert.deepStrictEqual(normalizeSuspensionEnd(''), { until: null });
+  assert.deepStrictEqual(normalizeSuspensionEnd('2030-01-01T00:00:00Z', 0), { until: Date.parse('2030-01-01T00:00:00Z') });
+  assert.deepStrictEqual(normalizeSuspensionEnd(1000, 1000), { error: 'The end of the suspension must be a date in the future' });
+  assert.deepStrictEqual(normalizeSuspensionEnd('someday'), { error: 'The end of the suspension must be a date in the future' });
+});
+
+test('deleting an account keeps the record but not the person', () => {
+  const user = {
+    id: '2', username: 'sue', email: 'sue@example.com', passwordHash: 'x', role: 'seller', balance: 40,
+    notificationPreferences: {}, status: 'suspended', suspension: { reason: 'Spam' }
+  };
+  anonymize(user, 5000);
+  assert.deepStrictEqual(user, {
+    id: '2', username: 'Deleted user', email: 'deleted-2@deleted.invalid', role: 'seller', balance: 40,
+    status: 'deactivated', suspension: null, deactivatedAt: 5000
+  });
+  assert.ok(!('passwordHash' in publicUser({ id: '1', passwordHash: 'x' })));
+});
+
+test('suspended users are signed out and can\'t log in until the suspension ends', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1e12 });
+  const app = await setup();
+  const token = (await login(app.router)).body.token;
+  const suspend = await request(app.router, 'POST', '/api/adm/users/suspend', {
+    token: app.adminToken, body: { userId: '2', reason: 'Spam', until: 1e12 + DAY }
+  });
+  assert.strictEqual(suspend.status, 200, suspend.body.error);
+  assert.strictEqual((await request(app.router, 'GET', '/whoami', { token })).status, 401);
+  const refused = await login(app.router);
+  assert.strictEqual(refused.status, 403);
+  assert.deepStrictEqual([refused.body.suspended, refused.body.reason, refused.body.until], [true, 'Spam', 1e12 + DAY]);
+  t.mock.timers.tick(DAY);
+  const res = await login(app.router);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await request(app.router, 'GET', '/whoami', { token: res.body.token })).body.userId, '2');
+});
+
+test('a session left over from before a suspension is treated as anonymous', async () => {
+  const app = await setup();
+  const { token } = await app.sessions.create('2');
+  app.users.get('2').status = 'suspended';
+  app.users.get('2').suspension = { reason: 'Spam', until: null };
+  assert.strictEqual((await request(app.router, 'GET', '/whoami', { token })).status, 401);
+});
+
+test('deleted accounts can\'t log in and their email is free again', async () => {
+  const app = await setup();
+  const deleted = await request(app.router, 'POST', '/api/adm/delete-user', {
+    token: app.adminToken, body: { userId: '2', reason: 'Asked to be forgotten' }
+  });
+  assert.strictEqual(deleted.status, 200, deleted.body.error);
+  assert.strictEqual((await login(app.router)).status, 401);
+  const again = await request(app.router, 'POST', '/api/register', {
+    body: { username: 'sue', email: 'sue@example.com', password: 'pw', role: 'seller' }
+  });
+  assert.strictEqual(again.status, 201, again.body.error);
+});
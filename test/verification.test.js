@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../lib/config');
+const { createVerificationService } = require('../lib/verification');
+const { createMemoryStore } = require('./helpers');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64)]);
+
+const submission = {
+  fullName: 'Susan Seller',
+  country: 'Kenya',
+  documentType: 'passport',
+  documentNumber: 'AK1234567',
+  documents: [`data:image/png;base64,${PNG.toString('base64')}`]
+};
+
+// A verification service with documents in a temporary directory
+function setup(t) {
+  const store = createMemoryStore({
+    users: [
+      { id: '1', username: 'admin', role: 'admin', verificationLevel: 'trusted' },
+      { id: '2', username: 'sue', role: 'seller', verificationLevel: 'basic' }
+    ],
+    orders: [
+      { id: '1', sellerId: '2', amount: 300, status: 'in_progress' },
+      { id: '2', sellerId: '2', amount: 1000, status: 'completed' }
+    ]
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bazimn-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const users = store.collection('users');
+  const requests = store.collection('verification-requests');
+  const verification = createVerificationService({
+    requests, users, orders: store.collection('orders'), dir, limits: config.VERIFICATION_LIMITS
+  });
+  return { users, requests, verification, dir };
+}
+
+test('a submission stores its documents for review', async t => {
+  const { users, verification, dir } = setup(t);
+  const { request } = await verification.submit(users.get('2'), submission);
+  assert.strictEqual(request.status, 'pending');
+  assert.deepStrictEqual(request.documents, [{ file: '0.png', contentType: 'image/png', size: PNG.length }]);
+  assert.deepStrictEqual(fs.readFileSync(path.join(dir, request.id, '0.png')), PNG);
+  assert.deepStrictEqual((await verification.readDocument(request, 0)).buffer, PNG);
+});
+
+test('parallel submissions leave one waiting for review', async t => {
+  const { users, requests, verification } = setup(t);
+  const user = users.get('2');
+  const results = await Promise.all([1, 2, 3].map(() => verification.submit(user, submission)));
+  assert.strictEqual(results.filter(r => r.request).length, 1);
+  assert.deepStrictEqual(results.filter(r => r.error).map(r => r.status), [409, 409]);
+  assert.strictEqual(requests.all().length, 1);
+});
+
+test('submissions with missing details or unusable documents are refused', async t => {
+  const { users, requests, verification } = setup(t);
+  const user = users.get('2');
+  const cases = [
+    [{ fullName: ' ' }, 'Full name, country and document number are required'],
+    [{ documentType: 'library_card' }, 'Document type must be one of national_id, passport, drivers_license'],
+    [{ documents: [] }, 'Attach at least one document'],
+    [{ documents: Array(4).fill(submission.documents[0]) }, 'Attach at most 3 documents'],
+    [{ documents: ['not a data URL'] }, 'Documents must be sent as base64 data URLs'],
+    [{ documents: [`data:image/png;base64,${Buffer.from('<svg/>').toString('base64')}`] }, 'Documents must be JPEG or PNG images or PDF files']
+  ];
+  for (const [change, error] of cases) {
+    assert.deepStrictEqual(await verification.submit(user, Object.assign({}, submission, change)), { error, status: 400 });
+  }
+  assert.strictEqual(requests.all().length, 0);
+});
+
+test('approval verifies the seller and raises their limits', async t => {
+  const { users, verification } = setup(t);
+  const seller = users.get('2');
+  assert.deepStrictEqual(verification.limitsFor(users.get('1')), { maxOpenOrderValue: null, maxWithdrawal: null });
+  assert.strictEqual(verification.openOrderValue('2'), 300);
+  assert.deepStrictEqual(verification.checkOrderLimit(seller, 200), {});
+  assert.ok(verification.checkOrderLimit(seller, 201).error);
+  const { request } = await verification.submit(seller, submission);
+  assert.deepStrictEqual(await verification.review(request, users.get('1'), { approve: false }),
+    { error: 'A reason is required to reject', status: 400 });
+  await verification.review(request, users.get('1'), { approve: true });
+  assert.strictEqual(seller.verificationLevel, 'verified');
+  assert.deepStrictEqual(verification.checkOrderLimit(seller, 5000), {});
+  assert.strictEqual((await verification.submit(seller, submission)).status, 409);
+});
+
+test('a rejected seller can submit again', async t => {
+  const { users, verification } = setup(t);
+  const seller = users.get('2');
+  const first = (await verification.submit(seller, submission)).request;
+  await verification.review(first, users.get('1'), { approve: false, reason: ' Blurry scan ' });
+  assert.deepStrictEqual([first.status, first.reason, seller.verificationLevel], ['rejected', 'Blurry scan', 'basic']);
+  const second = await verification.submit(seller, submission);
+  assert.strictEqual(second.request.status, 'pending');
+  assert.strictEqual(verification.latestFor('2'), second.request);
+});
+
+test('forgetting a user removes their documents and identity details', async t => {
+  const { users, verification, dir } = setup(t);
+  const { request } = await verification.submit(users.get('2'), submission);
+  await verification.forget('2');
+  assert.deepStrictEqual([request.status, request.fullName, request.documentNumber, request.documents],
+    ['withdrawn', null, null, []]);
+  assert.ok(!fs.existsSync(path.join(dir, request.id)));
+});